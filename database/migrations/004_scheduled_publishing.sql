@@ -0,0 +1,31 @@
+-- Migration: Scheduled Slot Publishing
+-- Description: Lets content updates be published at a future time by the
+-- in-process publish scheduler, with retry bookkeeping stored on the row
+-- so pending publishes survive restarts
+-- Date: 2026-01-12
+
+-- =============================================================================
+-- 1. MODIFY: Scheduling columns on content_updates
+-- =============================================================================
+
+ALTER TABLE content_updates
+  ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS publish_attempts INTEGER DEFAULT 0 NOT NULL;
+
+-- The scheduler polls for due rows; keep that lookup cheap
+CREATE INDEX IF NOT EXISTS idx_updates_scheduled
+  ON content_updates(status, scheduled_at)
+  WHERE scheduled_at IS NOT NULL;
+
+COMMENT ON COLUMN content_updates.scheduled_at IS 'Requested publish time (NULL = publish manually)';
+COMMENT ON COLUMN content_updates.next_attempt_at IS 'Retry time after a failed scheduled publish (overrides scheduled_at)';
+COMMENT ON COLUMN content_updates.last_attempt_at IS 'When the scheduler last claimed this update';
+COMMENT ON COLUMN content_updates.publish_attempts IS 'Number of scheduled publish attempts made';
+
+-- Status values used by the scheduler:
+--   scheduled  - waiting for scheduled_at / next_attempt_at
+--   publishing - claimed by the scheduler, publish in progress
+--   published  - published successfully
+--   failed     - gave up after PUBLISH_MAX_ATTEMPTS attempts (see error_message)
@@ -0,0 +1,35 @@
+-- Migration: Slot Revision History
+-- Description: Stores every change made to a slot's content (who, when, which
+-- route made it, before/after HTML) so any revision can be diffed or restored
+-- Date: 2026-01-14
+
+-- =============================================================================
+-- 1. NEW: content_revisions table
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS content_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  slot_id UUID NOT NULL REFERENCES content_slots(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+
+  -- Content before and after the change
+  old_content TEXT,
+  new_content TEXT,
+
+  -- Who made the change and through which route
+  changed_by VARCHAR(255),
+  source VARCHAR(50) NOT NULL DEFAULT 'manual', -- manual, publish, publish_direct, scheduler, restore
+
+  -- Links back to what caused the change
+  content_update_id UUID REFERENCES content_updates(id) ON DELETE SET NULL,
+  restored_from_revision_id UUID REFERENCES content_revisions(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_revisions_slot ON content_revisions(slot_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_revisions_org ON content_revisions(organization_id);
+
+COMMENT ON TABLE content_revisions IS 'Per-slot content history used for diffs and one-click restore';
+COMMENT ON COLUMN content_revisions.changed_by IS 'User email/id, or "scheduler" for scheduled publishes';
+COMMENT ON COLUMN content_revisions.source IS 'Route or job that changed the slot';
@@ -0,0 +1,17 @@
+-- Migration: Gutenberg Block Slots
+-- Description: Lets a WordPress slot target a specific Gutenberg block instead
+-- of a SWE:SLOT comment marker pair
+-- Date: 2026-01-16
+
+-- =============================================================================
+-- 1. MODIFY: Block locator on content_slots
+-- =============================================================================
+
+ALTER TABLE content_slots
+  ADD COLUMN IF NOT EXISTS slot_target JSONB;
+
+COMMENT ON COLUMN content_slots.slot_target IS 'Locator for non-marker slots, e.g. {"anchor":"intro"}, {"block_name":"core/heading","occurrence":0}, {"index":2} or {"path":[1,0]}';
+
+-- slot_type values:
+--   html_marker - content between <!-- SWE:SLOT:NAME --> markers (default)
+--   wp_block    - content of the Gutenberg block matched by slot_target
@@ -0,0 +1,53 @@
+-- Migration: Multi-slot Changesets
+-- Description: Groups edits across several slots (and pages) so they are
+-- validated together, written with one update per page, and rolled back as a
+-- unit if any page write fails
+-- Date: 2026-01-19
+
+-- =============================================================================
+-- 1. NEW: changesets table
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS changesets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+  title VARCHAR(255),
+  status VARCHAR(50) DEFAULT 'draft' NOT NULL, -- draft, applying, applied, failed
+  created_by VARCHAR(255),
+
+  -- Outcome of the last apply attempt
+  error_message TEXT,
+  result JSONB,
+  applied_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_changesets_org ON changesets(organization_id, created_at DESC);
+
+-- =============================================================================
+-- 2. NEW: changeset_items table (one row per slot edit)
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS changeset_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  changeset_id UUID NOT NULL REFERENCES changesets(id) ON DELETE CASCADE,
+  content_slot_id UUID NOT NULL REFERENCES content_slots(id) ON DELETE CASCADE,
+
+  new_content TEXT NOT NULL,
+  old_content TEXT,
+  status VARCHAR(50) DEFAULT 'pending' NOT NULL, -- pending, applied, failed, rolled_back
+  error_message TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(changeset_id, content_slot_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_changeset_items_changeset ON changeset_items(changeset_id);
+
+COMMENT ON TABLE changesets IS 'Atomic groups of slot edits applied together';
+COMMENT ON COLUMN changesets.result IS 'Per-page outcome of the last apply (written, rolled back, errors)';
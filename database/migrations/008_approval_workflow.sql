@@ -0,0 +1,67 @@
+-- Migration: Approval Workflow
+-- Description: Review state machine for content updates, per-organization
+-- rules for which slots need approval, and a review/comment log
+-- Date: 2026-01-21
+
+-- =============================================================================
+-- 1. MODIFY: content_updates statuses and review columns
+-- =============================================================================
+-- Status flow:
+--   draft -> pending_review -> approved | rejected
+--   approved -> scheduled -> publishing -> published (or failed)
+--   rejected -> draft (edited) -> pending_review
+-- Updates that no rule covers can go straight from draft to scheduled/published.
+
+UPDATE content_updates SET status = 'draft' WHERE status = 'generated';
+
+ALTER TABLE content_updates
+  ALTER COLUMN status SET DEFAULT 'draft';
+
+ALTER TABLE content_updates
+  ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS submitted_by VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS approved_content_hash VARCHAR(64);
+
+COMMENT ON COLUMN content_updates.approved_content_hash IS 'SHA-256 of generated_content at approval; publish is refused if the content changed since';
+
+-- =============================================================================
+-- 2. NEW: approval_rules table
+-- =============================================================================
+-- A rule with neither wordpress_site_id nor content_slot_id covers every slot
+-- in the organization; otherwise it covers that site or that slot.
+
+CREATE TABLE IF NOT EXISTS approval_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  wordpress_site_id UUID REFERENCES wordpress_sites(id) ON DELETE CASCADE,
+  content_slot_id UUID REFERENCES content_slots(id) ON DELETE CASCADE,
+
+  name VARCHAR(255),
+  reviewer_emails TEXT[] DEFAULT '{}',
+  is_active BOOLEAN DEFAULT TRUE,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_rules_org ON approval_rules(organization_id, is_active);
+
+-- =============================================================================
+-- 3. NEW: content_update_reviews table (decisions and comments)
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS content_update_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  content_update_id UUID NOT NULL REFERENCES content_updates(id) ON DELETE CASCADE,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+  action VARCHAR(50) NOT NULL, -- submitted, approved, rejected, withdrawn, comment
+  comment TEXT,
+  author VARCHAR(255),
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_update_reviews_update ON content_update_reviews(content_update_id, created_at);
@@ -0,0 +1,55 @@
+-- Migration: Team Members and Roles
+-- Description: Separate users within an organization, invitations through the
+-- magic-link flow and per-user roles
+-- Date: 2026-01-22
+
+-- =============================================================================
+-- 1. NEW: users table
+-- =============================================================================
+-- Roles:
+--   owner    - everything, including billing, credits and team management
+--   editor   - manage sites and slots, generate, edit and publish content
+--   reviewer - read everything, approve/reject content updates
+--   viewer   - read only
+--
+-- An email belongs to at most one organization, so login by email stays
+-- unambiguous.
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+  email VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'editor', 'reviewer', 'viewer')),
+  status VARCHAR(20) NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'active', 'disabled')),
+
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  invited_at TIMESTAMPTZ,
+  joined_at TIMESTAMPTZ,
+  last_login_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_organization ON users(organization_id);
+
+-- Every existing organization login becomes that organization's owner
+INSERT INTO users (organization_id, email, name, role, status, joined_at)
+SELECT id, LOWER(email), name, 'owner', 'active', created_at
+FROM organizations
+WHERE email IS NOT NULL
+ON CONFLICT (email) DO NOTHING;
+
+-- =============================================================================
+-- 2. MODIFY: login tokens and sessions carry the member
+-- =============================================================================
+-- login_tokens.user_id / user_sessions.user_id keep pointing at the organization
+-- for existing clients; member_id identifies the person.
+
+ALTER TABLE login_tokens
+  ADD COLUMN IF NOT EXISTS member_id UUID REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE user_sessions
+  ADD COLUMN IF NOT EXISTS member_id UUID REFERENCES users(id) ON DELETE CASCADE;
@@ -0,0 +1,29 @@
+-- Migration: API Keys
+-- Description: Organization API keys for CI and internal tools, with scopes
+-- Date: 2026-01-23
+
+-- =============================================================================
+-- 1. NEW: api_keys table
+-- =============================================================================
+-- The full key (swe_<48 hex chars>) is shown once at creation; only its
+-- SHA-256 hash is stored. key_prefix is kept so keys can be told apart in the UI.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}', -- e.g. {slots:write, sites:read, content:generate}
+
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip VARCHAR(64),
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_organization ON api_keys(organization_id);
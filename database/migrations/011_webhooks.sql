@@ -0,0 +1,57 @@
+-- Migration: Outbound Webhooks
+-- Description: Organization-configured webhook endpoints and a persistent
+-- delivery queue/log (signed payloads, retries with backoff)
+-- Date: 2026-01-24
+
+-- =============================================================================
+-- 1. NEW: webhook_endpoints table
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+  url VARCHAR(2000) NOT NULL,
+  description VARCHAR(255),
+  events TEXT[] NOT NULL DEFAULT '{}', -- e.g. {slot.published, credits.low}; '*' = all events
+  secret VARCHAR(100) NOT NULL,        -- HMAC-SHA256 signing secret (whsec_...)
+  is_active BOOLEAN DEFAULT TRUE,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_org ON webhook_endpoints(organization_id, is_active);
+
+-- =============================================================================
+-- 2. NEW: webhook_deliveries table (queue + delivery log)
+-- =============================================================================
+-- Status flow: pending -> delivering -> succeeded
+--                                    -> pending (retry, next_attempt_at set)
+--                                    -> failed (attempts exhausted)
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+  event VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+
+  response_status INTEGER,
+  response_body TEXT,
+  error_message TEXT,
+  duration_ms INTEGER,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at)
+  WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
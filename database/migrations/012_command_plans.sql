@@ -0,0 +1,41 @@
+-- Migration: Command Plans
+-- Description: Natural-language commands are resolved by the LLM into a plan
+-- (target zones + new content) that is stored and executed only once the
+-- user confirms it
+-- Date: 2026-01-25
+
+-- =============================================================================
+-- 1. NEW: command_plans table
+-- =============================================================================
+-- Status flow: pending -> executing -> executed
+--                                   -> failed
+--              pending -> cancelled
+-- A pending plan past expires_at can no longer be confirmed.
+
+CREATE TABLE IF NOT EXISTS command_plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  wordpress_site_id UUID NOT NULL REFERENCES wordpress_sites(id) ON DELETE CASCADE,
+
+  command TEXT NOT NULL,
+  summary TEXT,
+  edits JSONB NOT NULL DEFAULT '[]', -- [{ slot_id, slot_label, action, instruction, new_content }]
+  credits_required INTEGER NOT NULL DEFAULT 0,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  created_by VARCHAR(255),
+  expires_at TIMESTAMPTZ NOT NULL,
+
+  -- Outcome of execution
+  result JSONB,
+  error_message TEXT,
+  executed_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_command_plans_org ON command_plans(organization_id, created_at DESC);
+
+COMMENT ON TABLE command_plans IS 'LLM-resolved command plans awaiting confirmation';
+COMMENT ON COLUMN command_plans.edits IS 'Per-zone edits exactly as shown to the user for confirmation';
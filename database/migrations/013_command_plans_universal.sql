@@ -0,0 +1,23 @@
+-- Migration: Command Plans on Universal Sites
+-- Description: Commands can target universal (CSS selector) sites as well as
+-- WordPress sites, so a plan references exactly one of the two
+-- Date: 2026-01-26
+
+-- =============================================================================
+-- 1. MODIFY: Make command_plans polymorphic
+-- =============================================================================
+
+ALTER TABLE command_plans
+  ADD COLUMN IF NOT EXISTS universal_site_id UUID REFERENCES universal_sites(id) ON DELETE CASCADE;
+
+ALTER TABLE command_plans
+  ALTER COLUMN wordpress_site_id DROP NOT NULL;
+
+ALTER TABLE command_plans
+  ADD CONSTRAINT check_command_plan_site_reference
+  CHECK (
+    (wordpress_site_id IS NOT NULL AND universal_site_id IS NULL) OR
+    (wordpress_site_id IS NULL AND universal_site_id IS NOT NULL)
+  );
+
+COMMENT ON COLUMN command_plans.universal_site_id IS 'Reference to universal_sites for non-WordPress commands';
@@ -0,0 +1,46 @@
+-- Migration: Slots on Ghost Content
+-- Description: Slots can live on Ghost posts and pages (24-character object
+-- ids, posts as well as pages) and can target an element by CSS selector in
+-- the stored page HTML
+-- Date: 2026-01-27
+
+-- =============================================================================
+-- 1. MODIFY: Platform-neutral page ids
+-- =============================================================================
+
+-- Ghost ids are hex strings and Shopify ids overflow INTEGER
+ALTER TABLE content_slots
+  ALTER COLUMN wp_page_id TYPE VARCHAR(64) USING wp_page_id::text;
+
+-- Auto-discovered slots used 0 for "page not known yet"; as text '0' would
+-- read as a real id, so store NULL instead
+ALTER TABLE content_slots
+  ALTER COLUMN wp_page_id DROP NOT NULL;
+
+UPDATE content_slots SET wp_page_id = NULL WHERE wp_page_id = '0';
+
+COMMENT ON COLUMN content_slots.wp_page_id IS 'Id of the page or post on the site (WordPress, Ghost or Shopify)';
+
+-- =============================================================================
+-- 2. MODIFY: Page or post
+-- =============================================================================
+
+ALTER TABLE content_slots
+  ADD COLUMN IF NOT EXISTS page_type VARCHAR(10) NOT NULL DEFAULT 'page';
+
+-- Existing slots were routed by section_type; keep the ones on posts on posts
+UPDATE content_slots SET page_type = 'post' WHERE section_type = 'post';
+
+ALTER TABLE content_slots
+  ADD CONSTRAINT check_slot_page_type CHECK (page_type IN ('page', 'post'));
+
+COMMENT ON COLUMN content_slots.page_type IS 'Whether wp_page_id is a page or a post';
+
+-- slot_type values:
+--   html_marker  - content between <!-- SWE:SLOT:NAME --> markers (default)
+--   wp_block     - content of the Gutenberg block matched by slot_target
+--   css_selector - inner HTML of the first element matching css_selector in
+--                  the stored page content
+--
+-- Ghost only keeps HTML comments inside HTML cards, so marker slots on Ghost
+-- content must sit in an HTML card.
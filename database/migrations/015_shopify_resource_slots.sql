@@ -0,0 +1,27 @@
+-- Migration: Shopify Resource Slots
+-- Description: Slots can live on Shopify products, collections, blog articles,
+-- metafields and theme files, not just pages and posts
+-- Date: 2026-01-28
+
+-- =============================================================================
+-- 1. MODIFY: Resource types
+-- =============================================================================
+
+-- Theme file keys (templates/product.alternate.json) can be long
+ALTER TABLE content_slots
+  ALTER COLUMN wp_page_id TYPE VARCHAR(255);
+
+ALTER TABLE content_slots
+  DROP CONSTRAINT IF EXISTS check_slot_page_type;
+
+ALTER TABLE content_slots
+  ADD CONSTRAINT check_slot_page_type CHECK (
+    page_type IN ('page', 'post', 'product', 'collection', 'article', 'metafield', 'theme_asset')
+  );
+
+COMMENT ON COLUMN content_slots.page_type IS 'Kind of resource wp_page_id refers to: page, post (WordPress/Ghost) or a Shopify product, collection, article, metafield or theme_asset (wp_page_id is the file key)';
+
+-- slot_type values added:
+--   json_setting - text setting in a JSON theme file at slot_target.path,
+--                  e.g. {"path":["sections","hero","settings","heading"]}
+--   full_content - the whole resource content (e.g. a metafield value)
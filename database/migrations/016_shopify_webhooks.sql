@@ -0,0 +1,22 @@
+-- Migration: Shopify Webhooks
+-- Description: Log of received Shopify webhook deliveries, so retried
+-- deliveries (app/uninstalled, shop/update, GDPR topics) are handled once
+-- Date: 2026-01-29
+
+-- =============================================================================
+-- 1. NEW: shopify_webhook_events table
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS shopify_webhook_events (
+  webhook_id VARCHAR(100) PRIMARY KEY, -- X-Shopify-Webhook-Id header
+  topic VARCHAR(100) NOT NULL,         -- e.g. app/uninstalled, customers/redact
+  shop_domain VARCHAR(255) NOT NULL,   -- X-Shopify-Shop-Domain header
+  received_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shopify_webhook_events_shop ON shopify_webhook_events(shop_domain, received_at DESC);
+
+-- On app/uninstalled every wordpress_sites row for the shop is marked
+-- disconnected, its access token is cleared (wp_app_password_encrypted = '')
+-- and its content slots are deleted. shop/redact (sent 48 hours after
+-- uninstall) deletes the rows.
@@ -0,0 +1,40 @@
+-- Migration: Save Recipes for Universal Sites
+-- Description: A recorded sequence of browser steps (open the editor, fill
+-- the field, click save) that persists an edit on a universal site, replayed
+-- by the Playwright browser pool and verified by reloading the page
+-- Date: 2026-01-30
+
+-- =============================================================================
+-- 1. NEW: site_save_recipes table
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS site_save_recipes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  universal_site_id UUID NOT NULL REFERENCES universal_sites(id) ON DELETE CASCADE,
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+  -- [{ "action": "goto", "url": "{{page_url}}?edit=1" },
+  --  { "action": "click", "selector": "#edit-button" },
+  --  { "action": "fill", "selector": "textarea[name=body]", "value": "{{content}}" },
+  --  { "action": "click", "selector": "button.save" },
+  --  { "action": "wait_for_navigation" }]
+  -- Placeholders: {{content}}, {{page_url}}, {{section_selector}}
+  steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+  verify BOOLEAN DEFAULT TRUE, -- reload the page and check the section afterwards
+
+  -- Last replay
+  last_run_at TIMESTAMPTZ,
+  last_run_status VARCHAR(20), -- succeeded, failed, unverified
+  last_run_error TEXT,
+
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(universal_site_id),
+  CONSTRAINT check_save_recipe_run_status CHECK (
+    last_run_status IS NULL OR last_run_status IN ('succeeded', 'failed', 'unverified')
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_save_recipes_org ON site_save_recipes(organization_id);
@@ -0,0 +1,35 @@
+-- Migration: Credit Reservations
+-- Description: Holds on a credit balance taken before paid work starts and
+-- committed (charged) or released when it finishes, so failed publishes are
+-- never charged and parallel requests cannot overdraw the balance
+-- Date: 2026-01-31
+
+-- =============================================================================
+-- 1. NEW: credit_reservations table
+-- =============================================================================
+-- Status flow: held -> committed (charged, possibly less than reserved)
+--                   -> released  (work failed or was not needed)
+--                   -> expired   (never settled before expires_at)
+
+CREATE TABLE IF NOT EXISTS credit_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255) NOT NULL, -- same value as user_credits.user_id (organization id)
+
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  reason VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'held',
+  committed_amount INTEGER,
+
+  expires_at TIMESTAMPTZ NOT NULL,
+  settled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT check_credit_reservation_status CHECK (
+    status IN ('held', 'committed', 'released', 'expired')
+  )
+);
+
+-- Available balance = user_credits.balance - open holds
+CREATE INDEX IF NOT EXISTS idx_credit_reservations_held
+  ON credit_reservations(user_id, expires_at)
+  WHERE status = 'held';
@@ -0,0 +1,72 @@
+-- Migration: Credit Pricing Catalog
+-- Description: Credit cost of each paid action, with per-plan overrides and
+-- time-boxed promotional multipliers, editable by platform admins
+-- Date: 2026-02-01
+
+-- =============================================================================
+-- 1. NEW: credit_prices table (base price per action)
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS credit_prices (
+  action VARCHAR(50) PRIMARY KEY, -- text_edit, image_swap, ai_image
+  credits INTEGER NOT NULL CHECK (credits >= 0),
+  description VARCHAR(255),
+  updated_by VARCHAR(255),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO credit_prices (action, credits, description) VALUES
+  ('text_edit', 1, 'Text edit (per zone changed)'),
+  ('image_swap', 2, 'Image swap'),
+  ('ai_image', 10, 'AI-generated image')
+ON CONFLICT (action) DO NOTHING;
+
+-- =============================================================================
+-- 2. NEW: credit_price_overrides table (price for one subscription plan)
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS credit_price_overrides (
+  action VARCHAR(50) NOT NULL REFERENCES credit_prices(action) ON DELETE CASCADE,
+  plan_name VARCHAR(50) NOT NULL, -- lowercased subscriptions.plan_name, e.g. free, pro
+  credits INTEGER NOT NULL CHECK (credits >= 0),
+  updated_by VARCHAR(255),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  PRIMARY KEY (action, plan_name)
+);
+
+-- =============================================================================
+-- 3. NEW: credit_promotions table (multiplier on the plan price)
+-- =============================================================================
+-- NULL action / plan_name = applies to every action / plan. When several
+-- promotions apply, the lowest multiplier wins (promotions do not stack).
+
+CREATE TABLE IF NOT EXISTS credit_promotions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  action VARCHAR(50) REFERENCES credit_prices(action) ON DELETE CASCADE,
+  plan_name VARCHAR(50),
+  multiplier NUMERIC(4, 2) NOT NULL CHECK (multiplier >= 0), -- 0.5 = half price
+  description VARCHAR(255),
+
+  starts_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ends_at TIMESTAMPTZ NOT NULL,
+
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT check_credit_promotion_window CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_promotions_active ON credit_promotions(starts_at, ends_at);
+
+-- =============================================================================
+-- 4. MODIFY: Allow zero-credit reservations
+-- =============================================================================
+-- A promotion or plan override can make an action free; paid routes still
+-- take (and settle) a reservation so the flow is the same at any price
+
+ALTER TABLE credit_reservations
+  DROP CONSTRAINT IF EXISTS credit_reservations_amount_check;
+
+ALTER TABLE credit_reservations
+  ADD CONSTRAINT credit_reservations_amount_check CHECK (amount >= 0);
@@ -0,0 +1,66 @@
+-- Migration: Credit Buckets
+-- Description: Credits are granted into buckets (purchased, promotional, plan
+-- allowance) that each carry their own expiry. Charges draw from the
+-- soonest-expiring bucket first; a nightly job zeroes expired buckets and
+-- records the expiry in credit_transactions
+-- Date: 2026-02-02
+
+-- =============================================================================
+-- 1. NEW: credit_buckets table
+-- =============================================================================
+-- user_credits.balance stays the account total: the sum of remaining credits
+-- in unexpired buckets (kept in sync by CreditService)
+
+CREATE TABLE IF NOT EXISTS credit_buckets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id VARCHAR(255) NOT NULL, -- same value as user_credits.user_id (organization id)
+
+  source VARCHAR(20) NOT NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  remaining INTEGER NOT NULL CHECK (remaining >= 0),
+  reason VARCHAR(255),
+  reference VARCHAR(255), -- Stripe session/invoice id etc.; a grant is applied once per reference
+
+  expires_at TIMESTAMPTZ, -- NULL = never expires
+  expired_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT check_credit_bucket_source CHECK (
+    source IN ('purchased', 'promotional', 'plan_allowance')
+  ),
+  CONSTRAINT check_credit_bucket_remaining CHECK (remaining <= amount)
+);
+
+-- Spend order: soonest expiry first, never-expiring last
+CREATE INDEX IF NOT EXISTS idx_credit_buckets_spendable
+  ON credit_buckets(user_id, expires_at NULLS LAST, created_at)
+  WHERE remaining > 0;
+
+-- Nightly expiry sweep
+CREATE INDEX IF NOT EXISTS idx_credit_buckets_expiring
+  ON credit_buckets(expires_at)
+  WHERE remaining > 0 AND expires_at IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_buckets_reference
+  ON credit_buckets(user_id, reference)
+  WHERE reference IS NOT NULL;
+
+-- =============================================================================
+-- 2. ALTER: link transactions to buckets, track expired credits
+-- =============================================================================
+
+ALTER TABLE credit_transactions
+  ADD COLUMN IF NOT EXISTS bucket_id UUID REFERENCES credit_buckets(id) ON DELETE SET NULL;
+
+ALTER TABLE user_credits
+  ADD COLUMN IF NOT EXISTS total_expired INTEGER DEFAULT 0;
+
+-- =============================================================================
+-- 3. BACKFILL: existing balances become one never-expiring purchased bucket
+-- =============================================================================
+
+INSERT INTO credit_buckets (user_id, source, amount, remaining, reason, reference)
+SELECT user_id, 'purchased', balance, balance, 'Balance before credit buckets', 'migration:020'
+FROM user_credits
+WHERE balance > 0
+ON CONFLICT DO NOTHING;
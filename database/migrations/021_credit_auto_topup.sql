@@ -0,0 +1,55 @@
+-- Migration: Automatic Credit Top-up
+-- Description: Organizations can set a balance threshold and a top-up amount;
+-- when a charge drops the balance below the threshold, the saved Stripe
+-- payment method is charged off-session and the credits are added once the
+-- PaymentIntent succeeds
+-- Date: 2026-02-03
+
+-- =============================================================================
+-- 1. NEW: credit_auto_topup_settings table (one row per organization)
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS credit_auto_topup_settings (
+  organization_id UUID PRIMARY KEY REFERENCES organizations(id) ON DELETE CASCADE,
+
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  threshold_credits INTEGER NOT NULL CHECK (threshold_credits >= 0),
+  amount_usd INTEGER NOT NULL CHECK (amount_usd > 0),
+  credits INTEGER NOT NULL CHECK (credits > 0), -- amount_usd at the purchase rate when saved
+
+  updated_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- =============================================================================
+-- 2. NEW: credit_topups table (one row per top-up attempt)
+-- =============================================================================
+-- Status flow: pending -> succeeded (credits added from the webhook)
+--                      -> failed    (card declined, no saved card, ...)
+
+CREATE TABLE IF NOT EXISTS credit_topups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+  credits INTEGER NOT NULL CHECK (credits > 0),
+  amount_usd INTEGER NOT NULL CHECK (amount_usd > 0),
+  payment_intent_id VARCHAR(255) UNIQUE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  failure_message TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  settled_at TIMESTAMPTZ,
+
+  CONSTRAINT check_credit_topup_status CHECK (
+    status IN ('pending', 'succeeded', 'failed')
+  )
+);
+
+-- At most one top-up in flight per organization
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_topups_one_pending
+  ON credit_topups(organization_id)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_credit_topups_org
+  ON credit_topups(organization_id, created_at DESC);
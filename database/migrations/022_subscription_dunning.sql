@@ -0,0 +1,46 @@
+-- Migration: Subscription Dunning
+-- Description: Tracks failed subscription payments through a grace period
+-- with escalating reminder emails, the downgrade to the free plan when it
+-- runs out, and the restore once a payment succeeds
+-- Date: 2026-02-04
+
+-- =============================================================================
+-- 1. NEW: subscription_dunning table (one row per organization)
+-- =============================================================================
+-- Status flow: past_due   -> downgraded (grace period ran out)
+--              past_due   -> resolved   (payment succeeded in time)
+--              downgraded -> resolved   (plan restored)
+-- A new failure on a resolved row starts a fresh grace period.
+-- While downgraded, the organization's scheduled publishes are not run.
+
+CREATE TABLE IF NOT EXISTS subscription_dunning (
+  organization_id UUID PRIMARY KEY REFERENCES organizations(id) ON DELETE CASCADE,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'past_due',
+  stripe_invoice_id VARCHAR(255),
+  amount_due_cents INTEGER,
+  hosted_invoice_url TEXT,
+  failed_attempts INTEGER NOT NULL DEFAULT 1, -- Stripe's invoice attempt_count
+  reminders_sent INTEGER NOT NULL DEFAULT 0,
+
+  first_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  grace_ends_at TIMESTAMPTZ NOT NULL,
+
+  -- Plan before the downgrade, restored on payment
+  previous_plan_name VARCHAR(50),
+  previous_is_unlimited BOOLEAN,
+  previous_monthly_update_limit INTEGER,
+
+  downgraded_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT check_subscription_dunning_status CHECK (
+    status IN ('past_due', 'downgraded', 'resolved')
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_dunning_open
+  ON subscription_dunning(status, grace_ends_at)
+  WHERE status IN ('past_due', 'downgraded');
@@ -0,0 +1,76 @@
+/**
+ * Admin Credit Routes
+ * Platform-admin view of an organization's credit buckets and promotional grants
+ * Mounted at /api/admin/credits behind authenticateToken + requireAdmin
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../../services/database');
+const creditService = require('../../services/creditService');
+
+// Purchased credits only come from Stripe
+const GRANTABLE_SOURCES = ['promotional', 'plan_allowance'];
+
+/**
+ * GET /api/admin/credits/:organizationId
+ * Balance, spendable buckets and recent transactions of an organization
+ */
+router.get('/:organizationId', async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+
+    const [balance, buckets, history] = await Promise.all([
+      creditService.getBalance(organizationId),
+      creditService.getBuckets(organizationId),
+      creditService.getTransactionHistory(organizationId, 50),
+    ]);
+
+    res.json({ success: true, balance, buckets, transactions: history });
+  } catch (error) {
+    console.error('[ADMIN CREDITS] Fetch error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/credits/grants
+ * Grant credits to an organization
+ * Body: { organization_id, credits, reason, expires_at?, source? }
+ *   source: promotional (default) or plan_allowance; no expires_at = never expires
+ */
+router.post('/grants', async (req, res) => {
+  try {
+    const { organization_id, credits, reason, expires_at, source = 'promotional' } = req.body;
+
+    if (!organization_id || !reason) {
+      return res.status(400).json({ error: 'organization_id and reason are required' });
+    }
+    if (!Number.isInteger(credits) || credits <= 0) {
+      return res.status(400).json({ error: 'credits must be a positive whole number' });
+    }
+    if (!GRANTABLE_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source must be one of ${GRANTABLE_SOURCES.join(', ')}` });
+    }
+
+    const expiresAt = expires_at ? new Date(expires_at) : null;
+    if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+      return res.status(400).json({ error: 'expires_at must be a future date' });
+    }
+
+    const organization = await db.organizations.findById(organization_id);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const balance = await creditService.addCredits(organization_id, credits, reason, { source, expiresAt });
+
+    console.log('[ADMIN CREDITS] Granted:', { organization_id, credits, source, expires_at: expiresAt, by: req.userEmail });
+    res.status(201).json({ success: true, balance });
+  } catch (error) {
+    console.error('[ADMIN CREDITS] Grant error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+/**
+ * Admin Pricing Routes
+ * Platform-admin editing of the credit pricing catalog: base prices,
+ * per-plan overrides and promotional multipliers
+ * Mounted at /api/admin/pricing behind authenticateToken + requireAdmin
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../../services/database');
+const pricingService = require('../../services/pricingService');
+
+function isCreditAmount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Plan names are matched case-insensitively against subscriptions.plan_name
+function normalizePlan(planName) {
+  return String(planName).trim().toLowerCase();
+}
+
+/**
+ * GET /api/admin/pricing
+ * Full catalog: base prices, overrides and current/recent promotions
+ */
+router.get('/', async (req, res) => {
+  try {
+    const [prices, overrides, promotions] = await Promise.all([
+      db.creditPricing.listPrices(),
+      db.creditPricing.listOverrides(),
+      db.creditPricing.listPromotions({ includeRecent: true }),
+    ]);
+
+    res.json({
+      success: true,
+      actions: pricingService.actions,
+      prices,
+      overrides,
+      promotions
+    });
+  } catch (error) {
+    console.error('[ADMIN PRICING] List error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/pricing/:action
+ * Set the base price of an action
+ * Body: { credits, description? }
+ */
+router.put('/:action', async (req, res) => {
+  try {
+    const { action } = req.params;
+    const { credits, description } = req.body;
+
+    if (!pricingService.actions.includes(action)) {
+      return res.status(400).json({ error: `action must be one of ${pricingService.actions.join(', ')}` });
+    }
+    if (!isCreditAmount(credits)) {
+      return res.status(400).json({ error: 'credits must be a whole number of 0 or more' });
+    }
+
+    const price = await db.creditPricing.upsertPrice(action, credits, description, req.userEmail);
+    pricingService.invalidate();
+
+    console.log('[ADMIN PRICING] Price updated:', { action, credits, by: req.userEmail });
+    res.json({ success: true, price });
+  } catch (error) {
+    console.error('[ADMIN PRICING] Update price error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/pricing/:action/plans/:planName
+ * Override an action's price for one subscription plan
+ * Body: { credits }
+ */
+router.put('/:action/plans/:planName', async (req, res) => {
+  try {
+    const { action } = req.params;
+    const planName = normalizePlan(req.params.planName);
+    const { credits } = req.body;
+
+    if (!pricingService.actions.includes(action)) {
+      return res.status(400).json({ error: `action must be one of ${pricingService.actions.join(', ')}` });
+    }
+    if (!isCreditAmount(credits)) {
+      return res.status(400).json({ error: 'credits must be a whole number of 0 or more' });
+    }
+
+    const override = await db.creditPricing.upsertOverride(action, planName, credits, req.userEmail);
+    pricingService.invalidate();
+
+    console.log('[ADMIN PRICING] Override set:', { action, plan: planName, credits, by: req.userEmail });
+    res.json({ success: true, override });
+  } catch (error) {
+    console.error('[ADMIN PRICING] Override error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/pricing/:action/plans/:planName
+ * Remove a plan override (the plan pays the base price again)
+ */
+router.delete('/:action/plans/:planName', async (req, res) => {
+  try {
+    const override = await db.creditPricing.deleteOverride(req.params.action, normalizePlan(req.params.planName));
+
+    if (!override) {
+      return res.status(404).json({ error: 'Override not found' });
+    }
+
+    pricingService.invalidate();
+    res.json({ success: true, message: 'Override removed' });
+  } catch (error) {
+    console.error('[ADMIN PRICING] Delete override error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/pricing/promotions
+ * Start a promotion
+ * Body: { multiplier, ends_at, starts_at?, action?, plan_name?, description? }
+ *   (no action / plan_name = every action / plan)
+ */
+router.post('/promotions', async (req, res) => {
+  try {
+    const { action, plan_name, multiplier, description, starts_at, ends_at } = req.body;
+
+    if (action && !pricingService.actions.includes(action)) {
+      return res.status(400).json({ error: `action must be one of ${pricingService.actions.join(', ')}` });
+    }
+    if (typeof multiplier !== 'number' || multiplier < 0 || multiplier > 10) {
+      return res.status(400).json({ error: 'multiplier must be a number between 0 and 10 (0.5 = half price)' });
+    }
+
+    const endsAt = new Date(ends_at);
+    const startsAt = starts_at ? new Date(starts_at) : new Date();
+    if (!ends_at || isNaN(endsAt.getTime()) || isNaN(startsAt.getTime()) || endsAt <= startsAt) {
+      return res.status(400).json({ error: 'ends_at is required and must be after starts_at' });
+    }
+
+    const promotion = await db.creditPricing.createPromotion({
+      action,
+      plan_name: plan_name ? normalizePlan(plan_name) : null,
+      multiplier,
+      description,
+      starts_at: starts_at ? startsAt : null,
+      ends_at: endsAt,
+      created_by: req.userEmail
+    });
+    pricingService.invalidate();
+
+    console.log('[ADMIN PRICING] Promotion created:', { id: promotion.id, action, plan_name, multiplier, by: req.userEmail });
+    res.status(201).json({ success: true, promotion });
+  } catch (error) {
+    console.error('[ADMIN PRICING] Create promotion error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/pricing/promotions/:promotionId
+ * End a promotion now
+ */
+router.delete('/promotions/:promotionId', async (req, res) => {
+  try {
+    const promotion = await db.creditPricing.endPromotion(req.params.promotionId);
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found or already ended' });
+    }
+
+    pricingService.invalidate();
+    res.json({ success: true, promotion });
+  } catch (error) {
+    console.error('[ADMIN PRICING] End promotion error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
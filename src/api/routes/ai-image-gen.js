@@ -3,6 +3,9 @@ const router = express.Router();
 const axios = require("axios");
 const sharp = require("sharp");
 const { createCanvas, loadImage } = require("canvas");
+const creditService = require("../../services/creditService");
+const pricingService = require("../../services/pricingService");
+const { requireRole } = require("./auth");
 
 /**
  * AI Image Generation API - fal.ai Integration
@@ -12,12 +15,14 @@ const { createCanvas, loadImage } = require("canvas");
  *
  * Freemium Model:
  * - FREE tier: Canvas generator (unlimited)
- * - PRO tier: fal.ai FLUX 2 Turbo ($0.008/image)
+ * - PRO tier: fal.ai FLUX 2 Turbo ($0.008/image), charged the ai_image credit price
+ *   (reserved up front, charged only when an AI generator succeeds)
  */
 
 // POST /api/ai-image-gen/generate
-router.post("/generate", async (req, res) => {
+router.post("/generate", requireRole("owner", "editor"), async (req, res) => {
   const { prompt, width = 800, height = 600, include_text, user_tier = 'free' } = req.body;
+  let reservation = null;
 
   if (!prompt) {
     return res.status(400).json({ error: "prompt is required" });
@@ -51,6 +56,18 @@ router.post("/generate", async (req, res) => {
     }
 
     // PRO/BUSINESS TIER: Try AI generators
+    const { credits: aiImageCredits } = await pricingService.getPrice('ai_image', req.organizationId);
+    const held = await creditService.reserve(req.organizationId, aiImageCredits, 'AI image: ' + prompt.substring(0, 50));
+    if (!held.success) {
+      return res.status(402).json({
+        success: false,
+        error: "Insufficient credits",
+        required: aiImageCredits,
+        available: held.available,
+        message: `You need ${aiImageCredits} credits to generate an AI image. Please purchase more credits.`
+      });
+    }
+    reservation = held.reservation;
 
     // TRY #1: fal.ai FLUX 2 Turbo ($0.008/image - CHEAPEST!)
     if (process.env.FAL_KEY) {
@@ -58,6 +75,7 @@ router.post("/generate", async (req, res) => {
         console.log("[AI-IMAGE-GEN] PRO user - trying fal.ai FLUX Pro v1.1 ($0.008/image)...");
         const falImage = await generateWithFal(fullPrompt, width, height, include_text);
         if (falImage) {
+          const balance = await creditService.commit(reservation.id);
           return res.json({
             success: true,
             image: falImage,
@@ -65,7 +83,8 @@ router.post("/generate", async (req, res) => {
             height: height,
             generator: 'fal-flux-2-turbo',
             tier: user_tier,
-            cost: 0.008
+            cost: 0.008,
+            credits: { used: aiImageCredits, balance }
           });
         }
       } catch (falError) {
@@ -79,6 +98,7 @@ router.post("/generate", async (req, res) => {
         console.log("[AI-IMAGE-GEN] Trying fal.ai FLUX Schnell (backup)...");
         const falSchnellImage = await generateWithFalSchnell(fullPrompt, width, height, include_text);
         if (falSchnellImage) {
+          const balance = await creditService.commit(reservation.id);
           return res.json({
             success: true,
             image: falSchnellImage,
@@ -86,7 +106,8 @@ router.post("/generate", async (req, res) => {
             height: height,
             generator: 'fal-flux-schnell',
             tier: user_tier,
-            cost: 0.010
+            cost: 0.010,
+            credits: { used: aiImageCredits, balance }
           });
         }
       } catch (falError) {
@@ -94,8 +115,9 @@ router.post("/generate", async (req, res) => {
       }
     }
 
-    // FALLBACK: Canvas
+    // FALLBACK: Canvas (free, so the hold is given back)
     console.log("[AI-IMAGE-GEN] All AI services failed, using canvas fallback");
+    await creditService.release(reservation.id);
     const canvasImage = await generateWithCanvas(prompt, width, height, include_text);
 
     res.json({
@@ -110,6 +132,9 @@ router.post("/generate", async (req, res) => {
 
   } catch (error) {
     console.error("[AI-IMAGE-GEN] Error:", error.message);
+    if (reservation) {
+      await creditService.release(reservation.id).catch(() => {});
+    }
     return res.status(500).json({
       success: false,
       error: "Image generation failed",
@@ -0,0 +1,139 @@
+/**
+ * API Key Routes
+ * Organization API keys for CI and internal tools
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { authenticateToken, requireRole, hashApiKey, API_KEY_PREFIX, API_KEY_SCOPES } = require('./auth');
+const db = require('../../services/database');
+
+const MAX_KEYS_PER_ORGANIZATION = 25;
+
+function formatKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.key_prefix,
+    scopes: key.scopes,
+    created_by: key.created_by_email || null,
+    created_at: key.created_at,
+    expires_at: key.expires_at,
+    revoked_at: key.revoked_at || null,
+    last_used_at: key.last_used_at || null,
+    last_used_ip: key.last_used_ip || null,
+  };
+}
+
+// ===========================================
+// GET /api/api-keys
+// List keys (never the key itself)
+// ===========================================
+router.get('/', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const keys = await db.apiKeys.findByOrganization(req.organizationId);
+
+    res.json({
+      api_keys: keys.map(formatKey),
+      total: keys.length,
+      available_scopes: API_KEY_SCOPES,
+    });
+  } catch (error) {
+    console.error('[API_KEYS] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// ===========================================
+// POST /api/api-keys
+// Create a key: { name, scopes, expires_in_days }
+// The full key is only returned in this response
+// ===========================================
+router.post('/', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const { name, scopes, expires_in_days } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'scopes must be a non-empty array', available_scopes: API_KEY_SCOPES });
+    }
+
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown scopes: ${unknown.join(', ')}`, available_scopes: API_KEY_SCOPES });
+    }
+
+    let expiresAt = null;
+    if (expires_in_days !== undefined && expires_in_days !== null) {
+      const days = parseInt(expires_in_days);
+      if (!days || days < 1 || days > 365) {
+        return res.status(400).json({ error: 'expires_in_days must be between 1 and 365' });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const existing = await db.apiKeys.findByOrganization(req.organizationId);
+    if (existing.filter(key => !key.revoked_at).length >= MAX_KEYS_PER_ORGANIZATION) {
+      return res.status(400).json({ error: `An organization can have at most ${MAX_KEYS_PER_ORGANIZATION} active API keys` });
+    }
+
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+
+    const created = await db.apiKeys.create({
+      organization_id: req.organizationId,
+      name: name.trim(),
+      key_prefix: key.substring(0, 12),
+      key_hash: hashApiKey(key),
+      scopes: Array.from(new Set(scopes)),
+      created_by: req.memberId,
+      expires_at: expiresAt,
+    });
+
+    console.log('[API_KEYS] Key created:', { key_id: created.id, prefix: created.key_prefix, scopes: created.scopes });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now - it will not be shown again.',
+      key: key,
+      api_key: formatKey(created),
+    });
+  } catch (error) {
+    console.error('[API_KEYS] Create error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// ===========================================
+// DELETE /api/api-keys/:keyId
+// Revoke a key (kept for the audit trail)
+// ===========================================
+router.delete('/:keyId', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const key = await db.apiKeys.findById(req.params.keyId);
+
+    if (!key || key.organization_id !== req.organizationId) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const revoked = await db.apiKeys.revoke(key.id);
+    if (!revoked) {
+      return res.status(400).json({ error: 'API key is already revoked' });
+    }
+
+    console.log('[API_KEYS] Key revoked:', { key_id: key.id, prefix: key.key_prefix });
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      api_key: formatKey({ ...key, ...revoked }),
+    });
+  } catch (error) {
+    console.error('[API_KEYS] Revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
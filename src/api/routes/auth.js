@@ -9,6 +9,8 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const { sendMagicLinkEmail } = require('../../services/emailService');
+const creditService = require('../../services/creditService');
+const db = require('../../services/database');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -28,6 +30,118 @@ function generateReadableCode() {
   return code;
 }
 
+const ROLES = ['owner', 'editor', 'reviewer', 'viewer'];
+
+// API keys: "swe_" + 48 hex chars, stored as a SHA-256 hash
+const API_KEY_PREFIX = 'swe_';
+const API_KEY_SCOPES = [
+  'sites:read',
+  'sites:write',
+  'slots:read',
+  'slots:write',
+  'content:read',
+  'content:generate',
+  'content:publish',
+];
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * True if a key's scopes grant scope; any scope on a resource implies its read scope
+ */
+function hasScope(scopes, scope) {
+  if (scopes.includes(scope)) {
+    return true;
+  }
+  const [resource, action] = scope.split(':');
+  return action === 'read' && scopes.some(s => s.startsWith(`${resource}:`));
+}
+
+/**
+ * Create a magic link token + backup code for a team member
+ * Invitations use a longer magic link lifetime than regular logins
+ */
+async function issueLoginToken(email, organizationId, memberId, linkTtlMs = 48 * 60 * 60 * 1000) {
+  const magicToken = crypto.randomBytes(32).toString('hex');
+  const tokenExpiry = new Date(Date.now() + linkTtlMs);
+
+  const code = generateReadableCode();
+  const codeExpiry = new Date(Date.now() + 10 * 60 * 1000);
+
+  await pool.query(
+    `INSERT INTO login_tokens (email, user_id, member_id, magic_token, code, expires_at, code_expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [email.toLowerCase(), organizationId, memberId, magicToken, code, tokenExpiry, codeExpiry]
+  );
+
+  return { magicToken, code };
+}
+
+/**
+ * Exchange a used login token for a session JWT
+ * Returns null if the member no longer exists or has been disabled
+ */
+async function createSession(loginToken) {
+  // Tokens issued before team members existed only carry the organization
+  const memberResult = loginToken.member_id
+    ? await pool.query('SELECT * FROM users WHERE id = $1', [loginToken.member_id])
+    : await pool.query(
+      'SELECT * FROM users WHERE organization_id = $1 AND email = $2',
+      [loginToken.user_id, loginToken.email]
+    );
+
+  const member = memberResult.rows[0];
+  if (!member || member.status === 'disabled') {
+    return null;
+  }
+
+  const orgResult = await pool.query(
+    'SELECT id, email, name FROM organizations WHERE id = $1',
+    [member.organization_id]
+  );
+
+  if (orgResult.rows.length === 0) {
+    return null;
+  }
+
+  const organization = orgResult.rows[0];
+
+  // First login accepts a pending invitation
+  await pool.query(
+    `UPDATE users
+     SET last_login_at = NOW(), joined_at = COALESCE(joined_at, NOW()),
+         status = 'active', updated_at = NOW()
+     WHERE id = $1`,
+    [member.id]
+  );
+
+  // Create session token (JWT with 30 day max, but will be killed by inactivity timeout)
+  // user_id stays the organization id for existing clients
+  const sessionToken = jwt.sign(
+    {
+      user_id: organization.id,
+      organizationId: organization.id,
+      member_id: member.id,
+      role: member.role,
+      email: member.email,
+      name: member.name || organization.name
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '30d' }
+  );
+
+  // Track session for activity monitoring
+  await pool.query(
+    `INSERT INTO user_sessions (user_id, member_id, token, last_activity)
+     VALUES ($1, $2, $3, NOW())`,
+    [organization.id, member.id, sessionToken]
+  );
+
+  return { sessionToken, member, organization };
+}
+
 /**
  * POST /api/auth/login
  * Send magic link + 6-digit code to email
@@ -42,7 +156,7 @@ router.post('/login', async (req, res) => {
 
     // Check if user exists
     const userResult = await pool.query(
-      'SELECT id FROM organizations WHERE email = $1',
+      'SELECT id, organization_id, status FROM users WHERE email = $1',
       [email.toLowerCase()]
     );
 
@@ -52,22 +166,16 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    const userId = userResult.rows[0].id;
+    const member = userResult.rows[0];
 
-    // Generate magic link token (48 hours, one-time use)
-    const magicToken = crypto.randomBytes(32).toString('hex');
-    const tokenExpiry = new Date(Date.now() + 48 * 60 * 60 * 1000);
+    if (member.status === 'disabled') {
+      return res.status(403).json({
+        error: 'This account has been disabled. Contact your organization owner.'
+      });
+    }
 
-    // Generate 6-digit code (10 minutes, one-time use)
-    const code = generateReadableCode();
-    const codeExpiry = new Date(Date.now() + 10 * 60 * 1000);
-
-    // Store both in database
-    await pool.query(
-      `INSERT INTO login_tokens (email, user_id, magic_token, code, expires_at, code_expires_at)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [email.toLowerCase(), userId, magicToken, code, tokenExpiry, codeExpiry]
-    );
+    // Magic link token (48 hours) and 6-digit code (10 minutes), both one-time use
+    const { magicToken, code } = await issueLoginToken(email, member.organization_id, member.id);
 
     // Send email with BOTH options
     await sendMagicLinkEmail(email, magicToken, code);
@@ -117,37 +225,15 @@ router.get('/verify', async (req, res) => {
       [token]
     );
 
-    // Get user details
-    const userResult = await pool.query(
-      'SELECT id, email, name FROM organizations WHERE id = $1',
-      [loginToken.user_id]
-    );
+    const session = await createSession(loginToken);
 
-    if (userResult.rows.length === 0) {
+    if (!session) {
       return res.redirect(`${process.env.FRONTEND_URL}/login?error=user_not_found`);
     }
 
-    const user = userResult.rows[0];
-
-    // Create session token (JWT with 30 day max, but will be killed by inactivity timeout)
-    const sessionToken = jwt.sign(
-      {
-        user_id: user.id,
-        email: user.email,
-        name: user.name
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
-
-    // Track session for activity monitoring
-    await pool.query(
-      `INSERT INTO user_sessions (user_id, token, last_activity)
-       VALUES ($1, $2, NOW())`,
-      [user.id, sessionToken]
-    );
+    const { sessionToken } = session;
 
-    console.log('[AUTH] User logged in via magic link:', user.email);
+    console.log('[AUTH] User logged in via magic link:', session.member.email);
 
     // Redirect to dashboard with token
     res.redirect(`${process.env.FRONTEND_URL}/dashboard?token=${sessionToken}`);
@@ -191,45 +277,30 @@ router.post('/verify-code', async (req, res) => {
       [email.toLowerCase(), code.toUpperCase()]
     );
 
-    // Get user details
-    const userResult = await pool.query(
-      'SELECT id, email, name FROM organizations WHERE id = $1',
-      [loginToken.user_id]
-    );
+    // Create session (same as magic link)
+    const session = await createSession(loginToken);
 
-    if (userResult.rows.length === 0) {
+    if (!session) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const user = userResult.rows[0];
-
-    // Create session token (same as magic link)
-    const sessionToken = jwt.sign(
-      {
-        user_id: user.id,
-        email: user.email,
-        name: user.name
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    const { sessionToken, member, organization } = session;
 
-    // Track session
-    await pool.query(
-      `INSERT INTO user_sessions (user_id, token, last_activity)
-       VALUES ($1, $2, NOW())`,
-      [user.id, sessionToken]
-    );
-
-    console.log('[AUTH] User logged in via code:', user.email);
+    console.log('[AUTH] User logged in via code:', member.email);
 
     res.json({
       success: true,
       token: sessionToken,
       user: {
-        id: user.id,
-        email: user.email,
-        name: user.name
+        id: organization.id,
+        member_id: member.id,
+        email: member.email,
+        name: member.name || organization.name,
+        role: member.role
+      },
+      organization: {
+        id: organization.id,
+        name: organization.name
       }
     });
 
@@ -280,6 +351,11 @@ async function trackActivity(req, res, next) {
       return next(); // No token = not authenticated, let route handle it
     }
 
+    // API keys have no session to time out
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return next();
+    }
+
     // Update last activity timestamp
     await pool.query(
       `UPDATE user_sessions SET last_activity = NOW() WHERE token = $1`,
@@ -342,8 +418,10 @@ router.get('/session', trackActivity, async (req, res) => {
       valid: true,
       user: {
         id: decoded.user_id,
+        member_id: decoded.member_id,
         email: decoded.email,
-        name: decoded.name
+        name: decoded.name,
+        role: decoded.role || 'owner'
       }
     });
 
@@ -367,11 +445,47 @@ async function authenticateToken(req, res, next) {
       return res.status(401).json({ error: 'Access token required' });
     }
 
+    // Already authenticated where the router was mounted
+    if (req.authMethod) {
+      return next();
+    }
+
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return authenticateApiKey(req, res, next, token);
+    }
+
     // Verify token with JWT secret
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Shareable preview links (and any other audience-bound token) are not sessions
+    if (decoded.type === 'slot_preview' || decoded.aud) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
     req.organizationId = decoded.organizationId || decoded.user_id;
     req.userId = decoded.user_id;
     req.userEmail = decoded.email;
+
+    // Tokens issued before team members existed are organization logins (owner)
+    req.userRole = 'owner';
+
+    if (decoded.member_id) {
+      // Role changes and removals take effect immediately, not at token expiry
+      const memberResult = await pool.query(
+        'SELECT id, organization_id, role, status FROM users WHERE id = $1',
+        [decoded.member_id]
+      );
+      const member = memberResult.rows[0];
+
+      if (!member || member.status === 'disabled' || member.organization_id !== req.organizationId) {
+        return res.status(403).json({ error: 'Account no longer has access to this organization' });
+      }
+
+      req.memberId = member.id;
+      req.userRole = member.role;
+    }
+
+    req.authMethod = 'jwt';
     next();
   } catch (error) {
     console.error('[Auth] Token verification failed:', error);
@@ -379,9 +493,140 @@ async function authenticateToken(req, res, next) {
   }
 }
 
+/**
+ * Authenticate a request made with an organization API key
+ * Keys are only accepted on routers mounted with apiKeyAccess()
+ */
+async function authenticateApiKey(req, res, next, key) {
+  if (!req.apiKeyReadScope) {
+    return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+  }
 
+  const result = await pool.query(
+    `SELECT * FROM api_keys
+     WHERE key_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [hashApiKey(key)]
+  );
+  const apiKey = result.rows[0];
+
+  if (!apiKey) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+  }
+
+  // Reads need the router's read scope; writes are checked by requireScope on each route
+  if (req.method === 'GET' && !hasScope(apiKey.scopes, req.apiKeyReadScope)) {
+    return res.status(403).json({
+      error: 'API key is missing the required scope',
+      required_scopes: [req.apiKeyReadScope]
+    });
+  }
+
+  req.organizationId = apiKey.organization_id;
+  req.userId = apiKey.organization_id;
+  req.userEmail = `api-key:${apiKey.key_prefix}`;
+  req.userRole = null;
+  req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+  req.authMethod = 'api_key';
+
+  // Last-used tracking is throttled to once a minute per key
+  pool.query(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [apiKey.id, req.ip]
+  ).catch(error => console.error('[AUTH] API key usage tracking failed:', error.message));
+
+  next();
+}
+
+/**
+ * Allow API keys on a router (mount before authenticateToken)
+ * readScope is required for GET requests made with a key
+ */
+function apiKeyAccess(readScope) {
+  return (req, res, next) => {
+    req.apiKeyReadScope = readScope;
+    next();
+  };
+}
 
-module.exports = { router, trackActivity, authenticateToken };
+/**
+ * Scope Authorization Middleware (API keys only; JWT sessions pass through)
+ * Use before requireRole: requireScope('slots:write')
+ */
+function requireScope(...scopes) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+    if (!scopes.some(scope => hasScope(req.apiKey.scopes, scope))) {
+      return res.status(403).json({
+        error: 'API key is missing the required scope',
+        required_scopes: scopes
+      });
+    }
+    req.apiKeyScopeGranted = true;
+    next();
+  };
+}
+
+/**
+ * Role Authorization Middleware
+ * Use after authenticateToken: requireRole('owner', 'editor')
+ * API keys have no role and only pass routes that granted them a scope
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.apiKey) {
+      if (req.apiKeyScopeGranted) {
+        return next();
+      }
+      return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+    }
+
+    if (!roles.includes(req.userRole)) {
+      return res.status(403).json({
+        error: 'Your role does not allow this action',
+        role: req.userRole,
+        required_roles: roles
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Platform Admin Middleware
+ * Use after authenticateToken: requireAdmin
+ * Admins are the signed-in users listed in ADMIN_EMAILS (comma-separated);
+ * API keys never qualify
+ */
+function requireAdmin(req, res, next) {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (req.apiKey || !req.userEmail || !adminEmails.includes(req.userEmail.toLowerCase())) {
+    return res.status(403).json({ error: 'Platform admin access required' });
+  }
+  next();
+}
+
+
+module.exports = {
+  router,
+  trackActivity,
+  authenticateToken,
+  requireRole,
+  requireScope,
+  requireAdmin,
+  apiKeyAccess,
+  issueLoginToken,
+  hashApiKey,
+  ROLES,
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+};
 /**
  * POST /api/auth/signup
  * Create new account without password (passwordless signup)
@@ -394,28 +639,21 @@ router.post('/signup', async (req, res) => {
       return res.status(400).json({ error: 'Name and email required' });
     }
 
-    // Check if email already exists
+    // Check if email already exists (as an owner or as an invited team member)
     const existingUser = await pool.query(
-      'SELECT id FROM organizations WHERE email = $1',
+      'SELECT id, organization_id FROM users WHERE email = $1',
       [email.toLowerCase()]
     );
 
     if (existingUser.rows.length > 0) {
       // Email exists - send them a login link seamlessly
       console.log('[AUTH] Existing user tried to sign up again:', email);
-      // Generate magic link and code
-      const magicToken = crypto.randomBytes(32).toString('hex');
-      const code = generateReadableCode();
-      const tokenExpiry = new Date(Date.now() + 48 * 60 * 60 * 1000);
-      const codeExpiry = new Date(Date.now() + 10 * 60 * 1000);
-      
-      await pool.query(
-        `INSERT INTO login_tokens (user_id, email, magic_token, code, expires_at, code_expires_at) VALUES ($1, $2, $3, $4, $5, $6)`,
-        [existingUser.rows[0].id, email.toLowerCase(), magicToken, code, tokenExpiry, codeExpiry]
+      const { magicToken, code } = await issueLoginToken(
+        email,
+        existingUser.rows[0].organization_id,
+        existingUser.rows[0].id
       );
-      
-      // Send magic link email
-      
+
       // Send magic link email
       await sendMagicLinkEmail(email, magicToken, code);
       
@@ -425,13 +663,18 @@ router.post('/signup', async (req, res) => {
       });
     }
 
-    // Create new organization (no password needed)
-    const result = await pool.query(
-      'INSERT INTO organizations (name, slug, email, created_at) VALUES ($1, $2, $3, NOW()) RETURNING id, email, name',
-      [name, email.toLowerCase().replace(/[^a-z0-9]/g, '-').substring(0, 50), email.toLowerCase()] // Start with 10 free credits
-    );
+    // Create new organization (no password needed) owned by the person
+    // signing up
+    const newUser = await db.organizations.createWithOwner({
+      name,
+      slug: email.toLowerCase().replace(/[^a-z0-9]/g, '-').substring(0, 50),
+      email: email.toLowerCase()
+    });
 
-    const newUser = result.rows[0];
+    // Welcome credits (promotional, they expire); signup goes ahead without them
+    await creditService.grantSignupCredits(newUser.id).catch((err) => {
+      console.error('[AUTH] Failed to grant signup credits:', err.message);
+    });
 
     console.log('[AUTH] New user signed up:', newUser.email);
 
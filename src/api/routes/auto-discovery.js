@@ -3,6 +3,7 @@ const router = express.Router();
 const axios = require('axios');
 const { Pool } = require('pg');
 const crypto = require('crypto');
+const { requireRole } = require('./auth');
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
@@ -119,8 +120,9 @@ router.post('/scan', async (req, res) => {
               current_content,
               slot_type,
               css_selector,
-              section_type
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+              section_type,
+              page_type
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11)`,
             [
               siteId,
               slotName,
@@ -174,7 +176,7 @@ router.post('/scan', async (req, res) => {
 // POST /api/auto-discovery/create-slot
 // Create or retrieve slot based on CSS selector (on-the-fly)
 // ===========================================
-router.post('/create-slot', async (req, res) => {
+router.post('/create-slot', requireRole('owner', 'editor'), async (req, res) => {
   const { organizationId } = req;
   // Accept both siteId and site_id
   const siteId = req.body.siteId || req.body.site_id;
@@ -205,7 +207,7 @@ router.post('/create-slot', async (req, res) => {
       console.log('[AUTO-DISCOVERY] Slot already exists:', slot.id, '- Page ID:', slot.wp_page_id);
       
       // If existing slot has no page ID, try to detect and update it
-      if ((!slot.wp_page_id || slot.wp_page_id === 0) && pageUrl) {
+      if (!slot.wp_page_id && pageUrl) {
         console.log('[AUTO-DISCOVERY] Updating existing slot with page detection...');
         try {
           const siteResult = await pool.query(
@@ -232,7 +234,7 @@ router.post('/create-slot', async (req, res) => {
             if (matchingPage) {
               await pool.query(
                 `UPDATE content_slots
-                 SET wp_page_id = $1, wp_page_title = $2, section_type = $3, updated_at = NOW()
+                 SET wp_page_id = $1, wp_page_title = $2, section_type = $3, page_type = $3, updated_at = NOW()
                  WHERE id = $4`,
                 [matchingPage.id, matchingPage.title.rendered || matchingPage.title, 'page', slot.id]
               );
@@ -251,12 +253,12 @@ router.post('/create-slot', async (req, res) => {
         success: true,
         slot: slot,
         created: false,
-        updated: slot.wp_page_id > 0
+        updated: Boolean(slot.wp_page_id)
       });
     }
 
     // Detect page ID from URL if not provided
-    let detectedPageId = pageId || 0;
+    let detectedPageId = pageId || null; // NULL until the page is known
     let detectedPageTitle = pageTitle || 'Auto-discovered';
     let detectedSectionType = 'auto';
 
@@ -309,8 +311,9 @@ router.post('/create-slot', async (req, res) => {
         current_content,
         slot_type,
         css_selector,
-        section_type
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        section_type,
+        page_type
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'page')
       RETURNING *`,
       [
         siteId,
@@ -348,7 +351,7 @@ router.post('/create-slot', async (req, res) => {
 // PUT /api/auto-discovery/update-content
 // Update WordPress content via REST API
 // ===========================================
-router.put('/update-content', async (req, res) => {
+router.put('/update-content', requireRole('owner', 'editor'), async (req, res) => {
   const { organizationId } = req;
   const { slotId, content, pageId } = req.body;
 
@@ -381,7 +384,7 @@ router.put('/update-content', async (req, res) => {
     const targetPageId = pageId || wp_page_id || 15;
     
     // If this zone doesn't have a page ID assigned and one was provided, update it in DB
-    if ((!wp_page_id || wp_page_id === 0) && pageId) {
+    if (!wp_page_id && pageId) {
       console.log('[AUTO-DISCOVERY] Assigning zone to page:', pageId);
       await pool.query(
         'UPDATE content_slots SET wp_page_id = $1 WHERE id = $2',
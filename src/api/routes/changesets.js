@@ -0,0 +1,277 @@
+/**
+ * Changeset Routes
+ * Groups slot edits across slots and pages and applies them atomically
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('./auth');
+const db = require('../../services/database');
+const ChangesetService = require('../../services/changesetService');
+const approvalWorkflow = require('../../services/approvalWorkflow');
+
+// Initialize services
+const changesetService = new ChangesetService();
+
+const MAX_ITEMS = 50;
+
+// Helper to load a changeset and verify ownership
+async function loadChangeset(changesetId, organizationId) {
+  const changeset = await db.changesets.findById(changesetId);
+  if (!changeset) {
+    return { error: 'Changeset not found', status: 404 };
+  }
+  if (changeset.organization_id !== organizationId) {
+    return { error: 'Access denied', status: 403 };
+  }
+  return { changeset };
+}
+
+// Names of the zones an approval rule covers; these only change through review
+async function findGatedItems(organizationId, items) {
+  const gated = [];
+  for (const item of items) {
+    const { required } = await approvalWorkflow.requiresApproval({
+      organization_id: organizationId,
+      wordpress_site_id: item.wordpress_site_id,
+      content_slot_id: item.content_slot_id,
+    });
+    if (required) {
+      gated.push(item.slot_name);
+    }
+  }
+  return gated;
+}
+
+function gatedResponse(gated) {
+  return {
+    error: `Zones ${gated.join(', ')} require approval and cannot be changed by a changeset`,
+    zones: gated,
+  };
+}
+
+// ===========================================
+// POST /api/changesets
+// Create a changeset: { title, items: [{ slot_id, content }], apply }
+// ===========================================
+router.post('/', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { title, items, apply } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'items must be a non-empty array of { slot_id, content }' });
+    }
+
+    if (items.length > MAX_ITEMS) {
+      return res.status(400).json({ error: `A changeset can contain at most ${MAX_ITEMS} items` });
+    }
+
+    const seen = new Set();
+    const slots = [];
+    for (const item of items) {
+      if (!item || !item.slot_id || typeof item.content !== 'string') {
+        return res.status(400).json({ error: 'Each item requires slot_id and content' });
+      }
+      if (seen.has(item.slot_id)) {
+        return res.status(400).json({ error: `Slot ${item.slot_id} appears more than once` });
+      }
+      seen.add(item.slot_id);
+
+      // Verify slot ownership up front
+      const slot = await db.contentSlots.findById(item.slot_id);
+      if (!slot) {
+        return res.status(404).json({ error: 'Slot not found', slot_id: item.slot_id });
+      }
+      if (!slot.wordpress_site_id) {
+        return res.status(400).json({ error: 'Only WordPress slots can be part of a changeset', slot_id: item.slot_id });
+      }
+      const site = await db.wordpressSites.findById(slot.wordpress_site_id);
+      if (!site || site.organization_id !== req.organizationId) {
+        return res.status(403).json({ error: 'Access denied', slot_id: item.slot_id });
+      }
+      slots.push({ content_slot_id: slot.id, wordpress_site_id: slot.wordpress_site_id, slot_name: slot.slot_name });
+    }
+
+    if (apply) {
+      const gated = await findGatedItems(req.organizationId, slots);
+      if (gated.length > 0) {
+        return res.status(403).json(gatedResponse(gated));
+      }
+    }
+
+    const changeset = await db.changesets.create(
+      {
+        organization_id: req.organizationId,
+        title: title,
+        created_by: req.userEmail || req.userId,
+      },
+      items.map(item => ({ content_slot_id: item.slot_id, new_content: item.content }))
+    );
+
+    console.log('[CHANGESET] Created:', { changeset_id: changeset.id, items: items.length });
+
+    if (!apply) {
+      return res.status(201).json({
+        message: 'Changeset created',
+        changeset: changeset,
+      });
+    }
+
+    const claimed = await db.changesets.claimForApply(changeset.id);
+    if (!claimed) {
+      return res.status(409).json({
+        error: 'Changeset was created but is already being applied',
+        changeset: await db.changesets.findById(changeset.id),
+      });
+    }
+
+    const result = await changesetService.apply(claimed, { changed_by: req.userEmail || req.userId });
+
+    res.status(result.success ? 201 : result.conflict ? 409 : 400).json({
+      message: result.success ? 'Changeset applied' : 'Changeset could not be applied',
+      changeset: await db.changesets.findById(changeset.id),
+      result: result,
+    });
+  } catch (error) {
+    console.error('[CHANGESET] Create error:', error);
+    res.status(500).json({ error: 'Failed to create changeset' });
+  }
+});
+
+// ===========================================
+// GET /api/changesets
+// List changesets for the organization
+// ===========================================
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const changesets = await db.changesets.findByOrganization(req.organizationId, limit);
+
+    res.json({
+      changesets: changesets,
+      total: changesets.length,
+    });
+  } catch (error) {
+    console.error('[CHANGESET] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch changesets' });
+  }
+});
+
+// ===========================================
+// GET /api/changesets/:changesetId
+// Get a changeset with its items
+// ===========================================
+router.get('/:changesetId', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadChangeset(req.params.changesetId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const items = await db.changesets.findItems(loaded.changeset.id);
+
+    res.json({
+      changeset: loaded.changeset,
+      items: items,
+    });
+  } catch (error) {
+    console.error('[CHANGESET] Get error:', error);
+    res.status(500).json({ error: 'Failed to fetch changeset' });
+  }
+});
+
+// ===========================================
+// POST /api/changesets/:changesetId/validate
+// Check every slot and constraint without writing anything
+// ===========================================
+router.post('/:changesetId/validate', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const loaded = await loadChangeset(req.params.changesetId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const validation = await changesetService.validate(loaded.changeset);
+
+    res.json({
+      valid: validation.valid,
+      errors: validation.errors,
+      pages: validation.pages.map(page => ({
+        page: page.key,
+        wp_page_id: page.wp_page_id,
+        modified: page.modified,
+        slots: page.items.map(item => item.content_slot_id),
+      })),
+    });
+  } catch (error) {
+    console.error('[CHANGESET] Validate error:', error);
+    res.status(500).json({ error: 'Failed to validate changeset' });
+  }
+});
+
+// ===========================================
+// POST /api/changesets/:changesetId/apply
+// Apply all edits, one update per page, rolling back on failure
+// ===========================================
+router.post('/:changesetId/apply', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const loaded = await loadChangeset(req.params.changesetId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const items = await db.changesets.findItems(loaded.changeset.id);
+    const gated = await findGatedItems(req.organizationId, items);
+    if (gated.length > 0) {
+      return res.status(403).json(gatedResponse(gated));
+    }
+
+    const claimed = await db.changesets.claimForApply(loaded.changeset.id);
+    if (!claimed) {
+      return res.status(409).json({
+        error: `Changeset cannot be applied from status "${loaded.changeset.status}"`,
+      });
+    }
+
+    const result = await changesetService.apply(claimed, { changed_by: req.userEmail || req.userId });
+
+    res.status(result.success ? 200 : result.conflict ? 409 : 400).json({
+      message: result.success ? 'Changeset applied' : 'Changeset could not be applied',
+      changeset: await db.changesets.findById(claimed.id),
+      result: result,
+    });
+  } catch (error) {
+    console.error('[CHANGESET] Apply error:', error);
+    res.status(500).json({ error: 'Failed to apply changeset' });
+  }
+});
+
+// ===========================================
+// DELETE /api/changesets/:changesetId
+// Delete a draft or failed changeset
+// ===========================================
+router.delete('/:changesetId', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const loaded = await loadChangeset(req.params.changesetId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const deleted = await db.changesets.delete(loaded.changeset.id);
+    if (!deleted) {
+      return res.status(409).json({
+        error: `Changeset cannot be deleted from status "${loaded.changeset.status}"`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Changeset deleted',
+    });
+  } catch (error) {
+    console.error('[CHANGESET] Delete error:', error);
+    res.status(500).json({ error: 'Failed to delete changeset' });
+  }
+});
+
+module.exports = router;
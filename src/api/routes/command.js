@@ -1,77 +1,273 @@
 const express = require('express');
 const router = express.Router();
+const { authenticateToken, requireRole } = require('./auth');
 const db = require('../../services/database');
 const creditService = require('../../services/creditService');
-const axios = require('axios');
+const pricingService = require('../../services/pricingService');
+const commandPlanner = require('../../services/commandPlanner');
+const approvalWorkflow = require('../../services/approvalWorkflow');
+const webhookService = require('../../services/webhookService');
+const PublishingService = require('../../services/publishingService');
+const SiteManager = require('../../services/siteManager');
+const ContentDiff = require('../../services/contentDiff');
 
-router.post('/', async (req, res) => {
+const publishingService = new PublishingService();
+const siteManager = new SiteManager();
+
+// How long a plan can wait for confirmation
+const PLAN_TTL_MS = 30 * 60 * 1000;
+
+// Helper to load a plan and verify ownership
+async function loadPlan(planId, organizationId) {
+  const plan = await db.commandPlans.findById(planId);
+  if (!plan || plan.organization_id !== organizationId) {
+    return { error: 'Plan not found', status: 404 };
+  }
+  return { plan };
+}
+
+// Helper to load a WordPress or universal site, verifying ownership
+async function loadOwnedSite(siteId, organizationId) {
+  let platform = 'wordpress';
+  let site = await db.wordpressSites.findById(siteId);
+  if (!site) {
+    platform = 'universal';
+    site = await db.universalSites.findById(siteId);
+  }
+
+  if (!site || site.organization_id !== organizationId) {
+    return { error: 'Site not found', status: 404 };
+  }
+  return { site, platform };
+}
+
+// Labels of plan edits whose zone is covered by an approval rule
+async function findGatedEdits(plan) {
+  const gated = [];
+  for (const edit of plan.edits) {
+    const { required } = await approvalWorkflow.requiresApproval({
+      organization_id: plan.organization_id,
+      wordpress_site_id: plan.wordpress_site_id,
+      content_slot_id: edit.slot_id,
+    });
+    if (required) {
+      gated.push(edit.slot_label);
+    }
+  }
+  return gated;
+}
+
+// Dry run: fetch each edit's page and pin what the zone looks like right now,
+// so the plan carries before/after HTML and confirm can detect later edits.
+// Universal sites have no page API to pin against, so their stored content
+// stands in for "before".
+async function previewEdits(site, platform, edits) {
+  for (const edit of edits) {
+    const slot = await db.contentSlots.findById(edit.slot_id);
+
+    if (platform === 'universal') {
+      edit.previewed = true;
+      edit.base_content = slot.current_content || '';
+      edit.page_link = site.site_url;
+      edit.preview_error = slot.css_selector ? null : 'Zone has no CSS selector';
+      continue;
+    }
+
+    const preview = await publishingService.getPublishPreview({
+      wordpress_site: site,
+      slot,
+      generated_content: edit.new_content,
+    });
+
+    edit.previewed = true;
+    if (!preview.preview) {
+      edit.preview_error = preview.error;
+      continue;
+    }
+
+    edit.base_content = preview.preview.old_content;
+    edit.expected_hash = preview.preview.content_hash;
+    edit.expected_modified = preview.preview.page_modified;
+    edit.page_title = preview.preview.page_title;
+    edit.page_link = preview.preview.page_link;
+    edit.preview_error = preview.success ? null : preview.error;
+  }
+  return edits;
+}
+
+// Edits whose zone changed on the live page since the dry run
+async function findConflicts(site, plan) {
+  const conflicts = [];
+  for (const edit of plan.edits) {
+    if (!edit.expected_hash) {
+      continue;
+    }
+
+    const slot = await db.contentSlots.findById(edit.slot_id);
+    const preview = slot
+      ? await publishingService.getPublishPreview({ wordpress_site: site, slot, generated_content: edit.new_content })
+      : { success: false, error: 'Zone no longer exists' };
+
+    if (!preview.preview) {
+      conflicts.push({ slot_id: edit.slot_id, slot_label: edit.slot_label, error: preview.error });
+      continue;
+    }
+
+    const current = preview.preview.old_content || '';
+    if (preview.preview.content_hash !== edit.expected_hash && current.trim() !== (edit.base_content || '').trim()) {
+      conflicts.push({
+        slot_id: edit.slot_id,
+        slot_label: edit.slot_label,
+        error: 'Zone was modified since the dry run',
+        diff: ContentDiff.diff(edit.base_content || '', current).unified,
+      });
+    }
+  }
+  return conflicts;
+}
+
+function formatEdit(edit) {
+  const formatted = {
+    slot_id: edit.slot_id,
+    slot_label: edit.slot_label,
+    action: edit.action,
+    instruction: edit.instruction,
+    new_content: edit.new_content,
+  };
+
+  if (edit.previewed) {
+    const diff = edit.base_content !== undefined
+      ? ContentDiff.diff(edit.base_content || '', edit.new_content)
+      : null;
+
+    formatted.preview = {
+      page_title: edit.page_title || null,
+      page_link: edit.page_link || null,
+      before_html: edit.base_content !== undefined ? edit.base_content : null,
+      after_html: edit.new_content,
+      diff: diff ? { unified: diff.unified, stats: diff.stats } : null,
+      error: edit.preview_error || null,
+    };
+  }
+
+  return formatted;
+}
+
+function formatPlan(plan) {
+  const expired = plan.status === 'pending' && new Date(plan.expires_at) <= new Date();
+  return {
+    id: plan.id,
+    site_id: plan.wordpress_site_id || plan.universal_site_id,
+    platform: plan.wordpress_site_id ? 'wordpress' : 'universal',
+    command: plan.command,
+    summary: plan.summary,
+    status: expired ? 'expired' : plan.status,
+    dry_run: plan.edits.some(edit => edit.previewed),
+    edits: plan.edits.map(formatEdit),
+    credits_required: plan.credits_required,
+    created_by: plan.created_by,
+    created_at: plan.created_at,
+    expires_at: plan.expires_at,
+    executed_at: plan.executed_at,
+    result: plan.result,
+    error_message: plan.error_message,
+  };
+}
+
+// ===========================================
+// POST /api/command
+// Resolve a natural-language command into a plan: { command, site_id, dry_run }
+// Nothing is written until the plan is confirmed. With dry_run the plan also
+// carries each zone's live before/after HTML and a diff, and confirm refuses
+// to run if those zones change in the meantime.
+// ===========================================
+router.post('/', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
   try {
-    const { command, site_id } = req.body;
+    const { command, site_id, dry_run } = req.body;
     console.log('[COMMAND] Received:', command, 'for site:', site_id);
 
     if (!command || !site_id) {
       return res.status(400).json({ success: false, message: 'Command and site_id required' });
     }
 
-    const query = `
-      SELECT cs.*, ws.site_url, ws.wp_username, ws.wp_app_password_encrypted, ws.site_name
-      FROM content_slots cs
-      JOIN wordpress_sites ws ON cs.wordpress_site_id = ws.id  
-      WHERE cs.wordpress_site_id = $1
-      ORDER BY cs.created_at DESC
-    `;
+    const owned = await loadOwnedSite(site_id, req.organizationId);
+    if (owned.error) {
+      return res.status(owned.status).json({ success: false, message: owned.error });
+    }
 
-    const result = await db.query(query, [site_id]);
-    const zones = result.rows;
+    const { site, platform } = owned;
+    const zones = platform === 'wordpress'
+      ? await db.contentSlots.findBySite(site.id)
+      : await db.contentSlots.findByUniversalSite(site.id);
 
     if (zones.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'No editable zones found. Use Visual Editor to create zones first.' 
+      return res.status(404).json({
+        success: false,
+        message: 'No editable zones found. Use Visual Editor to create zones first.'
       });
     }
 
     console.log('[COMMAND] Found', zones.length, 'zones');
 
-    // Check credits (1 credit needed for text edit via command)
-    const user_id = zones[0].user_id;
-    console.log('[COMMAND] Checking credits for user:', user_id);
-    const hasEnoughCredits = await creditService.hasCredits(user_id, 1);
-    const currentBalance = await creditService.getBalance(user_id);
-    console.log('[COMMAND] Current balance:', currentBalance);
-
-    if (!hasEnoughCredits) {
+    // Check credits up front so nobody plans a command they cannot run.
+    // Each zone changed costs one text_edit at the organization's price.
+    const editPrice = await pricingService.getPrice('text_edit', req.organizationId);
+    const currentBalance = await creditService.getAvailableBalance(req.organizationId);
+    if (currentBalance < editPrice.credits) {
       console.error('[COMMAND] FAIL: Insufficient credits');
-      console.error('[COMMAND]   Required: 1, Available:', currentBalance);
       return res.status(402).json({
         success: false,
         error: 'Insufficient credits',
-        required: 1,
+        required: editPrice.credits,
         available: currentBalance,
-        message: 'You need 1 credit to edit text. Please purchase more credits.'
+        message: `You need ${editPrice.credits} credit${editPrice.credits === 1 ? '' : 's'} to edit text. Please purchase more credits.`
       });
     }
-    console.log('[COMMAND] OK: Credits sufficient');
 
-    const parsedCommand = parseCommand(command, zones);
-    if (!parsedCommand.valid) {
-      return res.status(400).json({ success: false, message: parsedCommand.error });
+    const organization = await db.organizations.findById(req.organizationId);
+
+    const planned = await commandPlanner.plan(command, zones, {
+      organization_type: organization.organization_type,
+      content_tone: organization.content_tone,
+    });
+    if (!planned.valid) {
+      return res.status(400).json({ success: false, message: planned.error });
     }
 
-    const updateResult = await executeUpdate(parsedCommand);
+    const edits = dry_run ? await previewEdits(site, platform, planned.edits) : planned.edits;
 
-    // Deduct 1 credit for text edit
-    const newBalance = await creditService.useCredits(user_id, 1, 'AI Command: ' + command.substring(0, 50));
-    console.log('[COMMAND] Deducted 1 credit, new balance:', newBalance);
-    
-    res.json({
+    const plan = await db.commandPlans.create({
+      organization_id: req.organizationId,
+      wordpress_site_id: platform === 'wordpress' ? site.id : null,
+      universal_site_id: platform === 'universal' ? site.id : null,
+      command,
+      summary: planned.summary,
+      edits,
+      credits_required: planned.edits.length * editPrice.credits,
+      created_by: req.userEmail || req.userId,
+      expires_at: new Date(Date.now() + PLAN_TTL_MS),
+    });
+
+    const gated = await findGatedEdits(plan);
+
+    console.log('[COMMAND] Planned:', {
+      plan_id: plan.id,
+      zones: planned.edits.map(edit => edit.slot_label),
+      tokens: planned.metadata.tokens_used,
+    });
+
+    res.status(201).json({
       success: true,
-      message: updateResult.message,
-      changes: updateResult.changes,
+      message: planned.summary || 'Review the planned changes and confirm to apply them',
+      plan: formatPlan(plan),
+      requires_approval: gated,
       credits: {
-        used: 1,
-        balance: newBalance
-      }
+        required: plan.credits_required,
+        balance: currentBalance
+      },
+      next_steps: gated.length > 0
+        ? `Zones ${gated.join(', ')} require approval - edit them through /api/content instead`
+        : `POST /api/command/${plan.id}/confirm to apply these changes`
     });
 
   } catch (error) {
@@ -80,68 +276,267 @@ router.post('/', async (req, res) => {
   }
 });
 
-function parseCommand(command, zones) {
-  const lower = command.toLowerCase();
+// ===========================================
+// GET /api/command/:planId
+// Get a plan and its outcome
+// ===========================================
+router.get('/:planId', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadPlan(req.params.planId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ success: false, message: loaded.error });
+    }
 
-  if (!lower.includes('change') && !lower.includes('update')) {
-    return { valid: false, error: 'Command must start with "change" or "update"' };
+    res.json({ success: true, plan: formatPlan(loaded.plan) });
+  } catch (error) {
+    console.error('[COMMAND] Get plan error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to fetch plan' });
   }
+});
 
-  let targetZone = null;
-  for (const zone of zones) {
-    const name = (zone.slot_label || zone.marker_name || '').toLowerCase();
-    if (lower.includes('hero') && name.includes('hero')) { targetZone = zone; break; }
-    if (lower.includes('title') && name.includes('title')) { targetZone = zone; break; }
-    if (lower.includes('headline') && name.includes('title')) { targetZone = zone; break; }
-  }
+// ===========================================
+// POST /api/command/:planId/confirm
+// Execute a pending plan exactly as it was shown
+// ===========================================
+router.post('/:planId/confirm', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
+  let reservation = null;
 
-  if (!targetZone) {
-    const available = zones.map(z => z.slot_label || z.marker_name).join(', ');
-    return { valid: false, error: 'Could not find zone. Available: ' + available };
-  }
+  try {
+    const loaded = await loadPlan(req.params.planId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ success: false, message: loaded.error });
+    }
 
-  const toIndex = lower.indexOf(' to ');
-  if (toIndex === -1) {
-    return { valid: false, error: 'Use format: "change [zone] to [new text]"' };
+    const gated = await findGatedEdits(loaded.plan);
+    if (gated.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Zones ${gated.join(', ')} require approval and cannot be changed by command`,
+      });
+    }
+
+    const owned = await loadOwnedSite(
+      loaded.plan.wordpress_site_id || loaded.plan.universal_site_id,
+      req.organizationId
+    );
+    if (owned.error) {
+      return res.status(owned.status).json({ success: false, message: owned.error });
+    }
+
+    const { site, platform } = owned;
+
+    const conflicts = await findConflicts(site, loaded.plan);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        conflict: true,
+        message: 'The page changed since the dry run. Run the command again to get a fresh plan.',
+        conflicts,
+      });
+    }
+
+    // Hold the whole plan's credits before writing anything, so a parallel
+    // request cannot spend them; only zones actually written are charged
+    const held = await creditService.reserve(
+      req.organizationId,
+      loaded.plan.credits_required,
+      'AI Command: ' + loaded.plan.command.substring(0, 50)
+    );
+    if (!held.success) {
+      return res.status(402).json({
+        success: false,
+        error: 'Insufficient credits',
+        required: held.required,
+        available: held.available,
+        message: `You need ${loaded.plan.credits_required} credits to apply this command. Please purchase more credits.`
+      });
+    }
+    reservation = held.reservation;
+
+    const plan = await db.commandPlans.claimForExecute(loaded.plan.id);
+    if (!plan) {
+      await creditService.release(reservation.id);
+      const status = formatPlan(loaded.plan).status;
+      return res.status(409).json({
+        success: false,
+        message: `Plan cannot be confirmed while ${status}`,
+        status,
+      });
+    }
+
+    // The per-zone price is the one quoted when the plan was made
+    const creditsPerEdit = plan.edits.length > 0 ? plan.credits_required / plan.edits.length : 0;
+
+    const applied = [];
+    let failure = null;
+
+    for (const edit of plan.edits) {
+      try {
+        const slot = await db.contentSlots.findById(edit.slot_id);
+        if (!slot || (slot.wordpress_site_id || slot.universal_site_id) !== site.id) {
+          throw new Error(`Zone "${edit.slot_label}" no longer exists`);
+        }
+
+        const updateResult = await executeUpdate(site, platform, slot, edit);
+        applied.push({
+          slot_id: slot.id,
+          slot_label: edit.slot_label,
+          page_link: updateResult.page_link,
+          changes: updateResult.changes,
+        });
+
+        await db.contentSlots.updateContent(slot.id, updateResult.new_content);
+
+        try {
+          await db.contentRevisions.create({
+            slot_id: slot.id,
+            organization_id: req.organizationId,
+            old_content: updateResult.old_content,
+            new_content: updateResult.new_content,
+            changed_by: req.userEmail || req.userId,
+            source: 'command',
+          });
+        } catch (revErr) {
+          console.error('[COMMAND] Failed to record revision:', revErr.message);
+        }
+
+        await webhookService.emitSlotPublished(req.organizationId, slot, {
+          source: 'command',
+          page_url: updateResult.page_link,
+          published_by: req.userEmail || req.userId,
+        });
+      } catch (error) {
+        failure = { slot_id: edit.slot_id, slot_label: edit.slot_label, error: error.message };
+        break;
+      }
+    }
+
+    // Only zones that were actually written are charged (nothing written
+    // releases the whole hold)
+    const creditsUsed = applied.length * creditsPerEdit;
+    const newBalance = await creditService.commit(reservation.id, creditsUsed);
+    console.log('[COMMAND] Deducted', creditsUsed, 'credits, new balance:', newBalance);
+
+    const result = { applied, failed: failure };
+    const finished = await db.commandPlans.finishExecute(
+      plan.id,
+      failure ? 'failed' : 'executed',
+      result,
+      failure ? failure.error : null
+    );
+
+    if (failure) {
+      console.error('[COMMAND] Execute failed:', { plan_id: plan.id, ...failure });
+      return res.status(502).json({
+        success: false,
+        message: `Failed to change "${failure.slot_label}": ${failure.error}`,
+        plan: formatPlan(finished),
+        credits: { used: creditsUsed, balance: newBalance }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Changed ' + applied.map(item => '"' + item.slot_label + '"').join(', ') + ' successfully',
+      changes: applied.flatMap(item => item.changes),
+      plan: formatPlan(finished),
+      credits: {
+        used: creditsUsed,
+        balance: newBalance
+      }
+    });
+
+  } catch (error) {
+    console.error('[COMMAND] Confirm error:', error.message);
+    // No-op if the reservation was already committed
+    if (reservation) {
+      await creditService.release(reservation.id).catch(() => {});
+    }
+    res.status(500).json({ success: false, message: error.message });
   }
+});
 
-  const newContent = command.substring(toIndex + 4).trim().replace(/^['"]|['"]$/g, '');
-  
-  return {
-    valid: true,
-    zone: targetZone,
-    newContent: newContent
-  };
-}
+// ===========================================
+// DELETE /api/command/:planId
+// Cancel a pending plan
+// ===========================================
+router.delete('/:planId', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const loaded = await loadPlan(req.params.planId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ success: false, message: loaded.error });
+    }
 
-async function executeUpdate(parsed) {
-  const zone = parsed.zone;
-  const content = parsed.newContent;
+    const cancelled = await db.commandPlans.cancel(loaded.plan.id);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: `Plan cannot be cancelled while ${loaded.plan.status}`,
+      });
+    }
 
-  if (content.includes('<script>')) {
-    throw new Error('Scripts not allowed for safety');
+    res.json({ success: true, message: 'Plan cancelled', plan: formatPlan(cancelled) });
+  } catch (error) {
+    console.error('[COMMAND] Cancel error:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to cancel plan' });
   }
+});
+
+// Write one zone without touching the rest of the page: WordPress slots are
+// spliced between their markers (or into their block) by publishToSlot,
+// universal slots are replaced through their CSS selector
+async function executeUpdate(site, platform, zone, edit) {
+  const label = zone.slot_label || zone.marker_name;
+  let oldContent;
+  let newContent = edit.new_content;
+  let pageLink;
+
+  if (platform === 'wordpress') {
+    const publishResult = await publishingService.publishToSlot({
+      wordpress_site: site,
+      slot: zone,
+      generated_content: newContent,
+      expected_modified: edit.expected_modified,
+      expected_hash: edit.expected_hash,
+      base_content: edit.base_content,
+    });
 
-  const password = Buffer.from(zone.wp_app_password_encrypted, 'base64').toString('utf-8');
-  const auth = Buffer.from(zone.wp_username + ':' + password).toString('base64');
-  const endpoint = zone.section_type === 'page' ? 'pages' : 'posts';
-  const url = zone.site_url + '/wp-json/wp/v2/' + endpoint + '/' + zone.wp_page_id;
+    if (publishResult.conflict) {
+      throw new Error('Zone was modified since the dry run');
+    }
+    if (!publishResult.success) {
+      throw new Error(publishResult.message || publishResult.error);
+    }
+
+    oldContent = publishResult.slot_update.old_content;
+    newContent = publishResult.slot_update.new_content;
+    pageLink = publishResult.wordpress_page.link;
+  } else {
+    if (!zone.css_selector) {
+      throw new Error('Zone has no CSS selector');
+    }
 
-  await axios.post(url, { content: content }, {
-    headers: { 'Authorization': 'Basic ' + auth, 'Content-Type': 'application/json' },
-    timeout: 15000
-  });
+    const updateResult = await siteManager.updateContent(site.id, {
+      pageUrl: site.site_url,
+      sectionSelector: zone.css_selector,
+      content: newContent,
+    });
+
+    if (!updateResult || !updateResult.success) {
+      throw new Error(updateResult?.error || 'Failed to update page');
+    }
 
-  await db.query(
-    'UPDATE content_slots SET current_content = $1, last_updated = NOW() WHERE id = $2',
-    [content, zone.id]
-  );
+    oldContent = zone.current_content;
+    pageLink = site.site_url;
+  }
 
   return {
-    message: 'Changed "' + (zone.slot_label || zone.marker_name) + '" successfully',
+    old_content: oldContent,
+    new_content: newContent,
+    page_link: pageLink,
     changes: [
-      'Zone: ' + (zone.slot_label || zone.marker_name),
-      'New content: "' + content.substring(0, 80) + '..."'
+      'Zone: ' + label,
+      'New content: "' + newContent.substring(0, 80) + '..."'
     ]
   };
 }
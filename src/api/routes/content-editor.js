@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requireRole } = require('./auth');
 const db = require('../../services/database');
 const axios = require('axios');
 
@@ -96,7 +96,7 @@ router.get('/slots', authenticateToken, async (req, res) => {
 // PUT /api/content-editor/slots/:slotId
 // Update slot content in WordPress
 // ===========================================
-router.put('/slots/:slotId', authenticateToken, async (req, res) => {
+router.put('/slots/:slotId', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { content } = req.body;
 
@@ -5,21 +5,29 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requireRole, requireScope } = require('./auth');
 const db = require('../../services/database');
 const AIGenerator = require('../../services/aiGenerator');
 const SlotParser = require('../../services/slotParser');
 const PublishingService = require('../../services/publishingService');
+const approvalWorkflow = require('../../services/approvalWorkflow');
+const webhookService = require('../../services/webhookService');
+const platforms = require('../../services/platforms');
+const SelectorParser = require('../../services/selectorParser');
 
 // Initialize services
 const aiGenerator = new AIGenerator();
 const publishingService = new PublishingService();
 
+// Shareable preview link lifetime (seconds)
+const PREVIEW_LINK_DEFAULT_TTL = 24 * 60 * 60;
+const PREVIEW_LINK_MAX_TTL = 7 * 24 * 60 * 60;
+
 // ===========================================
 // POST /api/content/generate
 // Generate AI content for a slot
 // ===========================================
-router.post('/generate', authenticateToken, async (req, res) => {
+router.post('/generate', authenticateToken, requireScope('content:generate'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const {
       slot_id,
@@ -108,6 +116,19 @@ router.post('/generate', authenticateToken, async (req, res) => {
     // Get updated subscription info
     const subscription = await db.subscriptions.getUsage(req.organizationId);
 
+    const approval = await approvalWorkflow.requiresApproval(contentUpdate);
+
+    await webhookService.emit(req.organizationId, 'content.generated', {
+      content_update_id: contentUpdate.id,
+      slot_id: slot.id,
+      slot_name: slot.slot_name,
+      site_id: site.id,
+      status: contentUpdate.status,
+      requires_approval: approval.required,
+      preview: aiGenerator.generatePreview(result.content),
+      generated_by: req.userEmail || req.userId,
+    });
+
     console.log('[CONTENT] Generated successfully:', {
       update_id: contentUpdate.id,
       length: result.content.length,
@@ -124,11 +145,15 @@ router.post('/generate', authenticateToken, async (req, res) => {
         generated_content: result.content,
         preview: aiGenerator.generatePreview(result.content),
         status: contentUpdate.status,
+        requires_approval: approval.required,
         created_at: contentUpdate.created_at,
       },
       metadata: result.metadata,
       subscription: subscription,
-      next_steps: {
+      next_steps: approval.required ? {
+        message: 'Updates to this slot need approval; submit the content for review before publishing',
+        submit_endpoint: `/api/content/${contentUpdate.id}/submit`,
+      } : {
         message: 'Review the generated content and publish it to your WordPress page',
         publish_endpoint: `/api/content/${contentUpdate.id}/publish`,
       },
@@ -168,6 +193,190 @@ router.get('/history', authenticateToken, async (req, res) => {
   }
 });
 
+// ===========================================
+// GET /api/content/scheduled
+// List pending scheduled publishes
+// ===========================================
+router.get('/scheduled', authenticateToken, async (req, res) => {
+  try {
+    const updates = await db.contentUpdates.findScheduledByOrganization(req.organizationId);
+
+    res.json({
+      scheduled: updates.map(update => ({
+        id: update.id,
+        slot_id: update.content_slot_id,
+        slot_name: update.slot_name,
+        site_name: update.wp_site_name,
+        preview: aiGenerator.generatePreview(update.generated_content),
+        status: update.status,
+        scheduled_at: update.scheduled_at,
+        next_attempt_at: update.next_attempt_at,
+        publish_attempts: update.publish_attempts,
+        error_message: update.error_message,
+      })),
+      total: updates.length,
+    });
+  } catch (error) {
+    console.error('[CONTENT] Scheduled list error:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled publishes' });
+  }
+});
+
+// ===========================================
+// GET /api/content/reviews/pending
+// List updates waiting for review
+// ===========================================
+router.get('/reviews/pending', authenticateToken, async (req, res) => {
+  try {
+    const updates = await db.contentUpdates.findPendingReview(req.organizationId);
+
+    res.json({
+      pending: updates.map(update => ({
+        id: update.id,
+        slot_id: update.content_slot_id,
+        slot_name: update.slot_name,
+        site_name: update.wp_site_name,
+        update_instructions: update.update_instructions,
+        preview: aiGenerator.generatePreview(update.generated_content),
+        submitted_at: update.submitted_at,
+        submitted_by: update.submitted_by,
+      })),
+      total: updates.length,
+    });
+  } catch (error) {
+    console.error('[APPROVAL] Pending list error:', error);
+    res.status(500).json({ error: 'Failed to fetch pending reviews' });
+  }
+});
+
+// ===========================================
+// GET /api/content/approval-rules
+// List the organization's approval rules
+// ===========================================
+router.get('/approval-rules', authenticateToken, async (req, res) => {
+  try {
+    const rules = await db.approvalRules.findByOrganization(req.organizationId);
+
+    res.json({
+      rules: rules,
+      total: rules.length,
+    });
+  } catch (error) {
+    console.error('[APPROVAL] List rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch approval rules' });
+  }
+});
+
+// ===========================================
+// POST /api/content/approval-rules
+// Require approval org-wide, for a site or for a single slot
+// Body: { name, wordpress_site_id?, content_slot_id?, reviewer_emails? }
+// ===========================================
+router.post('/approval-rules', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const { name, wordpress_site_id, content_slot_id, reviewer_emails } = req.body;
+
+    const validation = await validateApprovalRule(req.organizationId, {
+      wordpress_site_id,
+      content_slot_id,
+      reviewer_emails,
+    });
+    if (validation.error) {
+      return res.status(validation.status).json({ error: validation.error });
+    }
+
+    const rule = await db.approvalRules.create({
+      organization_id: req.organizationId,
+      wordpress_site_id: validation.wordpress_site_id,
+      content_slot_id: content_slot_id,
+      name: name,
+      reviewer_emails: validation.reviewer_emails,
+    });
+
+    console.log('[APPROVAL] Rule created:', { rule_id: rule.id, organization_id: req.organizationId });
+
+    res.status(201).json({
+      message: 'Approval rule created',
+      rule: rule,
+    });
+  } catch (error) {
+    console.error('[APPROVAL] Create rule error:', error);
+    res.status(500).json({ error: 'Failed to create approval rule' });
+  }
+});
+
+// ===========================================
+// PATCH /api/content/approval-rules/:ruleId
+// Update a rule's name, reviewers or active flag
+// ===========================================
+router.patch('/approval-rules/:ruleId', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const rule = await db.approvalRules.findById(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Approval rule not found' });
+    }
+
+    if (rule.organization_id !== req.organizationId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { name, reviewer_emails, is_active } = req.body;
+
+    let emails;
+    if (reviewer_emails !== undefined) {
+      const validation = await validateApprovalRule(req.organizationId, { reviewer_emails });
+      if (validation.error) {
+        return res.status(validation.status).json({ error: validation.error });
+      }
+      emails = validation.reviewer_emails;
+    }
+
+    const updated = await db.approvalRules.update(rule.id, {
+      name: name,
+      reviewer_emails: emails,
+      is_active: is_active === undefined ? undefined : Boolean(is_active),
+    });
+
+    res.json({
+      message: 'Approval rule updated',
+      rule: updated || rule,
+    });
+  } catch (error) {
+    console.error('[APPROVAL] Update rule error:', error);
+    res.status(500).json({ error: 'Failed to update approval rule' });
+  }
+});
+
+// ===========================================
+// DELETE /api/content/approval-rules/:ruleId
+// ===========================================
+router.delete('/approval-rules/:ruleId', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const rule = await db.approvalRules.findById(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Approval rule not found' });
+    }
+
+    if (rule.organization_id !== req.organizationId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await db.approvalRules.delete(rule.id);
+
+    console.log('[APPROVAL] Rule deleted:', { rule_id: rule.id });
+
+    res.json({
+      success: true,
+      message: 'Approval rule deleted',
+    });
+  } catch (error) {
+    console.error('[APPROVAL] Delete rule error:', error);
+    res.status(500).json({ error: 'Failed to delete approval rule' });
+  }
+});
+
 // ===========================================
 // GET /api/content/:updateId
 // Get specific content update details
@@ -196,12 +405,18 @@ router.get('/:updateId', authenticateToken, async (req, res) => {
         generated_content: update.generated_content,
         status: update.status,
         published_at: update.published_at,
+        scheduled_at: update.scheduled_at,
+        publish_attempts: update.publish_attempts,
         wordpress_url: update.wordpress_url,
         error_message: update.error_message,
         ai_model_used: update.ai_model_used,
         generation_time_ms: update.generation_time_ms,
         created_at: update.created_at,
       },
+      review: {
+        ...formatReview(update),
+        requires_approval: (await approvalWorkflow.requiresApproval(update)).required,
+      },
       slot: slot ? {
         id: slot.id,
         slot_name: slot.slot_name,
@@ -224,7 +439,7 @@ router.get('/:updateId', authenticateToken, async (req, res) => {
 // PATCH /api/content/:updateId
 // Edit generated content before publishing
 // ===========================================
-router.patch('/:updateId', authenticateToken, async (req, res) => {
+router.patch('/:updateId', authenticateToken, requireScope('content:generate'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { generated_content } = req.body;
 
@@ -251,6 +466,13 @@ router.patch('/:updateId', authenticateToken, async (req, res) => {
       });
     }
 
+    if (update.status === 'scheduled' || update.status === 'publishing') {
+      return res.status(409).json({
+        error: `Cannot edit content that is ${update.status}`,
+        message: 'Cancel the scheduled publish first',
+      });
+    }
+
     // Validate content
     const validation = aiGenerator.validateContent(generated_content);
     if (!validation.valid) {
@@ -260,21 +482,29 @@ router.patch('/:updateId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update content (would need to add update method to contentUpdates)
-    // TODO: Add db.contentUpdates.update() method
+    // Any review decision applied to the old text; edited content goes back to draft
+    const needsReview = ['pending_review', 'approved', 'rejected'].includes(update.status);
+
+    const edited = await db.contentUpdates.update(update.id, {
+      generated_content: generated_content,
+      status: needsReview ? 'draft' : undefined,
+      approved_content_hash: needsReview ? null : undefined,
+      updated_at: new Date(),
+    });
 
     console.log('[CONTENT] Content edited:', {
       update_id: update.id,
       new_length: generated_content.length,
+      status: edited.status,
     });
 
     res.json({
       message: 'Content updated successfully',
       content_update: {
-        id: update.id,
-        generated_content: generated_content,
-        preview: aiGenerator.generatePreview(generated_content),
-        status: update.status,
+        id: edited.id,
+        generated_content: edited.generated_content,
+        preview: aiGenerator.generatePreview(edited.generated_content),
+        status: edited.status,
       },
     });
   } catch (error) {
@@ -287,7 +517,7 @@ router.patch('/:updateId', authenticateToken, async (req, res) => {
 // DELETE /api/content/:updateId
 // Delete content update (if not published)
 // ===========================================
-router.delete('/:updateId', authenticateToken, async (req, res) => {
+router.delete('/:updateId', authenticateToken, requireScope('content:generate'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const update = await db.contentUpdates.findById(req.params.updateId);
 
@@ -323,7 +553,7 @@ router.delete('/:updateId', authenticateToken, async (req, res) => {
 // POST /api/content/:updateId/publish
 // Publish generated content to WordPress
 // ===========================================
-router.post('/:updateId/publish', authenticateToken, async (req, res) => {
+router.post('/:updateId/publish', authenticateToken, requireScope('content:publish'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const update = await db.contentUpdates.findById(req.params.updateId);
 
@@ -345,6 +575,21 @@ router.post('/:updateId/publish', authenticateToken, async (req, res) => {
       });
     }
 
+    // The scheduler is publishing this update right now
+    if (update.status === 'publishing') {
+      return res.status(409).json({
+        error: 'Scheduled publish already in progress',
+      });
+    }
+
+    const publishable = await approvalWorkflow.checkPublishable(update);
+    if (!publishable.allowed) {
+      return res.status(403).json({
+        error: publishable.error,
+        status: publishable.status,
+      });
+    }
+
     // Get slot and site
     const slot = await db.contentSlots.findById(update.content_slot_id);
     if (!slot) {
@@ -362,19 +607,35 @@ router.post('/:updateId/publish', authenticateToken, async (req, res) => {
       marker: slot.marker_name,
     });
 
+    // Concurrency guard: page state the editor saw (from verify/preview)
+    const { expected_modified, expected_hash, base_content, on_conflict } = req.body || {};
+
+    if (on_conflict && !['force', 'merge'].includes(on_conflict)) {
+      return res.status(400).json({ error: 'on_conflict must be "force" or "merge"' });
+    }
+
     // Publish to WordPress
     const publishResult = await publishingService.publishToSlot({
       wordpress_site: site,
       slot: slot,
       generated_content: update.generated_content,
+      expected_modified,
+      expected_hash,
+      base_content,
+      on_conflict,
     });
 
+    if (publishResult.conflict) {
+      return res.status(409).json(publishResult);
+    }
+
     if (!publishResult.success) {
       return res.status(400).json({
         error: 'Publishing failed',
         details: publishResult.error,
-        message: publishResult.message,
+        message: publishResult.message || publishResult.details,
         instructions: publishResult.instructions,
+        violations: publishResult.violations,
       });
     }
 
@@ -384,8 +645,26 @@ router.post('/:updateId/publish', authenticateToken, async (req, res) => {
       publishResult.wordpress_page.link
     );
 
-    // Update slot's current content
-    await db.contentSlots.updateContent(slot.id, update.generated_content);
+    // Update slot's current content (merged content if a merge was applied)
+    const publishedContent = publishResult.slot_update.new_content;
+    await db.contentSlots.updateContent(slot.id, publishedContent);
+
+    await recordRevision({
+      slot_id: slot.id,
+      organization_id: req.organizationId,
+      old_content: publishResult.slot_update.old_content,
+      new_content: publishedContent,
+      changed_by: req.userEmail || req.userId,
+      source: 'publish',
+      content_update_id: update.id,
+    });
+
+    await webhookService.emitSlotPublished(req.organizationId, slot, {
+      source: 'publish',
+      page_url: publishResult.wordpress_page.link,
+      published_by: req.userEmail || req.userId,
+      content_update_id: update.id,
+    });
 
     console.log('[PUBLISH] Published successfully:', {
       update_id: update.id,
@@ -405,6 +684,8 @@ router.post('/:updateId/publish', authenticateToken, async (req, res) => {
         slot_name: slot.slot_name,
         marker_name: slot.marker_name,
       },
+      merged: publishResult.slot_update.merged,
+      forced: publishResult.slot_update.forced,
     });
   } catch (error) {
     console.error('[PUBLISH] Publish error:', error);
@@ -412,11 +693,236 @@ router.post('/:updateId/publish', authenticateToken, async (req, res) => {
   }
 });
 
+// ===========================================
+// POST /api/content/:updateId/schedule
+// Schedule content to be published at a future time
+// ===========================================
+router.post('/:updateId/schedule', authenticateToken, requireScope('content:publish'), requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const scheduledAt = parseScheduledAt(req.body.scheduled_at);
+
+    if (!scheduledAt.valid) {
+      return res.status(400).json({ error: scheduledAt.error });
+    }
+
+    const update = await db.contentUpdates.findById(req.params.updateId);
+
+    if (!update) {
+      return res.status(404).json({ error: 'Content update not found' });
+    }
+
+    if (update.organization_id !== req.organizationId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (update.status === 'published' || update.status === 'publishing') {
+      return res.status(400).json({
+        error: `Cannot schedule content that is ${update.status}`,
+      });
+    }
+
+    if (!update.content_slot_id || !update.wordpress_site_id) {
+      return res.status(400).json({
+        error: 'Only WordPress slot updates can be scheduled',
+      });
+    }
+
+    const publishable = await approvalWorkflow.checkPublishable(update);
+    if (!publishable.allowed) {
+      return res.status(403).json({
+        error: publishable.error,
+        status: publishable.status,
+      });
+    }
+
+    const scheduled = await db.contentUpdates.schedule(update.id, scheduledAt.date);
+
+    console.log('[CONTENT] Publish scheduled:', {
+      update_id: update.id,
+      scheduled_at: scheduled.scheduled_at,
+    });
+
+    res.json({
+      message: 'Publish scheduled successfully',
+      content_update: formatScheduled(scheduled),
+    });
+  } catch (error) {
+    console.error('[CONTENT] Schedule error:', error);
+    res.status(500).json({ error: 'Failed to schedule publish' });
+  }
+});
+
+// ===========================================
+// PATCH /api/content/:updateId/schedule
+// Reschedule a pending (or failed) scheduled publish
+// ===========================================
+router.patch('/:updateId/schedule', authenticateToken, requireScope('content:publish'), requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const scheduledAt = parseScheduledAt(req.body.scheduled_at);
+
+    if (!scheduledAt.valid) {
+      return res.status(400).json({ error: scheduledAt.error });
+    }
+
+    const update = await db.contentUpdates.findById(req.params.updateId);
+
+    if (!update) {
+      return res.status(404).json({ error: 'Content update not found' });
+    }
+
+    if (update.organization_id !== req.organizationId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (update.status !== 'scheduled' && update.status !== 'failed') {
+      return res.status(400).json({
+        error: 'Only pending or failed scheduled publishes can be rescheduled',
+        status: update.status,
+      });
+    }
+
+    // Rescheduling resets the retry counter
+    const rescheduled = await db.contentUpdates.schedule(update.id, scheduledAt.date);
+
+    console.log('[CONTENT] Publish rescheduled:', {
+      update_id: update.id,
+      scheduled_at: rescheduled.scheduled_at,
+    });
+
+    res.json({
+      message: 'Publish rescheduled successfully',
+      content_update: formatScheduled(rescheduled),
+    });
+  } catch (error) {
+    console.error('[CONTENT] Reschedule error:', error);
+    res.status(500).json({ error: 'Failed to reschedule publish' });
+  }
+});
+
+// ===========================================
+// DELETE /api/content/:updateId/schedule
+// Cancel a scheduled publish (the update itself is kept)
+// ===========================================
+router.delete('/:updateId/schedule', authenticateToken, requireScope('content:publish'), requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const update = await db.contentUpdates.findById(req.params.updateId);
+
+    if (!update) {
+      return res.status(404).json({ error: 'Content update not found' });
+    }
+
+    if (update.organization_id !== req.organizationId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const cancelled = await db.contentUpdates.cancelSchedule(update.id);
+
+    if (!cancelled) {
+      return res.status(400).json({
+        error: 'No pending scheduled publish to cancel',
+        status: update.status,
+      });
+    }
+
+    console.log('[CONTENT] Scheduled publish cancelled:', { update_id: update.id });
+
+    res.json({
+      message: 'Scheduled publish cancelled',
+      content_update: formatScheduled(cancelled),
+    });
+  } catch (error) {
+    console.error('[CONTENT] Cancel schedule error:', error);
+    res.status(500).json({ error: 'Failed to cancel scheduled publish' });
+  }
+});
+
+// ===========================================
+// POST /api/content/:updateId/submit
+// Submit a draft (or rejected update) for review
+// ===========================================
+router.post('/:updateId/submit', authenticateToken, requireScope('content:generate'), requireRole('owner', 'editor'), async (req, res) => {
+  await handleReviewAction(req, res, 'submit');
+});
+
+// ===========================================
+// POST /api/content/:updateId/approve
+// Approve an update waiting for review
+// ===========================================
+router.post('/:updateId/approve', authenticateToken, requireRole('owner', 'reviewer'), async (req, res) => {
+  await handleReviewAction(req, res, 'approve');
+});
+
+// ===========================================
+// POST /api/content/:updateId/reject
+// Reject an update waiting for review (comment required)
+// ===========================================
+router.post('/:updateId/reject', authenticateToken, requireRole('owner', 'reviewer'), async (req, res) => {
+  await handleReviewAction(req, res, 'reject');
+});
+
+// ===========================================
+// POST /api/content/:updateId/withdraw
+// Pull an update back out of review
+// ===========================================
+router.post('/:updateId/withdraw', authenticateToken, requireScope('content:generate'), requireRole('owner', 'editor'), async (req, res) => {
+  await handleReviewAction(req, res, 'withdraw');
+});
+
+// ===========================================
+// GET /api/content/:updateId/comments
+// Review history and comments for an update
+// ===========================================
+router.get('/:updateId/comments', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadOwnedUpdate(req.params.updateId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const reviews = await db.contentUpdateReviews.findByUpdate(loaded.update.id);
+
+    res.json({
+      review: formatReview(loaded.update),
+      comments: reviews,
+      total: reviews.length,
+    });
+  } catch (error) {
+    console.error('[APPROVAL] Comments error:', error);
+    res.status(500).json({ error: 'Failed to fetch review comments' });
+  }
+});
+
+// ===========================================
+// POST /api/content/:updateId/comments
+// Add a review comment without changing status
+// ===========================================
+router.post('/:updateId/comments', authenticateToken, requireRole('owner', 'editor', 'reviewer'), async (req, res) => {
+  try {
+    const loaded = await loadOwnedUpdate(req.params.updateId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const result = await approvalWorkflow.comment(loaded.update, req.userEmail || req.userId, req.body.comment);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Comment added',
+      comment: result.review,
+    });
+  } catch (error) {
+    console.error('[APPROVAL] Add comment error:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
 // ===========================================
 // POST /api/content/:updateId/verify
 // Verify slot markers exist before publishing
 // ===========================================
-router.post('/:updateId/verify', authenticateToken, async (req, res) => {
+router.post('/:updateId/verify', authenticateToken, requireScope('content:read'), async (req, res) => {
   try {
     const update = await db.contentUpdates.findById(req.params.updateId);
 
@@ -448,7 +954,7 @@ router.post('/:updateId/verify', authenticateToken, async (req, res) => {
 });
 
 // ===========================================
-// GET /api/content/:updateId/preview
+// GET /api/content/:updateId/preview[?format=html]
 // Preview what will be published
 // ===========================================
 router.get('/:updateId/preview', authenticateToken, async (req, res) => {
@@ -473,6 +979,23 @@ router.get('/:updateId/preview', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'WordPress site not found' });
     }
 
+    // ?format=html renders the full page with the draft spliced in
+    if (req.query.format === 'html') {
+      const rendered = await publishingService.renderPreview({
+        wordpress_site: site,
+        slot: slot,
+        generated_content: update.generated_content,
+      });
+
+      if (!rendered.success) {
+        return res.status(422).json(rendered);
+      }
+
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-store');
+      return res.send(rendered.html);
+    }
+
     const preview = await publishingService.getPublishPreview({
       wordpress_site: site,
       slot: slot,
@@ -486,9 +1009,186 @@ router.get('/:updateId/preview', authenticateToken, async (req, res) => {
   }
 });
 
+// ===========================================
+// POST /api/content/:updateId/preview-link
+// Create a shareable, expiring link that renders the page with this draft
+// ===========================================
+router.post('/:updateId/preview-link', authenticateToken, requireScope('content:read'), async (req, res) => {
+  try {
+    const update = await db.contentUpdates.findById(req.params.updateId);
+
+    if (!update) {
+      return res.status(404).json({ error: 'Content update not found' });
+    }
+
+    if (update.organization_id !== req.organizationId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!update.generated_content) {
+      return res.status(400).json({ error: 'Content update has no generated content to preview' });
+    }
+
+    const expiresIn = Math.min(
+      Math.max(parseInt(req.body?.expires_in) || PREVIEW_LINK_DEFAULT_TTL, 60),
+      PREVIEW_LINK_MAX_TTL
+    );
+
+    const token = publishingService.createPreviewToken(update, expiresIn);
+    const baseUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(201).json({
+      preview_url: `${baseUrl}/api/visual-proxy/preview?token=${encodeURIComponent(token)}`,
+      expires_at: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      update_id: update.id,
+    });
+  } catch (error) {
+    console.error('[PUBLISH] Preview link error:', error);
+    res.status(500).json({ error: 'Failed to create preview link' });
+  }
+});
+
+/**
+ * Validate a scheduled_at value from a request body
+ */
+function parseScheduledAt(value) {
+  if (!value) {
+    return { valid: false, error: 'scheduled_at is required' };
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return { valid: false, error: 'scheduled_at must be a valid ISO 8601 date' };
+  }
+
+  // Allow a little clock skew between client and server
+  if (date.getTime() < Date.now() - 60 * 1000) {
+    return { valid: false, error: 'scheduled_at must be in the future' };
+  }
+
+  return { valid: true, date };
+}
+
+function formatScheduled(update) {
+  return {
+    id: update.id,
+    status: update.status,
+    scheduled_at: update.scheduled_at,
+    next_attempt_at: update.next_attempt_at,
+    publish_attempts: update.publish_attempts,
+    error_message: update.error_message,
+  };
+}
+
+/**
+ * Load a content update and verify it belongs to the organization
+ */
+async function loadOwnedUpdate(updateId, organizationId) {
+  const update = await db.contentUpdates.findById(updateId);
+  if (!update) {
+    return { error: 'Content update not found', status: 404 };
+  }
+  if (update.organization_id !== organizationId) {
+    return { error: 'Access denied', status: 403 };
+  }
+  return { update };
+}
+
+function formatReview(update) {
+  return {
+    status: update.status,
+    submitted_at: update.submitted_at,
+    submitted_by: update.submitted_by,
+    reviewed_at: update.reviewed_at,
+    reviewed_by: update.reviewed_by,
+    approved: Boolean(update.approved_content_hash),
+  };
+}
+
+/**
+ * Shared handler for submit/approve/reject/withdraw
+ */
+async function handleReviewAction(req, res, action) {
+  try {
+    const loaded = await loadOwnedUpdate(req.params.updateId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const actor = req.userEmail || req.userId;
+    const comment = req.body ? req.body.comment : undefined;
+    const result = await approvalWorkflow[action](loaded.update, actor, comment);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, status: loaded.update.status });
+    }
+
+    res.json({
+      message: `Content update ${result.update.status.replace('_', ' ')}`,
+      content_update: {
+        id: result.update.id,
+        ...formatReview(result.update),
+      },
+    });
+  } catch (error) {
+    console.error(`[APPROVAL] ${action} error:`, error);
+    res.status(500).json({ error: `Failed to ${action} content update` });
+  }
+}
+
+/**
+ * Validate the scope and reviewers of an approval rule
+ */
+async function validateApprovalRule(organizationId, { wordpress_site_id, content_slot_id, reviewer_emails }) {
+  if (reviewer_emails !== undefined) {
+    if (!Array.isArray(reviewer_emails) || reviewer_emails.some(e => typeof e !== 'string' || !e.includes('@'))) {
+      return { error: 'reviewer_emails must be an array of email addresses', status: 400 };
+    }
+  }
+
+  let siteId = wordpress_site_id;
+
+  if (content_slot_id) {
+    const slot = await db.contentSlots.findById(content_slot_id);
+    if (!slot || !slot.wordpress_site_id) {
+      return { error: 'Slot not found', status: 404 };
+    }
+    if (siteId && siteId !== slot.wordpress_site_id) {
+      return { error: 'content_slot_id does not belong to wordpress_site_id', status: 400 };
+    }
+    siteId = slot.wordpress_site_id;
+  }
+
+  if (siteId) {
+    const site = await db.wordpressSites.findById(siteId);
+    if (!site) {
+      return { error: 'WordPress site not found', status: 404 };
+    }
+    if (site.organization_id !== organizationId) {
+      return { error: 'Access denied', status: 403 };
+    }
+  }
+
+  return {
+    wordpress_site_id: siteId,
+    reviewer_emails: reviewer_emails ? reviewer_emails.map(e => e.trim().toLowerCase()) : [],
+  };
+}
+
+/**
+ * Record a slot revision without failing the publish that caused it
+ */
+async function recordRevision(revisionData) {
+  try {
+    await db.contentRevisions.create(revisionData);
+  } catch (error) {
+    console.error('[PUBLISH] Failed to record revision:', error.message);
+  }
+}
+
 module.exports = router;
 
-// Get current content from WordPress page slot
+// Get current content from a CSS selector slot's page
 router.get('/slot/:slot_id/current', authenticateToken, async (req, res) => {
   try {
     const { slot_id } = req.params;
@@ -520,13 +1220,17 @@ router.get('/slot/:slot_id/current', authenticateToken, async (req, res) => {
       site_url: site.site_url
     });
 
-    // Fetch page from WordPress
+    // Fetch the rendered page (the adapter resolves its public URL)
     const axios = require('axios');
     const { JSDOM } = require('jsdom');
-    
-    const pageUrl = `${site.site_url}?p=${slot.wp_page_id}`;
-    
+
     try {
+      const pageResult = await platforms.forSite(site).getPage(site, slot.wp_page_id, { type: slot.page_type });
+      if (!pageResult.success) {
+        throw new Error(pageResult.error);
+      }
+
+      const pageUrl = pageResult.page.link;
       const response = await axios.get(pageUrl, {
         headers: {
           'User-Agent': 'SafeWebEdit Content Fetcher/1.0'
@@ -578,8 +1282,8 @@ router.get('/slot/:slot_id/current', authenticateToken, async (req, res) => {
   }
 });
 
-// Publish content directly to WordPress slot
-router.post('/slot/:slot_id/publish-direct', authenticateToken, async (req, res) => {
+// Publish content directly to a CSS selector slot
+router.post('/slot/:slot_id/publish-direct', authenticateToken, requireScope('content:publish'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { slot_id } = req.params;
     const { content } = req.body;
@@ -600,6 +1304,18 @@ router.post('/slot/:slot_id/publish-direct', authenticateToken, async (req, res)
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // Gated zones only change through a reviewed content update
+    const approval = await approvalWorkflow.requiresApproval({
+      organization_id: site.organization_id,
+      wordpress_site_id: site.id,
+      content_slot_id: slot.id,
+    });
+    if (approval.required) {
+      return res.status(403).json({
+        error: 'This zone requires approval; submit the change for review instead of publishing directly',
+      });
+    }
+
     // If slot doesn't have CSS selector, can't publish
     if (!slot.css_selector) {
       return res.status(400).json({ 
@@ -608,71 +1324,83 @@ router.post('/slot/:slot_id/publish-direct', authenticateToken, async (req, res)
       });
     }
 
-    console.log('[CONTENT] Publishing directly to WordPress:', {
+    console.log('[CONTENT] Publishing directly to site:', {
       slot_id: slot.id,
       slot_name: slot.slot_name,
       css_selector: slot.css_selector,
       content_length: content.length
     });
 
-    // Fetch current page HTML
-    const axios = require('axios');
-    const { JSDOM } = require('jsdom');
-    
-    const pageUrl = `${site.site_url}?p=${slot.wp_page_id}`;
-    
+    // Fetch the stored page content
+    const adapter = platforms.forSite(site);
+
     try {
-      // Get the current page
-      const pageResponse = await axios.get(pageUrl, {
-        headers: {
-          'User-Agent': 'SafeWebEdit Publisher/1.0'
-        },
-        timeout: 10000
-      });
+      const pageResult = await adapter.getPage(site, slot.wp_page_id, { type: slot.page_type });
+      if (!pageResult.success) {
+        throw new Error(pageResult.error);
+      }
 
-      const dom = new JSDOM(pageResponse.data);
-      const element = dom.window.document.querySelector(slot.css_selector);
+      const rawError = publishingService.rawContentError(pageResult.page);
+      if (rawError) {
+        return res.status(409).json({ error: rawError });
+      }
 
-      if (!element) {
+      const pageUrl = pageResult.page.link;
+
+      // Update the element content, leaving the rest of the markup untouched
+      const replaceResult = SelectorParser.replaceElementContent(pageResult.page.content, slot.css_selector, content);
+
+      if (!replaceResult.success) {
         return res.status(404).json({
           error: 'Element not found on page',
           message: 'The CSS selector did not match any element on the current page.'
         });
       }
 
-      // Update the element content
-      element.innerHTML = content;
-
-      // Get the updated HTML
-      const updatedHTML = dom.serialize();
-      // Decrypt WordPress credentials (base64)
-      const wpAppPassword = Buffer.from(site.wp_app_password_encrypted, "base64").toString("utf-8");
-
-      // Update page via WordPress REST API
-      const wpApiUrl = `${site.site_url}/wp-json/wp/v2/pages/${slot.wp_page_id}`;
-      
-      const updateResponse = await axios.post(wpApiUrl, {
-        content: updatedHTML
-      }, {
-        auth: {
-          username: site.wp_username,
-          password: wpAppPassword
-        },
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 15000
+      const previousContent = replaceResult.old_content;
+
+      // Write the page back through the site's API
+      const updateResult = await adapter.updatePage(site, slot.wp_page_id, replaceResult.html, {
+        type: slot.page_type,
+        expected_modified: pageResult.page.modified
       });
+      if (!updateResult.success) {
+        if (updateResult.conflict) {
+          return res.status(409).json({
+            error: 'Page was modified since it was loaded',
+            conflict: true,
+            message: updateResult.error
+          });
+        }
+        throw new Error(updateResult.error);
+      }
 
       console.log('[CONTENT] Published successfully:', {
         slot_id: slot.id,
         wp_page_id: slot.wp_page_id,
-        status: updateResponse.status
+        modified: updateResult.page.modified
+      });
+
+      await db.contentSlots.updateContent(slot.id, content);
+
+      await recordRevision({
+        slot_id: slot.id,
+        organization_id: req.organizationId,
+        old_content: previousContent,
+        new_content: content,
+        changed_by: req.userEmail || req.userId,
+        source: 'publish_direct',
+      });
+
+      await webhookService.emitSlotPublished(req.organizationId, slot, {
+        source: 'publish_direct',
+        page_url: pageUrl,
+        published_by: req.userEmail || req.userId,
       });
 
       return res.json({
         success: true,
-        message: 'Content published to WordPress successfully',
+        message: 'Content published to site successfully',
         page_url: pageUrl,
         updated_at: new Date().toISOString()
       });
@@ -680,8 +1408,8 @@ router.post('/slot/:slot_id/publish-direct', authenticateToken, async (req, res)
     } catch (publishError) {
       console.error('[CONTENT] Publish error:', publishError.message);
       return res.status(500).json({
-        error: 'Failed to publish to WordPress',
-        message: publishError.response?.data?.message || publishError.message
+        error: 'Failed to publish to site',
+        message: publishError.message
       });
     }
 
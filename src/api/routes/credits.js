@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const creditService = require('../../services/creditService');
+const pricingService = require('../../services/pricingService');
+const db = require('../../services/database');
+const { requireRole } = require('./auth');
 
 /**
  * Simple conversion: $1 = 5 credits
@@ -13,42 +16,51 @@ const CREDITS_PER_DOLLAR = 5;
 
 /**
  * GET /api/credits/packages
- * Get available credit packages (simplified)
+ * Get available credit packages and what each action costs this organization
  */
-router.get('/packages', (req, res) => {
-  res.json({
-    success: true,
-    credits_per_dollar: CREDITS_PER_DOLLAR,
-    quick_amounts: [10, 20, 50],
-    pricing: {
-      text_edit: 1,
-      image_swap: 2,
-      ai_image: 10
-    }
-  });
+router.get('/packages', async (req, res) => {
+  try {
+    const { plan, prices, promotions } = await pricingService.getPriceList(req.organizationId);
+
+    res.json({
+      success: true,
+      credits_per_dollar: CREDITS_PER_DOLLAR,
+      quick_amounts: [10, 20, 50],
+      plan,
+      pricing: prices,
+      promotions
+    });
+  } catch (error) {
+    console.error('[CREDITS] Pricing fetch error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
  * GET /api/credits/balance
- * Get user's credit balance
+ * Get the organization's credit balance
+ * (user_id is optional and must be the caller's organization)
  */
 router.get('/balance', async (req, res) => {
   try {
-    const { user_id } = req.query;
-
-    if (!user_id) {
-      return res.status(400).json({
-        error: 'user_id required'
+    if (req.query.user_id && req.query.user_id !== req.organizationId) {
+      return res.status(403).json({
+        error: 'Access denied'
       });
     }
 
+    const user_id = req.organizationId;
     const balance = await creditService.getBalance(user_id);
+    const available = await creditService.getAvailableBalance(user_id);
     const history = await creditService.getTransactionHistory(user_id, 10);
+    const buckets = await creditService.getBuckets(user_id);
 
     res.json({
       success: true,
       balance: balance,
+      available: available, // balance minus credits held by in-progress work
       balance_usd: (balance / CREDITS_PER_DOLLAR).toFixed(2),
+      buckets: buckets, // spent in this order (soonest expiry first)
       recent_transactions: history
     });
 
@@ -65,9 +77,17 @@ router.get('/balance', async (req, res) => {
  * Create Stripe Checkout session for credit purchase
  * Accepts simple dollar amount
  */
-router.post('/purchase', async (req, res) => {
+router.post('/purchase', requireRole('owner'), async (req, res) => {
   try {
-    const { amount_usd, user_id, return_url } = req.body;
+    const { amount_usd, return_url } = req.body;
+
+    // Credits (and the saved card) always belong to the caller's organization
+    if (req.body.user_id && req.body.user_id !== req.organizationId) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+    const user_id = req.organizationId;
 
     // Support legacy package_id format for backwards compatibility
     let dollarAmount = amount_usd;
@@ -79,9 +99,9 @@ router.post('/purchase', async (req, res) => {
       }
     }
 
-    if (!dollarAmount || !user_id) {
+    if (!dollarAmount) {
       return res.status(400).json({
-        error: 'amount_usd and user_id required'
+        error: 'amount_usd required'
       });
     }
 
@@ -100,6 +120,12 @@ router.post('/purchase', async (req, res) => {
       credits: credits
     });
 
+    // Reuse the organization's Stripe customer so the card is saved for auto top-up
+    const organization = await db.organizations.findById(user_id);
+    const customer = organization && organization.stripe_customer_id
+      ? { customer: organization.stripe_customer_id }
+      : { customer_creation: 'always' };
+
     // Create Stripe Checkout session
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ['card'],
@@ -118,6 +144,10 @@ router.post('/purchase', async (req, res) => {
         }
       ],
       mode: 'payment',
+      ...customer,
+      payment_intent_data: {
+        setup_future_usage: 'off_session'
+      },
       success_url: return_url || `${process.env.FRONTEND_URL}/dashboard/credits?success=true&session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: return_url || `${process.env.FRONTEND_URL}/dashboard/credits?canceled=true`,
       client_reference_id: user_id,
@@ -146,4 +176,86 @@ router.post('/purchase', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/credits/auto-topup
+ * Auto top-up settings and recent top-ups
+ */
+router.get('/auto-topup', async (req, res) => {
+  try {
+    const settings = await db.creditTopups.getSettings(req.organizationId);
+    const topups = await db.creditTopups.listRecent(req.organizationId, 10);
+
+    res.json({
+      success: true,
+      settings: settings || { enabled: false },
+      recent_topups: topups
+    });
+
+  } catch (error) {
+    console.error('[CREDITS] Auto top-up fetch error:', error.message);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/credits/auto-topup
+ * Configure auto top-up: when a charge drops the balance below
+ * threshold_credits, amount_usd is charged to the saved card
+ * Body: { enabled, threshold_credits, amount_usd }
+ */
+router.put('/auto-topup', requireRole('owner'), async (req, res) => {
+  try {
+    const { enabled = true, threshold_credits, amount_usd } = req.body;
+
+    if (!Number.isInteger(threshold_credits) || threshold_credits < 0) {
+      return res.status(400).json({
+        error: 'threshold_credits must be a whole number of 0 or more'
+      });
+    }
+
+    // Same limits as a manual purchase
+    if (!Number.isInteger(amount_usd) || amount_usd < 5 || amount_usd > 1000) {
+      return res.status(400).json({
+        error: 'amount_usd must be a whole number between 5 and 1000'
+      });
+    }
+
+    if (enabled) {
+      const organization = await db.organizations.findById(req.organizationId);
+      if (!organization || !organization.stripe_customer_id) {
+        return res.status(400).json({
+          error: 'No saved card. Buy credits once to save a card for auto top-up.'
+        });
+      }
+    }
+
+    const settings = await db.creditTopups.upsertSettings(req.organizationId, {
+      enabled: Boolean(enabled),
+      threshold_credits,
+      amount_usd,
+      credits: amount_usd * CREDITS_PER_DOLLAR
+    }, req.userEmail);
+
+    console.log('[CREDITS] Auto top-up configured:', {
+      organization_id: req.organizationId,
+      enabled: settings.enabled,
+      threshold_credits,
+      amount_usd
+    });
+
+    res.json({
+      success: true,
+      settings
+    });
+
+  } catch (error) {
+    console.error('[CREDITS] Auto top-up update error:', error.message);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -9,156 +9,56 @@
  * - List all posts and pages
  * - Edit post/page content
  * - Disconnect sites
+ *
+ * Admin API calls go through the Ghost platform adapter
+ * (services/platforms/ghostAdapter.js).
  */
 
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
 const db = require('../../services/database');
-const jwt = require('jsonwebtoken');
-
-/**
- * Encrypt sensitive data (Ghost API keys)
- */
-function encrypt(text) {
-  const algorithm = 'aes-256-cbc';
-  const key = Buffer.from(process.env.ENCRYPTION_KEY || 'defaultkey12345678901234567890', 'utf8');
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv(algorithm, key, iv);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
-}
-
-/**
- * Decrypt sensitive data
- */
-function decrypt(text) {
-  const algorithm = 'aes-256-cbc';
-  const key = Buffer.from(process.env.ENCRYPTION_KEY || 'defaultkey12345678901234567890', 'utf8');
-  const parts = text.split(':');
-  const iv = Buffer.from(parts[0], 'hex');
-  const encrypted = parts[1];
-  const decipher = crypto.createDecipheriv(algorithm, key, iv);
-  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
-}
-
-/**
- * Generate Ghost Admin API JWT token
- * Ghost uses JWT tokens for authentication
- */
-function generateGhostToken(apiKey) {
-  const [id, secret] = apiKey.split(':');
+const platforms = require('../../services/platforms');
+const webhookService = require('../../services/webhookService');
+const { authenticateToken, requireRole, requireScope } = require('./auth');
 
-  // Create token valid for 5 minutes
-  const token = jwt.sign(
-    {},
-    Buffer.from(secret, 'hex'),
-    {
-      keyid: id,
-      algorithm: 'HS256',
-      expiresIn: '5m',
-      audience: '/admin/'
-    }
-  );
-
-  return token;
-}
+const ghost = platforms.getAdapter('ghost');
 
 /**
- * Make authenticated request to Ghost Admin API
+ * Load a Ghost site owned by the organization
  */
-async function makeGhostRequest(siteUrl, apiKey, endpoint, method = 'GET', body = null) {
-  const token = generateGhostToken(apiKey);
-  const url = `${siteUrl}/ghost/api/admin${endpoint}`;
-
-  const options = {
-    method,
-    headers: {
-      'Authorization': `Ghost ${token}`,
-      'Content-Type': 'application/json'
-    }
-  };
-
-  if (body && (method === 'POST' || method === 'PUT')) {
-    options.body = JSON.stringify(body);
+async function loadGhostSite(siteId, organizationId) {
+  const site = await db.wordpressSites.findById(siteId);
+  if (!site || site.platform_type !== 'ghost' || site.organization_id !== organizationId) {
+    return null;
   }
-
-  const response = await fetch(url, options);
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Ghost API error: ${response.status} - ${error}`);
-  }
-
-  return await response.json();
+  return site;
 }
 
 /**
  * POST /api/ghost/connect
  * Connect a Ghost site with Admin API Key
  */
-router.post('/connect', async (req, res) => {
+router.post('/connect', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { site_url, site_name, admin_api_key } = req.body;
-    const token = req.headers.authorization?.replace('Bearer ', '');
 
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    if (!site_url || !admin_api_key || !admin_api_key.includes(':')) {
+      return res.status(400).json({ error: 'site_url and admin_api_key (format: id:secret) are required' });
     }
 
-    // Decode JWT to get organization_id
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const organizationId = decoded.organization_id;
-
     // Validate Ghost site by making test request
     console.log('[Ghost] Testing connection to:', site_url);
 
-    try {
-      await makeGhostRequest(site_url, admin_api_key, '/site/', 'GET');
-    } catch (error) {
-      console.error('[Ghost] Connection test failed:', error);
+    const result = await ghost.connect(req.organizationId, { site_url, site_name, admin_api_key });
+
+    if (!result.success) {
+      console.error('[Ghost] Connection test failed:', result.error);
       return res.status(400).json({
         error: 'Failed to connect to Ghost site. Please check your site URL and Admin API Key.'
       });
     }
 
-    // Encrypt the API key
-    const encryptedKey = encrypt(admin_api_key);
-
-    // Store in database
-    const result = await db.query(`
-      INSERT INTO wordpress_sites (
-        organization_id,
-        site_url,
-        site_name,
-        wp_username,
-        wp_app_password_encrypted,
-        platform,
-        is_connected,
-        created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-      ON CONFLICT (organization_id, site_url)
-      DO UPDATE SET
-        site_name = EXCLUDED.site_name,
-        wp_app_password_encrypted = EXCLUDED.wp_app_password_encrypted,
-        is_connected = true,
-        platform = 'ghost',
-        updated_at = NOW()
-      RETURNING id, site_url, site_name, platform, created_at
-    `, [
-      organizationId,
-      site_url,
-      site_name || new URL(site_url).hostname,
-      'ghost_admin', // wp_username field used for identification
-      encryptedKey,
-      'ghost',
-      true
-    ]);
-
-    const site = result.rows[0];
+    const site = result.site;
     console.log('[Ghost] Site connected successfully:', site.id);
 
     res.json({
@@ -168,7 +68,7 @@ router.post('/connect', async (req, res) => {
         id: site.id,
         url: site.site_url,
         name: site.site_name,
-        platform: site.platform,
+        platform: site.platform_type,
         created_at: site.created_at
       }
     });
@@ -182,22 +82,14 @@ router.post('/connect', async (req, res) => {
  * GET /api/ghost/sites
  * Get all connected Ghost sites for current organization
  */
-router.get('/sites', async (req, res) => {
+router.get('/sites', authenticateToken, async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const organizationId = decoded.organization_id;
-
     const result = await db.query(`
-      SELECT id, site_url, site_name, platform, is_connected, created_at
+      SELECT id, site_url, site_name, platform_type AS platform, is_connected, created_at
       FROM wordpress_sites
-      WHERE organization_id = $1 AND platform = 'ghost'
+      WHERE organization_id = $1 AND platform_type = 'ghost'
       ORDER BY created_at DESC
-    `, [organizationId]);
+    `, [req.organizationId]);
 
     res.json({
       success: true,
@@ -214,43 +106,20 @@ router.get('/sites', async (req, res) => {
  * GET /api/ghost/posts/:siteId
  * Get all posts and pages from a Ghost site
  */
-router.get('/posts/:siteId', async (req, res) => {
+router.get('/posts/:siteId', authenticateToken, async (req, res) => {
   try {
-    const { siteId } = req.params;
-    const token = req.headers.authorization?.replace('Bearer ', '');
-
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+    const site = await loadGhostSite(req.params.siteId, req.organizationId);
 
-    // Get site credentials from database
-    const siteResult = await db.query(`
-      SELECT site_url, wp_app_password_encrypted
-      FROM wordpress_sites
-      WHERE id = $1 AND platform = 'ghost'
-    `, [siteId]);
-
-    if (siteResult.rows.length === 0) {
+    if (!site) {
       return res.status(404).json({ error: 'Ghost site not found' });
     }
 
-    const { site_url, wp_app_password_encrypted } = siteResult.rows[0];
-    const apiKey = decrypt(wp_app_password_encrypted);
-
     // Get posts and pages
-    const postsData = await makeGhostRequest(
-      site_url,
-      apiKey,
-      '/posts/?limit=all&formats=mobiledoc,html',
-      'GET'
-    );
-
-    const pagesData = await makeGhostRequest(
-      site_url,
-      apiKey,
-      '/pages/?limit=all&formats=mobiledoc,html',
-      'GET'
-    );
+    const params = { limit: 'all', formats: 'mobiledoc,html' };
+    const [postsData, pagesData] = await Promise.all([
+      ghost.request(site, 'GET', '/posts/', { params }),
+      ghost.request(site, 'GET', '/pages/', { params })
+    ]);
 
     // Combine posts and pages
     const allContent = [
@@ -273,48 +142,28 @@ router.get('/posts/:siteId', async (req, res) => {
  * PUT /api/ghost/posts/:siteId/:postId
  * Update a post or page in Ghost site
  */
-router.put('/posts/:siteId/:postId', async (req, res) => {
+router.put('/posts/:siteId/:postId', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { siteId, postId } = req.params;
     const { html, type } = req.body; // type: 'post' or 'page'
-    const token = req.headers.authorization?.replace('Bearer ', '');
-
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
 
-    // Get site credentials from database
-    const siteResult = await db.query(`
-      SELECT site_url, wp_app_password_encrypted
-      FROM wordpress_sites
-      WHERE id = $1 AND platform = 'ghost'
-    `, [siteId]);
+    const site = await loadGhostSite(siteId, req.organizationId);
 
-    if (siteResult.rows.length === 0) {
+    if (!site) {
       return res.status(404).json({ error: 'Ghost site not found' });
     }
 
-    const { site_url, wp_app_password_encrypted } = siteResult.rows[0];
-    const apiKey = decrypt(wp_app_password_encrypted);
-
     // Update post or page
-    const endpoint = type === 'page' ? `/pages/${postId}/` : `/posts/${postId}/`;
-    const updateData = await makeGhostRequest(
-      site_url,
-      apiKey,
-      endpoint,
-      'PUT',
-      {
-        [type === 'page' ? 'pages' : 'posts']: [{
-          html: html,
-          updated_at: new Date().toISOString()
-        }]
-      }
-    );
+    const entryType = type === 'page' ? 'page' : 'post';
+    const result = await ghost.updatePage(site, postId, html, { type: entryType });
+
+    if (!result.success) {
+      return res.status(502).json({ error: 'Failed to update Ghost ' + entryType, details: result.error });
+    }
 
     res.json({
       success: true,
-      [type === 'page' ? 'page' : 'post']: updateData[type === 'page' ? 'pages' : 'posts'][0]
+      [entryType]: result.page
     });
   } catch (error) {
     console.error('[Ghost Update Post] Error:', error);
@@ -326,19 +175,23 @@ router.put('/posts/:siteId/:postId', async (req, res) => {
  * DELETE /api/ghost/sites/:siteId
  * Disconnect a Ghost site
  */
-router.delete('/sites/:siteId', async (req, res) => {
+router.delete('/sites/:siteId', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
-    const { siteId } = req.params;
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const site = await loadGhostSite(req.params.siteId, req.organizationId);
 
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    if (!site) {
+      return res.status(404).json({ error: 'Ghost site not found' });
     }
 
-    await db.query(`
-      DELETE FROM wordpress_sites
-      WHERE id = $1 AND platform = 'ghost'
-    `, [siteId]);
+    await db.wordpressSites.delete(site.id);
+
+    await webhookService.emit(req.organizationId, 'site.disconnected', {
+      site_id: site.id,
+      site_name: site.site_name,
+      site_url: site.site_url,
+      platform: 'ghost',
+      disconnected_by: req.userEmail || req.userId,
+    });
 
     res.json({
       success: true,
@@ -4,7 +4,8 @@ const axios = require("axios");
 const FormData = require("form-data");
 const sharp = require("sharp");
 const { createCanvas, loadImage, registerFont } = require("canvas");
-const { query } = require("../../services/database");
+const platforms = require("../../services/platforms");
+const { requireRole } = require("./auth");
 
 /**
  * Image Text Replacement API
@@ -194,9 +195,9 @@ router.post("/replace", async (req, res) => {
 
 // ===========================================
 // POST /api/image-text/save-to-wordpress
-// Save processed image to WordPress media library
+// Save processed image to the site's media library (WordPress, Ghost, Shopify)
 // ===========================================
-router.post("/save-to-wordpress", async (req, res) => {
+router.post("/save-to-wordpress", requireRole("owner", "editor"), async (req, res) => {
   const { site_id, processed_image_base64, filename, original_image_id } = req.body;
 
   if (!site_id || !processed_image_base64) {
@@ -206,49 +207,34 @@ router.post("/save-to-wordpress", async (req, res) => {
   }
 
   try {
-    console.log("[TEXT-REPLACE] Saving processed image to WordPress");
+    console.log("[TEXT-REPLACE] Saving processed image to site");
 
-    // Get site credentials
-    const siteResult = await query(
-      "SELECT site_url, wp_username, wp_app_password_encrypted FROM wordpress_sites WHERE id = $1",
-      [site_id]
-    );
+    // Get site and its platform adapter
+    const found = await platforms.findSite(site_id);
 
-    if (siteResult.rows.length === 0) {
+    if (!found || found.site.organization_id !== req.organizationId) {
       return res.status(404).json({ error: "Site not found" });
     }
 
-    const { site_url, wp_username, wp_app_password_encrypted } = siteResult.rows[0];
-
-    // Decrypt password
-    const wp_password = Buffer.from(wp_app_password_encrypted, 'base64').toString('utf-8');
-    const authHeader = Buffer.from(`${wp_username}:${wp_password}`).toString('base64');
-
     // Convert base64 to buffer
     const imageData = processed_image_base64.replace(/^data:image\/\w+;base64,/, '');
     const imageBuffer = Buffer.from(imageData, 'base64');
 
-    // Upload to WordPress
-    const form = new FormData();
-    form.append('file', imageBuffer, {
+    // Upload to the site's media library
+    const uploadResult = await found.adapter.uploadMedia(found.site, {
+      data: imageBuffer,
       filename: filename || `text-replaced-${Date.now()}.png`,
-      contentType: 'image/png'
+      mime_type: 'image/png'
     });
 
-    const uploadResponse = await axios.post(
-      `${site_url}/wp-json/wp/v2/media`,
-      form,
-      {
-        headers: {
-          'Authorization': `Basic ${authHeader}`,
-          ...form.getHeaders()
-        },
-        timeout: 30000,
-        maxBodyLength: 10000000
+    if (!uploadResult.success) {
+      if (uploadResult.reauthorize) {
+        return res.status(403).json({ success: false, error: uploadResult.error, reauthorize: true });
       }
-    );
+      throw new Error(uploadResult.error);
+    }
 
-    const newMedia = uploadResponse.data;
+    const newMedia = uploadResult.media;
 
     // Optionally replace the old image in content
     let replacedInContent = false;
@@ -262,18 +248,18 @@ router.post("/save-to-wordpress", async (req, res) => {
       success: true,
       new_image: {
         id: newMedia.id,
-        url: newMedia.source_url,
-        title: newMedia.title?.rendered,
-        link: newMedia.link
+        url: newMedia.url,
+        title: newMedia.title,
+        link: newMedia.url
       },
-      message: "Image uploaded to WordPress successfully"
+      message: "Image uploaded to site successfully"
     });
 
   } catch (error) {
-    console.error("[TEXT-REPLACE] WordPress upload error:", error.message);
+    console.error("[TEXT-REPLACE] Site upload error:", error.message);
     return res.status(500).json({
       success: false,
-      error: "Failed to save to WordPress",
+      error: "Failed to save to site",
       message: error.message
     });
   }
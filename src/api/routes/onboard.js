@@ -10,6 +10,7 @@ const router = express.Router();
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const db = require('../../services/database');
+const creditService = require('../../services/creditService');
 
 // Stripe will be initialized when needed
 let stripe = null;
@@ -64,9 +65,11 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Check if email already exists
+    // Check if email already exists (as an organization or a team member)
     const existingUser = await db.query(
-      'SELECT id FROM organizations WHERE email = $1',
+      `SELECT id FROM organizations WHERE email = $1
+       UNION ALL
+       SELECT id FROM users WHERE email = $1`,
       [email.toLowerCase()]
     );
 
@@ -103,21 +106,15 @@ router.post('/', async (req, res) => {
     // Create organization record (pending payment for trial)
     const pendingOrgId = crypto.randomUUID();
 
-    await db.query(
-      `INSERT INTO organizations
-       (id, name, slug, email, password_hash, email_verified, subscription_status, is_active, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`,
-      [
-        pendingOrgId,
-        name,
-        finalSlug,
-        email.toLowerCase(),
-        passwordHash,
-        false, // Not verified yet
-        'trialing', // Start with trial status
-        true, // Active immediately for trial
-      ]
-    );
+    // Organization and its owner are created together: login looks the
+    // email up in users
+    await db.organizations.createTrialWithOwner({
+      id: pendingOrgId,
+      name,
+      slug: finalSlug,
+      email: email.toLowerCase(),
+      password_hash: passwordHash,
+    });
 
     // Store onboarding metadata
     await db.query(
@@ -136,6 +133,11 @@ router.post('/', async (req, res) => {
 
     console.log('[Onboarding] Created trial organization:', pendingOrgId);
 
+    // Welcome credits (promotional, they expire); onboarding goes ahead without them
+    await creditService.grantSignupCredits(pendingOrgId).catch((err) => {
+      console.error('[Onboarding] Failed to grant signup credits:', err.message);
+    });
+
     // Create Stripe Checkout session for trial
     const stripeClient = getStripeClient();
 
@@ -0,0 +1,150 @@
+/**
+ * Shopify Webhook Handler
+ * Receives app lifecycle and GDPR mandatory webhooks from Shopify
+ *
+ * Topics:
+ *   app/uninstalled           - mark the store disconnected, purge its token and slots
+ *   shop/update               - refresh the stored shop name
+ *   customers/data_request    - acknowledge (no customer data is stored)
+ *   customers/redact          - acknowledge (no customer data is stored)
+ *   shop/redact               - delete the store's remaining rows
+ *
+ * Mounted with express.raw() before express.json(): the HMAC is computed
+ * over the exact request bytes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const db = require('../../services/database');
+const webhookService = require('../../services/webhookService');
+
+/**
+ * Verify X-Shopify-Hmac-Sha256 (base64 HMAC-SHA256 of the raw body, keyed
+ * with the app's API secret)
+ */
+function verifyHmac(rawBody, hmacHeader, secret) {
+  if (!Buffer.isBuffer(rawBody) || !hmacHeader) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+async function handleAppUninstalled(shop) {
+  const { sites, slots_deleted } = await db.wordpressSites.disconnectShop(shop, 'App uninstalled from Shopify');
+
+  console.log('[Shopify Webhook] App uninstalled:', { shop, sites: sites.length, slots_deleted });
+
+  for (const site of sites) {
+    await webhookService.emit(site.organization_id, 'site.disconnected', {
+      site_id: site.id,
+      site_name: site.site_name,
+      site_url: site.site_url,
+      platform: 'shopify',
+      disconnected_by: 'shopify:app/uninstalled',
+    });
+  }
+}
+
+async function handleShopUpdate(shop, payload) {
+  const sites = await db.wordpressSites.findByShopDomain(shop);
+
+  for (const site of sites) {
+    if (payload.name && payload.name !== site.site_name) {
+      await db.wordpressSites.update(site.id, { site_name: payload.name });
+    }
+  }
+
+  console.log('[Shopify Webhook] Shop updated:', { shop, sites: sites.length });
+}
+
+async function handleShopRedact(shop) {
+  const deleted = await db.wordpressSites.deleteByShopDomain(shop);
+  console.log('[Shopify Webhook] Shop redacted:', { shop, sites_deleted: deleted.length });
+}
+
+/**
+ * POST /api/shopify/webhooks
+ * Single endpoint for every topic (X-Shopify-Topic)
+ */
+router.post('/', async (req, res) => {
+  const secret = process.env.SHOPIFY_API_SECRET;
+
+  if (!secret) {
+    console.error('[Shopify Webhook] SHOPIFY_API_SECRET not configured');
+    return res.status(500).send('Webhook secret not configured');
+  }
+
+  if (!verifyHmac(req.body, req.get('X-Shopify-Hmac-Sha256'), secret)) {
+    console.error('[Shopify Webhook] HMAC verification failed');
+    return res.status(401).send('Invalid webhook signature');
+  }
+
+  const topic = req.get('X-Shopify-Topic');
+  const shop = req.get('X-Shopify-Shop-Domain');
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString('utf8'));
+  } catch (err) {
+    return res.status(400).send('Invalid JSON payload');
+  }
+
+  if (!topic || !shop) {
+    return res.status(400).send('Missing Shopify topic or shop headers');
+  }
+
+  console.log('[Shopify Webhook] Event received:', { topic, shop, webhook_id: webhookId });
+
+  try {
+    // Shopify retries until it gets a 2xx; handle each delivery once
+    if (webhookId && !(await db.shopifyWebhookEvents.record(webhookId, topic, shop))) {
+      console.log('[Shopify Webhook] Duplicate delivery ignored:', webhookId);
+      return res.json({ received: true, duplicate: true });
+    }
+
+    switch (topic) {
+      case 'app/uninstalled':
+        await handleAppUninstalled(shop);
+        break;
+
+      case 'shop/update':
+        await handleShopUpdate(shop, payload);
+        break;
+
+      case 'customers/data_request':
+      case 'customers/redact':
+        // Only page content and the shop's access token are stored, never
+        // customer records, so there is nothing to return or erase
+        console.log('[Shopify Webhook] GDPR request acknowledged:', {
+          topic,
+          shop,
+          customer_id: payload.customer && payload.customer.id
+        });
+        break;
+
+      case 'shop/redact':
+        await handleShopRedact(shop);
+        break;
+
+      default:
+        console.log('[Shopify Webhook] Unhandled topic:', topic);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('[Shopify Webhook] Error handling event:', error);
+    // Let Shopify's retry be processed instead of dropped as a duplicate
+    if (webhookId) {
+      await db.shopifyWebhookEvents.forget(webhookId).catch(() => {});
+    }
+    res.status(500).json({ error: 'Webhook handler failed' });
+  }
+});
+
+module.exports = router;
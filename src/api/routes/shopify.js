@@ -8,75 +8,46 @@
  * 4. Shopify redirects back to /api/shopify/oauth/callback with code
  * 5. Backend exchanges code for access token
  * 6. Store encrypted token in database
- * 7. Redirect user back to dashboard with success message
+ * 7. Subscribe the shop to app/uninstalled and shop/update webhooks (shopify-webhooks.js)
+ * 8. Redirect user back to dashboard with success message
  */
 
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const db = require('../../services/database');
+const platforms = require('../../services/platforms');
+const JsonTemplateParser = require('../../services/jsonTemplateParser');
+const webhookService = require('../../services/webhookService');
+const { authenticateToken, requireRole, requireScope } = require('./auth');
 
 // Shopify OAuth Configuration
 const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
 const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET;
-const SHOPIFY_API_VERSION = '2026-01';
-const SHOPIFY_SCOPES = 'read_content,write_content,read_products,write_products';
+// write_files is needed for image uploads; stores installed before it was
+// added are asked to reconnect (run the install again) when an upload fails
+const SHOPIFY_SCOPES = 'read_content,write_content,read_products,write_products,read_themes,write_themes,write_files';
 const BACKEND_URL = process.env.BACKEND_URL || 'https://safewebedit.com';
 
-/**
- * Encrypt sensitive data
- */
-function encrypt(text) {
-  const algorithm = 'aes-256-cbc';
-  const key = Buffer.from(process.env.ENCRYPTION_KEY || 'defaultkey12345678901234567890', 'utf8');
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv(algorithm, key, iv);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
-}
+// Admin API calls go through the Shopify platform adapter
+const shopify = platforms.getAdapter('shopify');
 
-/**
- * Decrypt sensitive data
- */
-function decrypt(text) {
-  const algorithm = 'aes-256-cbc';
-  const key = Buffer.from(process.env.ENCRYPTION_KEY || 'defaultkey12345678901234567890', 'utf8');
-  const parts = text.split(':');
-  const iv = Buffer.from(parts[0], 'hex');
-  const encrypted = parts[1];
-  const decipher = crypto.createDecipheriv(algorithm, key, iv);
-  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
-}
+// Route segment -> adapter resource type
+const RESOURCE_TYPES = {
+  products: 'product',
+  collections: 'collection',
+  articles: 'article'
+};
 
 /**
- * Make authenticated request to Shopify API
+ * Load a Shopify store owned by the organization
  */
-async function makeShopifyRequest(shopDomain, accessToken, endpoint, method = 'GET', body = null) {
-  const url = `https://${shopDomain}/admin/api/${SHOPIFY_API_VERSION}${endpoint}`;
-
-  const options = {
-    method,
-    headers: {
-      'X-Shopify-Access-Token': accessToken,
-      'Content-Type': 'application/json'
-    }
-  };
-
-  if (body && (method === 'POST' || method === 'PUT')) {
-    options.body = JSON.stringify(body);
+async function loadShopifySite(siteId, organizationId) {
+  const site = await db.wordpressSites.findById(siteId);
+  if (!site || site.platform_type !== 'shopify' || site.organization_id !== organizationId) {
+    return null;
   }
-
-  const response = await fetch(url, options);
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Shopify API error: ${response.status} - ${error}`);
-  }
-
-  return await response.json();
+  return site;
 }
 
 /**
@@ -189,48 +160,23 @@ router.get('/oauth/callback', async (req, res) => {
     const { access_token } = await tokenResponse.json();
     console.log('[Shopify OAuth] Access token received');
 
-    // Get shop info
-    const shopInfo = await makeShopifyRequest(shop, access_token, '/shop.json', 'GET');
-    console.log('[Shopify OAuth] Shop info retrieved:', shopInfo.shop.name);
-
-    // Encrypt the access token
-    const encryptedToken = encrypt(access_token);
+    // Verify the token and store the connection
+    const result = await shopify.connect(stateData.organization_id, { shop, access_token });
 
-    // Store in database
-    const organizationId = stateData.organization_id;
+    if (!result.success) {
+      throw new Error(result.error);
+    }
 
-    const result = await db.query(`
-      INSERT INTO wordpress_sites (
-        organization_id,
-        site_url,
-        site_name,
-        wp_username,
-        wp_app_password_encrypted,
-        platform,
-        is_connected,
-        created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-      ON CONFLICT (organization_id, site_url)
-      DO UPDATE SET
-        site_name = EXCLUDED.site_name,
-        wp_app_password_encrypted = EXCLUDED.wp_app_password_encrypted,
-        is_connected = true,
-        platform = 'shopify',
-        updated_at = NOW()
-      RETURNING id, site_url, site_name, platform, created_at
-    `, [
-      organizationId,
-      `https://${shop}`,
-      shopInfo.shop.name,
-      shop,
-      encryptedToken,
-      'shopify',
-      true
-    ]);
-
-    const site = result.rows[0];
+    const site = result.site;
+    const shopInfo = { shop: result.shop };
     console.log('[Shopify OAuth] Store connected successfully:', site.id);
 
+    // Get told when the app is uninstalled; the store works without it
+    const webhooks = await shopify.registerWebhooks({ shop, access_token }, `${BACKEND_URL}/api/shopify/webhooks`);
+    if (!webhooks.success) {
+      console.error('[Shopify OAuth] Webhook registration failed:', webhooks.error);
+    }
+
     // Redirect back to dashboard with success message
     const frontendUrl = process.env.FRONTEND_URL || 'https://safewebedit.com';
     res.redirect(`${frontendUrl}/dashboard/wordpress?shopify_connected=true&shop=${encodeURIComponent(shopInfo.shop.name)}`);
@@ -245,24 +191,14 @@ router.get('/oauth/callback', async (req, res) => {
  * GET /api/shopify/sites
  * Get all connected Shopify stores for current organization
  */
-router.get('/sites', async (req, res) => {
+router.get('/sites', authenticateToken, async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Decrypt JWT to get organization_id
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const organizationId = decoded.organization_id;
-
     const result = await db.query(`
-      SELECT id, site_url, site_name, platform, is_connected, created_at
+      SELECT id, site_url, site_name, platform_type AS platform, is_connected, created_at
       FROM wordpress_sites
-      WHERE organization_id = $1 AND platform = 'shopify'
+      WHERE organization_id = $1 AND platform_type = 'shopify'
       ORDER BY created_at DESC
-    `, [organizationId]);
+    `, [req.organizationId]);
 
     res.json({
       success: true,
@@ -279,32 +215,16 @@ router.get('/sites', async (req, res) => {
  * GET /api/shopify/pages/:siteId
  * Get all pages from a Shopify store
  */
-router.get('/pages/:siteId', async (req, res) => {
+router.get('/pages/:siteId', authenticateToken, async (req, res) => {
   try {
-    const { siteId } = req.params;
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const site = await loadShopifySite(req.params.siteId, req.organizationId);
 
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Get site credentials from database
-    const siteResult = await db.query(`
-      SELECT site_url, wp_app_password_encrypted
-      FROM wordpress_sites
-      WHERE id = $1 AND platform = 'shopify'
-    `, [siteId]);
-
-    if (siteResult.rows.length === 0) {
+    if (!site) {
       return res.status(404).json({ error: 'Shopify store not found' });
     }
 
-    const { site_url, wp_app_password_encrypted } = siteResult.rows[0];
-    const accessToken = decrypt(wp_app_password_encrypted);
-    const shopDomain = site_url.replace('https://', '');
-
     // Get pages from Shopify
-    const pagesData = await makeShopifyRequest(shopDomain, accessToken, '/pages.json', 'GET');
+    const pagesData = await shopify.request(site, 'GET', '/pages.json');
 
     res.json({
       success: true,
@@ -320,46 +240,285 @@ router.get('/pages/:siteId', async (req, res) => {
  * PUT /api/shopify/pages/:siteId/:pageId
  * Update a page in Shopify store
  */
-router.put('/pages/:siteId/:pageId', async (req, res) => {
+router.put('/pages/:siteId/:pageId', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { siteId, pageId } = req.params;
     const { body_html } = req.body;
-    const token = req.headers.authorization?.replace('Bearer ', '');
 
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    const site = await loadShopifySite(siteId, req.organizationId);
+
+    if (!site) {
+      return res.status(404).json({ error: 'Shopify store not found' });
     }
 
-    // Get site credentials from database
-    const siteResult = await db.query(`
-      SELECT site_url, wp_app_password_encrypted
-      FROM wordpress_sites
-      WHERE id = $1 AND platform = 'shopify'
-    `, [siteId]);
+    // Update page in Shopify
+    const result = await shopify.updatePage(site, pageId, body_html);
+
+    if (!result.success) {
+      return res.status(502).json({ error: 'Failed to update Shopify page', details: result.error });
+    }
+
+    res.json({
+      success: true,
+      page: result.page
+    });
+  } catch (error) {
+    console.error('[Shopify Update Page] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/shopify/:resource/:siteId
+ * List products, collections or blog articles (most recently updated first)
+ */
+router.get('/:resource(products|collections|articles)/:siteId', authenticateToken, async (req, res) => {
+  try {
+    const site = await loadShopifySite(req.params.siteId, req.organizationId);
 
-    if (siteResult.rows.length === 0) {
+    if (!site) {
       return res.status(404).json({ error: 'Shopify store not found' });
     }
 
-    const { site_url, wp_app_password_encrypted } = siteResult.rows[0];
-    const accessToken = decrypt(wp_app_password_encrypted);
-    const shopDomain = site_url.replace('https://', '');
+    const result = await shopify.listResources(site, RESOURCE_TYPES[req.params.resource], {
+      limit: parseInt(req.query.limit, 10) || 50,
+      query: req.query.query
+    });
 
-    // Update page in Shopify
-    const updateData = await makeShopifyRequest(
-      shopDomain,
-      accessToken,
-      `/pages/${pageId}.json`,
-      'PUT',
-      { page: { body_html } }
-    );
+    if (!result.success) {
+      return res.status(502).json({ error: 'Failed to list Shopify ' + req.params.resource, details: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('[Shopify Resources] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/shopify/:resource/:siteId/:resourceId
+ * Get a product, collection or blog article with its description/body HTML
+ */
+router.get('/:resource(products|collections|articles)/:siteId/:resourceId', authenticateToken, async (req, res) => {
+  try {
+    const site = await loadShopifySite(req.params.siteId, req.organizationId);
+
+    if (!site) {
+      return res.status(404).json({ error: 'Shopify store not found' });
+    }
+
+    const type = RESOURCE_TYPES[req.params.resource];
+    const result = await shopify.getPage(site, req.params.resourceId, { type });
+
+    if (!result.success) {
+      return res.status(404).json({ error: `Shopify ${type} not found`, details: result.error });
+    }
+
+    res.json({ success: true, [type]: result.page });
+  } catch (error) {
+    console.error('[Shopify Resource] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/shopify/:resource/:siteId/:resourceId
+ * Update a product or collection description, or a blog article body
+ * Body: { body_html, expected_modified? }
+ */
+router.put('/:resource(products|collections|articles)/:siteId/:resourceId', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { body_html, expected_modified } = req.body;
+
+    if (typeof body_html !== 'string') {
+      return res.status(400).json({ error: 'body_html is required' });
+    }
+
+    const site = await loadShopifySite(req.params.siteId, req.organizationId);
+
+    if (!site) {
+      return res.status(404).json({ error: 'Shopify store not found' });
+    }
+
+    const type = RESOURCE_TYPES[req.params.resource];
+    const result = await shopify.updatePage(site, req.params.resourceId, body_html, { type, expected_modified });
+
+    if (!result.success) {
+      return res.status(result.conflict ? 409 : 502).json({
+        error: `Failed to update Shopify ${type}`,
+        conflict: Boolean(result.conflict),
+        details: result.error
+      });
+    }
+
+    res.json({ success: true, [type]: result.page });
+  } catch (error) {
+    console.error('[Shopify Update Resource] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/shopify/metafields/:siteId/:ownerType/:ownerId?
+ * List metafields of a product, collection, article or page, or of the shop
+ * (ownerType "shop", no ownerId)
+ */
+router.get('/metafields/:siteId/:ownerType/:ownerId?', authenticateToken, async (req, res) => {
+  try {
+    const { ownerType, ownerId } = req.params;
+
+    if (ownerType !== 'shop' && !ownerId) {
+      return res.status(400).json({ error: 'ownerId is required unless ownerType is shop' });
+    }
+
+    const site = await loadShopifySite(req.params.siteId, req.organizationId);
+
+    if (!site) {
+      return res.status(404).json({ error: 'Shopify store not found' });
+    }
+
+    const result = await shopify.listMetafields(site, ownerType, ownerId);
+
+    if (!result.success) {
+      return res.status(400).json({ error: 'Failed to list metafields', details: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('[Shopify Metafields] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/shopify/metafields/:siteId/:metafieldId
+ * Update a metafield value (the value must match the metafield's type)
+ * Body: { value, expected_modified? }
+ */
+router.put('/metafields/:siteId/:metafieldId', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { value, expected_modified } = req.body;
+
+    if (typeof value !== 'string') {
+      return res.status(400).json({ error: 'value is required (as a string)' });
+    }
+
+    const site = await loadShopifySite(req.params.siteId, req.organizationId);
+
+    if (!site) {
+      return res.status(404).json({ error: 'Shopify store not found' });
+    }
+
+    const result = await shopify.updatePage(site, req.params.metafieldId, value, { type: 'metafield', expected_modified });
+
+    if (!result.success) {
+      return res.status(result.conflict ? 409 : 400).json({
+        error: 'Failed to update metafield',
+        conflict: Boolean(result.conflict),
+        details: result.error
+      });
+    }
+
+    res.json({ success: true, metafield: result.page });
+  } catch (error) {
+    console.error('[Shopify Update Metafield] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/shopify/theme/:siteId/settings?key=templates/index.json
+ * Text settings of a JSON template in the published theme (candidates for
+ * json_setting slots)
+ */
+router.get('/theme/:siteId/settings', authenticateToken, async (req, res) => {
+  try {
+    const key = req.query.key || 'templates/index.json';
+
+    if (!key.endsWith('.json')) {
+      return res.status(400).json({ error: 'key must be a JSON theme file' });
+    }
+
+    const site = await loadShopifySite(req.params.siteId, req.organizationId);
+
+    if (!site) {
+      return res.status(404).json({ error: 'Shopify store not found' });
+    }
+
+    const result = await shopify.getPage(site, key, { type: 'theme_asset' });
+
+    if (!result.success) {
+      return res.status(404).json({ error: 'Theme file not found', details: result.error });
+    }
 
     res.json({
       success: true,
-      page: updateData.page
+      key,
+      theme: result.page.title,
+      modified: result.page.modified,
+      settings: JsonTemplateParser.listSettings(result.page.content)
     });
   } catch (error) {
-    console.error('[Shopify Update Page] Error:', error);
+    console.error('[Shopify Theme Settings] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/shopify/theme/:siteId/settings
+ * Update one text setting of a JSON template in the published theme
+ * Body: { key, path: ["sections", "<id>", "settings", "<setting>"], value, expected_modified? }
+ */
+router.put('/theme/:siteId/settings', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { key, path, value, expected_modified } = req.body;
+
+    if (!key || !key.endsWith('.json') || !Array.isArray(path) || path.length === 0 || typeof value !== 'string') {
+      return res.status(400).json({ error: 'key (a JSON theme file), path and value are required' });
+    }
+
+    const site = await loadShopifySite(req.params.siteId, req.organizationId);
+
+    if (!site) {
+      return res.status(404).json({ error: 'Shopify store not found' });
+    }
+
+    const current = await shopify.getPage(site, key, { type: 'theme_asset' });
+
+    if (!current.success) {
+      return res.status(404).json({ error: 'Theme file not found', details: current.error });
+    }
+
+    const replaceResult = JsonTemplateParser.replaceSetting(current.page.content, path, value);
+
+    if (!replaceResult.success) {
+      return res.status(400).json({ error: replaceResult.error });
+    }
+
+    const result = await shopify.updatePage(site, key, replaceResult.html, {
+      type: 'theme_asset',
+      expected_modified: expected_modified || current.page.modified
+    });
+
+    if (!result.success) {
+      return res.status(result.conflict ? 409 : 502).json({
+        error: 'Failed to update theme setting',
+        conflict: Boolean(result.conflict),
+        details: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      key,
+      path,
+      old_value: replaceResult.old_content,
+      new_value: value,
+      modified: result.page.modified
+    });
+  } catch (error) {
+    console.error('[Shopify Update Theme Setting] Error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -368,19 +527,23 @@ router.put('/pages/:siteId/:pageId', async (req, res) => {
  * DELETE /api/shopify/sites/:siteId
  * Disconnect a Shopify store
  */
-router.delete('/sites/:siteId', async (req, res) => {
+router.delete('/sites/:siteId', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
-    const { siteId } = req.params;
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const site = await loadShopifySite(req.params.siteId, req.organizationId);
 
-    if (!token) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    if (!site) {
+      return res.status(404).json({ error: 'Shopify store not found' });
     }
 
-    await db.query(`
-      DELETE FROM wordpress_sites
-      WHERE id = $1 AND platform = 'shopify'
-    `, [siteId]);
+    await db.wordpressSites.delete(site.id);
+
+    await webhookService.emit(req.organizationId, 'site.disconnected', {
+      site_id: site.id,
+      site_name: site.site_name,
+      site_url: site.site_url,
+      platform: 'shopify',
+      disconnected_by: req.userEmail || req.userId,
+    });
 
     res.json({
       success: true,
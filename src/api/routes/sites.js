@@ -7,6 +7,10 @@ const express = require('express');
 const router = express.Router();
 const SiteManager = require('../../services/siteManager');
 const db = require('../../services/database');
+const { requireRole, requireScope } = require('./auth');
+const webhookService = require('../../services/webhookService');
+const platforms = require('../../services/platforms');
+const SaveRecipe = require('../../services/saveRecipe');
 
 // Middleware (assuming authenticateToken is available)
 // const authenticateToken = require('../../middleware/authenticateToken');
@@ -48,7 +52,7 @@ router.get('/', async (req, res) => {
 /**
  * POST /api/sites/connect - Connect new site (auto-detects platform)
  */
-router.post('/connect', async (req, res) => {
+router.post('/connect', requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const organizationId = req.organizationId;
 
@@ -138,7 +142,7 @@ router.get('/:siteId', async (req, res) => {
 /**
  * POST /api/sites/:siteId/detect-sections - AI-powered section detection
  */
-router.post('/:siteId/detect-sections', async (req, res) => {
+router.post('/:siteId/detect-sections', requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { siteId } = req.params;
     const { pageUrl } = req.body;
@@ -175,12 +179,12 @@ router.post('/:siteId/detect-sections', async (req, res) => {
       });
 
     } else {
-      // WordPress uses existing REST API method
+      // REST API platforms list their pages and posts
       const sections = await siteManager.detectSections(siteId);
 
       res.json({
         success: true,
-        platform: 'wordpress',
+        platform,
         pages: sections.pages,
         posts: sections.posts
       });
@@ -198,7 +202,7 @@ router.post('/:siteId/detect-sections', async (req, res) => {
 /**
  * POST /api/sites/:siteId/update-content - Update content (platform-agnostic)
  */
-router.post('/:siteId/update-content', async (req, res) => {
+router.post('/:siteId/update-content', requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { siteId } = req.params;
     const updateData = req.body;
@@ -223,10 +227,20 @@ router.post('/:siteId/update-content', async (req, res) => {
 
     const updateResult = await siteManager.updateContent(siteId, updateData);
 
+    if (!updateResult.success) {
+      // Universal sites without a save recipe cannot persist edits yet
+      return res.status(updateResult.needs_recipe ? 409 : 502).json({
+        success: false,
+        platform: result.platform,
+        error: updateResult.error,
+        needs_recipe: Boolean(updateResult.needs_recipe)
+      });
+    }
+
     // Log update to database
     await db.contentUpdates.create({
       organization_id: organizationId,
-      wordpress_site_id: result.platform === 'wordpress' ? siteId : null,
+      wordpress_site_id: result.platform !== 'universal' ? siteId : null,
       universal_site_id: result.platform === 'universal' ? siteId : null,
       content_slot_id: updateData.slotId || null,
       update_instructions: updateData.instructions || 'Manual update',
@@ -249,10 +263,182 @@ router.post('/:siteId/update-content', async (req, res) => {
   }
 });
 
+/**
+ * Load a universal site owned by the organization, or send the error response
+ * @returns {Object|null} - Site row, or null when a response was sent
+ */
+async function loadUniversalSite(req, res) {
+  const result = await siteManager.getSite(req.params.siteId);
+
+  if (!result || result.site.organization_id !== req.organizationId) {
+    res.status(404).json({
+      success: false,
+      error: 'Site not found'
+    });
+    return null;
+  }
+
+  if (result.platform !== 'universal') {
+    res.status(400).json({
+      success: false,
+      error: `Save recipes are only used by universal sites; ${result.platform} sites save through their API`
+    });
+    return null;
+  }
+
+  return result.site;
+}
+
+/**
+ * GET /api/sites/:siteId/save-recipe - Get the recorded save recipe
+ */
+router.get('/:siteId/save-recipe', async (req, res) => {
+  try {
+    const site = await loadUniversalSite(req, res);
+    if (!site) return;
+
+    const recipe = await db.siteSaveRecipes.findBySite(site.id);
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        error: 'No save recipe recorded for this site',
+        actions: SaveRecipe.actions
+      });
+    }
+
+    res.json({
+      success: true,
+      recipe
+    });
+
+  } catch (error) {
+    console.error('[API /sites/:siteId/save-recipe] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/sites/:siteId/save-recipe - Record (or replace) the save recipe
+ * Body: { steps: [{ action, selector, value, url, key, ms }], verify? }
+ */
+router.put('/:siteId/save-recipe', requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { steps, verify } = req.body;
+
+    const validation = SaveRecipe.validate(steps);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid save recipe',
+        details: validation.errors,
+        actions: SaveRecipe.actions
+      });
+    }
+
+    const site = await loadUniversalSite(req, res);
+    if (!site) return;
+
+    const recipe = await db.siteSaveRecipes.upsert({
+      universal_site_id: site.id,
+      organization_id: req.organizationId,
+      steps,
+      verify,
+      created_by: req.userEmail || req.userId
+    });
+
+    res.json({
+      success: true,
+      recipe
+    });
+
+  } catch (error) {
+    console.error('[API /sites/:siteId/save-recipe] Error saving recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/sites/:siteId/save-recipe/test - Replay the recipe without changing content
+ * Body: { pageUrl, sectionSelector }
+ * Saves the section's current content through the recipe and verifies it
+ */
+router.post('/:siteId/save-recipe/test', requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const { pageUrl, sectionSelector } = req.body;
+
+    if (!sectionSelector) {
+      return res.status(400).json({
+        success: false,
+        error: 'sectionSelector is required'
+      });
+    }
+
+    const site = await loadUniversalSite(req, res);
+    if (!site) return;
+
+    const recipe = await db.siteSaveRecipes.findBySite(site.id);
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        error: 'No save recipe recorded for this site'
+      });
+    }
+
+    const result = await platforms.getAdapter('universal').testSaveRecipe(site, recipe, pageUrl, sectionSelector);
+
+    res.status(result.success ? 200 : 422).json(result);
+
+  } catch (error) {
+    console.error('[API /sites/:siteId/save-recipe/test] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/sites/:siteId/save-recipe - Remove the save recipe
+ */
+router.delete('/:siteId/save-recipe', requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const site = await loadUniversalSite(req, res);
+    if (!site) return;
+
+    const deleted = await db.siteSaveRecipes.deleteBySite(site.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'No save recipe recorded for this site'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Save recipe removed'
+    });
+
+  } catch (error) {
+    console.error('[API /sites/:siteId/save-recipe] Error deleting recipe:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/sites/:siteId - Disconnect site
  */
-router.delete('/:siteId', async (req, res) => {
+router.delete('/:siteId', requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { siteId } = req.params;
 
@@ -276,6 +462,14 @@ router.delete('/:siteId', async (req, res) => {
 
     await siteManager.disconnectSite(siteId);
 
+    await webhookService.emit(organizationId, 'site.disconnected', {
+      site_id: siteId,
+      site_name: result.site.site_name,
+      site_url: result.site.site_url,
+      platform: result.platform,
+      disconnected_by: req.userEmail || req.userId,
+    });
+
     res.json({
       success: true,
       message: 'Site disconnected successfully'
@@ -5,24 +5,76 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requireRole, requireScope } = require('./auth');
 const db = require('../../services/database');
-const WordPressClient = require('../../services/wordpress');
+const platforms = require('../../services/platforms');
 const SlotParser = require('../../services/slotParser');
+const BlockParser = require('../../services/blockParser');
+const JsonTemplateParser = require('../../services/jsonTemplateParser');
+const PublishingService = require('../../services/publishingService');
+const approvalWorkflow = require('../../services/approvalWorkflow');
+const SiteManager = require('../../services/siteManager');
+const webhookService = require('../../services/webhookService');
+const ContentDiff = require('../../services/contentDiff');
 const { autoInsertMarker } = require("../../../auto_insert_marker");
 
-// Helper to decrypt WordPress password
-function decryptPassword(encrypted) {
-  return Buffer.from(encrypted, 'base64').toString('utf-8');
+const publishingService = new PublishingService();
+const siteManager = new SiteManager();
+
+// Slot types that edit a located region directly and need no SWE:SLOT markers
+const MARKERLESS_SLOT_TYPES = {
+  wp_block: 'This slot edits the targeted Gutenberg block directly; no markers are needed',
+  css_selector: 'This slot edits the element matched by the CSS selector directly; no markers are needed',
+  json_setting: 'This slot edits the theme setting at slot_target.path directly; no markers are needed',
+  full_content: 'This slot replaces the whole content of the resource; no markers are needed',
+};
+
+// Helper to check page_type against the resource types the site's platform has
+function invalidPageType(site, pageType) {
+  const { resourceTypes } = platforms.forSite(site);
+  return resourceTypes.includes(pageType) ? null : `page_type must be one of: ${resourceTypes.join(', ')}`;
 }
 
+// Helper to load a slot and its site (WordPress or universal), verifying ownership
+async function loadOwnedSlot(slotId, organizationId) {
+  const slot = await db.contentSlots.findById(slotId);
+  if (!slot) {
+    return { error: 'Slot not found', status: 404 };
+  }
+
+  const platform = slot.wordpress_site_id ? 'wordpress' : 'universal';
+  const site = platform === 'wordpress'
+    ? await db.wordpressSites.findById(slot.wordpress_site_id)
+    : await db.universalSites.findById(slot.universal_site_id);
+
+  if (!site || site.organization_id !== organizationId) {
+    return { error: 'Access denied', status: 403 };
+  }
+
+  return { slot, site, platform };
+}
+
+// Helper to check whether an approval rule covers the slot; gated zones only
+// change through a reviewed content update
+async function isGated(slot, organizationId) {
+  const { required } = await approvalWorkflow.requiresApproval({
+    organization_id: organizationId,
+    wordpress_site_id: slot.wordpress_site_id,
+    content_slot_id: slot.id,
+  });
+  return required;
+}
+
+const GATED_ZONE_ERROR = 'This zone requires approval; submit the change for review through /api/content';
+
 // ===========================================
 // POST /api/slots/scan
-// Scan a WordPress page for existing slot markers
+// Scan a page (or other resource) of a WordPress, Ghost or Shopify site for
+// existing slot markers
 // ===========================================
-router.post('/scan', authenticateToken, async (req, res) => {
+router.post('/scan', authenticateToken, requireScope('slots:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
-    const { wordpress_site_id, wp_page_id } = req.body;
+    const { wordpress_site_id, wp_page_id, page_type = 'page' } = req.body;
 
     if (!wordpress_site_id || !wp_page_id) {
       return res.status(400).json({
@@ -36,21 +88,28 @@ router.post('/scan', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'WordPress site not found' });
     }
 
-    // Get page from WordPress
-    const wp_password = decryptPassword(site.wp_app_password_encrypted);
-    const wpClient = new WordPressClient(site.site_url, site.wp_username, wp_password);
-    const pageResult = await wpClient.getPage(wp_page_id);
+    const pageTypeError = invalidPageType(site, page_type);
+    if (pageTypeError) {
+      return res.status(400).json({ error: pageTypeError });
+    }
+
+    // Get page from the site
+    const platform = platforms.platformOf(site);
+    const pageResult = await platforms.forSite(site).getPage(site, wp_page_id, { type: page_type });
 
     if (!pageResult.success) {
       return res.status(400).json({
-        error: 'Failed to fetch page from WordPress',
+        error: 'Failed to fetch page from the site',
         details: pageResult.error,
       });
     }
 
     // Parse slots from page content
     const slots = SlotParser.parseSlots(pageResult.page.content);
+    const tree = SlotParser.parseSlotTree(pageResult.page.content);
     const stats = SlotParser.getSlotStats(pageResult.page.content);
+    const blocks = platform === 'wordpress' ? BlockParser.listBlocks(pageResult.page.content) : [];
+    const settings = page_type === 'theme_asset' ? JsonTemplateParser.listSettings(pageResult.page.content) : [];
 
     console.log('[SLOTS] Scanned page:', {
       site: site.site_url,
@@ -61,11 +120,17 @@ router.post('/scan', authenticateToken, async (req, res) => {
     res.json({
       page: {
         id: pageResult.page.id,
+        type: page_type,
         title: pageResult.page.title,
         link: pageResult.page.link,
       },
+      platform,
       slots: slots,
+      tree: tree.slots,
+      errors: tree.errors,
       stats: stats,
+      blocks: blocks,
+      settings: settings,
     });
   } catch (error) {
     console.error('[SLOTS] Scan error:', error);
@@ -77,7 +142,7 @@ router.post('/scan', authenticateToken, async (req, res) => {
 // POST /api/slots/create
 // Create a new content slot
 // ===========================================
-router.post('/create', authenticateToken, async (req, res) => {
+router.post('/create', authenticateToken, requireScope('slots:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const {
       wordpress_site_id,
@@ -89,6 +154,8 @@ router.post('/create', authenticateToken, async (req, res) => {
       slot_type,
       css_selector,
       section_type,
+      slot_target,
+      page_type = 'page',
     } = req.body;
 
     // Validation
@@ -98,12 +165,51 @@ router.post('/create', authenticateToken, async (req, res) => {
       });
     }
 
+    const isSelectorSlot = slot_type === 'css_selector';
+    if (isSelectorSlot && !css_selector) {
+      return res.status(400).json({ error: 'css_selector slots require css_selector' });
+    }
+
+    const isBlockSlot = slot_type === 'wp_block';
+    if (isBlockSlot && (!slot_target || typeof slot_target !== 'object' ||
+      !(slot_target.anchor || slot_target.block_name || slot_target.index !== undefined || Array.isArray(slot_target.path)))) {
+      return res.status(400).json({
+        error: 'wp_block slots require slot_target with anchor, block_name, index or path',
+      });
+    }
+
+    const isSettingSlot = slot_type === 'json_setting';
+    if (isSettingSlot && (!slot_target || !Array.isArray(slot_target.path) || slot_target.path.length === 0)) {
+      return res.status(400).json({ error: 'json_setting slots require slot_target with a path' });
+    }
+
+    const isMarkerSlot = !slot_type || slot_type === 'html_marker';
+    if (!isMarkerSlot && !MARKERLESS_SLOT_TYPES[slot_type]) {
+      return res.status(400).json({
+        error: `slot_type must be one of: html_marker, ${Object.keys(MARKERLESS_SLOT_TYPES).join(', ')}`,
+      });
+    }
+
     // Get WordPress site
     const site = await db.wordpressSites.findById(wordpress_site_id);
     if (!site || site.organization_id !== req.organizationId) {
       return res.status(404).json({ error: 'WordPress site not found' });
     }
 
+    const pageTypeError = invalidPageType(site, page_type);
+    if (pageTypeError) {
+      return res.status(400).json({ error: pageTypeError });
+    }
+
+    const platform = platforms.platformOf(site);
+    if (isBlockSlot && platform !== 'wordpress') {
+      return res.status(400).json({ error: 'wp_block slots are only available on WordPress sites' });
+    }
+
+    if (isSettingSlot && page_type !== 'theme_asset') {
+      return res.status(400).json({ error: 'json_setting slots are only available on Shopify theme files' });
+    }
+
     // Generate or validate marker name
     const finalMarkerName = marker_name || SlotParser.generateMarkerName(slot_name);
     const validation = SlotParser.validateMarkerName(finalMarkerName);
@@ -112,26 +218,49 @@ router.post('/create', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: validation.error });
     }
 
-    // Get page from WordPress to find title
-    const wp_password = decryptPassword(site.wp_app_password_encrypted);
-    const wpClient = new WordPressClient(site.site_url, site.wp_username, wp_password);
-    const pageResult = await wpClient.getPage(wp_page_id);
+    // Get page from the site to find title
+    const pageResult = await platforms.forSite(site).getPage(site, wp_page_id, { type: page_type });
 
     if (!pageResult.success) {
       return res.status(400).json({
-        error: 'Failed to fetch page from WordPress',
+        error: 'Failed to fetch page from the site',
         details: pageResult.error,
       });
     }
 
-    // Check if marker already exists on page
-    const existingSlots = SlotParser.parseSlots(pageResult.page.content);
-    const markerExists = existingSlots.some(s => s.marker_name === finalMarkerName);
+    if (isSelectorSlot || isSettingSlot) {
+      // The selector must match an element with editable content, the path a text setting
+      const probe = publishingService.locateSlot(pageResult.page.content, { slot_type, css_selector, slot_target });
 
-    if (markerExists) {
-      return res.status(409).json({
-        error: `Slot marker "${finalMarkerName}" already exists on this page`,
-      });
+      if (!probe.found) {
+        return res.status(400).json({
+          error: isSelectorSlot ? 'Selector cannot be used as a slot' : 'Setting cannot be used as a slot',
+          details: probe.error,
+          settings: isSettingSlot ? JsonTemplateParser.listSettings(pageResult.page.content) : undefined,
+        });
+      }
+    } else if (isBlockSlot) {
+      // The block must exist and hold replaceable content
+      const probe = publishingService.locateSlot(pageResult.page.content, { slot_type, slot_target });
+      const replaceable = probe.found ? probe.replace(probe.content || '') : { success: false, error: probe.error };
+
+      if (!replaceable.success) {
+        return res.status(400).json({
+          error: 'Block cannot be used as a slot',
+          details: replaceable.error,
+          blocks: BlockParser.listBlocks(pageResult.page.content),
+        });
+      }
+    } else if (isMarkerSlot) {
+      // Check if marker already exists on page
+      const existingSlots = SlotParser.parseSlots(pageResult.page.content);
+      const markerExists = existingSlots.some(s => s.marker_name === finalMarkerName);
+
+      if (markerExists) {
+        return res.status(409).json({
+          error: `Slot marker "${finalMarkerName}" already exists on this page`,
+        });
+      }
     }
 
     // Create slot in database
@@ -146,6 +275,8 @@ router.post('/create', authenticateToken, async (req, res) => {
       slot_type: slot_type || 'html_marker',
       css_selector: css_selector || null,
       section_type: section_type || null,
+      slot_target: isBlockSlot || isSettingSlot ? slot_target : null,
+      page_type,
     });
 
     console.log('[SLOTS] Created slot:', {
@@ -168,11 +299,19 @@ router.post('/create', authenticateToken, async (req, res) => {
         is_active: slot.is_active,
         created_at: slot.created_at,
         slot_type: slot.slot_type,
+        slot_target: slot.slot_target,
         css_selector: slot.css_selector,
         section_type: slot.section_type,
+        page_type: slot.page_type,
       },
-      instructions: {
-        message: 'Add this HTML marker to your WordPress page where you want the content to appear',
+      instructions: !isMarkerSlot ? {
+        message: MARKERLESS_SLOT_TYPES[slot_type],
+      } : {
+        message: platform === 'ghost'
+          ? 'Add an HTML card to your Ghost post or page containing these markers (Ghost removes HTML comments outside HTML cards)'
+          : platform === 'wordpress'
+            ? 'Add this HTML marker to your WordPress page where you want the content to appear'
+            : 'Add this HTML marker to the content where you want it to appear',
         opening_marker: `<!-- SWE:SLOT:${finalMarkerName} -->`,
         example_content: 'Your content here',
         closing_marker: `<!-- /SWE:SLOT:${finalMarkerName} -->`,
@@ -211,6 +350,7 @@ router.get('/site/:siteId', authenticateToken, async (req, res) => {
         slot_label: slot.slot_label,
         marker_name: slot.marker_name,
         wp_page_id: slot.wp_page_id,
+        page_type: slot.page_type,
         wp_page_title: slot.wp_page_title,
         is_active: slot.is_active,
         last_updated_at: slot.last_updated_at,
@@ -244,17 +384,20 @@ router.get('/:slotId', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Get current content from WordPress
-    const wp_password = decryptPassword(site.wp_app_password_encrypted);
-    const wpClient = new WordPressClient(site.site_url, site.wp_username, wp_password);
-    const pageResult = await wpClient.getPage(slot.wp_page_id);
+    // Get current content from the site
+    const pageResult = await platforms.forSite(site).getPage(site, slot.wp_page_id, { type: slot.page_type });
 
     let currentContent = null;
     let markerExists = false;
+    let pageModified = null;
+    let contentHash = null;
 
     if (pageResult.success) {
-      currentContent = SlotParser.getSlotContent(pageResult.page.content, slot.marker_name);
-      markerExists = SlotParser.hasSlot(pageResult.page.content, slot.marker_name);
+      const location = publishingService.locateSlot(pageResult.page.content, slot);
+      currentContent = location.content;
+      markerExists = location.found;
+      pageModified = pageResult.page.modified;
+      contentHash = publishingService.hashContent(pageResult.page.content);
     }
 
     res.json({
@@ -265,13 +408,17 @@ router.get('/:slotId', authenticateToken, async (req, res) => {
         marker_name: slot.marker_name,
         description: slot.description,
         wp_page_id: slot.wp_page_id,
+        page_type: slot.page_type,
         wp_page_title: slot.wp_page_title,
         current_content: currentContent,
         marker_exists: markerExists,
+        page_modified: pageModified,
+        content_hash: contentHash,
         is_active: slot.is_active,
         last_updated_at: slot.last_updated_at,
         created_at: slot.created_at,
         slot_type: slot.slot_type,
+        slot_target: slot.slot_target,
         css_selector: slot.css_selector,
       },
       site: {
@@ -290,7 +437,7 @@ router.get('/:slotId', authenticateToken, async (req, res) => {
 // PATCH /api/slots/:slotId
 // Update slot configuration
 // ===========================================
-router.patch('/:slotId', authenticateToken, async (req, res) => {
+router.patch('/:slotId', authenticateToken, requireScope('slots:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const slot = await db.contentSlots.findById(req.params.slotId);
 
@@ -336,7 +483,7 @@ router.patch('/:slotId', authenticateToken, async (req, res) => {
 // DELETE /api/slots/:slotId
 // Remove slot (does not remove markers from page)
 // ===========================================
-router.delete('/:slotId', authenticateToken, async (req, res) => {
+router.delete('/:slotId', authenticateToken, requireScope('slots:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const slot = await db.contentSlots.findById(req.params.slotId);
 
@@ -389,22 +536,26 @@ module.exports = router;
 
 // ===========================================
 // PUT /api/slots/:slotId/content
-// Save edited content to WordPress
+// Save edited content to the site; only the slot's region of the page changes
 // ===========================================
-router.put('/:slotId/content', authenticateToken, async (req, res) => {
+router.put('/:slotId/content', authenticateToken, requireScope('slots:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { slotId } = req.params;
-    const { content } = req.body;
+    const { content, expected_modified, expected_hash, base_content, on_conflict } = req.body;
 
     if (!content && content !== '') {
       return res.status(400).json({ error: 'Content is required' });
     }
 
+    if (on_conflict && !['force', 'merge'].includes(on_conflict)) {
+      return res.status(400).json({ error: 'on_conflict must be "force" or "merge"' });
+    }
+
     console.log('[SLOTS] Saving content for slot:', slotId);
 
     // Get slot details
     const slotResult = await db.query(
-      'SELECT cs.*, ws.site_url, ws.wp_username, ws.wp_app_password_encrypted FROM content_slots cs JOIN wordpress_sites ws ON cs.wordpress_site_id = ws.id WHERE cs.id = $1',
+      'SELECT cs.*, ws.organization_id FROM content_slots cs JOIN wordpress_sites ws ON cs.wordpress_site_id = ws.id WHERE cs.id = $1',
       [slotId]
     );
 
@@ -415,60 +566,75 @@ router.put('/:slotId/content', authenticateToken, async (req, res) => {
     const slot = slotResult.rows[0];
 
     // Verify ownership
-    const siteResult = await db.query(
-      'SELECT organization_id FROM wordpress_sites WHERE id = $1',
-      [slot.wordpress_site_id]
-    );
-
-    if (siteResult.rows[0].organization_id !== req.organizationId) {
+    if (slot.organization_id !== req.organizationId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Decode WordPress password
-    const wpPassword = Buffer.from(slot.wp_app_password_encrypted, 'base64').toString('utf-8');
-    const authHeader = Buffer.from(`${slot.wp_username}:${wpPassword}`).toString('base64');
-    // Determine endpoint
-    const endpoint = slot.section_type === 'page' ? 'pages' : 'posts';
-    const wpUrl = `${slot.site_url}/wp-json/wp/v2/${endpoint}/${slot.wp_page_id}`;
+    if (await isGated(slot, req.organizationId)) {
+      return res.status(403).json({ error: GATED_ZONE_ERROR });
+    }
 
-    console.log('[SLOTS] Updating WordPress:', wpUrl);
+    const site = await db.wordpressSites.findById(slot.wordpress_site_id);
 
-    // Update WordPress
-    const axios = require('axios');
-    const wpResponse = await axios.post(wpUrl, {
-      content: content
-    }, {
-      headers: {
-        'Authorization': `Basic ${authHeader}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 15000
+    console.log('[SLOTS] Updating site page:', site.site_url, slot.page_type, slot.wp_page_id);
+
+    // Splice the content into the slot's region (markers, block, selector...)
+    const publishResult = await publishingService.publishToSlot({
+      wordpress_site: site,
+      slot: slot,
+      generated_content: content,
+      expected_modified,
+      expected_hash,
+      base_content,
+      on_conflict,
     });
 
-    console.log('[SLOTS] WordPress updated successfully');
+    if (publishResult.conflict) {
+      return res.status(409).json(publishResult);
+    }
 
-    // Update database
-    await db.query(
-      'UPDATE content_slots SET current_content = $1, last_updated = NOW() WHERE id = $2',
-      [content, slotId]
-    );
+    if (!publishResult.success) {
+      return res.status(400).json({
+        error: 'Failed to save content',
+        details: publishResult.error,
+        message: publishResult.message || publishResult.details,
+        instructions: publishResult.instructions,
+        violations: publishResult.violations,
+      });
+    }
+
+    console.log('[SLOTS] Site page updated successfully');
+
+    // Update database (merged content if a merge was applied)
+    const savedContent = publishResult.slot_update.new_content;
+    await db.contentSlots.updateContent(slotId, savedContent);
 
     // Create revision
     try {
-      await db.query(
-        'INSERT INTO content_revisions (slot_id, old_content, new_content, changed_by) VALUES ($1, $2, $3, $4)',
-        [slotId, slot.current_content, content, req.user?.id || 'system']
-      );
+      await db.contentRevisions.create({
+        slot_id: slotId,
+        organization_id: req.organizationId,
+        old_content: publishResult.slot_update.old_content,
+        new_content: savedContent,
+        changed_by: req.userEmail || req.userId,
+        source: 'manual',
+      });
     } catch (revErr) {
-      console.log('[SLOTS] Revisions table not found, skipping');
+      console.error('[SLOTS] Failed to record revision:', revErr.message);
     }
 
+    await webhookService.emitSlotPublished(req.organizationId, slot, {
+      source: 'manual',
+      page_url: publishResult.wordpress_page.link,
+      published_by: req.userEmail || req.userId,
+    });
+
     res.json({
       success: true,
       message: 'Content saved successfully',
       slot: {
         id: slotId,
-        content: content.substring(0, 100) + '...'
+        content: savedContent.substring(0, 100) + '...'
       }
     });
 
@@ -480,3 +646,227 @@ router.put('/:slotId/content', authenticateToken, async (req, res) => {
     });
   }
 });
+
+// ===========================================
+// GET /api/slots/:slotId/revisions
+// List revision history for a slot (newest first)
+// ===========================================
+router.get('/:slotId/revisions', authenticateToken, async (req, res) => {
+  try {
+    const owned = await loadOwnedSlot(req.params.slotId, req.organizationId);
+    if (owned.error) {
+      return res.status(owned.status).json({ error: owned.error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const [revisions, total] = await Promise.all([
+      db.contentRevisions.findBySlot(owned.slot.id, limit, offset),
+      db.contentRevisions.countBySlot(owned.slot.id),
+    ]);
+
+    res.json({
+      slot: {
+        id: owned.slot.id,
+        slot_name: owned.slot.slot_name,
+        marker_name: owned.slot.marker_name,
+      },
+      revisions: revisions,
+      total: total,
+      limit: limit,
+      offset: offset,
+    });
+  } catch (error) {
+    console.error('[SLOTS] List revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// ===========================================
+// GET /api/slots/:slotId/revisions/diff?from=<revId>&to=<revId|current>
+// Diff the content of two revisions. Without "from", shows the change
+// introduced by the "to" revision; "to" defaults to the slot's current content
+// ===========================================
+router.get('/:slotId/revisions/diff', authenticateToken, async (req, res) => {
+  try {
+    const owned = await loadOwnedSlot(req.params.slotId, req.organizationId);
+    if (owned.error) {
+      return res.status(owned.status).json({ error: owned.error });
+    }
+
+    const { from, to = 'current' } = req.query;
+
+    if (!from && to === 'current') {
+      return res.status(400).json({ error: 'from or to revision is required' });
+    }
+
+    const loadRevision = async (revId) => {
+      const revision = await db.contentRevisions.findById(revId);
+      return revision && revision.slot_id === owned.slot.id ? revision : null;
+    };
+
+    let toSide;
+    let toRevision = null;
+    if (to === 'current') {
+      toSide = { id: 'current', content: owned.slot.current_content || '' };
+    } else {
+      toRevision = await loadRevision(to);
+      if (!toRevision) {
+        return res.status(404).json({ error: 'Revision not found', revision_id: to });
+      }
+      toSide = { id: toRevision.id, created_at: toRevision.created_at, content: toRevision.new_content || '' };
+    }
+
+    let fromSide;
+    if (from) {
+      const fromRevision = await loadRevision(from);
+      if (!fromRevision) {
+        return res.status(404).json({ error: 'Revision not found', revision_id: from });
+      }
+      fromSide = { id: fromRevision.id, created_at: fromRevision.created_at, content: fromRevision.new_content || '' };
+    } else {
+      fromSide = { id: `${toRevision.id}:before`, created_at: toRevision.created_at, content: toRevision.old_content || '' };
+    }
+
+    const diff = ContentDiff.diff(fromSide.content, toSide.content, {
+      context: req.query.context !== undefined ? parseInt(req.query.context) : 3,
+    });
+
+    res.json({
+      from: { id: fromSide.id, created_at: fromSide.created_at },
+      to: { id: toSide.id, created_at: toSide.created_at },
+      identical: diff.identical,
+      stats: diff.stats,
+      hunks: diff.hunks,
+      unified: diff.unified,
+    });
+  } catch (error) {
+    console.error('[SLOTS] Revision diff error:', error);
+    res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+});
+
+// ===========================================
+// GET /api/slots/:slotId/revisions/:revId
+// Get a single revision with its before/after content
+// ===========================================
+router.get('/:slotId/revisions/:revId', authenticateToken, async (req, res) => {
+  try {
+    const owned = await loadOwnedSlot(req.params.slotId, req.organizationId);
+    if (owned.error) {
+      return res.status(owned.status).json({ error: owned.error });
+    }
+
+    const revision = await db.contentRevisions.findById(req.params.revId);
+    if (!revision || revision.slot_id !== owned.slot.id) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    console.error('[SLOTS] Get revision error:', error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+// ===========================================
+// POST /api/slots/:slotId/revisions/:revId/restore
+// Republish a revision's content through the slot's platform
+// ===========================================
+router.post('/:slotId/revisions/:revId/restore', authenticateToken, requireScope('slots:write'), requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const owned = await loadOwnedSlot(req.params.slotId, req.organizationId);
+    if (owned.error) {
+      return res.status(owned.status).json({ error: owned.error });
+    }
+
+    const { slot, site, platform } = owned;
+
+    if (await isGated(slot, req.organizationId)) {
+      return res.status(403).json({ error: GATED_ZONE_ERROR });
+    }
+
+    const revision = await db.contentRevisions.findById(req.params.revId);
+    if (!revision || revision.slot_id !== slot.id) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const content = revision.new_content || '';
+
+    console.log('[SLOTS] Restoring revision:', {
+      slot_id: slot.id,
+      revision_id: revision.id,
+      platform: platform,
+    });
+
+    let pageLink = null;
+
+    if (platform === 'wordpress') {
+      const rollbackResult = await publishingService.rollbackContent({
+        wordpress_site: site,
+        slot: slot,
+        previous_content: content,
+      });
+
+      if (!rollbackResult.success) {
+        return res.status(400).json({
+          error: 'Failed to restore revision',
+          details: rollbackResult.error,
+        });
+      }
+
+      pageLink = rollbackResult.page.link;
+    } else {
+      const updateResult = await siteManager.updateContent(site.id, {
+        pageUrl: site.site_url,
+        sectionSelector: slot.css_selector,
+        content: content,
+      });
+
+      if (!updateResult || !updateResult.success) {
+        return res.status(400).json({
+          error: 'Failed to restore revision',
+          details: updateResult?.error,
+        });
+      }
+
+      pageLink = site.site_url;
+    }
+
+    await db.contentSlots.updateContent(slot.id, content);
+
+    const restored = await db.contentRevisions.create({
+      slot_id: slot.id,
+      organization_id: req.organizationId,
+      old_content: slot.current_content,
+      new_content: content,
+      changed_by: req.userEmail || req.userId,
+      source: 'restore',
+      restored_from_revision_id: revision.id,
+    });
+
+    await webhookService.emitSlotPublished(req.organizationId, slot, {
+      source: 'restore',
+      page_url: pageLink,
+      published_by: req.userEmail || req.userId,
+    });
+
+    res.json({
+      success: true,
+      message: 'Revision restored successfully',
+      revision: {
+        id: restored.id,
+        restored_from_revision_id: revision.id,
+        created_at: restored.created_at,
+      },
+      page_link: pageLink,
+    });
+  } catch (error) {
+    console.error('[SLOTS] Restore revision error:', error);
+    res.status(500).json({
+      error: 'Failed to restore revision',
+      details: error.message,
+    });
+  }
+});
@@ -8,12 +8,23 @@ const router = express.Router();
 const crypto = require('crypto');
 const db = require('../../services/database');
 const creditService = require('../../services/creditService');
+const pricingService = require('../../services/pricingService');
+const autoTopupService = require('../../services/autoTopupService');
+const dunningService = require('../../services/dunningService');
 const emailService = require('../../services/emailService');
 const KcAdminClient = require('@keycloak/keycloak-admin-client').default;
 
 // Stripe will be initialized when needed
 let stripe = null;
 
+// Monthly credit allowance per plan, e.g. "pro:100,business:500"; granted on
+// each paid subscription invoice and expiring at the end of that period
+const PLAN_CREDIT_ALLOWANCES = (process.env.PLAN_CREDIT_ALLOWANCES || '')
+  .split(',')
+  .map(entry => entry.split(':'))
+  .filter(([plan, credits]) => plan && parseInt(credits) > 0)
+  .reduce((allowances, [plan, credits]) => ({ ...allowances, [plan.trim().toLowerCase()]: parseInt(credits) }), {});
+
 function getStripeClient() {
   if (!stripe) {
     const stripeKey = process.env.STRIPE_SECRET_KEY;
@@ -66,10 +77,20 @@ router.post('/webhook', async (req, res) => {
 
       case 'invoice.payment_succeeded':
         console.log('[Stripe Webhook] Payment succeeded:', event.data.object.id);
+        await handleInvoicePaid(event.data.object);
+        break;
+
+      case 'payment_intent.succeeded':
+        await handleTopupSucceeded(event.data.object);
+        break;
+
+      case 'payment_intent.payment_failed':
+        await handleTopupFailed(event.data.object);
         break;
 
       case 'invoice.payment_failed':
         console.log('[Stripe Webhook] Payment failed:', event.data.object.id);
+        await handleInvoicePaymentFailed(event.data.object);
         break;
 
       default:
@@ -303,7 +324,8 @@ async function handleSubscriptionUpdated(subscription) {
     [subscription.status, organizationId]
   );
 
-  const isActive = subscription.status === 'active';
+  // past_due stays active through the dunning grace period
+  const isActive = subscription.status === 'active' || subscription.status === 'past_due';
   await db.query(
     `UPDATE organizations
      SET subscription_status = $1,
@@ -338,6 +360,79 @@ async function handleSubscriptionDeleted(subscription) {
 }
 
 
+/**
+ * Start dunning for a failed subscription payment
+ */
+async function handleInvoicePaymentFailed(invoice) {
+  if (!invoice.subscription) {
+    return;
+  }
+
+  const organizationResult = await db.query(
+    'SELECT id FROM organizations WHERE stripe_subscription_id = $1',
+    [invoice.subscription]
+  );
+
+  if (organizationResult.rows.length === 0) {
+    console.log('[Stripe Webhook] No organization found for subscription:', invoice.subscription);
+    return;
+  }
+
+  await dunningService.recordFailure(organizationResult.rows[0].id, invoice);
+}
+
+/**
+ * End dunning and grant the plan's credit allowance for a paid subscription period
+ */
+async function handleInvoicePaid(invoice) {
+  if (!invoice.subscription) {
+    return;
+  }
+
+  const organizationResult = await db.query(
+    'SELECT id FROM organizations WHERE stripe_subscription_id = $1',
+    [invoice.subscription]
+  );
+
+  if (organizationResult.rows.length === 0) {
+    console.log('[Stripe Webhook] No organization found for subscription:', invoice.subscription);
+    return;
+  }
+
+  const organizationId = organizationResult.rows[0].id;
+
+  // Restores a downgraded plan first, so the allowance below is the plan's own
+  await dunningService.recordPayment(organizationId);
+
+  if (!['subscription_create', 'subscription_cycle'].includes(invoice.billing_reason)) {
+    return;
+  }
+
+  const plan = await pricingService.planOf(organizationId);
+  const allowance = PLAN_CREDIT_ALLOWANCES[plan];
+
+  if (!allowance) {
+    return;
+  }
+
+  const line = invoice.lines && invoice.lines.data && invoice.lines.data[0];
+  const periodEnd = line && line.period ? line.period.end : invoice.period_end;
+
+  const newBalance = await creditService.addCredits(
+    organizationId,
+    allowance,
+    `${plan} plan allowance - ${allowance} credits`,
+    { source: 'plan_allowance', expiresAt: new Date(periodEnd * 1000), reference: invoice.id }
+  );
+
+  console.log('[Stripe Webhook] Plan allowance granted:', {
+    organization_id: organizationId,
+    plan,
+    credits: allowance,
+    new_balance: newBalance
+  });
+}
+
 /**
  * Handle credit purchase completion
  */
@@ -363,10 +458,12 @@ async function handleCreditPurchase(session) {
 
   try {
     // Add credits to user account
+    // Purchased credits never expire; the session id guards against retries
     const newBalance = await creditService.addCredits(
       user_id,
       credits,
-      `Purchased ${package_id} pack - ${credits} credits`
+      `Purchased ${package_id} pack - ${credits} credits`,
+      { source: 'purchased', reference: session.id }
     );
 
     console.log('[Stripe Webhook] Credits added successfully:', {
@@ -375,10 +472,63 @@ async function handleCreditPurchase(session) {
       new_balance: newBalance
     });
 
+    // The card was saved for off-session use; keep the customer for auto top-up
+    if (session.customer) {
+      await db.query(
+        'UPDATE organizations SET stripe_customer_id = $1 WHERE id = $2 AND stripe_customer_id IS NULL',
+        [session.customer, user_id]
+      );
+    }
+
   } catch (error) {
     console.error('[Stripe Webhook] Failed to add credits:', error.message);
     throw error;
   }
 }
 
+/**
+ * Credit an automatic top-up once its off-session payment succeeds
+ * (other PaymentIntents, e.g. from Checkout, are handled elsewhere)
+ */
+async function handleTopupSucceeded(intent) {
+  if (!intent.metadata || intent.metadata.type !== 'credit_topup') {
+    return;
+  }
+
+  const topup = await db.creditTopups.findById(intent.metadata.topup_id);
+  if (!topup) {
+    console.error('[Stripe Webhook] Top-up not found for PaymentIntent:', intent.id);
+    return;
+  }
+
+  // Credit first: the PaymentIntent id makes a retried delivery a no-op
+  const newBalance = await creditService.addCredits(
+    topup.organization_id,
+    topup.credits,
+    `Auto top-up - ${topup.credits} credits`,
+    { source: 'purchased', reference: intent.id }
+  );
+  await db.creditTopups.markSucceeded(topup.id, intent.id);
+
+  console.log('[Stripe Webhook] Auto top-up credited:', {
+    organization_id: topup.organization_id,
+    credits_added: topup.credits,
+    new_balance: newBalance
+  });
+}
+
+/**
+ * Record a declined automatic top-up and email the owners
+ */
+async function handleTopupFailed(intent) {
+  if (!intent.metadata || intent.metadata.type !== 'credit_topup') {
+    return;
+  }
+
+  const reason = intent.last_payment_error ? intent.last_payment_error.message : 'Payment failed';
+  const balance = await creditService.getBalance(intent.metadata.organization_id);
+
+  await autoTopupService.fail(intent.metadata.topup_id, reason, intent.id, balance);
+}
+
 module.exports = router;
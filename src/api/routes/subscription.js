@@ -5,14 +5,14 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requireRole } = require('./auth');
 const db = require('../../services/database');
 
 // ===========================================
 // GET /api/subscription
 // Get subscription details for organization
 // ===========================================
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requireRole('owner'), async (req, res) => {
   try {
     const subscription = await db.subscriptions.findByOrganization(req.organizationId);
 
@@ -42,6 +42,10 @@ router.get('/', authenticateToken, async (req, res) => {
       }
     }
 
+    // Open dunning episode after a failed payment (past_due, then downgraded)
+    const dunning = await db.subscriptionDunning.findByOrganization(req.organizationId);
+    const openDunning = dunning && dunning.status !== 'resolved' ? dunning : null;
+
     res.json({
       subscription: {
         plan_name: subscription.plan_name,
@@ -50,8 +54,16 @@ router.get('/', authenticateToken, async (req, res) => {
         updates_this_month: subscription.updates_this_month || 0,
         billing_cycle_start: subscription.billing_cycle_start,
         next_billing_date: subscription.next_billing_date,
-        status: 'active',
+        status: openDunning ? openDunning.status : 'active',
       },
+      dunning: openDunning ? {
+        status: openDunning.status,
+        grace_ends_at: openDunning.grace_ends_at,
+        failed_attempts: openDunning.failed_attempts,
+        invoice_url: openDunning.hosted_invoice_url,
+        previous_plan_name: openDunning.previous_plan_name,
+        scheduled_publishing_paused: openDunning.status === 'downgraded',
+      } : null,
     });
   } catch (error) {
     console.error('[SUBSCRIPTION] Get subscription error:', error);
@@ -0,0 +1,221 @@
+/**
+ * Team Routes
+ * Members of an organization, their roles and invitations
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole, issueLoginToken, ROLES } = require('./auth');
+const db = require('../../services/database');
+const { sendTeamInvitationEmail } = require('../../services/emailService');
+
+// Invitation links stay valid longer than regular login links
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Helper to load a member and verify they belong to the organization
+async function loadMember(memberId, organizationId) {
+  const member = await db.users.findById(memberId);
+  if (!member || member.organization_id !== organizationId) {
+    return { error: 'Team member not found', status: 404 };
+  }
+  return { member };
+}
+
+function formatMember(member) {
+  return {
+    id: member.id,
+    email: member.email,
+    name: member.name,
+    role: member.role,
+    status: member.status,
+    invited_by: member.invited_by_email || null,
+    invited_at: member.invited_at,
+    joined_at: member.joined_at,
+    last_login_at: member.last_login_at,
+  };
+}
+
+async function sendInvitation(member, req) {
+  const organization = await db.organizations.findById(member.organization_id);
+  const { magicToken } = await issueLoginToken(member.email, member.organization_id, member.id, INVITATION_TTL_MS);
+
+  await sendTeamInvitationEmail(member.email, {
+    organizationName: organization ? organization.name : 'your team',
+    invitedBy: req.userEmail,
+    role: member.role,
+    magicToken,
+  });
+}
+
+// ===========================================
+// GET /api/team
+// List members of the organization
+// ===========================================
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const members = await db.users.findByOrganization(req.organizationId);
+
+    res.json({
+      members: members.map(formatMember),
+      total: members.length,
+      your_role: req.userRole,
+    });
+  } catch (error) {
+    console.error('[TEAM] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch team members' });
+  }
+});
+
+// ===========================================
+// POST /api/team/invite
+// Invite someone by email: { email, role, name }
+// ===========================================
+router.post('/invite', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const { email, name, role = 'editor' } = req.body;
+
+    if (!email || !email.includes('@')) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const existing = await db.users.findByEmail(email);
+    if (existing) {
+      return res.status(409).json({
+        error: existing.organization_id === req.organizationId
+          ? 'This person is already a member of your team'
+          : 'This email already belongs to another SafeWebEdit account',
+      });
+    }
+
+    const member = await db.users.create({
+      organization_id: req.organizationId,
+      email: email,
+      name: name,
+      role: role,
+      status: 'invited',
+      invited_by: req.memberId,
+    });
+
+    await sendInvitation(member, req);
+
+    console.log('[TEAM] Member invited:', { organization_id: req.organizationId, email: member.email, role });
+
+    res.status(201).json({
+      message: 'Invitation sent',
+      member: formatMember(member),
+    });
+  } catch (error) {
+    console.error('[TEAM] Invite error:', error);
+    res.status(500).json({ error: 'Failed to invite team member' });
+  }
+});
+
+// ===========================================
+// POST /api/team/:memberId/resend
+// Send a fresh invitation link
+// ===========================================
+router.post('/:memberId/resend', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const loaded = await loadMember(req.params.memberId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    if (loaded.member.status !== 'invited') {
+      return res.status(400).json({ error: 'This member has already accepted their invitation' });
+    }
+
+    await sendInvitation(loaded.member, req);
+
+    res.json({
+      message: 'Invitation resent',
+      member: formatMember(loaded.member),
+    });
+  } catch (error) {
+    console.error('[TEAM] Resend invitation error:', error);
+    res.status(500).json({ error: 'Failed to resend invitation' });
+  }
+});
+
+// ===========================================
+// PATCH /api/team/:memberId
+// Change a member's role, name or disable/enable them
+// ===========================================
+router.patch('/:memberId', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const loaded = await loadMember(req.params.memberId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const { member } = loaded;
+    const { role, name, disabled } = req.body;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    let status;
+    if (disabled !== undefined) {
+      status = disabled ? 'disabled' : (member.joined_at ? 'active' : 'invited');
+    }
+
+    // Never leave the organization without an active owner
+    const losesOwner = member.role === 'owner' && member.status === 'active' &&
+      ((role !== undefined && role !== 'owner') || status === 'disabled');
+
+    if (losesOwner && await db.users.countOwners(req.organizationId) <= 1) {
+      return res.status(400).json({ error: 'An organization must keep at least one active owner' });
+    }
+
+    const updated = await db.users.update(member.id, { role, name, status });
+
+    console.log('[TEAM] Member updated:', { member_id: member.id, role: updated.role, status: updated.status });
+
+    res.json({
+      message: 'Team member updated',
+      member: formatMember(updated),
+    });
+  } catch (error) {
+    console.error('[TEAM] Update error:', error);
+    res.status(500).json({ error: 'Failed to update team member' });
+  }
+});
+
+// ===========================================
+// DELETE /api/team/:memberId
+// Remove a member (or revoke a pending invitation)
+// ===========================================
+router.delete('/:memberId', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const loaded = await loadMember(req.params.memberId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const { member } = loaded;
+
+    if (member.role === 'owner' && member.status === 'active' && await db.users.countOwners(req.organizationId) <= 1) {
+      return res.status(400).json({ error: 'An organization must keep at least one active owner' });
+    }
+
+    // Sessions and login tokens cascade with the member row
+    await db.users.delete(member.id);
+
+    console.log('[TEAM] Member removed:', { organization_id: req.organizationId, email: member.email });
+
+    res.json({
+      success: true,
+      message: member.status === 'invited' ? 'Invitation revoked' : 'Team member removed',
+    });
+  } catch (error) {
+    console.error('[TEAM] Remove error:', error);
+    res.status(500).json({ error: 'Failed to remove team member' });
+  }
+});
+
+module.exports = router;
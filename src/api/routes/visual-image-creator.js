@@ -2,10 +2,12 @@ const express = require("express");
 const router = express.Router();
 const { createCanvas, registerFont } = require("canvas");
 const sharp = require("sharp");
-const FormData = require("form-data");
 const axios = require("axios");
 const { query } = require("../../services/database");
+const platforms = require("../../services/platforms");
 const creditService = require("../../services/creditService");
+const pricingService = require("../../services/pricingService");
+const { requireRole } = require("./auth");
 
 /**
  * Visual Image Creator API
@@ -75,10 +77,11 @@ router.post("/create", async (req, res) => {
 
 // ===========================================
 // POST /api/visual-creator/save-to-wordpress
-// Save created image to WordPress media library
+// Save created image to the site's media library (WordPress, Ghost, Shopify)
 // ===========================================
-router.post("/save-to-wordpress", async (req, res) => {
+router.post("/save-to-wordpress", requireRole("owner", "editor"), async (req, res) => {
   const { site_id, image_base64, filename, replace_image_url, page_id, target_width, target_height } = req.body;
+  let reservation = null;
 
   console.log("\n" + "=".repeat(80));
   console.log("[IMG-SWAP] REQUEST START");
@@ -95,40 +98,41 @@ router.post("/save-to-wordpress", async (req, res) => {
 
   try {
     console.log("[IMG-SWAP] [1/5] Fetching site...");
-    const siteResult = await query(
-      "SELECT site_url, wp_username, wp_app_password_encrypted, organization_id FROM wordpress_sites WHERE id = $1",
-      [site_id]
-    );
+    const found = await platforms.findSite(site_id);
 
-    if (siteResult.rows.length === 0) {
+    if (!found || found.site.organization_id !== req.organizationId) {
       console.error("[IMG-SWAP] FAIL: Site not found");
       return res.status(404).json({ error: "Site not found" });
     }
 
-    const { site_url, wp_username, wp_app_password_encrypted, organization_id } = siteResult.rows[0];
-    console.log("[IMG-SWAP] OK: Site =", site_url);
-    // Check credits (2 credits needed for image swap)
-    console.log("[IMG-SWAP]   Checking credits for user:", organization_id);
-    const hasEnoughCredits = await creditService.hasCredits(organization_id, 2);
-    const currentBalance = await creditService.getBalance(organization_id);
-    console.log("[IMG-SWAP]   Current balance:", currentBalance);
+    const { site, adapter, platform } = found;
+    const { site_url, organization_id } = site;
+    console.log("[IMG-SWAP] OK: Site =", site_url, "(" + platform + ")");
+
+    console.log("[IMG-SWAP] [2/5] Checking platform...");
+    if (platform === 'universal') {
+      console.error("[IMG-SWAP] FAIL: Media uploads not supported for", platform);
+      return res.status(400).json({ error: "Image uploads are not supported for universal sites" });
+    }
+    console.log("[IMG-SWAP] OK: Platform ready");
+
+    // Hold the swap's price; charged only once the image is saved
+    const { credits: swapCredits } = await pricingService.getPrice('image_swap', organization_id);
+    console.log("[IMG-SWAP]   Reserving", swapCredits, "credits for user:", organization_id);
+    const held = await creditService.reserve(organization_id, swapCredits, 'Image swap');
 
-    if (!hasEnoughCredits) {
+    if (!held.success) {
       console.error("[IMG-SWAP] FAIL: Insufficient credits");
-      console.error("[IMG-SWAP]   Required: 2, Available:", currentBalance);
+      console.error("[IMG-SWAP]   Required:", swapCredits, "Available:", held.available);
       return res.status(402).json({
         error: "Insufficient credits",
-        required: 2,
-        available: currentBalance,
-        message: "You need 2 credits to swap an image. Please purchase more credits."
+        required: swapCredits,
+        available: held.available,
+        message: `You need ${swapCredits} credits to swap an image. Please purchase more credits.`
       });
     }
-    console.log("[IMG-SWAP] OK: Credits sufficient");
-
-    console.log("[IMG-SWAP] [2/5] Preparing auth...");
-    const wp_password = Buffer.from(wp_app_password_encrypted, 'base64').toString('utf-8');
-    const authHeader = Buffer.from(`${wp_username}:${wp_password}`).toString('base64');
-    console.log("[IMG-SWAP] OK: Auth ready");
+    reservation = held.reservation;
+    console.log("[IMG-SWAP] OK: Credits reserved");
 
     console.log("[IMG-SWAP] [3/5] Uploading image...");
     const imageData = image_base64.replace(/^data:image\/\w+;base64,/, '');
@@ -154,47 +158,40 @@ router.post("/save-to-wordpress", async (req, res) => {
     }
 
 
-    const form = new FormData();
-    form.append('file', finalImageBuffer, {
+    const uploadResult = await adapter.uploadMedia(site, {
+      data: finalImageBuffer,
       filename: filename || `ai-${Date.now()}.png`,
-      contentType: 'image/png'
+      mime_type: 'image/png'
     });
 
-    const uploadResponse = await axios.post(
-      `${site_url}/wp-json/wp/v2/media`,
-      form,
-      {
-        headers: {
-          'Authorization': `Basic ${authHeader}`,
-          ...form.getHeaders()
-        },
-        timeout: 30000,
-        maxBodyLength: 10000000
+    if (!uploadResult.success) {
+      if (uploadResult.reauthorize) {
+        await creditService.release(reservation.id).catch(() => {});
+        return res.status(403).json({ success: false, error: uploadResult.error, reauthorize: true });
       }
-    );
+      throw new Error(uploadResult.error);
+    }
 
-    const newMedia = uploadResponse.data;
+    const newMedia = uploadResult.media;
     console.log("[IMG-SWAP] OK: Upload complete");
     console.log("[IMG-SWAP]   ID:", newMedia.id);
-    console.log("[IMG-SWAP]   URL:", newMedia.source_url);
+    console.log("[IMG-SWAP]   URL:", newMedia.url);
 
     let replacedIn = [];
+    let replaceError = null;
     if (replace_image_url && page_id) {
       console.log("[IMG-SWAP] [4/5] Replacing in content...");
       console.log("[IMG-SWAP]   Page:", page_id);
       console.log("[IMG-SWAP]   Find:", replace_image_url);
-      console.log("[IMG-SWAP]   Replace with:", newMedia.source_url);
+      console.log("[IMG-SWAP]   Replace with:", newMedia.url);
 
       try {
-        const pageResp = await axios.get(
-          `${site_url}/wp-json/wp/v2/pages/${page_id}?context=edit`,
-          {
-            headers: { 'Authorization': `Basic ${authHeader}` },
-            timeout: 30000
-          }
-        );
+        const pageResult = await adapter.getPage(site, page_id);
+        if (!pageResult.success) {
+          throw new Error(pageResult.error);
+        }
 
-        const rawContent = pageResp.data.content.raw || pageResp.data.content.rendered;
+        const rawContent = pageResult.page.content;
         console.log("[IMG-SWAP] OK: Page fetched, length:", rawContent.length);
 
         const urlExists = rawContent.includes(replace_image_url);
@@ -205,34 +202,28 @@ router.post("/save-to-wordpress", async (req, res) => {
           console.warn("[IMG-SWAP]   Preview:", rawContent.substring(0, 200));
         }
 
-        const updatedContent = rawContent.split(replace_image_url).join(newMedia.source_url);
+        const updatedContent = rawContent.split(replace_image_url).join(newMedia.url);
         const changed = rawContent !== updatedContent;
         console.log("[IMG-SWAP]   Changed:", changed);
 
         if (changed) {
-          console.log("[IMG-SWAP] [5/5] Saving to WordPress...");
-          const updateResp = await axios.post(
-            `${site_url}/wp-json/wp/v2/pages/${page_id}`,
-            { content: updatedContent },
-            {
-              headers: {
-                'Authorization': `Basic ${authHeader}`,
-                'Content-Type': 'application/json'
-              },
-              timeout: 30000
-            }
-          );
-
-          console.log("[IMG-SWAP] OK: Saved! Modified:", updateResp.data.modified);
+          console.log("[IMG-SWAP] [5/5] Saving to site...");
+          const updateResult = await adapter.updatePage(site, page_id, updatedContent);
+          if (!updateResult.success) {
+            throw new Error(updateResult.error);
+          }
+
+          console.log("[IMG-SWAP] OK: Saved! Modified:", updateResult.page.modified);
           replacedIn.push({
             page_id: page_id,
             old_url: replace_image_url,
-            new_url: newMedia.source_url
+            new_url: newMedia.url
           });
         } else {
           console.warn("[IMG-SWAP] WARN: No replacement made");
         }
       } catch (err) {
+        replaceError = err.message;
         console.error("[IMG-SWAP] ERROR in replacement:", err.message);
         if (err.response) {
           console.error("[IMG-SWAP]   Status:", err.response.status);
@@ -242,28 +233,32 @@ router.post("/save-to-wordpress", async (req, res) => {
     }
 
     console.log("[IMG-SWAP] SUCCESS");
-    // Deduct 2 credits for image swap
-    const swapReason = replacedIn.length > 0 ? 'Image swap' : 'Image upload';
-    const newBalance = await creditService.useCredits(organization_id, 2, swapReason);
-    console.log("[IMG-SWAP]   Deducted 2 credits, new balance:", newBalance);
+    // Charge the swap unless the requested page update failed
+    const creditsUsed = replaceError ? 0 : swapCredits;
+    const newBalance = await creditService.commit(reservation.id, creditsUsed);
+    console.log("[IMG-SWAP]   Deducted", creditsUsed, "credits, new balance:", newBalance);
     console.log("=".repeat(80) + "\n");
 
     res.json({
       success: true,
       new_image: {
         id: newMedia.id,
-        url: newMedia.source_url,
-        title: newMedia.title?.rendered
+        url: newMedia.url,
+        title: newMedia.title
       },
       replaced_in: replacedIn,
+      replace_error: replaceError,
       credits: {
-        used: 2,
+        used: creditsUsed,
         balance: newBalance
       },
       message: replacedIn.length > 0 ? "Replaced" : "Uploaded only"
     });
 
   } catch (error) {
+    if (reservation) {
+      await creditService.release(reservation.id).catch(() => {});
+    }
     console.error("[IMG-SWAP] FATAL ERROR");
     console.error("[IMG-SWAP]   Message:", error.message);
     if (error.response) {
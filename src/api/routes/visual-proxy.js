@@ -1,6 +1,63 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
+const db = require('../../services/database');
+const PublishingService = require('../../services/publishingService');
+
+const publishingService = new PublishingService();
+
+// Signed draft preview: renders the live page with unpublished slot content
+// (public - access is granted by the token created via /api/content/:updateId/preview-link)
+router.get('/preview', async (req, res) => {
+  const sendError = (status, title, message) => {
+    res.status(status)
+      .setHeader('Cache-Control', 'no-store')
+      .send(`<html><body><h1>${title}</h1><p>${message}</p></body></html>`);
+  };
+
+  try {
+    const payload = publishingService.verifyPreviewToken(req.query.token);
+    if (!payload) {
+      return sendError(401, 'Preview link expired', 'This preview link is invalid or has expired. Ask for a new link.');
+    }
+
+    const update = await db.contentUpdates.findById(payload.update_id);
+    if (!update || update.organization_id !== payload.organization_id) {
+      return sendError(404, 'Preview not found', 'The content for this preview no longer exists.');
+    }
+
+    if (publishingService.hashContent(update.generated_content) !== payload.content_hash) {
+      return sendError(410, 'Preview outdated', 'The draft was edited after this link was created. Ask for a new link.');
+    }
+
+    const slot = await db.contentSlots.findById(update.content_slot_id);
+    const site = slot ? await db.wordpressSites.findById(update.wordpress_site_id) : null;
+    if (!slot || !site) {
+      return sendError(404, 'Preview not found', 'The slot or site for this preview no longer exists.');
+    }
+
+    console.log('[VISUAL-PROXY] Rendering preview:', { update_id: update.id, slot: slot.marker_name });
+
+    const preview = await publishingService.renderPreview({
+      wordpress_site: site,
+      slot: slot,
+      generated_content: update.generated_content,
+    });
+
+    if (!preview.success) {
+      return sendError(422, 'Preview unavailable', preview.error);
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Security-Policy', "frame-ancestors *; default-src * 'unsafe-inline' 'unsafe-eval' data: blob:;");
+    res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+    res.send(preview.html);
+  } catch (error) {
+    console.error('[VISUAL-PROXY] Preview error:', error.message);
+    sendError(500, 'Failed to load preview', 'Please try again later.');
+  }
+});
 
 router.get('/', async (req, res) => {
   try {
@@ -0,0 +1,301 @@
+/**
+ * Webhook Routes
+ * Manage outbound webhook endpoints and inspect their delivery log
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('./auth');
+const db = require('../../services/database');
+const webhookService = require('../../services/webhookService');
+
+const MAX_ENDPOINTS = 10;
+
+// Helper to load an endpoint and verify ownership
+async function loadEndpoint(endpointId, organizationId) {
+  const endpoint = await db.webhookEndpoints.findById(endpointId);
+  if (!endpoint || endpoint.organization_id !== organizationId) {
+    return { error: 'Webhook endpoint not found', status: 404 };
+  }
+  return { endpoint };
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  const unknown = events.filter(event => event !== '*' && !webhookService.events.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+function formatEndpoint(endpoint, includeSecret = false) {
+  return {
+    id: endpoint.id,
+    url: endpoint.url,
+    description: endpoint.description,
+    events: endpoint.events,
+    is_active: endpoint.is_active,
+    secret: includeSecret ? endpoint.secret : undefined,
+    created_at: endpoint.created_at,
+    updated_at: endpoint.updated_at,
+  };
+}
+
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    next_attempt_at: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    response_status: delivery.response_status,
+    error_message: delivery.error_message,
+    duration_ms: delivery.duration_ms,
+    created_at: delivery.created_at,
+    delivered_at: delivery.delivered_at,
+  };
+}
+
+// ===========================================
+// GET /api/webhooks
+// List webhook endpoints
+// ===========================================
+router.get('/', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const endpoints = await db.webhookEndpoints.findByOrganization(req.organizationId);
+
+    res.json({
+      endpoints: endpoints.map(endpoint => formatEndpoint(endpoint)),
+      total: endpoints.length,
+      available_events: webhookService.events,
+    });
+  } catch (error) {
+    console.error('[WEBHOOKS] List error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook endpoints' });
+  }
+});
+
+// ===========================================
+// POST /api/webhooks
+// Register an endpoint: { url, events, description }
+// The signing secret is returned once here (and on rotate)
+// ===========================================
+router.post('/', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const urlCheck = webhookService.validateUrl(url);
+    if (!urlCheck.valid) {
+      return res.status(400).json({ error: urlCheck.error });
+    }
+
+    const eventsError = validateEvents(events);
+    if (eventsError) {
+      return res.status(400).json({ error: eventsError, available_events: webhookService.events });
+    }
+
+    const existing = await db.webhookEndpoints.findByOrganization(req.organizationId);
+    if (existing.length >= MAX_ENDPOINTS) {
+      return res.status(400).json({ error: `An organization can have at most ${MAX_ENDPOINTS} webhook endpoints` });
+    }
+
+    const endpoint = await db.webhookEndpoints.create({
+      organization_id: req.organizationId,
+      url,
+      description,
+      events: Array.from(new Set(events)),
+      secret: webhookService.generateSecret(),
+    });
+
+    console.log('[WEBHOOKS] Endpoint created:', { endpoint_id: endpoint.id, events: endpoint.events });
+
+    res.status(201).json({
+      message: 'Webhook endpoint created. Store the secret - it is used to verify signatures.',
+      endpoint: formatEndpoint(endpoint, true),
+    });
+  } catch (error) {
+    console.error('[WEBHOOKS] Create error:', error);
+    res.status(500).json({ error: 'Failed to create webhook endpoint' });
+  }
+});
+
+// ===========================================
+// PATCH /api/webhooks/:endpointId
+// Update url, events, description or is_active
+// ===========================================
+router.patch('/:endpointId', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const loaded = await loadEndpoint(req.params.endpointId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const { url, events, description, is_active } = req.body;
+
+    if (url !== undefined) {
+      const urlCheck = webhookService.validateUrl(url);
+      if (!urlCheck.valid) {
+        return res.status(400).json({ error: urlCheck.error });
+      }
+    }
+
+    if (events !== undefined) {
+      const eventsError = validateEvents(events);
+      if (eventsError) {
+        return res.status(400).json({ error: eventsError, available_events: webhookService.events });
+      }
+    }
+
+    const updated = await db.webhookEndpoints.update(loaded.endpoint.id, {
+      url,
+      description,
+      events: events ? Array.from(new Set(events)) : undefined,
+      is_active: is_active === undefined ? undefined : Boolean(is_active),
+    });
+
+    res.json({
+      message: 'Webhook endpoint updated',
+      endpoint: formatEndpoint(updated || loaded.endpoint),
+    });
+  } catch (error) {
+    console.error('[WEBHOOKS] Update error:', error);
+    res.status(500).json({ error: 'Failed to update webhook endpoint' });
+  }
+});
+
+// ===========================================
+// POST /api/webhooks/:endpointId/rotate-secret
+// Replace the signing secret
+// ===========================================
+router.post('/:endpointId/rotate-secret', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const loaded = await loadEndpoint(req.params.endpointId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const updated = await db.webhookEndpoints.update(loaded.endpoint.id, {
+      secret: webhookService.generateSecret(),
+    });
+
+    console.log('[WEBHOOKS] Secret rotated:', { endpoint_id: updated.id });
+
+    res.json({
+      message: 'Signing secret rotated',
+      endpoint: formatEndpoint(updated, true),
+    });
+  } catch (error) {
+    console.error('[WEBHOOKS] Rotate secret error:', error);
+    res.status(500).json({ error: 'Failed to rotate signing secret' });
+  }
+});
+
+// ===========================================
+// DELETE /api/webhooks/:endpointId
+// Remove an endpoint and its delivery log
+// ===========================================
+router.delete('/:endpointId', authenticateToken, requireRole('owner'), async (req, res) => {
+  try {
+    const loaded = await loadEndpoint(req.params.endpointId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    await db.webhookEndpoints.delete(loaded.endpoint.id);
+
+    console.log('[WEBHOOKS] Endpoint deleted:', { endpoint_id: loaded.endpoint.id });
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint deleted',
+    });
+  } catch (error) {
+    console.error('[WEBHOOKS] Delete error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook endpoint' });
+  }
+});
+
+// ===========================================
+// POST /api/webhooks/:endpointId/test
+// Send a signed webhook.test event now and return the result
+// ===========================================
+router.post('/:endpointId/test', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const loaded = await loadEndpoint(req.params.endpointId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const delivery = await webhookService.sendTest(loaded.endpoint);
+
+    res.json({
+      success: delivery.status === 'succeeded',
+      delivery: formatDelivery(delivery),
+    });
+  } catch (error) {
+    console.error('[WEBHOOKS] Test error:', error);
+    res.status(500).json({ error: 'Failed to send test webhook' });
+  }
+});
+
+// ===========================================
+// GET /api/webhooks/:endpointId/deliveries
+// Delivery log for an endpoint (most recent first)
+// ===========================================
+router.get('/:endpointId/deliveries', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const loaded = await loadEndpoint(req.params.endpointId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const deliveries = await db.webhookDeliveries.findByEndpoint(loaded.endpoint.id, limit);
+
+    res.json({
+      deliveries: deliveries.map(formatDelivery),
+      total: deliveries.length,
+    });
+  } catch (error) {
+    console.error('[WEBHOOKS] Deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+// ===========================================
+// POST /api/webhooks/:endpointId/deliveries/:deliveryId/redeliver
+// Retry a failed delivery now
+// ===========================================
+router.post('/:endpointId/deliveries/:deliveryId/redeliver', authenticateToken, requireRole('owner', 'editor'), async (req, res) => {
+  try {
+    const loaded = await loadEndpoint(req.params.endpointId, req.organizationId);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const delivery = await db.webhookDeliveries.findById(req.params.deliveryId);
+    if (!delivery || delivery.endpoint_id !== loaded.endpoint.id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const result = await webhookService.deliverNow(delivery.id, { retry: false });
+    if (!result) {
+      return res.status(409).json({
+        error: `Delivery cannot be redelivered while ${delivery.status}`,
+      });
+    }
+
+    res.json({
+      success: result.status === 'succeeded',
+      delivery: formatDelivery(result),
+    });
+  } catch (error) {
+    console.error('[WEBHOOKS] Redeliver error:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+module.exports = router;
@@ -6,30 +6,24 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('./auth');
+const { authenticateToken, requireRole, requireScope } = require('./auth');
+const webhookService = require('../../services/webhookService');
 const db = require('../../services/database');
 const WordPressClient = require('../../services/wordpress');
 const SectionDetector = require('../../services/sectionDetector');
 const VisualAnalyzer = require('../../services/visualAnalyzer');
 const multer = require('multer');
+const {
+  encodeWordPressPassword: encryptPassword,
+  decodeWordPressPassword: decryptPassword,
+} = require('../../services/platforms/credentials');
 const upload = multer({ storage: multer.memoryStorage() });
 
-// Simple encryption for app passwords (in production, use proper encryption)
-function encryptPassword(password) {
-  // For MVP, we'll use base64 encoding
-  // TODO: Use proper encryption like AES-256 in production
-  return Buffer.from(password).toString('base64');
-}
-
-function decryptPassword(encrypted) {
-  return Buffer.from(encrypted, 'base64').toString('utf-8');
-}
-
 // ===========================================
 // POST /api/wordpress/connect
 // Connect and verify a WordPress site
 // ===========================================
-router.post('/connect', authenticateToken, async (req, res) => {
+router.post('/connect', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   console.log("[WP] Connect request body:", req.body);
   try {
     const { site_url, site_name, wp_username, wp_app_password } = req.body;
@@ -190,7 +184,7 @@ router.get('/sites/:siteId', authenticateToken, async (req, res) => {
 // POST /api/wordpress/sites/:siteId/test
 // Test WordPress site connection
 // ===========================================
-router.post('/sites/:siteId/test', authenticateToken, async (req, res) => {
+router.post('/sites/:siteId/test', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const site = await db.wordpressSites.findById(req.params.siteId);
 
@@ -253,7 +247,7 @@ router.post('/sites/:siteId/test', authenticateToken, async (req, res) => {
 // POST /api/wordpress/sites/:siteId/refresh
 // Refresh pages and posts from WordPress
 // ===========================================
-router.post('/sites/:siteId/refresh', authenticateToken, async (req, res) => {
+router.post('/sites/:siteId/refresh', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const site = await db.wordpressSites.findById(req.params.siteId);
 
@@ -338,7 +332,7 @@ router.get("/sites/:siteId/pages", authenticateToken, async (req, res) => {
     res.status(500).json({ error: "Failed to fetch pages" });
   }
 });
-router.delete('/sites/:siteId', authenticateToken, async (req, res) => {
+router.delete('/sites/:siteId', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   console.log("[WP] DELETE site request:", req.params.siteId, "by org:", req.organizationId);
   try {
     const site = await db.wordpressSites.findById(req.params.siteId);
@@ -354,6 +348,14 @@ router.delete('/sites/:siteId', authenticateToken, async (req, res) => {
 
     await db.wordpressSites.delete(req.params.siteId);
 
+    await webhookService.emit(req.organizationId, 'site.disconnected', {
+      site_id: site.id,
+      site_name: site.site_name,
+      site_url: site.site_url,
+      platform: 'wordpress',
+      disconnected_by: req.userEmail || req.userId,
+    });
+
     res.json({
       success: true,
       message: 'WordPress site removed successfully',
@@ -368,7 +370,7 @@ router.delete('/sites/:siteId', authenticateToken, async (req, res) => {
 // POST /api/wordpress/sites/:siteId/pages/:pageId/analyze
 // Analyze WordPress page and detect editable sections with AI
 // ===========================================
-router.post('/sites/:siteId/pages/:pageId/analyze', authenticateToken, async (req, res) => {
+router.post('/sites/:siteId/pages/:pageId/analyze', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { siteId, pageId } = req.params;
 
@@ -444,7 +446,7 @@ router.post('/sites/:siteId/pages/:pageId/analyze', authenticateToken, async (re
 // POST /api/wordpress/sites/:siteId/pages/:pageId/analyze-visual
 // Analyze WordPress page visually with Playwright (screenshots + visual sections)
 // ===========================================
-router.post('/sites/:siteId/pages/:pageId/analyze-visual', authenticateToken, async (req, res) => {
+router.post('/sites/:siteId/pages/:pageId/analyze-visual', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { siteId, pageId } = req.params;
 
@@ -620,7 +622,7 @@ router.get('/sites/:siteId/products/:productId', authenticateToken, async (req,
 // PUT /api/wordpress/sites/:siteId/products/:productId
 // Update WooCommerce product
 // ===========================================
-router.put('/sites/:siteId/products/:productId', authenticateToken, async (req, res) => {
+router.put('/sites/:siteId/products/:productId', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), async (req, res) => {
   try {
     const { siteId, productId } = req.params;
     const updateData = req.body;
@@ -682,7 +684,7 @@ router.put('/sites/:siteId/products/:productId', authenticateToken, async (req,
 // POST /api/wordpress/sites/:siteId/media/upload
 // Upload image to WordPress media library
 // ===========================================
-router.post('/sites/:siteId/media/upload', authenticateToken, upload.single('image'), async (req, res) => {
+router.post('/sites/:siteId/media/upload', authenticateToken, requireScope('sites:write'), requireRole('owner', 'editor'), upload.single('image'), async (req, res) => {
   try {
     const { siteId } = req.params;
 
@@ -13,9 +13,14 @@ const { v4: uuidv4 } = require('uuid');
 
 // Import database
 const db = require('./services/database');
+const publishScheduler = require('./services/publishScheduler');
+const webhookService = require('./services/webhookService');
+const creditExpiryJob = require('./services/creditExpiryJob');
+const dunningService = require('./services/dunningService');
+const platforms = require('./services/platforms');
 
 const { router: authRoutes, trackActivity } = require("./api/routes/auth");
-const { authenticateToken } = require("./api/routes/auth");
+const { authenticateToken, apiKeyAccess, requireAdmin } = require("./api/routes/auth");
 const wordpressRoutes = require("./api/routes/wordpress");
 const shopifyRoutes = require("./api/routes/shopify");
 const ghostRoutes = require("./api/routes/ghost");
@@ -32,6 +37,7 @@ const subscriptionRoutes = require("./api/routes/subscription");
 const passwordResetRoutes = require("./api/routes/password-reset");
 const onboardRoutes = require("./api/routes/onboard"); // NEW: Onboarding flow
 const stripeWebhookRoutes = require("./api/routes/stripe-webhook"); // NEW: Stripe webhooks
+const shopifyWebhookRoutes = require("./api/routes/shopify-webhooks"); // Shopify app lifecycle + GDPR webhooks
 const emailRoutes = require("./api/routes/email"); // Email inbound parse webhook
 const platformDetectionRoutes = require("./api/routes/platform-detection"); // NEW: Freemium platform detection
 const imageOverlayRoutes = require("./api/routes/image-overlay"); // NEW: Image overlay feature
@@ -39,6 +45,12 @@ const imageTextReplacementRoutes = require("./api/routes/image-text-replacement"
 const visualImageCreatorRoutes = require("./api/routes/visual-image-creator"); // NEW: Visual image creator
 const aiImageGenRoutes = require("./api/routes/ai-image-gen"); // NEW: AI image generation
 const creditsRoutes = require("./api/routes/credits"); // NEW: Credits system
+const changesetRoutes = require("./api/routes/changesets");
+const teamRoutes = require("./api/routes/team");
+const apiKeyRoutes = require("./api/routes/api-keys");
+const webhookRoutes = require("./api/routes/webhooks");
+const adminPricingRoutes = require("./api/routes/admin-pricing"); // Credit pricing catalog (platform admins)
+const adminCreditsRoutes = require("./api/routes/admin-credits"); // Credit buckets and grants (platform admins)
 
 // Initialize Express app
 const app = express();
@@ -72,6 +84,8 @@ app.use(cors({
 // IMPORTANT: Stripe webhook must come BEFORE express.json()
 // Stripe needs raw body for signature verification
 app.use('/api/stripe', express.raw({ type: 'application/json' }), stripeWebhookRoutes);
+// Shopify webhooks are HMAC-signed over the raw body too
+app.use('/api/shopify/webhooks', express.raw({ type: 'application/json' }), shopifyWebhookRoutes);
 
 // Request parsing
 app.use(express.json({ limit: '10mb' }));
@@ -105,12 +119,15 @@ app.use('/api/', limiter);
 // Health check endpoint
 app.get('/health', async (req, res) => {
   const dbHealth = await db.healthCheck();
+  // Browsers are launched on first universal-site use
+  const browserPool = platforms.getAdapter('universal').getPoolStats();
   res.json({
     status: 'healthy',
     service: 'SafeWebEdits API',
     version: '1.0.0',
     timestamp: new Date().toISOString(),
     database: dbHealth,
+    browserPool: browserPool || { status: 'not_started' },
   });
 });
 
@@ -158,22 +175,28 @@ app.use("/api/image-text", authenticateToken, imageTextReplacementRoutes);
 app.use("/api/visual-creator", authenticateToken, visualImageCreatorRoutes);
 app.use("/api/ai-image-gen", authenticateToken, aiImageGenRoutes);
 app.use("/api/credits", authenticateToken, trackActivity, creditsRoutes);
+app.use("/api/team", authenticateToken, trackActivity, teamRoutes);
+app.use("/api/api-keys", authenticateToken, trackActivity, apiKeyRoutes);
+app.use("/api/webhooks", authenticateToken, trackActivity, webhookRoutes);
+app.use("/api/admin/pricing", authenticateToken, requireAdmin, adminPricingRoutes);
+app.use("/api/admin/credits", authenticateToken, requireAdmin, adminCreditsRoutes);
 
 // Sites routes (NEW - unified WordPress + Universal)
-app.use("/api/sites", authenticateToken, trackActivity, sitesRoutes);
+app.use("/api/sites", apiKeyAccess('sites:read'), authenticateToken, trackActivity, sitesRoutes);
 
 // WordPress routes (legacy - kept for backwards compatibility)
-app.use("/api/wordpress", authenticateToken, trackActivity, wordpressRoutes);
-app.use("/api/shopify", shopifyRoutes);
-app.use("/api/ghost", ghostRoutes);
+app.use("/api/wordpress", apiKeyAccess('sites:read'), authenticateToken, trackActivity, wordpressRoutes);
+app.use("/api/shopify", apiKeyAccess('sites:read'), shopifyRoutes);
+app.use("/api/ghost", apiKeyAccess('sites:read'), ghostRoutes);
 
 // Content management routes
-app.use("/api/slots", authenticateToken, slotsRoutes);
+app.use("/api/slots", apiKeyAccess('slots:read'), authenticateToken, slotsRoutes);
 app.use("/api/content-editor", authenticateToken, contentEditorRoutes);
 app.use("/api/visual-proxy", visualProxyRoutes); // No auth required for proxy
 app.use("/api/visual-editor", authenticateToken, trackActivity, visualEditorRoutes);
 app.use("/api/auto-discovery", authenticateToken, autoDiscoveryRoutes);
-app.use("/api/content", authenticateToken, trackActivity, contentRoutes);
+app.use("/api/content", apiKeyAccess('content:read'), authenticateToken, trackActivity, contentRoutes);
+app.use("/api/changesets", authenticateToken, trackActivity, changesetRoutes);
 app.use("/api/command", authenticateToken, trackActivity, commandRoutes);
 
 // Subscription routes
@@ -229,11 +252,35 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`  Server running at http://localhost:${PORT}`);
   console.log(`  Health check: http://localhost:${PORT}/health`);
   console.log('============================================');
+
+  // Background publishing of scheduled slot updates
+  if (process.env.PUBLISH_SCHEDULER_ENABLED !== 'false') {
+    publishScheduler.start();
+  }
+
+  // Background delivery of outbound webhooks
+  if (process.env.WEBHOOK_DISPATCHER_ENABLED !== 'false') {
+    webhookService.start();
+  }
+
+  // Nightly expiry of credit buckets
+  if (process.env.CREDIT_EXPIRY_JOB_ENABLED !== 'false') {
+    creditExpiryJob.start();
+  }
+
+  // Reminders and downgrades for failed subscription payments
+  if (process.env.DUNNING_ENABLED !== 'false') {
+    dunningService.start();
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  publishScheduler.stop();
+  webhookService.stop();
+  creditExpiryJob.stop();
+  dunningService.stop();
   server.close(() => {
     console.log('HTTP server closed');
     db.pool.end(() => {
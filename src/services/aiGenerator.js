@@ -177,6 +177,24 @@ class AIGenerator {
       };
     }
 
+    const markup = this.validateMarkup(content);
+    if (!markup.valid) {
+      return markup;
+    }
+
+    return {
+      valid: true,
+      content: content,
+    };
+  }
+
+  /**
+   * Check content for dangerous markup only (no length limits, so short or
+   * empty edits pass)
+   * @param {string} content - HTML content to validate
+   * @returns {Object} Validation result
+   */
+  validateMarkup(content) {
     // Check for dangerous tags
     const dangerousTags = /<script|<iframe|javascript:/gi;
     if (dangerousTags.test(content)) {
@@ -186,10 +204,7 @@ class AIGenerator {
       };
     }
 
-    return {
-      valid: true,
-      content: content,
-    };
+    return { valid: true };
   }
 
   /**
@@ -0,0 +1,252 @@
+/**
+ * Approval Workflow
+ * Review state machine for content updates
+ *
+ *   draft -> pending_review -> approved | rejected
+ *   approved -> scheduled -> published
+ *   rejected -> draft (after edits) -> pending_review
+ *
+ * Whether an update needs approval is decided by the organization's
+ * approval_rules (org-wide, per site or per slot). Updates not covered by any
+ * rule can be published or scheduled straight from draft.
+ */
+
+const crypto = require('crypto');
+const db = require('./database');
+const emailService = require('./emailService');
+
+class ApprovalWorkflow {
+  /**
+   * Check whether any active rule covers an update's slot
+   * @param {Object} update - content_updates row
+   * @returns {Promise<Object>} { required, rules }
+   */
+  async requiresApproval(update) {
+    const rules = await db.approvalRules.findMatching(
+      update.organization_id,
+      update.wordpress_site_id,
+      update.content_slot_id
+    );
+    return { required: rules.length > 0, rules };
+  }
+
+  /**
+   * Check an update may be published or scheduled now
+   * @param {Object} update - content_updates row
+   * @returns {Promise<Object>} { allowed, error, status }
+   */
+  async checkPublishable(update) {
+    const { required } = await this.requiresApproval(update);
+
+    if (!required) {
+      return { allowed: true };
+    }
+
+    if (update.status !== 'approved' && !update.approved_content_hash) {
+      return {
+        allowed: false,
+        status: update.status,
+        error: update.status === 'pending_review'
+          ? 'This update is waiting for review'
+          : 'This update requires approval before it can be published',
+      };
+    }
+
+    if (update.approved_content_hash !== this.hashContent(update.generated_content)) {
+      return {
+        allowed: false,
+        status: update.status,
+        error: 'Content changed after it was approved; submit it for review again',
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Submit a draft (or rejected update) for review
+   * @param {Object} update - content_updates row
+   * @param {string} actor - Submitter email/id
+   * @param {string} comment - Optional note for reviewers
+   */
+  async submit(update, actor, comment) {
+    const submitted = await db.contentUpdates.transition(update.id, ['draft', 'rejected'], 'pending_review', {
+      submitted_at: new Date(),
+      submitted_by: actor,
+      reviewed_at: null,
+      reviewed_by: null,
+      approved_content_hash: null,
+    });
+
+    if (!submitted) {
+      return { error: `Cannot submit an update that is ${update.status}`, status: 409 };
+    }
+
+    await this._log(submitted, 'submitted', actor, comment);
+
+    const { rules } = await this.requiresApproval(submitted);
+    const slot = await db.contentSlots.findById(submitted.content_slot_id);
+    const recipients = await this._reviewerEmails(submitted, rules, actor);
+
+    if (recipients.length > 0) {
+      await emailService.sendReviewRequestedEmail(recipients, {
+        updateId: submitted.id,
+        slotName: slot ? slot.slot_label || slot.slot_name : 'content slot',
+        submittedBy: actor,
+        preview: (submitted.generated_content || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 300),
+      });
+    }
+
+    console.log('[APPROVAL] Submitted for review:', { update_id: submitted.id, reviewers: recipients.length });
+
+    return { update: submitted };
+  }
+
+  /**
+   * Approve an update waiting for review
+   */
+  async approve(update, actor, comment) {
+    const approved = await db.contentUpdates.transition(update.id, ['pending_review'], 'approved', {
+      reviewed_at: new Date(),
+      reviewed_by: actor,
+      approved_content_hash: this.hashContent(update.generated_content),
+    });
+
+    if (!approved) {
+      return { error: `Cannot approve an update that is ${update.status}`, status: 409 };
+    }
+
+    await this._log(approved, 'approved', actor, comment);
+    await this._notifyDecision(approved, 'approved', actor, comment);
+
+    console.log('[APPROVAL] Approved:', { update_id: approved.id, reviewer: actor });
+
+    return { update: approved };
+  }
+
+  /**
+   * Reject an update waiting for review (a comment explaining why is required)
+   */
+  async reject(update, actor, comment) {
+    if (!comment || !comment.trim()) {
+      return { error: 'A comment is required when rejecting', status: 400 };
+    }
+
+    const rejected = await db.contentUpdates.transition(update.id, ['pending_review'], 'rejected', {
+      reviewed_at: new Date(),
+      reviewed_by: actor,
+      approved_content_hash: null,
+    });
+
+    if (!rejected) {
+      return { error: `Cannot reject an update that is ${update.status}`, status: 409 };
+    }
+
+    await this._log(rejected, 'rejected', actor, comment);
+    await this._notifyDecision(rejected, 'rejected', actor, comment);
+
+    console.log('[APPROVAL] Rejected:', { update_id: rejected.id, reviewer: actor });
+
+    return { update: rejected };
+  }
+
+  /**
+   * Pull an update back out of review
+   */
+  async withdraw(update, actor) {
+    const withdrawn = await db.contentUpdates.transition(update.id, ['pending_review'], 'draft', {});
+
+    if (!withdrawn) {
+      return { error: `Cannot withdraw an update that is ${update.status}`, status: 409 };
+    }
+
+    await this._log(withdrawn, 'withdrawn', actor);
+    return { update: withdrawn };
+  }
+
+  /**
+   * Add a reviewer comment without changing state
+   */
+  async comment(update, actor, text) {
+    if (!text || !text.trim()) {
+      return { error: 'comment is required', status: 400 };
+    }
+
+    const review = await this._log(update, 'comment', actor, text);
+    return { review };
+  }
+
+  /**
+   * Hash content so approvals are pinned to the exact text reviewed
+   * @param {string} content - Generated content
+   * @returns {string} SHA-256 hex digest
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+  }
+
+  /**
+   * Record a workflow action in the review log
+   * @private
+   */
+  async _log(update, action, actor, comment) {
+    return db.contentUpdateReviews.create({
+      content_update_id: update.id,
+      organization_id: update.organization_id,
+      action,
+      comment,
+      author: actor,
+    });
+  }
+
+  /**
+   * Reviewers named on matching rules, falling back to the organization email
+   * @private
+   */
+  async _reviewerEmails(update, rules, actor) {
+    const emails = new Set();
+    rules.forEach(rule => (rule.reviewer_emails || []).forEach(email => emails.add(email.toLowerCase())));
+
+    if (emails.size === 0) {
+      const organization = await db.organizations.findById(update.organization_id);
+      if (organization && organization.email) {
+        emails.add(organization.email.toLowerCase());
+      }
+    }
+
+    // Don't ask people to review their own submission
+    if (actor && emails.size > 1) {
+      emails.delete(String(actor).toLowerCase());
+    }
+
+    return Array.from(emails);
+  }
+
+  /**
+   * Email the submitter about a review decision
+   * @private
+   */
+  async _notifyDecision(update, decision, actor, comment) {
+    let recipient = update.submitted_by && update.submitted_by.includes('@') ? update.submitted_by : null;
+
+    if (!recipient) {
+      const organization = await db.organizations.findById(update.organization_id);
+      recipient = organization ? organization.email : null;
+    }
+
+    if (!recipient) {
+      return;
+    }
+
+    const slot = await db.contentSlots.findById(update.content_slot_id);
+    await emailService.sendReviewDecisionEmail(recipient, {
+      updateId: update.id,
+      slotName: slot ? slot.slot_label || slot.slot_name : 'content slot',
+      decision,
+      reviewer: actor,
+      comment,
+    });
+  }
+}
+
+module.exports = new ApprovalWorkflow();
@@ -0,0 +1,160 @@
+/**
+ * Auto Top-up Service
+ * Buys credits off-session with the organization's saved card when a charge
+ * drops its balance below the configured threshold
+ *
+ * Flow:
+ *   1. CreditService calls check() after every deduction
+ *   2. A pending credit_topups row is created (at most one per organization)
+ *      and an off-session PaymentIntent is confirmed on the Stripe customer
+ *   3. payment_intent.succeeded adds the credits (stripe-webhook.js);
+ *      a decline here or payment_intent.payment_failed emails the owners
+ *
+ * After a failure no new attempt is made for TOPUP_RETRY_HOURS, unless the
+ * settings are saved again (e.g. after the card was updated).
+ */
+
+const db = require('./database');
+const { sendTopupFailedEmail } = require('./emailService');
+
+const TOPUP_RETRY_HOURS = parseInt(process.env.TOPUP_RETRY_HOURS || '24');
+
+// Stripe will be initialized when needed
+let stripe = null;
+
+function getStripeClient() {
+  if (!stripe) {
+    const stripeKey = process.env.STRIPE_SECRET_KEY;
+    if (!stripeKey) {
+      throw new Error('STRIPE_SECRET_KEY not configured');
+    }
+    stripe = require('stripe')(stripeKey);
+  }
+  return stripe;
+}
+
+class AutoTopupService {
+  /**
+   * Start a top-up if the balance is below the organization's threshold
+   * @param {string} organizationId - Credit account
+   * @param {number} balance - Balance after the deduction
+   * @returns {Promise<Object|null>} The top-up attempt, or null if none was started
+   */
+  async check(organizationId, balance) {
+    const settings = await db.creditTopups.getSettings(organizationId);
+    if (!settings || !settings.enabled || balance >= settings.threshold_credits) {
+      return null;
+    }
+
+    if (await db.creditTopups.hasRecentFailure(organizationId, TOPUP_RETRY_HOURS)) {
+      return null;
+    }
+
+    const topup = await db.creditTopups.createPending(organizationId, settings.credits, settings.amount_usd);
+    if (!topup) {
+      return null; // one is already in flight
+    }
+
+    console.log('[AUTO TOPUP] Balance below threshold, charging saved card:', {
+      organization_id: organizationId,
+      balance,
+      threshold: settings.threshold_credits,
+      credits: topup.credits,
+      amount_usd: topup.amount_usd,
+    });
+
+    let intentId = null;
+
+    try {
+      const organization = await db.organizations.findById(organizationId);
+      if (!organization || !organization.stripe_customer_id) {
+        throw new Error('No saved payment method');
+      }
+
+      const stripeClient = getStripeClient();
+      const paymentMethod = await this.findPaymentMethod(stripeClient, organization.stripe_customer_id);
+      if (!paymentMethod) {
+        throw new Error('No saved payment method');
+      }
+
+      const intent = await stripeClient.paymentIntents.create({
+        amount: topup.amount_usd * 100, // Convert to cents
+        currency: 'usd',
+        customer: organization.stripe_customer_id,
+        payment_method: paymentMethod,
+        off_session: true,
+        confirm: true,
+        description: `Auto top-up: ${topup.credits} SafeWebEdit credits`,
+        metadata: {
+          type: 'credit_topup',
+          topup_id: topup.id,
+          organization_id: organizationId,
+          credits: topup.credits.toString(),
+        },
+      }, { idempotencyKey: `credit-topup-${topup.id}` });
+
+      intentId = intent.id;
+      await db.creditTopups.setPaymentIntent(topup.id, intent.id);
+
+      console.log('[AUTO TOPUP] PaymentIntent confirmed:', { topup_id: topup.id, payment_intent: intent.id, status: intent.status });
+      return topup;
+    } catch (error) {
+      // Off-session declines come back as errors carrying the PaymentIntent
+      const declined = error.raw && error.raw.payment_intent;
+      await this.fail(topup.id, error.message, declined ? declined.id : intentId, balance);
+      return null;
+    }
+  }
+
+  /**
+   * Record a failed top-up and email the organization's owners (once per attempt)
+   * @returns {Promise<Object|null>} The failed top-up, or null if it was already settled
+   */
+  async fail(topupId, reason, paymentIntentId, balance) {
+    const topup = await db.creditTopups.markFailed(topupId, reason, paymentIntentId);
+    if (!topup) {
+      return null;
+    }
+
+    console.error('[AUTO TOPUP] Top-up failed:', { topup_id: topupId, organization_id: topup.organization_id, reason });
+
+    const organization = await db.organizations.findById(topup.organization_id);
+    const owners = await db.users.findActiveOwners(topup.organization_id);
+    const recipients = owners.length > 0
+      ? owners.map(owner => owner.email)
+      : [organization && organization.email].filter(Boolean);
+
+    if (recipients.length > 0) {
+      await sendTopupFailedEmail(recipients, {
+        organizationName: organization ? organization.name : 'your organization',
+        credits: topup.credits,
+        amountUsd: topup.amount_usd,
+        reason,
+        balance,
+      });
+    }
+
+    return topup;
+  }
+
+  /**
+   * Customer's default card, else the most recently saved one
+   * @private
+   */
+  async findPaymentMethod(stripeClient, customerId) {
+    const customer = await stripeClient.customers.retrieve(customerId);
+    if (customer.deleted) {
+      return null;
+    }
+
+    const defaultMethod = customer.invoice_settings && customer.invoice_settings.default_payment_method;
+    if (defaultMethod) {
+      return typeof defaultMethod === 'string' ? defaultMethod : defaultMethod.id;
+    }
+
+    const methods = await stripeClient.paymentMethods.list({ customer: customerId, type: 'card', limit: 1 });
+    return methods.data.length > 0 ? methods.data[0].id : null;
+  }
+}
+
+module.exports = new AutoTopupService();
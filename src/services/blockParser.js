@@ -0,0 +1,347 @@
+/**
+ * Block Parser Service
+ * Parses and edits Gutenberg block markup in raw WordPress post content
+ *
+ * Block format:
+ *   <!-- wp:paragraph {"className":"lead"} --><p class="lead">Text</p><!-- /wp:paragraph -->
+ *   <!-- wp:latest-posts {"postsToShow":3} /-->   (dynamic, self-closing)
+ *
+ * Content outside any block delimiter is returned as a freeform block
+ * (block_name null), matching how WordPress treats classic content.
+ */
+
+const DELIMITER_REGEX = /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*(?:\/[a-z][a-z0-9_-]*)?)\s+(\{[\s\S]*?\}\s+)?(\/)?-->/g;
+
+class BlockParser {
+  /**
+   * Parse raw post content into a block tree
+   * @param {string} raw - Raw post content (context=edit)
+   * @returns {Object} { blocks: top-level blocks (with inner_blocks), errors }
+   */
+  static parse(raw) {
+    if (!raw || typeof raw !== 'string') {
+      return { blocks: [], errors: [] };
+    }
+
+    const root = { inner_blocks: [], content_start: 0 };
+    const stack = [root];
+    const errors = [];
+    const regex = new RegExp(DELIMITER_REGEX.source, 'g');
+    let lastIndex = 0;
+    let match;
+
+    const addFreeform = (parent, from, to) => {
+      // Freeform HTML only counts at the top level; inside a block it is the block's own markup
+      if (parent !== root || !raw.slice(from, to).trim()) {
+        return;
+      }
+      parent.inner_blocks.push({
+        block_name: null,
+        attrs: {},
+        start_index: from,
+        end_index: to,
+        content_start: from,
+        content_end: to,
+        self_closing: false,
+        inner_blocks: [],
+      });
+    };
+
+    while ((match = regex.exec(raw)) !== null) {
+      const [fullDelimiter, closing, rawName, rawAttrs, selfClosing] = match;
+      const blockName = rawName.includes('/') ? rawName : `core/${rawName}`;
+      const parent = stack[stack.length - 1];
+
+      addFreeform(parent, lastIndex, match.index);
+      lastIndex = match.index + fullDelimiter.length;
+
+      if (closing) {
+        if (stack.length === 1 || parent.block_name !== blockName) {
+          errors.push({
+            block_name: blockName,
+            index: match.index,
+            error: `Closing delimiter for "${blockName}" does not match an open block`,
+          });
+          continue;
+        }
+
+        stack.pop();
+        parent.content_end = match.index;
+        parent.end_index = match.index + fullDelimiter.length;
+        stack[stack.length - 1].inner_blocks.push(parent);
+        continue;
+      }
+
+      let attrs = {};
+      if (rawAttrs) {
+        try {
+          attrs = JSON.parse(rawAttrs.trim());
+        } catch (error) {
+          errors.push({
+            block_name: blockName,
+            index: match.index,
+            error: `Invalid attributes JSON on "${blockName}"`,
+          });
+        }
+      }
+
+      const block = {
+        block_name: blockName,
+        attrs: attrs,
+        start_index: match.index,
+        content_start: match.index + fullDelimiter.length,
+        self_closing: Boolean(selfClosing),
+        inner_blocks: [],
+      };
+
+      if (selfClosing) {
+        block.content_end = block.content_start;
+        block.end_index = block.content_start;
+        parent.inner_blocks.push(block);
+      } else {
+        stack.push(block);
+      }
+    }
+
+    while (stack.length > 1) {
+      const unclosed = stack.pop();
+      errors.push({
+        block_name: unclosed.block_name,
+        index: unclosed.start_index,
+        error: `Block "${unclosed.block_name}" has no closing delimiter`,
+      });
+    }
+
+    addFreeform(root, lastIndex, raw.length);
+
+    const decorate = (blocks, path) => {
+      blocks.forEach((block, index) => {
+        block.path = [...path, index];
+        block.inner_html = this._ownHtml(raw, block);
+        block.anchor = block.attrs.anchor || this._anchorFromHtml(block.inner_html);
+        decorate(block.inner_blocks, block.path);
+      });
+    };
+    decorate(root.inner_blocks, []);
+
+    return { blocks: root.inner_blocks, errors };
+  }
+
+  /**
+   * Flatten the block tree (depth-first, document order)
+   * @param {string} raw - Raw post content
+   * @returns {Array} Block summaries without nested children
+   */
+  static listBlocks(raw) {
+    const flat = [];
+    const walk = (blocks, depth) => {
+      for (const block of blocks) {
+        flat.push({
+          block_name: block.block_name,
+          path: block.path,
+          depth: depth,
+          anchor: block.anchor,
+          attrs: block.attrs,
+          self_closing: block.self_closing,
+          has_inner_blocks: block.inner_blocks.length > 0,
+          text_preview: this._text(block.inner_html).substring(0, 100),
+        });
+        walk(block.inner_blocks, depth + 1);
+      }
+    };
+    walk(this.parse(raw).blocks, 0);
+    return flat;
+  }
+
+  /**
+   * Find a block by target
+   * @param {string} raw - Raw post content
+   * @param {Object} target - One of:
+   *   { anchor: 'pricing-intro' }
+   *   { block_name: 'core/heading', occurrence: 1 }  (0-based, document order)
+   *   { index: 2 }                                   (top-level block index, freeform HTML skipped)
+   *   { path: [1, 0] }                               (index path through inner blocks)
+   * @returns {Object|null} Block node or null
+   */
+  static findBlock(raw, target) {
+    if (!target || typeof target !== 'object') {
+      return null;
+    }
+
+    const { blocks } = this.parse(raw);
+
+    if (Array.isArray(target.path)) {
+      let nodes = blocks;
+      let block = null;
+      for (const index of target.path) {
+        block = nodes[index];
+        if (!block) return null;
+        nodes = block.inner_blocks;
+      }
+      return block;
+    }
+
+    if (target.index !== undefined) {
+      return blocks.filter(b => b.block_name !== null)[parseInt(target.index)] || null;
+    }
+
+    const all = [];
+    const walk = (nodes) => nodes.forEach((b) => { all.push(b); walk(b.inner_blocks); });
+    walk(blocks);
+
+    if (target.anchor) {
+      return all.find(b => b.anchor === target.anchor) || null;
+    }
+
+    if (target.block_name) {
+      const name = target.block_name.includes('/') ? target.block_name : `core/${target.block_name}`;
+      return all.filter(b => b.block_name === name)[parseInt(target.occurrence) || 0] || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the editable content of a targeted block
+   * @param {string} raw - Raw post content
+   * @param {Object} target - Block target (see findBlock)
+   * @returns {string|null} Inner content of the block's wrapper element
+   */
+  static getBlockContent(raw, target) {
+    const block = this.findBlock(raw, target);
+    if (!block) {
+      return null;
+    }
+    const region = this._editableRegion(raw, block);
+    return region ? raw.slice(region.start, region.end).trim() : null;
+  }
+
+  /**
+   * Replace the content of a targeted block, keeping its delimiters,
+   * attributes and wrapper element so the block still validates in the editor
+   * @param {string} raw - Raw post content
+   * @param {Object} target - Block target (see findBlock)
+   * @param {string} newContent - New inner content
+   * @returns {Object} Result with success status and updated content
+   */
+  static replaceBlockContent(raw, target, newContent) {
+    const block = this.findBlock(raw, target);
+
+    if (!block) {
+      return {
+        success: false,
+        error: `Block not found for target ${JSON.stringify(target)}`,
+        html: raw,
+      };
+    }
+
+    if (block.self_closing) {
+      return {
+        success: false,
+        error: `"${block.block_name}" is a dynamic block and has no stored content to replace`,
+        html: raw,
+      };
+    }
+
+    if (block.inner_blocks.length > 0) {
+      return {
+        success: false,
+        error: `"${block.block_name}" contains inner blocks; target one of its inner blocks instead`,
+        html: raw,
+      };
+    }
+
+    const region = this._editableRegion(raw, block);
+    const oldContent = raw.slice(region.start, region.end);
+
+    return {
+      success: true,
+      html: raw.slice(0, region.start) + newContent + raw.slice(region.end),
+      old_content: oldContent.trim(),
+      new_content: newContent,
+      block_name: block.block_name,
+      path: block.path,
+    };
+  }
+
+  /**
+   * Markup of a block excluding its inner blocks
+   * @private
+   */
+  static _ownHtml(raw, block) {
+    if (block.inner_blocks.length === 0) {
+      return raw.slice(block.content_start, block.content_end);
+    }
+
+    let html = '';
+    let at = block.content_start;
+    for (const inner of block.inner_blocks) {
+      html += raw.slice(at, inner.start_index);
+      at = inner.end_index;
+    }
+    return html + raw.slice(at, block.content_end);
+  }
+
+  /**
+   * Offsets of a leaf block's editable content: inside its single wrapper
+   * element if it has one (e.g. <p ...>here</p>), otherwise the whole block body
+   * @private
+   */
+  static _editableRegion(raw, block) {
+    const body = raw.slice(block.content_start, block.content_end);
+    const leading = body.length - body.trimStart().length;
+    const trimmed = body.trim();
+
+    const open = trimmed.match(/^<([a-z][a-z0-9-]*)\b[^>]*>/i);
+    if (open) {
+      const tag = open[1].toLowerCase();
+      const closeTag = `</${tag}>`;
+
+      if (trimmed.toLowerCase().endsWith(closeTag) && this._isSingleWrapper(trimmed, tag)) {
+        const start = block.content_start + leading + open[0].length;
+        const end = block.content_start + leading + trimmed.length - closeTag.length;
+        return { start, end };
+      }
+    }
+
+    return { start: block.content_start, end: block.content_end };
+  }
+
+  /**
+   * True if the element opened at position 0 closes at the very end
+   * @private
+   */
+  static _isSingleWrapper(html, tag) {
+    const regex = new RegExp(`<(/?)${tag}\\b[^>]*?(/?)>`, 'gi');
+    let depth = 0;
+    let match;
+
+    while ((match = regex.exec(html)) !== null) {
+      if (match[2]) continue; // self-closing
+      depth += match[1] ? -1 : 1;
+      if (depth === 0) {
+        return match.index + match[0].length === html.length;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * id attribute of the first element in a block's markup
+   * @private
+   */
+  static _anchorFromHtml(html) {
+    const match = (html || '').match(/^\s*<[a-z][a-z0-9-]*\b[^>]*\bid\s*=\s*["']([^"']+)["']/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Visible text of a block's markup
+   * @private
+   */
+  static _text(html) {
+    return String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = BlockParser;
@@ -2,8 +2,15 @@
  * Browser Pool Manager
  * Manages a pool of headless browsers for Playwright operations
  * Optimizes performance by reusing browser instances
+ *
+ * Each browser serves one context at a time. When every browser is busy (or
+ * the organization is at its concurrency cap) callers wait in a bounded FIFO
+ * queue instead of launching extra browsers. Browsers that crash are
+ * replaced, and browsers are recycled once they exceed a memory budget or a
+ * number of uses.
  */
 
+const fs = require('fs');
 const { chromium } = require('playwright');
 
 class BrowserPoolManager {
@@ -11,40 +18,89 @@ class BrowserPoolManager {
     this.pool = [];
     this.maxPoolSize = parseInt(process.env.BROWSER_POOL_SIZE || '3');
     this.activeContexts = new Map();
+
+    // Waiting for a browser
+    this.queue = [];
+    this.maxQueueSize = parseInt(process.env.BROWSER_QUEUE_SIZE || '20');
+    this.queueTimeoutMs = parseInt(process.env.BROWSER_QUEUE_TIMEOUT_MS || '30000');
+
+    // Contexts one organization may hold at once
+    this.maxContextsPerOrg = parseInt(process.env.BROWSER_MAX_CONTEXTS_PER_ORG || '2');
+    this.orgContexts = new Map();
+
+    // Recycling
+    this.maxMemoryMb = parseInt(process.env.BROWSER_MAX_MEMORY_MB || '1024');
+    this.maxUses = parseInt(process.env.BROWSER_MAX_USES || '100');
+    this.healthCheckMs = parseInt(process.env.BROWSER_HEALTH_CHECK_MS || '60000');
+    this.healthTimer = null;
+    this.shuttingDown = false;
+    this.nextBrowserId = 0;
+
+    this.metrics = {
+      acquired: 0,
+      queued: 0,
+      queueTimeouts: 0,
+      queueRejected: 0,
+      crashes: 0,
+      recycled: 0,
+      maxWaitMs: 0
+    };
+
     console.log(`[Browser Pool] Initializing with max pool size: ${this.maxPoolSize}`);
   }
 
   /**
    * Initialize the browser pool by pre-launching browsers
+   * The health check starts first, so browsers that fail to launch here are
+   * launched again on the next check; only a pool with no browser at all fails
    */
   async initialize() {
     console.log('[Browser Pool] Starting initialization...');
+    this.shuttingDown = false;
 
-    try {
-      // Pre-launch browsers for faster response times
-      for (let i = 0; i < this.maxPoolSize; i++) {
-        const browser = await this.createBrowser();
-        this.pool.push({
-          browser,
-          inUse: false,
-          lastUsed: Date.now(),
-          id: `browser_${i}`
-        });
-        console.log(`[Browser Pool] Browser ${i + 1}/${this.maxPoolSize} launched`);
+    if (!this.healthTimer) {
+      this.healthTimer = setInterval(() => {
+        this.checkHealth().catch(error => console.error('[Browser Pool] Health check failed:', error));
+      }, this.healthCheckMs);
+      this.healthTimer.unref();
+    }
+
+    // Pre-launch browsers for faster response times
+    let launchError = null;
+    while (this.pool.length < this.maxPoolSize) {
+      try {
+        this.pool.push(await this.launchEntry());
+      } catch (error) {
+        launchError = error;
+        break;
       }
+      console.log(`[Browser Pool] Browser ${this.pool.length}/${this.maxPoolSize} launched`);
+
+      // Serve requests that queued while the pool was starting
+      this.dispatchQueue();
+    }
+
+    if (this.pool.length === 0) {
+      console.error('[Browser Pool] Initialization failed:', launchError);
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+      throw launchError;
+    }
 
+    if (launchError) {
+      console.error(`[Browser Pool] Started with ${this.pool.length}/${this.maxPoolSize} browsers, the rest follow on the next health check:`, launchError);
+    } else {
       console.log(`[Browser Pool] Ready with ${this.maxPoolSize} browsers`);
-    } catch (error) {
-      console.error('[Browser Pool] Initialization failed:', error);
-      throw error;
     }
   }
 
   /**
    * Create a new browser instance with production-ready settings
+   * Launched as a server so the browser process id is known (memory checks)
+   * @returns {Object} - { browser, server }
    */
   async createBrowser() {
-    return await chromium.launch({
+    const server = await chromium.launchServer({
       headless: process.env.BROWSER_HEADLESS !== 'false',
       args: [
         '--no-sandbox',
@@ -58,40 +114,64 @@ class BrowserPoolManager {
       ],
       timeout: parseInt(process.env.BROWSER_TIMEOUT || '30000')
     });
+
+    try {
+      const browser = await chromium.connect(server.wsEndpoint());
+      return { browser, server };
+    } catch (error) {
+      await server.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Launch a browser and wrap it in a pool entry that notices crashes
+   */
+  async launchEntry() {
+    const { browser, server } = await this.createBrowser();
+    const entry = {
+      browser,
+      server,
+      inUse: false,
+      organizationId: null,
+      uses: 0,
+      memoryMb: null,
+      lastUsed: Date.now(),
+      launchedAt: Date.now(),
+      retiring: false,
+      id: `browser_${this.nextBrowserId++}`
+    };
+
+    browser.on('disconnected', () => this.handleDisconnect(entry));
+    return entry;
   }
 
   /**
    * Acquire a browser context for use
+   * Waits in the queue when no browser is free or the organization is at
+   * its cap; rejects when the queue is full or the wait times out
    * @param {Object} options - Playwright context options
+   * @param {Object} owner - { organizationId } for per-organization caps
    * @returns {Object} - { contextId, context }
    */
-  async acquireContext(options = {}) {
-    // Find an available browser in the pool
-    let poolEntry = this.pool.find(entry => !entry.inUse);
-
-    if (!poolEntry) {
-      console.warn('[Browser Pool] Pool exhausted, creating temporary browser');
-      const browser = await this.createBrowser();
-      poolEntry = {
-        browser,
-        inUse: true,
-        temporary: true,
-        id: `temp_${Date.now()}`
-      };
-    } else {
-      poolEntry.inUse = true;
-      poolEntry.lastUsed = Date.now();
-      console.log(`[Browser Pool] Acquired browser: ${poolEntry.id}`);
-    }
-
-    // Create new browser context with options
-    const context = await poolEntry.browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent: 'SafeWebEdit/1.0 (Playwright; Universal Website Editor)',
-      locale: 'en-US',
-      timezoneId: 'America/New_York',
-      ...options
-    });
+  async acquireContext(options = {}, owner = {}) {
+    const organizationId = owner.organizationId || null;
+    const poolEntry = await this.reserveBrowser(organizationId);
+
+    let context;
+    try {
+      // Create new browser context with options
+      context = await poolEntry.browser.newContext({
+        viewport: { width: 1920, height: 1080 },
+        userAgent: 'SafeWebEdit/1.0 (Playwright; Universal Website Editor)',
+        locale: 'en-US',
+        timezoneId: 'America/New_York',
+        ...options
+      });
+    } catch (error) {
+      this.freeBrowser(poolEntry);
+      throw error;
+    }
 
     // Generate unique context ID
     const contextId = `ctx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -100,13 +180,125 @@ class BrowserPoolManager {
     this.activeContexts.set(contextId, {
       context,
       poolEntry,
+      organizationId,
       createdAt: Date.now()
     });
 
+    this.metrics.acquired++;
     console.log(`[Browser Pool] Context created: ${contextId}`);
     return { contextId, context };
   }
 
+  /**
+   * Take a free browser now, or queue for one
+   * @returns {Promise<Object>} - Pool entry, marked in use
+   */
+  reserveBrowser(organizationId) {
+    if (this.shuttingDown) {
+      return Promise.reject(new Error('Browser pool is shutting down'));
+    }
+
+    if (this.queue.length === 0 && this.canRun(organizationId)) {
+      const poolEntry = this.findFreeBrowser();
+      if (poolEntry) {
+        return Promise.resolve(this.assignBrowser(poolEntry, organizationId));
+      }
+    }
+
+    if (this.queue.length >= this.maxQueueSize) {
+      this.metrics.queueRejected++;
+      return Promise.reject(new Error(`Browser pool is busy (${this.queue.length} requests waiting), try again shortly`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { organizationId, resolve, reject, enqueuedAt: Date.now() };
+
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter(queued => queued !== waiter);
+        this.metrics.queueTimeouts++;
+        reject(new Error(`Timed out after ${this.queueTimeoutMs}ms waiting for a browser`));
+      }, this.queueTimeoutMs);
+
+      this.queue.push(waiter);
+      this.metrics.queued++;
+      console.log(`[Browser Pool] Request queued (${this.queue.length} waiting)`);
+
+      // Waiters ahead may only be blocked by their organization's cap
+      this.dispatchQueue();
+    });
+  }
+
+  /**
+   * Hand free browsers to queued requests, oldest first, skipping
+   * organizations that are at their cap
+   */
+  dispatchQueue() {
+    for (const waiter of [...this.queue]) {
+      const poolEntry = this.findFreeBrowser();
+      if (!poolEntry) {
+        return;
+      }
+
+      if (!this.canRun(waiter.organizationId)) {
+        continue;
+      }
+
+      clearTimeout(waiter.timer);
+      this.queue = this.queue.filter(queued => queued !== waiter);
+
+      const waitedMs = Date.now() - waiter.enqueuedAt;
+      this.metrics.maxWaitMs = Math.max(this.metrics.maxWaitMs, waitedMs);
+
+      waiter.resolve(this.assignBrowser(poolEntry, waiter.organizationId));
+    }
+  }
+
+  findFreeBrowser() {
+    return this.pool.find(entry => !entry.inUse && !entry.retiring && entry.browser.isConnected());
+  }
+
+  canRun(organizationId) {
+    return !organizationId || (this.orgContexts.get(organizationId) || 0) < this.maxContextsPerOrg;
+  }
+
+  assignBrowser(poolEntry, organizationId) {
+    poolEntry.inUse = true;
+    poolEntry.organizationId = organizationId;
+    poolEntry.lastUsed = Date.now();
+    poolEntry.uses++;
+
+    if (organizationId) {
+      this.orgContexts.set(organizationId, (this.orgContexts.get(organizationId) || 0) + 1);
+    }
+
+    console.log(`[Browser Pool] Acquired browser: ${poolEntry.id}`);
+    return poolEntry;
+  }
+
+  /**
+   * Return a browser to the pool (or recycle it) and serve the queue
+   */
+  freeBrowser(poolEntry) {
+    const organizationId = poolEntry.organizationId;
+    if (organizationId) {
+      const count = (this.orgContexts.get(organizationId) || 1) - 1;
+      if (count > 0) {
+        this.orgContexts.set(organizationId, count);
+      } else {
+        this.orgContexts.delete(organizationId);
+      }
+    }
+
+    poolEntry.inUse = false;
+    poolEntry.organizationId = null;
+
+    if (poolEntry.uses >= this.maxUses) {
+      this.recycle(poolEntry, `${poolEntry.uses} uses`);
+    }
+
+    this.dispatchQueue();
+  }
+
   /**
    * Release a browser context back to the pool
    * @param {string} contextId - The context ID to release
@@ -119,24 +311,174 @@ class BrowserPoolManager {
       return;
     }
 
+    this.activeContexts.delete(contextId);
+
     try {
-      // Close the context
-      await entry.context.close();
-      console.log(`[Browser Pool] Context closed: ${contextId}`);
-
-      // If temporary browser, close it completely
-      if (entry.poolEntry.temporary) {
-        await entry.poolEntry.browser.close();
-        console.log(`[Browser Pool] Temporary browser closed: ${entry.poolEntry.id}`);
-      } else {
-        // Mark pool browser as available
-        entry.poolEntry.inUse = false;
+      // Close the context (already gone if the browser crashed)
+      if (entry.poolEntry.browser.isConnected()) {
+        await entry.context.close();
+        console.log(`[Browser Pool] Context closed: ${contextId}`);
+      }
+    } catch (error) {
+      console.error(`[Browser Pool] Error releasing context ${contextId}:`, error);
+    } finally {
+      if (this.pool.includes(entry.poolEntry)) {
+        this.freeBrowser(entry.poolEntry);
         console.log(`[Browser Pool] Browser released: ${entry.poolEntry.id}`);
       }
+    }
+  }
+
+  /**
+   * A browser went away without being closed by the pool (crash, killed)
+   */
+  handleDisconnect(poolEntry) {
+    if (this.shuttingDown || poolEntry.retiring || !this.pool.includes(poolEntry)) {
+      return;
+    }
+
+    console.error(`[Browser Pool] Browser disconnected unexpectedly: ${poolEntry.id}`);
+    this.metrics.crashes++;
+    // Keep freeBrowser() from scheduling a second replacement
+    poolEntry.retiring = true;
 
-      this.activeContexts.delete(contextId);
+    // Contexts on the dead browser are unusable; release their slots
+    for (const [contextId, entry] of this.activeContexts) {
+      if (entry.poolEntry === poolEntry) {
+        this.activeContexts.delete(contextId);
+        this.freeBrowser(poolEntry);
+      }
+    }
+
+    this.replace(poolEntry);
+  }
+
+  /**
+   * Close a browser once it is idle and launch a fresh one in its place
+   */
+  recycle(poolEntry, reason) {
+    if (poolEntry.retiring) {
+      return;
+    }
+
+    console.log(`[Browser Pool] Recycling ${poolEntry.id} (${reason})`);
+    poolEntry.retiring = true;
+    this.metrics.recycled++;
+    this.replace(poolEntry);
+  }
+
+  /**
+   * Swap a pool entry for a newly launched browser
+   */
+  async replace(poolEntry) {
+    poolEntry.retiring = true;
+    this.pool = this.pool.filter(entry => entry !== poolEntry);
+
+    try {
+      await poolEntry.server.close();
     } catch (error) {
-      console.error(`[Browser Pool] Error releasing context ${contextId}:`, error);
+      // Already dead
+    }
+
+    if (this.shuttingDown) {
+      return;
+    }
+
+    try {
+      const replacement = await this.launchEntry();
+      if (this.shuttingDown) {
+        await replacement.server.close();
+        return;
+      }
+      this.pool.push(replacement);
+      console.log(`[Browser Pool] ${poolEntry.id} replaced by ${replacement.id}`);
+    } catch (error) {
+      console.error(`[Browser Pool] Failed to replace ${poolEntry.id}:`, error);
+    }
+
+    this.dispatchQueue();
+  }
+
+  /**
+   * Periodic check: replace dead browsers, refill the pool, recycle idle
+   * browsers above the memory budget
+   */
+  async checkHealth() {
+    for (const poolEntry of [...this.pool]) {
+      if (!poolEntry.browser.isConnected()) {
+        this.handleDisconnect(poolEntry);
+        continue;
+      }
+
+      poolEntry.memoryMb = this.measureMemoryMb(poolEntry);
+      if (!poolEntry.inUse && poolEntry.memoryMb !== null && poolEntry.memoryMb > this.maxMemoryMb) {
+        this.recycle(poolEntry, `${poolEntry.memoryMb}MB > ${this.maxMemoryMb}MB`);
+      }
+    }
+
+    // Replacements that failed to launch earlier
+    while (!this.shuttingDown && this.pool.length < this.maxPoolSize) {
+      try {
+        this.pool.push(await this.launchEntry());
+      } catch (error) {
+        console.error('[Browser Pool] Failed to refill pool:', error);
+        break;
+      }
+    }
+
+    this.dispatchQueue();
+  }
+
+  /**
+   * Resident memory of a browser and its renderer processes, in MB
+   * Reads /proc, so returns null where that is unavailable
+   */
+  measureMemoryMb(poolEntry) {
+    const rootProcess = poolEntry.server.process();
+    if (!rootProcess || !rootProcess.pid) {
+      return null;
+    }
+
+    try {
+      const parents = new Map();
+      for (const name of fs.readdirSync('/proc')) {
+        if (!/^\d+$/.test(name)) continue;
+        try {
+          // Field 4 of /proc/<pid>/stat is the parent pid (after "pid (comm) state")
+          const stat = fs.readFileSync(`/proc/${name}/stat`, 'utf8');
+          const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+          parents.set(parseInt(name), ppid);
+        } catch (error) {
+          // Process exited while scanning
+        }
+      }
+
+      const tree = new Set([rootProcess.pid]);
+      let grew = true;
+      while (grew) {
+        grew = false;
+        for (const [pid, ppid] of parents) {
+          if (!tree.has(pid) && tree.has(ppid)) {
+            tree.add(pid);
+            grew = true;
+          }
+        }
+      }
+
+      let totalKb = 0;
+      for (const pid of tree) {
+        try {
+          const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+          const match = /VmRSS:\s+(\d+)/.exec(status);
+          if (match) totalKb += parseInt(match[1]);
+        } catch (error) {
+          // Process exited while scanning
+        }
+      }
+
+      return Math.round(totalKb / 1024);
+    } catch (error) {
+      return null;
     }
   }
 
@@ -144,7 +486,7 @@ class BrowserPoolManager {
    * Get pool statistics
    */
   getStats() {
-    const available = this.pool.filter(e => !e.inUse).length;
+    const available = this.pool.filter(e => !e.inUse && !e.retiring).length;
     const inUse = this.pool.filter(e => e.inUse).length;
     const activeContextCount = this.activeContexts.size;
 
@@ -153,7 +495,30 @@ class BrowserPoolManager {
       available,
       inUse,
       activeContexts: activeContextCount,
-      maxPoolSize: this.maxPoolSize
+      maxPoolSize: this.maxPoolSize,
+      queue: {
+        waiting: this.queue.length,
+        maxSize: this.maxQueueSize,
+        timeoutMs: this.queueTimeoutMs,
+        oldestWaitMs: this.queue.length > 0 ? Date.now() - this.queue[0].enqueuedAt : 0
+      },
+      organizations: {
+        active: this.orgContexts.size,
+        maxContextsEach: this.maxContextsPerOrg
+      },
+      browsers: this.pool.map(entry => ({
+        id: entry.id,
+        connected: entry.browser.isConnected(),
+        inUse: entry.inUse,
+        uses: entry.uses,
+        memoryMb: entry.memoryMb,
+        uptimeMs: Date.now() - entry.launchedAt
+      })),
+      limits: {
+        maxMemoryMb: this.maxMemoryMb,
+        maxUses: this.maxUses
+      },
+      metrics: { ...this.metrics }
     };
   }
 
@@ -162,6 +527,19 @@ class BrowserPoolManager {
    */
   async shutdown() {
     console.log('[Browser Pool] Shutting down...');
+    this.shuttingDown = true;
+
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+
+    // Fail queued requests
+    for (const waiter of this.queue) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shutting down'));
+    }
+    this.queue = [];
 
     // Close all active contexts
     for (const [contextId, entry] of this.activeContexts) {
@@ -175,7 +553,7 @@ class BrowserPoolManager {
     // Close all browsers in pool
     for (const entry of this.pool) {
       try {
-        await entry.browser.close();
+        await entry.server.close();
       } catch (error) {
         console.error(`[Browser Pool] Error closing browser ${entry.id}:`, error);
       }
@@ -183,6 +561,7 @@ class BrowserPoolManager {
 
     this.pool = [];
     this.activeContexts.clear();
+    this.orgContexts.clear();
     console.log('[Browser Pool] Shutdown complete');
   }
 
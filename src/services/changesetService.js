@@ -0,0 +1,341 @@
+/**
+ * Changeset Service
+ * Applies a group of slot edits across one or more site pages as a unit
+ *
+ * Apply runs in two phases:
+ *   1. Validate - fetch every affected page, locate every slot and build the
+ *      new page content in memory. Nothing is written if any slot is missing
+ *      or any content violates its slot constraints.
+ *   2. Write - one updatePage call per page. If a write fails (or a page was
+ *      edited since phase 1), pages already written are restored to the
+ *      content fetched in phase 1.
+ */
+
+const db = require('./database');
+const platforms = require('./platforms');
+const PublishingService = require('./publishingService');
+const webhookService = require('./webhookService');
+
+class ChangesetService {
+  constructor() {
+    this.publishingService = new PublishingService();
+  }
+
+  /**
+   * Validate a changeset without writing anything
+   * @param {Object} changeset - changesets row
+   * @returns {Promise<Object>} { valid, pages, errors }
+   */
+  async validate(changeset) {
+    const items = await db.changesets.findItems(changeset.id);
+    return this._prepare(changeset, items);
+  }
+
+  /**
+   * Apply a changeset (caller must have claimed it with claimForApply)
+   * @param {Object} changeset - changesets row in status 'applying'
+   * @param {Object} context - { changed_by }
+   * @returns {Promise<Object>} Apply result
+   */
+  async apply(changeset, context = {}) {
+    // Pages written so far, restored if anything below throws
+    const written = [];
+
+    try {
+      return await this._apply(changeset, context, written);
+    } catch (error) {
+      const rolledBack = await this._rollback(changeset, written);
+      const result = {
+        phase: 'error',
+        errors: [{ error: error.message }],
+        pages: written.map(p => ({ page: p.key, written: true, rolled_back: rolledBack.includes(p.key) })),
+        rollback_complete: rolledBack.length === written.length,
+      };
+
+      console.error('[CHANGESET] Apply error:', {
+        changeset_id: changeset.id,
+        error: error.message,
+        rolled_back: rolledBack.length,
+      });
+
+      try {
+        await db.changesets.finishApply(changeset.id, 'failed', result, error.message);
+      } catch (finishError) {
+        console.error('[CHANGESET] Failed to record apply error:', finishError.message);
+      }
+
+      return { success: false, ...result };
+    }
+  }
+
+  /**
+   * Validate and write a claimed changeset; pages are added to written as
+   * they go live
+   * @private
+   */
+  async _apply(changeset, context, written) {
+    const items = await db.changesets.findItems(changeset.id);
+    const prepared = await this._prepare(changeset, items);
+
+    if (!prepared.valid) {
+      const result = { phase: 'validate', errors: prepared.errors, pages: [] };
+      await db.changesets.finishApply(changeset.id, 'failed', result, 'Validation failed');
+      for (const error of prepared.errors.filter(e => e.item_id)) {
+        await db.changesets.updateItem(error.item_id, { status: 'failed', error_message: error.error });
+      }
+      return { success: false, ...result };
+    }
+
+    let failure = null;
+
+    for (const page of prepared.pages) {
+      try {
+        // Guard against edits made between validation and write
+        const latest = await page.adapter.getPage(page.site, page.wp_page_id, { type: page.page_type });
+        if (!latest.success || latest.page.modified !== page.modified) {
+          failure = {
+            page: page.key,
+            conflict: latest.success,
+            error: latest.success
+              ? 'Page was modified while the changeset was being applied'
+              : `Failed to fetch page: ${latest.error}`,
+          };
+          break;
+        }
+
+        const updateResult = await page.adapter.updatePage(page.site, page.wp_page_id, page.new_content, {
+          type: page.page_type,
+          expected_modified: page.modified,
+        });
+        if (!updateResult.success) {
+          failure = { page: page.key, conflict: Boolean(updateResult.conflict), error: `Failed to update page: ${updateResult.error}` };
+          break;
+        }
+
+        page.link = updateResult.page.link;
+        written.push(page);
+
+        console.log('[CHANGESET] Page written:', {
+          changeset_id: changeset.id,
+          page_id: page.wp_page_id,
+          slots: page.items.length,
+        });
+      } catch (error) {
+        failure = { page: page.key, error: error.message };
+        break;
+      }
+    }
+
+    if (failure) {
+      // Taken out of written so apply() does not restore them a second time
+      const writtenPages = written.splice(0);
+      const rolledBack = await this._rollback(changeset, writtenPages);
+      const result = {
+        phase: 'write',
+        errors: [failure],
+        pages: prepared.pages.map(p => ({
+          page: p.key,
+          written: writtenPages.includes(p),
+          rolled_back: rolledBack.includes(p.key),
+        })),
+        rollback_complete: rolledBack.length === writtenPages.length,
+      };
+
+      await db.changesets.finishApply(changeset.id, 'failed', result, failure.error);
+      for (const page of prepared.pages) {
+        for (const item of page.items) {
+          await db.changesets.updateItem(item.id, {
+            status: writtenPages.includes(page) ? 'rolled_back' : 'failed',
+            error_message: page.key === failure.page ? failure.error : null,
+          });
+        }
+      }
+
+      console.error('[CHANGESET] Apply failed:', {
+        changeset_id: changeset.id,
+        error: failure.error,
+        rolled_back: rolledBack.length,
+      });
+
+      return { success: false, conflict: Boolean(failure.conflict), ...result };
+    }
+
+    // Everything is live - update slot state and history. The pages stay as
+    // written from here on: bookkeeping errors are logged, never rolled back
+    written.splice(0);
+
+    for (const page of prepared.pages) {
+      for (const item of page.items) {
+        try {
+          await db.changesets.updateItem(item.id, { status: 'applied', old_content: item.old_content });
+          await db.contentSlots.updateContent(item.content_slot_id, item.new_content);
+        } catch (error) {
+          console.error('[CHANGESET] Failed to update slot state:', { item_id: item.id, error: error.message });
+        }
+
+        try {
+          await db.contentRevisions.create({
+            slot_id: item.content_slot_id,
+            organization_id: changeset.organization_id,
+            old_content: item.old_content,
+            new_content: item.new_content,
+            changed_by: context.changed_by,
+            source: 'changeset',
+          });
+        } catch (error) {
+          console.error('[CHANGESET] Failed to record revision:', error.message);
+        }
+
+        try {
+          await webhookService.emitSlotPublished(changeset.organization_id, { ...item, id: item.content_slot_id }, {
+            source: 'changeset',
+            page_url: page.link,
+            published_by: context.changed_by,
+          });
+        } catch (error) {
+          console.error('[CHANGESET] Failed to emit webhook:', error.message);
+        }
+      }
+    }
+
+    const result = {
+      phase: 'done',
+      errors: [],
+      pages: prepared.pages.map(p => ({ page: p.key, written: true, link: p.link, slots: p.items.length })),
+    };
+
+    try {
+      await db.changesets.finishApply(changeset.id, 'applied', result);
+    } catch (error) {
+      // Left in 'applying', so it cannot be claimed and applied a second time
+      console.error('[CHANGESET] Applied, but failed to record it:', { changeset_id: changeset.id, error: error.message });
+    }
+
+    console.log('[CHANGESET] Applied:', { changeset_id: changeset.id, pages: prepared.pages.length });
+
+    return { success: true, ...result };
+  }
+
+  /**
+   * Phase 1: fetch pages, locate slots and build new page content
+   * @private
+   */
+  async _prepare(changeset, items) {
+    const errors = [];
+    const pages = new Map();
+    const sites = new Map();
+
+    if (items.length === 0) {
+      return { valid: false, pages: [], errors: [{ error: 'Changeset has no items' }] };
+    }
+
+    for (const item of items) {
+      if (!item.wordpress_site_id) {
+        errors.push({ item_id: item.id, slot_id: item.content_slot_id, error: 'Universal site slots cannot be part of a changeset' });
+        continue;
+      }
+
+      if (!sites.has(item.wordpress_site_id)) {
+        sites.set(item.wordpress_site_id, await db.wordpressSites.findById(item.wordpress_site_id));
+      }
+      const site = sites.get(item.wordpress_site_id);
+
+      if (!site || site.organization_id !== changeset.organization_id) {
+        errors.push({ item_id: item.id, slot_id: item.content_slot_id, error: 'Slot does not belong to this organization' });
+        continue;
+      }
+
+      const pageType = item.page_type || 'page';
+      const key = `${site.id}:${pageType}:${item.wp_page_id}`;
+      if (!pages.has(key)) {
+        pages.set(key, {
+          key,
+          site,
+          wp_page_id: item.wp_page_id,
+          page_type: pageType,
+          adapter: platforms.forSite(site),
+          items: [],
+        });
+      }
+      pages.get(key).items.push(item);
+    }
+
+    for (const page of pages.values()) {
+      const pageResult = await page.adapter.getPage(page.site, page.wp_page_id, { type: page.page_type });
+
+      if (!pageResult.success) {
+        errors.push({ page: page.key, error: `Failed to fetch page: ${pageResult.error}` });
+        continue;
+      }
+
+      const rawError = this.publishingService.rawContentError(pageResult.page);
+      if (rawError) {
+        errors.push({ page: page.key, error: rawError });
+        continue;
+      }
+
+      page.modified = pageResult.page.modified;
+      page.original_content = pageResult.page.content;
+
+      // Apply each slot edit to the in-memory copy; offsets move after every
+      // replacement, so each slot is located again in the updated content
+      let content = pageResult.page.content;
+      for (const item of page.items) {
+        const location = this.publishingService.locateSlot(content, item);
+        if (!location.found) {
+          errors.push({ item_id: item.id, slot_id: item.content_slot_id, page: page.key, error: location.error });
+          continue;
+        }
+
+        const replaceResult = location.replace(item.new_content);
+        if (!replaceResult.success) {
+          errors.push({
+            item_id: item.id,
+            slot_id: item.content_slot_id,
+            page: page.key,
+            error: replaceResult.error,
+            violations: replaceResult.violations,
+          });
+          continue;
+        }
+
+        item.old_content = location.content;
+        content = replaceResult.html;
+      }
+
+      page.new_content = content;
+    }
+
+    return {
+      valid: errors.length === 0,
+      pages: Array.from(pages.values()),
+      errors,
+    };
+  }
+
+  /**
+   * Restore pages written in this apply to their pre-apply content
+   * @private
+   * @returns {Promise<Array<string>>} Keys of pages restored
+   */
+  async _rollback(changeset, writtenPages) {
+    const restored = [];
+
+    for (const page of writtenPages) {
+      try {
+        const result = await page.adapter.updatePage(page.site, page.wp_page_id, page.original_content, { type: page.page_type });
+        if (result.success) {
+          restored.push(page.key);
+        } else {
+          console.error('[CHANGESET] Rollback failed:', { changeset_id: changeset.id, page: page.key, error: result.error });
+        }
+      } catch (error) {
+        console.error('[CHANGESET] Rollback failed:', { changeset_id: changeset.id, page: page.key, error: error.message });
+      }
+    }
+
+    return restored;
+  }
+}
+
+module.exports = ChangesetService;
@@ -0,0 +1,220 @@
+/**
+ * Command Planner Service
+ * Resolves a natural-language command ("make the about section shorter and
+ * friendlier", "change the hero title to Welcome Home") into a plan of
+ * per-zone edits using the Groq model
+ *
+ * The model sees every zone's label and current content and picks the
+ * target zone(s). Each edit is either a literal replacement (the command
+ * spells out the new text) or a rewrite instruction, which is turned into
+ * new content with AIGenerator so the plan shown for confirmation contains
+ * exactly what will be written.
+ */
+
+const Groq = require('groq-sdk');
+const AIGenerator = require('./aiGenerator');
+
+// How much of each zone's current content the model sees when resolving targets
+const ZONE_PREVIEW_CHARS = 600;
+const MAX_EDITS_PER_COMMAND = 10;
+
+class CommandPlanner {
+  constructor() {
+    this.groq = new Groq({
+      apiKey: process.env.GROQ_API_KEY,
+    });
+    this.model = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
+    this.aiGenerator = new AIGenerator();
+  }
+
+  /**
+   * Build a plan for a command
+   * @param {string} command - The user's command
+   * @param {Array} zones - content_slots rows the command may target
+   * @param {Object} options - { organization_type, content_tone }
+   * @returns {Promise<Object>} { valid, error, summary, edits, metadata }
+   */
+  async plan(command, zones, options = {}) {
+    const resolved = await this._resolve(command, zones);
+    if (!resolved.valid) {
+      return resolved;
+    }
+
+    const zonesById = new Map(zones.map(zone => [zone.id, zone]));
+    const edits = [];
+    let tokensUsed = resolved.tokens_used;
+
+    for (const target of resolved.edits) {
+      const zone = zonesById.get(target.slot_id);
+      const label = this.zoneLabel(zone);
+      let newContent = target.new_content;
+
+      if (target.action === 'rewrite') {
+        const generated = await this.aiGenerator.generateContent({
+          instructions: target.instruction,
+          organization_type: options.organization_type,
+          content_tone: options.content_tone,
+          slot_label: label,
+          current_content: zone.current_content,
+        });
+
+        if (!generated.success) {
+          return { valid: false, error: `Failed to rewrite "${label}": ${generated.error.message}` };
+        }
+
+        newContent = generated.content;
+        tokensUsed += generated.metadata.tokens_used;
+      }
+
+      const validation = this.aiGenerator.validateMarkup(newContent);
+      if (!validation.valid) {
+        return { valid: false, error: `New content for "${label}" is not allowed: ${validation.error}` };
+      }
+
+      edits.push({
+        slot_id: zone.id,
+        slot_label: label,
+        action: target.action,
+        instruction: target.instruction,
+        new_content: newContent,
+      });
+    }
+
+    return {
+      valid: true,
+      summary: resolved.summary,
+      edits,
+      metadata: {
+        model: this.model,
+        tokens_used: tokensUsed,
+      },
+    };
+  }
+
+  /**
+   * Display name for a zone
+   */
+  zoneLabel(zone) {
+    return zone.slot_label || zone.marker_name || zone.slot_name;
+  }
+
+  /**
+   * Ask the model which zones the command targets and how
+   * @private
+   */
+  async _resolve(command, zones) {
+    let completion;
+    try {
+      completion = await this.groq.chat.completions.create({
+        model: this.model,
+        messages: [
+          { role: 'system', content: this._buildSystemPrompt() },
+          { role: 'user', content: this._buildUserPrompt(command, zones) },
+        ],
+        temperature: 0.1,
+        max_tokens: 2000,
+        response_format: { type: 'json_object' },
+        stream: false,
+      });
+    } catch (error) {
+      console.error('[COMMAND] Planner error:', error);
+      return { valid: false, error: 'Could not interpret the command right now, please try again' };
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(completion.choices[0]?.message?.content || '{}');
+    } catch (error) {
+      console.error('[COMMAND] Planner returned invalid JSON:', error.message);
+      return { valid: false, error: 'Could not interpret the command, please rephrase it' };
+    }
+
+    const zoneIds = new Set(zones.map(zone => zone.id));
+    const seen = new Set();
+    const edits = [];
+
+    for (const edit of Array.isArray(parsed.edits) ? parsed.edits : []) {
+      // Ignore hallucinated ids and duplicate targets
+      if (!edit || !zoneIds.has(edit.slot_id) || seen.has(edit.slot_id)) {
+        continue;
+      }
+
+      const action = edit.action === 'replace' ? 'replace' : 'rewrite';
+      const instruction = typeof edit.instruction === 'string' ? edit.instruction.trim() : '';
+      const newContent = typeof edit.new_content === 'string' ? edit.new_content.trim() : '';
+
+      if (action === 'replace' && !newContent) continue;
+      if (action === 'rewrite' && !instruction) continue;
+
+      seen.add(edit.slot_id);
+      edits.push({
+        slot_id: edit.slot_id,
+        action,
+        instruction: instruction || null,
+        new_content: action === 'replace' ? newContent : null,
+      });
+    }
+
+    if (edits.length === 0) {
+      const available = zones.map(zone => this.zoneLabel(zone)).join(', ');
+      return {
+        valid: false,
+        error: parsed.clarification || 'Could not tell which zone to change. Available: ' + available,
+      };
+    }
+
+    if (edits.length > MAX_EDITS_PER_COMMAND) {
+      return { valid: false, error: `A command can change at most ${MAX_EDITS_PER_COMMAND} zones` };
+    }
+
+    return {
+      valid: true,
+      summary: typeof parsed.summary === 'string' ? parsed.summary : null,
+      edits,
+      tokens_used: completion.usage?.total_tokens || 0,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _buildSystemPrompt() {
+    return `You turn website editing commands into a JSON plan. You are given the editable zones of a website (id, label, page and current content) and a command from the site owner.
+
+Decide which zone(s) the command refers to by meaning, not only by exact label - e.g. "headline" can mean a zone labelled "Hero Title", "about us" a zone labelled "About Section". A command may target several zones.
+
+For each targeted zone choose an action:
+- "replace": the command states the exact new text (e.g. change the title to "Welcome Home"). Put that text in new_content, keeping the zone's existing HTML wrapper tags if it has any.
+- "rewrite": the command describes how to change the content (shorter, friendlier, mention the new opening hours...). Put a clear, self-contained instruction for a copywriter in instruction.
+
+Respond with JSON only:
+{
+  "summary": "one sentence describing what will change",
+  "edits": [{ "slot_id": "<zone id>", "action": "replace" | "rewrite", "new_content": "...", "instruction": "..." }],
+  "clarification": "question to ask the user if the command is ambiguous or matches no zone, otherwise null"
+}
+
+Only use zone ids from the list. If you are not confident which zone is meant, return no edits and a clarification.`;
+  }
+
+  /**
+   * @private
+   */
+  _buildUserPrompt(command, zones) {
+    const catalogue = zones.map(zone => {
+      const content = (zone.current_content || '').replace(/\s+/g, ' ').trim();
+      return {
+        id: zone.id,
+        label: this.zoneLabel(zone),
+        page: zone.wp_page_title || null,
+        current_content: content.length > ZONE_PREVIEW_CHARS
+          ? content.substring(0, ZONE_PREVIEW_CHARS) + '...'
+          : content,
+      };
+    });
+
+    return `Zones:\n${JSON.stringify(catalogue, null, 2)}\n\nCommand: ${command}`;
+  }
+}
+
+module.exports = new CommandPlanner();
@@ -0,0 +1,412 @@
+/**
+ * Content Diff Service
+ * Line-based diffing and three-way merging of slot/page HTML (Myers algorithm)
+ *
+ * HTML is split so that every tag starts on its own line before diffing,
+ * which keeps diffs readable for content that was saved on a single line.
+ */
+
+// Above these limits the changed region is reported as one replaced block
+// instead of a line diff; Myers is O((n+m)·D) time and keeps O(D²) trace
+const MAX_DIFF_LINES = 20000;
+const MAX_EDIT_DISTANCE = 2000;
+
+class ContentDiff {
+  /**
+   * Diff two HTML/text strings
+   * @param {string} oldText - Original content
+   * @param {string} newText - Updated content
+   * @param {Object} options - { context: lines of context in the unified output }
+   * @returns {Object} { changes, hunks, stats, unified }
+   */
+  static diff(oldText, newText, options = {}) {
+    const context = options.context !== undefined ? options.context : 3;
+    const oldLines = this.splitLines(oldText);
+    const newLines = this.splitLines(newText);
+
+    const changes = this.diffLines(oldLines, newLines);
+    const hunks = this.buildHunks(changes, context);
+
+    const stats = changes.reduce((acc, change) => {
+      if (change.type === 'insert') acc.added += change.lines.length;
+      if (change.type === 'delete') acc.removed += change.lines.length;
+      return acc;
+    }, { added: 0, removed: 0 });
+
+    return {
+      identical: stats.added === 0 && stats.removed === 0,
+      changes,
+      hunks,
+      stats,
+      unified: this.renderUnified(hunks),
+    };
+  }
+
+  /**
+   * Split content into diffable lines (one tag per line)
+   * @param {string} text - HTML or plain text
+   * @returns {Array<string>} Lines
+   */
+  static splitLines(text) {
+    if (!text) {
+      return [];
+    }
+
+    return String(text)
+      .replace(/\r\n/g, '\n')
+      .replace(/>\s*</g, '>\n<')
+      .split('\n')
+      .map(line => line.trimEnd())
+      .filter((line, index, lines) => line.length > 0 || (index > 0 && index < lines.length - 1));
+  }
+
+  /**
+   * Compute the edit script between two line arrays
+   * @param {Array<string>} a - Old lines
+   * @param {Array<string>} b - New lines
+   * @returns {Array<Object>} Grouped changes: { type: 'equal'|'delete'|'insert', lines }
+   */
+  static diffLines(a, b) {
+    const ops = this._ops(a, b);
+
+    // Group consecutive operations of the same type
+    const changes = [];
+    for (const op of ops) {
+      const last = changes[changes.length - 1];
+      if (last && last.type === op.type) {
+        last.lines.push(op.line);
+      } else {
+        changes.push({ type: op.type, lines: [op.line] });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Three-way merge of two edits made against the same base (diff3 style)
+   * Changes that touch the same or adjacent base lines and differ are
+   * reported as conflicts and marked in the output with <<<<<<< / ======= / >>>>>>>
+   * @param {string} baseText - Common ancestor content
+   * @param {string} oursText - Incoming edit
+   * @param {string} theirsText - Edit made elsewhere (e.g. in wp-admin)
+   * @returns {Object} { clean, content, conflicts }
+   */
+  static merge3(baseText, oursText, theirsText) {
+    const base = this.splitLines(baseText);
+    const ours = this.splitLines(oursText);
+    const theirs = this.splitLines(theirsText);
+
+    const regions = [
+      ...this._changeRegions(base, ours).map(r => ({ ...r, side: 'ours' })),
+      ...this._changeRegions(base, theirs).map(r => ({ ...r, side: 'theirs' })),
+    ].sort((x, y) => x.start - y.start || x.end - y.end);
+
+    const output = [];
+    const conflicts = [];
+    let pos = 0;
+    let i = 0;
+
+    while (i < regions.length) {
+      const group = [regions[i]];
+      const start = regions[i].start;
+      let end = regions[i].end;
+      i++;
+
+      // Overlapping or adjacent changes are resolved together
+      while (i < regions.length && regions[i].start <= end) {
+        end = Math.max(end, regions[i].end);
+        group.push(regions[i]);
+        i++;
+      }
+
+      output.push(...base.slice(pos, start));
+
+      const sideLines = (side) => {
+        const sideRegions = group.filter(r => r.side === side);
+        const lines = [];
+        let at = start;
+        for (const region of sideRegions) {
+          lines.push(...base.slice(at, region.start), ...region.lines);
+          at = region.end;
+        }
+        lines.push(...base.slice(at, end));
+        return lines;
+      };
+
+      const oursLines = sideLines('ours');
+      const theirsLines = sideLines('theirs');
+      const hasOurs = group.some(r => r.side === 'ours');
+      const hasTheirs = group.some(r => r.side === 'theirs');
+
+      if (!hasTheirs || oursLines.join('\n') === theirsLines.join('\n')) {
+        output.push(...oursLines);
+      } else if (!hasOurs) {
+        output.push(...theirsLines);
+      } else {
+        conflicts.push({
+          base_start: start + 1,
+          base: base.slice(start, end),
+          ours: oursLines,
+          theirs: theirsLines,
+        });
+        output.push('<<<<<<< ours', ...oursLines, '=======', ...theirsLines, '>>>>>>> theirs');
+      }
+
+      pos = end;
+    }
+
+    output.push(...base.slice(pos));
+
+    return {
+      clean: conflicts.length === 0,
+      content: output.join('\n'),
+      conflicts,
+    };
+  }
+
+  /**
+   * Flat edit script between two line arrays
+   * @private
+   */
+  static _ops(a, b) {
+    // Trim common prefix/suffix - most slot edits touch a small region
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    while (
+      suffix < a.length - prefix &&
+      suffix < b.length - prefix &&
+      a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const oldMiddle = a.slice(prefix, a.length - suffix);
+    const newMiddle = b.slice(prefix, b.length - suffix);
+    const middle = (oldMiddle.length + newMiddle.length <= MAX_DIFF_LINES && this._myers(oldMiddle, newMiddle)) || [
+      ...oldMiddle.map(line => ({ type: 'delete', line })),
+      ...newMiddle.map(line => ({ type: 'insert', line })),
+    ];
+
+    const ops = [];
+    for (let i = 0; i < prefix; i++) ops.push({ type: 'equal', line: a[i] });
+    for (const op of middle) ops.push(op);
+    for (let i = a.length - suffix; i < a.length; i++) ops.push({ type: 'equal', line: a[i] });
+
+    return ops;
+  }
+
+  /**
+   * Regions of base replaced in other: { start, end, lines } (base[start, end) -> lines)
+   * @private
+   */
+  static _changeRegions(base, other) {
+    const regions = [];
+    let current = null;
+    let index = 0;
+
+    for (const op of this._ops(base, other)) {
+      if (op.type === 'equal') {
+        if (current) {
+          regions.push(current);
+          current = null;
+        }
+        index++;
+        continue;
+      }
+
+      if (!current) {
+        current = { start: index, end: index, lines: [] };
+      }
+
+      if (op.type === 'delete') {
+        current.end++;
+        index++;
+      } else {
+        current.lines.push(op.line);
+      }
+    }
+
+    if (current) {
+      regions.push(current);
+    }
+
+    return regions;
+  }
+
+  /**
+   * Group changes into hunks with surrounding context
+   * @param {Array<Object>} changes - Output of diffLines
+   * @param {number} context - Lines of context around each change
+   * @returns {Array<Object>} Hunks: { old_start, old_lines, new_start, new_lines, lines }
+   */
+  static buildHunks(changes, context = 3) {
+    const hunks = [];
+    let current = null;
+    let oldLine = 1;
+    let newLine = 1;
+
+    changes.forEach((change, index) => {
+      if (change.type === 'equal') {
+        const isFirst = index === 0;
+        const isLast = index === changes.length - 1;
+
+        if (current) {
+          // Close the hunk, or bridge to the next change if it is close enough
+          if (isLast || change.lines.length > context * 2) {
+            const tail = change.lines.slice(0, context);
+            tail.forEach(line => current.lines.push({ type: 'equal', line }));
+            current.old_lines += tail.length;
+            current.new_lines += tail.length;
+            hunks.push(current);
+            current = null;
+          } else {
+            change.lines.forEach(line => current.lines.push({ type: 'equal', line }));
+            current.old_lines += change.lines.length;
+            current.new_lines += change.lines.length;
+          }
+        }
+
+        if (!current && !isLast) {
+          const lead = isFirst || change.lines.length > context * 2
+            ? change.lines.slice(-context)
+            : [];
+          if (lead.length > 0 || !isFirst) {
+            // Lead-in context for the next change
+            current = {
+              old_start: oldLine + change.lines.length - lead.length,
+              new_start: newLine + change.lines.length - lead.length,
+              old_lines: lead.length,
+              new_lines: lead.length,
+              lines: lead.map(line => ({ type: 'equal', line })),
+            };
+          }
+        }
+
+        oldLine += change.lines.length;
+        newLine += change.lines.length;
+        return;
+      }
+
+      if (!current) {
+        current = { old_start: oldLine, new_start: newLine, old_lines: 0, new_lines: 0, lines: [] };
+      }
+
+      change.lines.forEach(line => current.lines.push({ type: change.type, line }));
+
+      if (change.type === 'delete') {
+        current.old_lines += change.lines.length;
+        oldLine += change.lines.length;
+      } else {
+        current.new_lines += change.lines.length;
+        newLine += change.lines.length;
+      }
+    });
+
+    if (current && current.lines.some(l => l.type !== 'equal')) {
+      hunks.push(current);
+    }
+
+    return hunks.filter(hunk => hunk.lines.some(l => l.type !== 'equal'));
+  }
+
+  /**
+   * Render hunks in unified diff format
+   * @param {Array<Object>} hunks - Output of buildHunks
+   * @returns {string} Unified diff text
+   */
+  static renderUnified(hunks) {
+    return hunks.map((hunk) => {
+      const header = `@@ -${hunk.old_start},${hunk.old_lines} +${hunk.new_start},${hunk.new_lines} @@`;
+      const body = hunk.lines.map((l) => {
+        const prefix = l.type === 'insert' ? '+' : l.type === 'delete' ? '-' : ' ';
+        return prefix + l.line;
+      });
+      return [header, ...body].join('\n');
+    }).join('\n');
+  }
+
+  /**
+   * Myers O(ND) shortest edit script; null if it needs more than
+   * MAX_EDIT_DISTANCE edits
+   * @private
+   */
+  static _myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+
+    if (n === 0) return b.map(line => ({ type: 'insert', line }));
+    if (m === 0) return a.map(line => ({ type: 'delete', line }));
+
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+      if (d > MAX_EDIT_DISTANCE) {
+        return null;
+      }
+
+      // Only diagonals -d-1..d+1 are read when walking back from step d
+      trace.push(v.slice(offset - d - 1, offset + d + 2));
+      for (let k = -d; k <= d; k += 2) {
+        let x;
+        if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+          x = v[offset + k + 1];
+        } else {
+          x = v[offset + k - 1] + 1;
+        }
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = true;
+          break;
+        }
+      }
+    }
+
+    // Walk the trace backwards to recover the edit script
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const vd = trace[d];
+      const base = d + 1; // index of diagonal 0 in vd
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && vd[base + k - 1] < vd[base + k + 1])) ? k + 1 : k - 1;
+      const prevX = vd[base + prevK];
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        ops.push({ type: 'equal', line: a[x - 1] });
+        x--;
+        y--;
+      }
+
+      if (d > 0) {
+        if (x === prevX) {
+          ops.push({ type: 'insert', line: b[y - 1] });
+        } else {
+          ops.push({ type: 'delete', line: a[x - 1] });
+        }
+      }
+
+      x = prevX;
+      y = prevY;
+    }
+
+    return ops.reverse();
+  }
+}
+
+module.exports = ContentDiff;
@@ -0,0 +1,83 @@
+/**
+ * Credit Expiry Job
+ * Nightly sweep of expired credit buckets and lapsed credit reservations
+ *
+ * Runs once a day at CREDIT_EXPIRY_HOUR (UTC). Expiry is idempotent and
+ * charges expire an account's buckets on their own, so a missed night only
+ * delays the transaction-history entries.
+ */
+
+const creditService = require('./creditService');
+
+class CreditExpiryJob {
+  constructor() {
+    this.hourUtc = parseInt(process.env.CREDIT_EXPIRY_HOUR || '3');
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Schedule the nightly run
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.schedule();
+    console.log(`[CREDIT EXPIRY] Started (daily at ${this.hourUtc}:00 UTC)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      console.log('[CREDIT EXPIRY] Stopped');
+    }
+  }
+
+  /**
+   * @private
+   */
+  schedule() {
+    const next = new Date();
+    next.setUTCHours(this.hourUtc, 0, 0, 0);
+    if (next <= new Date()) {
+      next.setUTCDate(next.getUTCDate() + 1);
+    }
+
+    this.timer = setTimeout(async () => {
+      await this.run();
+      if (this.timer) {
+        this.schedule();
+      }
+    }, next.getTime() - Date.now());
+    this.timer.unref();
+  }
+
+  /**
+   * Expire lapsed reservations, then expired buckets
+   * @returns {Promise<Object|null>} { reservations, accounts, credits }, null if already running
+   */
+  async run() {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+
+    try {
+      const reservations = await creditService.expireReservations();
+      const { accounts, credits } = await creditService.expireCredits();
+
+      console.log('[CREDIT EXPIRY] Run complete:', { reservations, accounts, credits });
+      return { reservations, accounts, credits };
+    } catch (error) {
+      console.error('[CREDIT EXPIRY] Run error:', error.message);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new CreditExpiryJob();
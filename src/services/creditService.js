@@ -1,168 +1,611 @@
-/**
- * Credit Service
- * Handles all credit-related operations: checking balance, consuming credits, adding credits
- */
-
-const { Pool } = require('pg');
-
-class CreditService {
-  constructor() {
-    this.pool = new Pool({
-      connectionString: process.env.DATABASE_URL
-    });
-  }
-
-  /**
-   * Get user credit balance
-   */
-  async getBalance(userId) {
-    try {
-      const result = await this.pool.query(
-        'SELECT balance FROM user_credits WHERE user_id = $1',
-        [userId]
-      );
-      
-      // If user doesn't have a credit record, create one with 10 free credits
-      if (result.rows.length === 0) {
-        await this.pool.query(
-          'INSERT INTO user_credits (user_id, balance) VALUES ($1, 10) ON CONFLICT (user_id) DO NOTHING',
-          [userId]
-        );
-        return 10;
-      }
-      
-      return result.rows[0].balance;
-    } catch (error) {
-      console.error('[CREDITS] Error getting balance:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Check if user has enough credits
-   */
-  async hasCredits(userId, needed) {
-    const balance = await this.getBalance(userId);
-    return balance >= needed;
-  }
-
-  /**
-   * Use credits (deduct from balance)
-   */
-  async useCredits(userId, amount, reason) {
-    const client = await this.pool.connect();
-    
-    try {
-      await client.query('BEGIN');
-      
-      // Get current balance
-      const balanceResult = await client.query(
-        'SELECT balance FROM user_credits WHERE user_id = $1 FOR UPDATE',
-        [userId]
-      );
-      
-      if (balanceResult.rows.length === 0) {
-        throw new Error('User credit record not found');
-      }
-      
-      const currentBalance = balanceResult.rows[0].balance;
-      
-      if (currentBalance < amount) {
-        throw new Error(`Insufficient credits. Need ${amount}, have ${currentBalance}`);
-      }
-      
-      // Deduct credits
-      await client.query(
-        'UPDATE user_credits SET balance = balance - $1, total_consumed = total_consumed + $1, updated_at = NOW() WHERE user_id = $2',
-        [amount, userId]
-      );
-      
-      const newBalance = currentBalance - amount;
-      
-      // Log transaction
-      await client.query(
-        'INSERT INTO credit_transactions (user_id, amount, balance_after, reason) VALUES ($1, $2, $3, $4)',
-        [userId, -amount, newBalance, reason]
-      );
-      
-      await client.query('COMMIT');
-      
-      console.log(`[CREDITS] User ${userId} used ${amount} credits for: ${reason}. New balance: ${newBalance}`);
-      
-      return newBalance;
-    } catch (error) {
-      await client.query('ROLLBACK');
-      console.error('[CREDITS] Error using credits:', error);
-      throw error;
-    } finally {
-      client.release();
-    }
-  }
-
-  /**
-   * Add credits to user balance
-   */
-  async addCredits(userId, amount, reason) {
-    const client = await this.pool.connect();
-    
-    try {
-      await client.query('BEGIN');
-      
-      // Ensure user record exists
-      await client.query(
-        'INSERT INTO user_credits (user_id, balance) VALUES ($1, 0) ON CONFLICT (user_id) DO NOTHING',
-        [userId]
-      );
-      
-      // Add credits
-      await client.query(
-        'UPDATE user_credits SET balance = balance + $1, total_purchased = total_purchased + $1, updated_at = NOW() WHERE user_id = $2',
-        [amount, userId]
-      );
-      
-      // Get new balance
-      const balanceResult = await client.query(
-        'SELECT balance FROM user_credits WHERE user_id = $1',
-        [userId]
-      );
-      
-      const newBalance = balanceResult.rows[0].balance;
-      
-      // Log transaction
-      await client.query(
-        'INSERT INTO credit_transactions (user_id, amount, balance_after, reason) VALUES ($1, $2, $3, $4)',
-        [userId, amount, newBalance, reason]
-      );
-      
-      await client.query('COMMIT');
-      
-      console.log(`[CREDITS] User ${userId} received ${amount} credits: ${reason}. New balance: ${newBalance}`);
-      
-      return newBalance;
-    } catch (error) {
-      await client.query('ROLLBACK');
-      console.error('[CREDITS] Error adding credits:', error);
-      throw error;
-    } finally {
-      client.release();
-    }
-  }
-
-  /**
-   * Get credit transaction history
-   */
-  async getTransactionHistory(userId, limit = 50) {
-    try {
-      const result = await this.pool.query(
-        'SELECT * FROM credit_transactions WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
-        [userId, limit]
-      );
-      return result.rows;
-    } catch (error) {
-      console.error('[CREDITS] Error getting transaction history:', error);
-      throw error;
-    }
-  }
-}
-
-module.exports = new CreditService();
+/**
+ * Credit Service
+ * Handles all credit-related operations: checking balance, consuming credits, adding credits
+ *
+ * Paid work reserves its credits first (reserve), then charges what was
+ * actually used (commit) or gives the hold back (release). Open holds count
+ * against the available balance, so parallel requests cannot overdraw it.
+ *
+ * Credits live in buckets (purchased, promotional, plan allowance), each with
+ * its own expiry. Charges draw from the soonest-expiring bucket first;
+ * user_credits.balance is the total of the unexpired buckets.
+ */
+
+const { Pool } = require('pg');
+const webhookService = require('./webhookService');
+const autoTopupService = require('./autoTopupService');
+
+// Balance below which a credits.low webhook is sent (once per crossing)
+const LOW_CREDIT_THRESHOLD = parseInt(process.env.LOW_CREDIT_THRESHOLD || '10');
+
+// How long a reservation holds credits if it is never committed or released
+const RESERVATION_TTL_SECONDS = parseInt(process.env.CREDIT_RESERVATION_TTL_SECONDS || '900');
+
+const BUCKET_SOURCES = ['purchased', 'promotional', 'plan_allowance'];
+
+// Welcome grant for new organizations (a promotional bucket)
+const SIGNUP_CREDITS = parseInt(process.env.SIGNUP_CREDITS || '10');
+const SIGNUP_CREDITS_EXPIRY_DAYS = parseInt(process.env.SIGNUP_CREDITS_EXPIRY_DAYS || '30');
+
+class CreditService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+
+  /**
+   * Get user credit balance (unexpired credits in all buckets; 0 for an
+   * account that was never granted any)
+   */
+  async getBalance(userId) {
+    try {
+      const result = await this.pool.query(
+        `SELECT COALESCE(SUM(remaining), 0)::int AS balance FROM credit_buckets
+         WHERE user_id = $1 AND remaining > 0 AND (expires_at IS NULL OR expires_at > NOW())`,
+        [userId]
+      );
+
+      return result.rows[0].balance;
+    } catch (error) {
+      console.error('[CREDITS] Error getting balance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unexpired buckets with credits left, in the order they are spent
+   */
+  async getBuckets(userId) {
+    const result = await this.pool.query(
+      `SELECT id, source, amount, remaining, reason, expires_at, created_at FROM credit_buckets
+       WHERE user_id = $1 AND remaining > 0 AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY expires_at ASC NULLS LAST, created_at ASC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Balance minus credits held by open reservations
+   */
+  async getAvailableBalance(userId) {
+    const balance = await this.getBalance(userId);
+    const held = await this._heldCredits(this.pool, userId);
+    return balance - held;
+  }
+
+  /**
+   * Check if user has enough credits (not already reserved)
+   */
+  async hasCredits(userId, needed) {
+    const available = await this.getAvailableBalance(userId);
+    return available >= needed;
+  }
+
+  /**
+   * Hold credits for work that is about to start
+   * @param {string} userId - Credit account (organization id)
+   * @param {number} amount - Most the work can cost
+   * @param {string} reason - Shown in the transaction log on commit
+   * @returns {Object} { success: true, reservation, available } or
+   *   { success: false, required, available } when the balance is too low
+   */
+  async reserve(userId, amount, reason, ttlSeconds = RESERVATION_TTL_SECONDS) {
+    // Make sure the account exists before locking it
+    await this._openAccount(this.pool, userId);
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Serializes reservations and charges for this account
+      const balanceResult = await client.query(
+        'SELECT balance FROM user_credits WHERE user_id = $1 FOR UPDATE',
+        [userId]
+      );
+
+      await client.query(
+        `UPDATE credit_reservations SET status = 'expired', settled_at = NOW()
+         WHERE user_id = $1 AND status = 'held' AND expires_at <= NOW()`,
+        [userId]
+      );
+
+      const balance = balanceResult.rows[0].balance - await this._expireBuckets(client, userId);
+      const available = balance - await this._heldCredits(client, userId);
+
+      if (available < amount) {
+        await client.query('ROLLBACK');
+        return { success: false, required: amount, available };
+      }
+
+      const reservationResult = await client.query(
+        `INSERT INTO credit_reservations (user_id, amount, reason, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+         RETURNING *`,
+        [userId, amount, reason, ttlSeconds]
+      );
+
+      await client.query('COMMIT');
+
+      const reservation = reservationResult.rows[0];
+      console.log(`[CREDITS] User ${userId} reserved ${amount} credits for: ${reason} (${reservation.id})`);
+
+      return { success: true, reservation, available: available - amount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[CREDITS] Error reserving credits:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Charge a reservation
+   * @param {string} reservationId - From reserve()
+   * @param {number} amount - Credits actually used (defaults to the reserved
+   *   amount, may be less; 0 releases the hold)
+   * @returns {number} New balance
+   */
+  async commit(reservationId, amount = null) {
+    const client = await this.pool.connect();
+    let reservation;
+    let charge;
+    let currentBalance;
+    let newBalance;
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the account before the reservation, in the same order as reserve()
+      const ownerResult = await client.query(
+        'SELECT user_id FROM credit_reservations WHERE id = $1',
+        [reservationId]
+      );
+      if (ownerResult.rows.length === 0) {
+        throw new Error('Credit reservation not found');
+      }
+
+      const balanceResult = await client.query(
+        'SELECT balance FROM user_credits WHERE user_id = $1 FOR UPDATE',
+        [ownerResult.rows[0].user_id]
+      );
+      currentBalance = balanceResult.rows[0].balance -
+        await this._expireBuckets(client, ownerResult.rows[0].user_id);
+
+      const reservationResult = await client.query(
+        'SELECT * FROM credit_reservations WHERE id = $1 FOR UPDATE',
+        [reservationId]
+      );
+      reservation = reservationResult.rows[0];
+
+      if (reservation.status !== 'held' && reservation.status !== 'expired') {
+        throw new Error(`Credit reservation is already ${reservation.status}`);
+      }
+
+      charge = amount === null ? reservation.amount : amount;
+      if (charge < 0 || charge > reservation.amount) {
+        throw new Error(`Cannot commit ${charge} credits on a reservation of ${reservation.amount}`);
+      }
+
+      // A lapsed hold no longer protects the balance
+      const lapsed = reservation.status === 'expired' || new Date(reservation.expires_at) <= new Date();
+      if (lapsed && currentBalance - await this._heldCredits(client, reservation.user_id) < charge) {
+        throw new Error(`Insufficient credits. Need ${charge}, have ${currentBalance}`);
+      }
+
+      newBalance = currentBalance - charge;
+
+      if (charge > 0) {
+        await this._consume(client, reservation.user_id, charge);
+
+        await client.query(
+          'UPDATE user_credits SET balance = balance - $1, total_consumed = total_consumed + $1, updated_at = NOW() WHERE user_id = $2',
+          [charge, reservation.user_id]
+        );
+
+        await client.query(
+          'INSERT INTO credit_transactions (user_id, amount, balance_after, reason) VALUES ($1, $2, $3, $4)',
+          [reservation.user_id, -charge, newBalance, reservation.reason]
+        );
+      }
+
+      await client.query(
+        `UPDATE credit_reservations
+         SET status = $2, committed_amount = $3, settled_at = NOW()
+         WHERE id = $1`,
+        [reservationId, charge > 0 ? 'committed' : 'released', charge]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[CREDITS] Error committing reservation:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`[CREDITS] User ${reservation.user_id} used ${charge} of ${reservation.amount} reserved credits for: ${reservation.reason}. New balance: ${newBalance}`);
+
+    if (charge > 0 && currentBalance >= LOW_CREDIT_THRESHOLD && newBalance < LOW_CREDIT_THRESHOLD) {
+      await webhookService.emit(reservation.user_id, 'credits.low', {
+        balance: newBalance,
+        threshold: LOW_CREDIT_THRESHOLD,
+        last_usage: { amount: charge, reason: reservation.reason },
+      });
+    }
+
+    if (charge > 0) {
+      this._checkAutoTopup(reservation.user_id, newBalance);
+    }
+
+    return newBalance;
+  }
+
+  /**
+   * Give a reservation's credits back without charging
+   * Safe to call on an already settled reservation (no-op)
+   * @returns {boolean} Whether a hold was released
+   */
+  async release(reservationId) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE credit_reservations SET status = 'released', settled_at = NOW()
+         WHERE id = $1 AND status = 'held'
+         RETURNING user_id, amount`,
+        [reservationId]
+      );
+
+      if (result.rows.length > 0) {
+        console.log(`[CREDITS] User ${result.rows[0].user_id} released ${result.rows[0].amount} reserved credits (${reservationId})`);
+      }
+
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('[CREDITS] Error releasing reservation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Expire every hold past its expiry (reserve() also does this per account)
+   * @returns {number} Reservations expired
+   */
+  async expireReservations() {
+    const result = await this.pool.query(
+      `UPDATE credit_reservations SET status = 'expired', settled_at = NOW()
+       WHERE status = 'held' AND expires_at <= NOW()`
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Zero every bucket past its expiry and log it in the transaction history
+   * (nightly job; charges and reservations also do this per account)
+   * @returns {Object} { accounts, credits } - accounts touched, credits expired
+   */
+  async expireCredits() {
+    const due = await this.pool.query(
+      `SELECT DISTINCT user_id FROM credit_buckets
+       WHERE remaining > 0 AND expires_at <= NOW()`
+    );
+
+    let credits = 0;
+    for (const { user_id } of due.rows) {
+      const client = await this.pool.connect();
+
+      try {
+        await client.query('BEGIN');
+        await client.query('SELECT balance FROM user_credits WHERE user_id = $1 FOR UPDATE', [user_id]);
+        credits += await this._expireBuckets(client, user_id);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`[CREDITS] Error expiring credits for ${user_id}:`, error.message);
+      } finally {
+        client.release();
+      }
+    }
+
+    return { accounts: due.rows.length, credits };
+  }
+
+  /**
+   * Use credits (deduct from balance)
+   */
+  async useCredits(userId, amount, reason) {
+    const client = await this.pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      // Get current balance
+      const balanceResult = await client.query(
+        'SELECT balance FROM user_credits WHERE user_id = $1 FOR UPDATE',
+        [userId]
+      );
+      
+      if (balanceResult.rows.length === 0) {
+        throw new Error('User credit record not found');
+      }
+      
+      const currentBalance = balanceResult.rows[0].balance - await this._expireBuckets(client, userId);
+      const available = currentBalance - await this._heldCredits(client, userId);
+      
+      if (available < amount) {
+        throw new Error(`Insufficient credits. Need ${amount}, have ${available}`);
+      }
+      
+      // Deduct credits
+      await this._consume(client, userId, amount);
+
+      await client.query(
+        'UPDATE user_credits SET balance = balance - $1, total_consumed = total_consumed + $1, updated_at = NOW() WHERE user_id = $2',
+        [amount, userId]
+      );
+      
+      const newBalance = currentBalance - amount;
+      
+      // Log transaction
+      await client.query(
+        'INSERT INTO credit_transactions (user_id, amount, balance_after, reason) VALUES ($1, $2, $3, $4)',
+        [userId, -amount, newBalance, reason]
+      );
+      
+      await client.query('COMMIT');
+      
+      console.log(`[CREDITS] User ${userId} used ${amount} credits for: ${reason}. New balance: ${newBalance}`);
+
+      if (currentBalance >= LOW_CREDIT_THRESHOLD && newBalance < LOW_CREDIT_THRESHOLD) {
+        await webhookService.emit(userId, 'credits.low', {
+          balance: newBalance,
+          threshold: LOW_CREDIT_THRESHOLD,
+          last_usage: { amount, reason },
+        });
+      }
+
+      this._checkAutoTopup(userId, newBalance);
+      
+      return newBalance;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[CREDITS] Error using credits:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add credits to user balance, as a new bucket
+   * @param {Object} options
+   * @param {string} options.source - purchased (default), promotional or plan_allowance
+   * @param {Date} options.expiresAt - When the bucket expires (default: never)
+   * @param {string} options.reference - Grant once per reference (e.g. Stripe
+   *   session id); a repeat is ignored
+   * @returns {number} New balance
+   */
+  async addCredits(userId, amount, reason, { source = 'purchased', expiresAt = null, reference = null } = {}) {
+    if (!BUCKET_SOURCES.includes(source)) {
+      throw new Error(`Unknown credit source: ${source}`);
+    }
+
+    const client = await this.pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      // Ensure user record exists
+      await this._openAccount(client, userId);
+
+      await client.query('SELECT balance FROM user_credits WHERE user_id = $1 FOR UPDATE', [userId]);
+      await this._expireBuckets(client, userId);
+
+      const bucketResult = await client.query(
+        `INSERT INTO credit_buckets (user_id, source, amount, remaining, reason, reference, expires_at)
+         VALUES ($1, $2, $3, $3, $4, $5, $6)
+         ON CONFLICT (user_id, reference) WHERE reference IS NOT NULL DO NOTHING
+         RETURNING id`,
+        [userId, source, amount, reason, reference, expiresAt]
+      );
+
+      if (bucketResult.rows.length === 0) {
+        const existing = await client.query('SELECT balance FROM user_credits WHERE user_id = $1', [userId]);
+        await client.query('COMMIT');
+        console.log(`[CREDITS] User ${userId} already received credits for ${reference}, skipping`);
+        return existing.rows[0].balance;
+      }
+      
+      // Add credits
+      await client.query(
+        `UPDATE user_credits
+         SET balance = balance + $1,
+             total_purchased = total_purchased + CASE WHEN $3 = 'purchased' THEN $1 ELSE 0 END,
+             updated_at = NOW()
+         WHERE user_id = $2`,
+        [amount, userId, source]
+      );
+      
+      // Get new balance
+      const balanceResult = await client.query(
+        'SELECT balance FROM user_credits WHERE user_id = $1',
+        [userId]
+      );
+      
+      const newBalance = balanceResult.rows[0].balance;
+      
+      // Log transaction
+      await client.query(
+        'INSERT INTO credit_transactions (user_id, amount, balance_after, reason, bucket_id) VALUES ($1, $2, $3, $4, $5)',
+        [userId, amount, newBalance, reason, bucketResult.rows[0].id]
+      );
+      
+      await client.query('COMMIT');
+      
+      console.log(`[CREDITS] User ${userId} received ${amount} ${source} credits: ${reason}. New balance: ${newBalance}`);
+      
+      return newBalance;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[CREDITS] Error adding credits:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Welcome credits for a new organization (promotional, expiring)
+   * @returns {number|null} New balance, or null when signup credits are off
+   */
+  async grantSignupCredits(userId) {
+    if (SIGNUP_CREDITS <= 0) {
+      return null;
+    }
+
+    return this.addCredits(userId, SIGNUP_CREDITS, 'Welcome credits', {
+      source: 'promotional',
+      expiresAt: new Date(Date.now() + SIGNUP_CREDITS_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+      reference: 'signup',
+    });
+  }
+
+  /**
+   * Start an automatic top-up in the background if the balance fell below
+   * the organization's threshold (the charge never waits on Stripe)
+   * @private
+   */
+  _checkAutoTopup(userId, balance) {
+    autoTopupService.check(userId, balance).catch((error) => {
+      console.error('[CREDITS] Auto top-up check failed:', error.message);
+    });
+  }
+
+  /**
+   * Create an empty account row (never grants credits)
+   * @private
+   */
+  async _openAccount(client, userId) {
+    await client.query(
+      'INSERT INTO user_credits (user_id, balance) VALUES ($1, 0) ON CONFLICT (user_id) DO NOTHING',
+      [userId]
+    );
+  }
+
+  /**
+   * Take credits from the account's buckets, soonest-expiring first
+   * Caller holds the user_credits row lock and updates the balance
+   * @private
+   */
+  async _consume(client, userId, amount) {
+    const buckets = await client.query(
+      `SELECT id, remaining FROM credit_buckets
+       WHERE user_id = $1 AND remaining > 0 AND (expires_at IS NULL OR expires_at > NOW())
+       ORDER BY expires_at ASC NULLS LAST, created_at ASC
+       FOR UPDATE`,
+      [userId]
+    );
+
+    let left = amount;
+    for (const bucket of buckets.rows) {
+      if (left === 0) {
+        break;
+      }
+
+      const take = Math.min(left, bucket.remaining);
+      await client.query(
+        'UPDATE credit_buckets SET remaining = remaining - $1 WHERE id = $2',
+        [take, bucket.id]
+      );
+      left -= take;
+    }
+
+    if (left > 0) {
+      throw new Error(`Insufficient credits. Need ${amount}, have ${amount - left}`);
+    }
+  }
+
+  /**
+   * Zero the account's expired buckets, take them off the balance and log
+   * one transaction per bucket
+   * Caller holds the user_credits row lock
+   * @returns {number} Credits expired
+   * @private
+   */
+  async _expireBuckets(client, userId) {
+    const result = await client.query(
+      `WITH due AS (
+         SELECT id, remaining FROM credit_buckets
+         WHERE user_id = $1 AND remaining > 0 AND expires_at <= NOW()
+         FOR UPDATE
+       )
+       UPDATE credit_buckets SET remaining = 0, expired_at = NOW()
+       FROM due
+       WHERE credit_buckets.id = due.id
+       RETURNING credit_buckets.id, credit_buckets.source, credit_buckets.reason, credit_buckets.expires_at,
+                 due.remaining AS expired`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return 0;
+    }
+
+    const buckets = result.rows.sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+    const total = buckets.reduce((sum, bucket) => sum + bucket.expired, 0);
+
+    const balanceResult = await client.query(
+      `UPDATE user_credits
+       SET balance = balance - $1, total_expired = total_expired + $1, updated_at = NOW()
+       WHERE user_id = $2
+       RETURNING balance`,
+      [total, userId]
+    );
+
+    let balanceAfter = balanceResult.rows[0].balance + total;
+    for (const bucket of buckets) {
+      balanceAfter -= bucket.expired;
+      await client.query(
+        'INSERT INTO credit_transactions (user_id, amount, balance_after, reason, bucket_id) VALUES ($1, $2, $3, $4, $5)',
+        [userId, -bucket.expired, balanceAfter, `Expired: ${bucket.reason || bucket.source + ' credits'}`, bucket.id]
+      );
+    }
+
+    console.log(`[CREDITS] User ${userId}: ${total} credits expired from ${buckets.length} bucket(s)`);
+    return total;
+  }
+
+  /**
+   * Credits held by unexpired reservations
+   * @private
+   */
+  async _heldCredits(client, userId) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(amount), 0)::int AS held FROM credit_reservations
+       WHERE user_id = $1 AND status = 'held' AND expires_at > NOW()`,
+      [userId]
+    );
+    return result.rows[0].held;
+  }
+
+  /**
+   * Get credit transaction history
+   */
+  async getTransactionHistory(userId, limit = 50) {
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM credit_transactions WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
+        [userId, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('[CREDITS] Error getting transaction history:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CreditService();
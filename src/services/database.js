@@ -38,6 +38,73 @@ const organizations = {
     return res.rows[0];
   },
 
+  /**
+   * Onboarding: a trialing organization plus its owner in users, in one
+   * transaction
+   */
+  async createTrialWithOwner(orgData) {
+    const { id, name, slug, email, password_hash } = orgData;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const orgResult = await client.query(
+        `INSERT INTO organizations
+         (id, name, slug, email, password_hash, email_verified, subscription_status, is_active, created_at)
+         VALUES ($1, $2, $3, $4, $5, false, 'trialing', true, NOW())
+         RETURNING *`,
+        [id, name, slug, email, password_hash]
+      );
+
+      await client.query(
+        `INSERT INTO users (organization_id, email, name, role, status, joined_at)
+         VALUES ($1, $2, $3, 'owner', 'active', NOW())`,
+        [id, email, name]
+      );
+
+      await client.query('COMMIT');
+      return orgResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Passwordless signup: an organization plus its owner in users, in one
+   * transaction
+   */
+  async createWithOwner(orgData) {
+    const { name, slug, email } = orgData;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const orgResult = await client.query(
+        'INSERT INTO organizations (name, slug, email, created_at) VALUES ($1, $2, $3, NOW()) RETURNING *',
+        [name, slug, email]
+      );
+
+      await client.query(
+        `INSERT INTO users (organization_id, email, name, role, status, joined_at)
+         VALUES ($1, $2, $3, 'owner', 'active', NOW())`,
+        [orgResult.rows[0].id, email, name]
+      );
+
+      await client.query('COMMIT');
+      return orgResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
   async findByEmail(email) {
     const text = 'SELECT * FROM organizations WHERE email = $1';
     const res = await query(text, [email]);
@@ -89,6 +156,170 @@ const organizations = {
   },
 };
 
+// ===========================================
+// USERS (team members)
+// ===========================================
+const users = {
+  async create(userData) {
+    const { organization_id, email, name, role, status, invited_by } = userData;
+    const text = `
+      INSERT INTO users (organization_id, email, name, role, status, invited_by, invited_at, joined_at)
+      VALUES ($1, $2, $3, $4, $5, $6,
+              CASE WHEN $5 = 'invited' THEN NOW() END,
+              CASE WHEN $5 = 'active' THEN NOW() END)
+      RETURNING *
+    `;
+    const values = [
+      organization_id,
+      email.toLowerCase(),
+      name || null,
+      role || 'viewer',
+      status || 'invited',
+      invited_by || null,
+    ];
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  async findById(id) {
+    const text = 'SELECT * FROM users WHERE id = $1';
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+
+  async findByEmail(email) {
+    const text = 'SELECT * FROM users WHERE email = $1';
+    const res = await query(text, [email.toLowerCase()]);
+    return res.rows[0] || null;
+  },
+
+  async findByOrganization(organization_id) {
+    const text = `
+      SELECT u.*, inviter.email as invited_by_email
+      FROM users u
+      LEFT JOIN users inviter ON u.invited_by = inviter.id
+      WHERE u.organization_id = $1
+      ORDER BY u.created_at ASC
+    `;
+    const res = await query(text, [organization_id]);
+    return res.rows;
+  },
+
+  async findActiveOwners(organization_id) {
+    const text = `
+      SELECT * FROM users
+      WHERE organization_id = $1 AND role = 'owner' AND status = 'active'
+      ORDER BY created_at ASC
+    `;
+    const res = await query(text, [organization_id]);
+    return res.rows;
+  },
+
+  async countOwners(organization_id) {
+    const text = `
+      SELECT COUNT(*) FROM users
+      WHERE organization_id = $1 AND role = 'owner' AND status = 'active'
+    `;
+    const res = await query(text, [organization_id]);
+    return parseInt(res.rows[0].count);
+  },
+
+  async update(id, updates) {
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(updates).forEach((key) => {
+      if (updates[key] !== undefined) {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(updates[key]);
+        paramIndex++;
+      }
+    });
+
+    if (fields.length === 0) return null;
+
+    values.push(id);
+    const text = `
+      UPDATE users
+      SET ${fields.join(', ')}, updated_at = NOW()
+      WHERE id = $${paramIndex}
+      RETURNING *
+    `;
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  /**
+   * Record a login; the first one accepts a pending invitation
+   */
+  async markLoggedIn(id) {
+    const text = `
+      UPDATE users
+      SET last_login_at = NOW(),
+          status = CASE WHEN status = 'invited' THEN 'active' ELSE status END,
+          joined_at = COALESCE(joined_at, NOW()),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+
+  async delete(id) {
+    const text = 'DELETE FROM users WHERE id = $1 RETURNING *';
+    const res = await query(text, [id]);
+    return res.rows[0];
+  },
+};
+
+// ===========================================
+// API KEYS
+// ===========================================
+const apiKeys = {
+  async create(keyData) {
+    const { organization_id, name, key_prefix, key_hash, scopes, created_by, expires_at } = keyData;
+    const text = `
+      INSERT INTO api_keys (organization_id, name, key_prefix, key_hash, scopes, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, organization_id, name, key_prefix, scopes, created_by, expires_at, created_at
+    `;
+    const values = [organization_id, name, key_prefix, key_hash, scopes, created_by || null, expires_at || null];
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  async findByOrganization(organization_id) {
+    const text = `
+      SELECT ak.id, ak.name, ak.key_prefix, ak.scopes, ak.expires_at, ak.revoked_at,
+             ak.last_used_at, ak.last_used_ip, ak.created_at, u.email as created_by_email
+      FROM api_keys ak
+      LEFT JOIN users u ON ak.created_by = u.id
+      WHERE ak.organization_id = $1
+      ORDER BY ak.created_at DESC
+    `;
+    const res = await query(text, [organization_id]);
+    return res.rows;
+  },
+
+  async findById(id) {
+    const text = 'SELECT * FROM api_keys WHERE id = $1';
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+
+  async revoke(id) {
+    const text = `
+      UPDATE api_keys SET revoked_at = NOW()
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING id, name, key_prefix, revoked_at
+    `;
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+};
+
 // ===========================================
 // WORDPRESS SITES
 // ===========================================
@@ -105,6 +336,31 @@ const wordpressSites = {
     return res.rows[0];
   },
 
+  /**
+   * Store a Ghost/Shopify connection (these share the wordpress_sites table,
+   * told apart by platform_type); reconnecting refreshes the credentials
+   */
+  async upsertConnection(siteData) {
+    const { organization_id, site_url, site_name, wp_username, wp_app_password_encrypted, platform_type } = siteData;
+    const text = `
+      INSERT INTO wordpress_sites (organization_id, site_url, site_name, wp_username, wp_app_password_encrypted, platform_type, is_connected)
+      VALUES ($1, $2, $3, $4, $5, $6, true)
+      ON CONFLICT (organization_id, site_url)
+      DO UPDATE SET
+        site_name = EXCLUDED.site_name,
+        wp_username = EXCLUDED.wp_username,
+        wp_app_password_encrypted = EXCLUDED.wp_app_password_encrypted,
+        platform_type = EXCLUDED.platform_type,
+        is_connected = true,
+        connection_error = NULL,
+        updated_at = NOW()
+      RETURNING *
+    `;
+    const values = [organization_id, site_url, site_name, wp_username, wp_app_password_encrypted, platform_type];
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
   async findByOrganization(organization_id) {
     const text = 'SELECT * FROM wordpress_sites WHERE organization_id = $1 ORDER BY created_at DESC';
     const res = await query(text, [organization_id]);
@@ -157,6 +413,62 @@ const wordpressSites = {
     const res = await query(text, [id]);
     return res.rows[0];
   },
+
+  // A shop can be connected by more than one organization
+  async findByShopDomain(shop) {
+    const text = `SELECT * FROM wordpress_sites WHERE platform_type = 'shopify' AND wp_username = $1`;
+    const res = await query(text, [shop]);
+    return res.rows;
+  },
+
+  /**
+   * Mark every connection to a shop disconnected, drop its access token and
+   * delete its slots (cascades to revisions and pending changeset items)
+   */
+  async disconnectShop(shop, reason) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const sitesRes = await client.query(
+        `UPDATE wordpress_sites
+         SET is_connected = false,
+             wp_app_password_encrypted = '',
+             connection_error = $2,
+             available_pages = '[]'::jsonb,
+             available_posts = '[]'::jsonb,
+             updated_at = NOW()
+         WHERE platform_type = 'shopify' AND wp_username = $1
+         RETURNING *`,
+        [shop, reason]
+      );
+
+      const siteIds = sitesRes.rows.map(site => site.id);
+      let slotsDeleted = 0;
+      if (siteIds.length > 0) {
+        const slotsRes = await client.query(
+          'DELETE FROM content_slots WHERE wordpress_site_id = ANY($1::uuid[])',
+          [siteIds]
+        );
+        slotsDeleted = slotsRes.rowCount;
+      }
+
+      await client.query('COMMIT');
+      return { sites: sitesRes.rows, slots_deleted: slotsDeleted };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  async deleteByShopDomain(shop) {
+    const text = `DELETE FROM wordpress_sites WHERE platform_type = 'shopify' AND wp_username = $1 RETURNING id`;
+    const res = await query(text, [shop]);
+    return res.rows;
+  },
 };
 
 // ===========================================
@@ -276,10 +588,10 @@ const universalSites = {
 // ===========================================
 const contentSlots = {
   async create(slotData) {
-    const { wordpress_site_id, universal_site_id, wp_page_id, slot_name, slot_label, marker_name, description, slot_type, css_selector, section_type } = slotData;
+    const { wordpress_site_id, universal_site_id, wp_page_id, slot_name, slot_label, marker_name, description, slot_type, css_selector, section_type, slot_target, page_type } = slotData;
     const text = `
-      INSERT INTO content_slots (wordpress_site_id, universal_site_id, wp_page_id, slot_name, slot_label, marker_name, description, slot_type, css_selector, section_type)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      INSERT INTO content_slots (wordpress_site_id, universal_site_id, wp_page_id, slot_name, slot_label, marker_name, description, slot_type, css_selector, section_type, slot_target, page_type)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
       RETURNING *
     `;
     const values = [
@@ -292,7 +604,9 @@ const contentSlots = {
       description,
       slot_type || 'html_marker',
       css_selector || null,
-      section_type || null
+      section_type || null,
+      slot_target ? JSON.stringify(slot_target) : null,
+      page_type || 'page'
     ];
     const res = await query(text, values);
     return res.rows[0];
@@ -342,6 +656,17 @@ const contentSlots = {
     return res.rows[0];
   },
 
+  async updateContent(id, content) {
+    const text = `
+      UPDATE content_slots
+      SET current_content = $2, last_updated_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const res = await query(text, [id, content]);
+    return res.rows[0];
+  },
+
   async delete(id) {
     const text = 'DELETE FROM content_slots WHERE id = $1 RETURNING *';
     const res = await query(text, [id]);
@@ -428,52 +753,1148 @@ const contentUpdates = {
     const res = await query(text, [id]);
     return res.rows[0];
   },
-};
 
-// ===========================================
-// SUBSCRIPTIONS
-// ===========================================
-const subscriptions = {
-  async findByOrganization(organization_id) {
-    const text = 'SELECT * FROM subscriptions WHERE organization_id = $1';
-    const res = await query(text, [organization_id]);
+  async markPublished(id, wordpressUrl) {
+    const text = `
+      UPDATE content_updates
+      SET status = 'published', published_at = NOW(), wordpress_url = $2,
+          error_message = NULL, next_attempt_at = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const res = await query(text, [id, wordpressUrl || null]);
+    return res.rows[0];
+  },
+
+  /**
+   * Move an update between workflow states only if it is still in one of
+   * fromStatuses (guards against concurrent reviewers); null if it was not
+   */
+  async transition(id, fromStatuses, toStatus, fields = {}) {
+    const sets = ['status = $3', 'updated_at = NOW()'];
+    const values = [id, fromStatuses, toStatus];
+
+    Object.keys(fields).forEach((key) => {
+      values.push(fields[key]);
+      sets.push(`${key} = $${values.length}`);
+    });
+
+    const text = `
+      UPDATE content_updates
+      SET ${sets.join(', ')}
+      WHERE id = $1 AND status = ANY($2)
+      RETURNING *
+    `;
+    const res = await query(text, values);
     return res.rows[0] || null;
   },
 
-  async getUsage(organization_id) {
+  async findPendingReview(organization_id) {
     const text = `
-      SELECT
-        s.plan_name,
-        s.is_unlimited,
-        s.monthly_update_limit as monthly_limit,
-        COALESCE(s.updates_this_month, 0) as updates_this_month,
-        CASE
-          WHEN s.is_unlimited THEN 999999
-          ELSE s.monthly_update_limit - COALESCE(s.updates_this_month, 0)
-        END as remaining,
-        CASE
-          WHEN s.is_unlimited THEN false
-          ELSE COALESCE(s.updates_this_month, 0) >= s.monthly_update_limit
-        END as limit_reached
-      FROM subscriptions s
-      WHERE s.organization_id = $1
+      SELECT cu.*, cs.slot_name, cs.marker_name,
+             ws.site_name as wp_site_name, ws.site_url as wp_site_url
+      FROM content_updates cu
+      LEFT JOIN content_slots cs ON cu.content_slot_id = cs.id
+      LEFT JOIN wordpress_sites ws ON cu.wordpress_site_id = ws.id
+      WHERE cu.organization_id = $1 AND cu.status = 'pending_review'
+      ORDER BY cu.submitted_at ASC
     `;
     const res = await query(text, [organization_id]);
-    return res.rows[0] || null;
+    return res.rows;
   },
 
-  async incrementUsage(organization_id) {
+  // ---- Scheduled publishing ----
+
+  async schedule(id, scheduledAt) {
     const text = `
-      UPDATE subscriptions
-      SET updates_this_month = COALESCE(updates_this_month, 0) + 1
-      WHERE organization_id = $1
+      UPDATE content_updates
+      SET status = 'scheduled', scheduled_at = $2, next_attempt_at = NULL,
+          publish_attempts = 0, error_message = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const res = await query(text, [id, scheduledAt]);
+    return res.rows[0];
+  },
+
+  async cancelSchedule(id) {
+    const text = `
+      UPDATE content_updates
+      SET status = CASE WHEN approved_content_hash IS NOT NULL THEN 'approved' ELSE 'draft' END,
+          scheduled_at = NULL, next_attempt_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND status IN ('scheduled', 'failed')
       RETURNING *
     `;
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+
+  async findScheduledByOrganization(organization_id) {
+    const text = `
+      SELECT cu.*, cs.slot_name, cs.marker_name,
+             ws.site_name as wp_site_name, ws.site_url as wp_site_url
+      FROM content_updates cu
+      LEFT JOIN content_slots cs ON cu.content_slot_id = cs.id
+      LEFT JOIN wordpress_sites ws ON cu.wordpress_site_id = ws.id
+      WHERE cu.organization_id = $1
+        AND cu.scheduled_at IS NOT NULL
+        AND cu.status IN ('scheduled', 'publishing', 'failed')
+      ORDER BY cu.scheduled_at ASC
+    `;
     const res = await query(text, [organization_id]);
+    return res.rows;
+  },
+
+  /**
+   * Claim due scheduled updates for publishing.
+   * SKIP LOCKED keeps two scheduler processes from claiming the same row.
+   */
+  async claimDueScheduled(limit = 10) {
+    const text = `
+      UPDATE content_updates
+      SET status = 'publishing', publish_attempts = publish_attempts + 1,
+          last_attempt_at = NOW(), updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM content_updates
+        WHERE status = 'scheduled'
+          AND COALESCE(next_attempt_at, scheduled_at) <= NOW()
+          -- Paused while the organization is downgraded for non-payment
+          AND organization_id NOT IN (
+            SELECT organization_id FROM subscription_dunning WHERE status = 'downgraded'
+          )
+        ORDER BY COALESCE(next_attempt_at, scheduled_at) ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+    const res = await query(text, [limit]);
+    return res.rows;
+  },
+
+  async markScheduleRetry(id, errorMessage, nextAttemptAt) {
+    const text = `
+      UPDATE content_updates
+      SET status = 'scheduled', error_message = $2, next_attempt_at = $3, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const res = await query(text, [id, errorMessage, nextAttemptAt]);
+    return res.rows[0];
+  },
+
+  async markFailed(id, errorMessage) {
+    const text = `
+      UPDATE content_updates
+      SET status = 'failed', error_message = $2, next_attempt_at = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const res = await query(text, [id, errorMessage]);
     return res.rows[0];
   },
+
+  /**
+   * Return updates stuck in 'publishing' (process died mid-publish) to the queue
+   */
+  async releaseStalePublishing(staleMinutes = 10) {
+    const text = `
+      UPDATE content_updates
+      SET status = 'scheduled', updated_at = NOW()
+      WHERE status = 'publishing'
+        AND last_attempt_at < NOW() - ($1 || ' minutes')::interval
+      RETURNING id
+    `;
+    const res = await query(text, [String(staleMinutes)]);
+    return res.rows;
+  },
 };
 
+// ===========================================
+// CONTENT REVISIONS
+// ===========================================
+const contentRevisions = {
+  async create(revisionData) {
+    const { slot_id, organization_id, old_content, new_content, changed_by, source, content_update_id, restored_from_revision_id } = revisionData;
+    const text = `
+      INSERT INTO content_revisions (slot_id, organization_id, old_content, new_content, changed_by, source, content_update_id, restored_from_revision_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+    const values = [
+      slot_id,
+      organization_id || null,
+      old_content || null,
+      new_content || null,
+      changed_by || null,
+      source || 'manual',
+      content_update_id || null,
+      restored_from_revision_id || null,
+    ];
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  async findBySlot(slot_id, limit = 50, offset = 0) {
+    const text = `
+      SELECT id, slot_id, changed_by, source, content_update_id, restored_from_revision_id, created_at,
+        LENGTH(old_content) as old_length, LENGTH(new_content) as new_length
+      FROM content_revisions
+      WHERE slot_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const res = await query(text, [slot_id, limit, offset]);
+    return res.rows;
+  },
+
+  async countBySlot(slot_id) {
+    const text = 'SELECT COUNT(*)::int as total FROM content_revisions WHERE slot_id = $1';
+    const res = await query(text, [slot_id]);
+    return res.rows[0].total;
+  },
+
+  async findById(id) {
+    const text = 'SELECT * FROM content_revisions WHERE id = $1';
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+};
+
+// ===========================================
+// APPROVAL RULES
+// ===========================================
+const approvalRules = {
+  async create(ruleData) {
+    const { organization_id, wordpress_site_id, content_slot_id, name, reviewer_emails } = ruleData;
+    const text = `
+      INSERT INTO approval_rules (organization_id, wordpress_site_id, content_slot_id, name, reviewer_emails)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const values = [
+      organization_id,
+      wordpress_site_id || null,
+      content_slot_id || null,
+      name || null,
+      reviewer_emails || [],
+    ];
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  async findByOrganization(organization_id) {
+    const text = 'SELECT * FROM approval_rules WHERE organization_id = $1 ORDER BY created_at ASC';
+    const res = await query(text, [organization_id]);
+    return res.rows;
+  },
+
+  async findById(id) {
+    const text = 'SELECT * FROM approval_rules WHERE id = $1';
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+
+  /**
+   * Active rules covering a slot: org-wide, site-wide or slot-specific
+   */
+  async findMatching(organization_id, wordpress_site_id, content_slot_id) {
+    const text = `
+      SELECT * FROM approval_rules
+      WHERE organization_id = $1
+        AND is_active = TRUE
+        AND (wordpress_site_id IS NULL OR wordpress_site_id = $2)
+        AND (content_slot_id IS NULL OR content_slot_id = $3)
+    `;
+    const res = await query(text, [organization_id, wordpress_site_id || null, content_slot_id || null]);
+    return res.rows;
+  },
+
+  async update(id, updates) {
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(updates).forEach((key) => {
+      if (updates[key] !== undefined) {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(updates[key]);
+        paramIndex++;
+      }
+    });
+
+    if (fields.length === 0) return null;
+
+    values.push(id);
+    const text = `
+      UPDATE approval_rules
+      SET ${fields.join(', ')}, updated_at = NOW()
+      WHERE id = $${paramIndex}
+      RETURNING *
+    `;
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  async delete(id) {
+    const text = 'DELETE FROM approval_rules WHERE id = $1 RETURNING *';
+    const res = await query(text, [id]);
+    return res.rows[0];
+  },
+};
+
+// ===========================================
+// CONTENT UPDATE REVIEWS
+// ===========================================
+const contentUpdateReviews = {
+  async create(reviewData) {
+    const { content_update_id, organization_id, action, comment, author } = reviewData;
+    const text = `
+      INSERT INTO content_update_reviews (content_update_id, organization_id, action, comment, author)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const res = await query(text, [content_update_id, organization_id, action, comment || null, author || null]);
+    return res.rows[0];
+  },
+
+  async findByUpdate(content_update_id) {
+    const text = 'SELECT * FROM content_update_reviews WHERE content_update_id = $1 ORDER BY created_at ASC';
+    const res = await query(text, [content_update_id]);
+    return res.rows;
+  },
+};
+
+// ===========================================
+// CHANGESETS
+// ===========================================
+const changesets = {
+  async create(changesetData, items) {
+    const { organization_id, title, created_by } = changesetData;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const changesetRes = await client.query(
+        `INSERT INTO changesets (organization_id, title, created_by)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [organization_id, title || null, created_by || null]
+      );
+      const changeset = changesetRes.rows[0];
+
+      changeset.items = [];
+      for (const item of items) {
+        const itemRes = await client.query(
+          `INSERT INTO changeset_items (changeset_id, content_slot_id, new_content)
+           VALUES ($1, $2, $3)
+           RETURNING *`,
+          [changeset.id, item.content_slot_id, item.new_content]
+        );
+        changeset.items.push(itemRes.rows[0]);
+      }
+
+      await client.query('COMMIT');
+      return changeset;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  async findById(id) {
+    const text = 'SELECT * FROM changesets WHERE id = $1';
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+
+  async findByOrganization(organization_id, limit = 50) {
+    const text = `
+      SELECT c.*, COUNT(ci.id)::int as item_count
+      FROM changesets c
+      LEFT JOIN changeset_items ci ON ci.changeset_id = c.id
+      WHERE c.organization_id = $1
+      GROUP BY c.id
+      ORDER BY c.created_at DESC
+      LIMIT $2
+    `;
+    const res = await query(text, [organization_id, limit]);
+    return res.rows;
+  },
+
+  async findItems(changeset_id) {
+    const text = `
+      SELECT ci.*, cs.slot_name, cs.marker_name, cs.slot_type, cs.slot_target, cs.css_selector, cs.page_type, cs.wp_page_id, cs.wp_page_title, cs.wordpress_site_id
+      FROM changeset_items ci
+      JOIN content_slots cs ON ci.content_slot_id = cs.id
+      WHERE ci.changeset_id = $1
+      ORDER BY ci.created_at ASC
+    `;
+    const res = await query(text, [changeset_id]);
+    return res.rows;
+  },
+
+  /**
+   * Move a draft/failed changeset to 'applying'; null if another apply owns it
+   */
+  async claimForApply(id) {
+    const text = `
+      UPDATE changesets
+      SET status = 'applying', error_message = NULL, updated_at = NOW()
+      WHERE id = $1 AND status IN ('draft', 'failed')
+      RETURNING *
+    `;
+    const res = await query(text, [id]);
+    if (!res.rows[0]) return null;
+
+    // Clear outcomes of a previous failed attempt
+    await query(
+      "UPDATE changeset_items SET status = 'pending', error_message = NULL, updated_at = NOW() WHERE changeset_id = $1",
+      [id]
+    );
+    return res.rows[0];
+  },
+
+  async finishApply(id, status, result, errorMessage = null) {
+    const text = `
+      UPDATE changesets
+      SET status = $2,
+          result = $3,
+          error_message = $4,
+          applied_at = CASE WHEN $2 = 'applied' THEN NOW() ELSE applied_at END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const res = await query(text, [id, status, JSON.stringify(result), errorMessage]);
+    return res.rows[0];
+  },
+
+  async updateItem(id, updates) {
+    const { status, old_content, error_message } = updates;
+    const text = `
+      UPDATE changeset_items
+      SET status = $2,
+          old_content = COALESCE($3, old_content),
+          error_message = $4,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const res = await query(text, [id, status, old_content ?? null, error_message || null]);
+    return res.rows[0];
+  },
+
+  async delete(id) {
+    const text = "DELETE FROM changesets WHERE id = $1 AND status IN ('draft', 'failed') RETURNING *";
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+};
+
+// ===========================================
+// WEBHOOK ENDPOINTS
+// ===========================================
+const webhookEndpoints = {
+  async create(endpointData) {
+    const { organization_id, url, description, events, secret } = endpointData;
+    const text = `
+      INSERT INTO webhook_endpoints (organization_id, url, description, events, secret)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const res = await query(text, [organization_id, url, description || null, events, secret]);
+    return res.rows[0];
+  },
+
+  async findByOrganization(organization_id) {
+    const text = 'SELECT * FROM webhook_endpoints WHERE organization_id = $1 ORDER BY created_at ASC';
+    const res = await query(text, [organization_id]);
+    return res.rows;
+  },
+
+  async findById(id) {
+    const text = 'SELECT * FROM webhook_endpoints WHERE id = $1';
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+
+  /**
+   * Active endpoints subscribed to an event (or to all events)
+   */
+  async findSubscribed(organization_id, event) {
+    const text = `
+      SELECT * FROM webhook_endpoints
+      WHERE organization_id = $1
+        AND is_active = TRUE
+        AND ($2 = ANY(events) OR '*' = ANY(events))
+    `;
+    const res = await query(text, [organization_id, event]);
+    return res.rows;
+  },
+
+  async update(id, updates) {
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    Object.keys(updates).forEach((key) => {
+      if (updates[key] !== undefined) {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(updates[key]);
+        paramIndex++;
+      }
+    });
+
+    if (fields.length === 0) return null;
+
+    values.push(id);
+    const text = `
+      UPDATE webhook_endpoints
+      SET ${fields.join(', ')}, updated_at = NOW()
+      WHERE id = $${paramIndex}
+      RETURNING *
+    `;
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  async delete(id) {
+    const text = 'DELETE FROM webhook_endpoints WHERE id = $1 RETURNING *';
+    const res = await query(text, [id]);
+    return res.rows[0];
+  },
+};
+
+// ===========================================
+// WEBHOOK DELIVERIES
+// ===========================================
+const webhookDeliveries = {
+  async create(deliveryData) {
+    const { endpoint_id, organization_id, event, payload } = deliveryData;
+    const text = `
+      INSERT INTO webhook_deliveries (endpoint_id, organization_id, event, payload)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+    const res = await query(text, [endpoint_id, organization_id, event, JSON.stringify(payload)]);
+    return res.rows[0];
+  },
+
+  async findById(id) {
+    const text = 'SELECT * FROM webhook_deliveries WHERE id = $1';
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+
+  async findByEndpoint(endpoint_id, limit = 50) {
+    const text = `
+      SELECT * FROM webhook_deliveries
+      WHERE endpoint_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `;
+    const res = await query(text, [endpoint_id, limit]);
+    return res.rows;
+  },
+
+  /**
+   * Claim due deliveries for this worker (joined with their endpoint)
+   */
+  async claimDue(limit = 20) {
+    const text = `
+      WITH claimed AS (
+        UPDATE webhook_deliveries
+        SET status = 'delivering', attempts = attempts + 1, updated_at = NOW()
+        WHERE id IN (
+          SELECT id FROM webhook_deliveries
+          WHERE status = 'pending' AND next_attempt_at <= NOW()
+          ORDER BY next_attempt_at ASC
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      )
+      SELECT claimed.*, we.url, we.secret, we.is_active
+      FROM claimed
+      JOIN webhook_endpoints we ON claimed.endpoint_id = we.id
+    `;
+    const res = await query(text, [limit]);
+    return res.rows;
+  },
+
+  /**
+   * Claim one delivery immediately (test fire / redeliver)
+   */
+  async claim(id) {
+    const text = `
+      WITH claimed AS (
+        UPDATE webhook_deliveries
+        SET status = 'delivering', attempts = attempts + 1, updated_at = NOW()
+        WHERE id = $1 AND status IN ('pending', 'failed')
+        RETURNING *
+      )
+      SELECT claimed.*, we.url, we.secret, we.is_active
+      FROM claimed
+      JOIN webhook_endpoints we ON claimed.endpoint_id = we.id
+    `;
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+
+  async recordAttempt(id, status, result) {
+    const { response_status, response_body, error_message, duration_ms, next_attempt_at } = result;
+    const text = `
+      UPDATE webhook_deliveries
+      SET status = $2, response_status = $3, response_body = $4, error_message = $5,
+          duration_ms = $6, next_attempt_at = $7, updated_at = NOW(),
+          delivered_at = CASE WHEN $2 = 'succeeded' THEN NOW() ELSE delivered_at END
+      WHERE id = $1
+      RETURNING *
+    `;
+    const values = [
+      id,
+      status,
+      response_status || null,
+      response_body || null,
+      error_message || null,
+      duration_ms || null,
+      next_attempt_at || null,
+    ];
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  /**
+   * Return deliveries stuck in 'delivering' (process died mid-request) to the queue
+   */
+  async releaseStale(staleMinutes = 5) {
+    const text = `
+      UPDATE webhook_deliveries
+      SET status = 'pending', next_attempt_at = NOW(), updated_at = NOW()
+      WHERE status = 'delivering'
+        AND updated_at < NOW() - ($1 || ' minutes')::interval
+      RETURNING id
+    `;
+    const res = await query(text, [String(staleMinutes)]);
+    return res.rows;
+  },
+};
+
+// ===========================================
+// COMMAND PLANS
+// ===========================================
+const commandPlans = {
+  async create(planData) {
+    const {
+      organization_id, wordpress_site_id, universal_site_id, command, summary, edits,
+      credits_required, created_by, expires_at,
+    } = planData;
+    const text = `
+      INSERT INTO command_plans (organization_id, wordpress_site_id, universal_site_id, command, summary, edits, credits_required, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+    const values = [
+      organization_id,
+      wordpress_site_id || null,
+      universal_site_id || null,
+      command,
+      summary || null,
+      JSON.stringify(edits),
+      credits_required,
+      created_by || null,
+      expires_at,
+    ];
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  async findById(id) {
+    const text = 'SELECT * FROM command_plans WHERE id = $1';
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+
+  /**
+   * Move a pending, unexpired plan to 'executing'; null if it cannot be confirmed
+   */
+  async claimForExecute(id) {
+    const text = `
+      UPDATE command_plans
+      SET status = 'executing', updated_at = NOW()
+      WHERE id = $1 AND status = 'pending' AND expires_at > NOW()
+      RETURNING *
+    `;
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+
+  async finishExecute(id, status, result, errorMessage = null) {
+    const text = `
+      UPDATE command_plans
+      SET status = $2,
+          result = $3,
+          error_message = $4,
+          executed_at = CASE WHEN $2 = 'executed' THEN NOW() ELSE executed_at END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const res = await query(text, [id, status, JSON.stringify(result), errorMessage]);
+    return res.rows[0];
+  },
+
+  async cancel(id) {
+    const text = `
+      UPDATE command_plans
+      SET status = 'cancelled', updated_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+};
+
+// ===========================================
+// SUBSCRIPTIONS
+// ===========================================
+const subscriptions = {
+  async findByOrganization(organization_id) {
+    const text = 'SELECT * FROM subscriptions WHERE organization_id = $1';
+    const res = await query(text, [organization_id]);
+    return res.rows[0] || null;
+  },
+
+  async getUsage(organization_id) {
+    const text = `
+      SELECT
+        s.plan_name,
+        s.is_unlimited,
+        s.monthly_update_limit as monthly_limit,
+        COALESCE(s.updates_this_month, 0) as updates_this_month,
+        CASE
+          WHEN s.is_unlimited THEN 999999
+          ELSE s.monthly_update_limit - COALESCE(s.updates_this_month, 0)
+        END as remaining,
+        CASE
+          WHEN s.is_unlimited THEN false
+          ELSE COALESCE(s.updates_this_month, 0) >= s.monthly_update_limit
+        END as limit_reached
+      FROM subscriptions s
+      WHERE s.organization_id = $1
+    `;
+    const res = await query(text, [organization_id]);
+    return res.rows[0] || null;
+  },
+
+  async incrementUsage(organization_id) {
+    const text = `
+      UPDATE subscriptions
+      SET updates_this_month = COALESCE(updates_this_month, 0) + 1
+      WHERE organization_id = $1
+      RETURNING *
+    `;
+    const res = await query(text, [organization_id]);
+    return res.rows[0];
+  },
+
+  async setStatus(organization_id, status) {
+    const text = 'UPDATE subscriptions SET status = $2 WHERE organization_id = $1 RETURNING *';
+    const res = await query(text, [organization_id, status]);
+    return res.rows[0] || null;
+  },
+};
+
+// ===========================================
+// SUBSCRIPTION DUNNING (failed payments)
+// ===========================================
+const subscriptionDunning = {
+  async findByOrganization(organization_id) {
+    const res = await query('SELECT * FROM subscription_dunning WHERE organization_id = $1', [organization_id]);
+    return res.rows[0] || null;
+  },
+
+  async listPastDue() {
+    const res = await query(`SELECT * FROM subscription_dunning WHERE status = 'past_due' ORDER BY grace_ends_at ASC`);
+    return res.rows;
+  },
+
+  /**
+   * Record a failed invoice payment; the first failure (or the first after a
+   * resolved episode) starts the grace period, retries keep it
+   */
+  async recordFailure(organization_id, invoice, graceDays) {
+    const text = `
+      INSERT INTO subscription_dunning
+        (organization_id, stripe_invoice_id, amount_due_cents, hosted_invoice_url, failed_attempts, grace_ends_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+      ON CONFLICT (organization_id)
+      DO UPDATE SET
+        stripe_invoice_id = EXCLUDED.stripe_invoice_id,
+        amount_due_cents = EXCLUDED.amount_due_cents,
+        hosted_invoice_url = EXCLUDED.hosted_invoice_url,
+        last_failed_at = NOW(),
+        updated_at = NOW(),
+        failed_attempts = CASE WHEN subscription_dunning.status = 'resolved' THEN EXCLUDED.failed_attempts
+          ELSE GREATEST(subscription_dunning.failed_attempts, EXCLUDED.failed_attempts) END,
+        status = CASE WHEN subscription_dunning.status = 'resolved' THEN 'past_due' ELSE subscription_dunning.status END,
+        reminders_sent = CASE WHEN subscription_dunning.status = 'resolved' THEN 0 ELSE subscription_dunning.reminders_sent END,
+        first_failed_at = CASE WHEN subscription_dunning.status = 'resolved' THEN NOW() ELSE subscription_dunning.first_failed_at END,
+        grace_ends_at = CASE WHEN subscription_dunning.status = 'resolved' THEN EXCLUDED.grace_ends_at ELSE subscription_dunning.grace_ends_at END,
+        previous_plan_name = CASE WHEN subscription_dunning.status = 'resolved' THEN NULL ELSE subscription_dunning.previous_plan_name END,
+        previous_is_unlimited = CASE WHEN subscription_dunning.status = 'resolved' THEN NULL ELSE subscription_dunning.previous_is_unlimited END,
+        previous_monthly_update_limit = CASE WHEN subscription_dunning.status = 'resolved' THEN NULL ELSE subscription_dunning.previous_monthly_update_limit END,
+        downgraded_at = CASE WHEN subscription_dunning.status = 'resolved' THEN NULL ELSE subscription_dunning.downgraded_at END,
+        resolved_at = NULL
+      RETURNING *
+    `;
+    const values = [
+      organization_id,
+      invoice.id,
+      invoice.amount_due,
+      invoice.hosted_invoice_url || null,
+      invoice.attempt_count || 1,
+      graceDays,
+    ];
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  // Claims reminder number `count`; null if another run already sent it
+  async markReminderSent(organization_id, count) {
+    const text = `
+      UPDATE subscription_dunning
+      SET reminders_sent = $2, updated_at = NOW()
+      WHERE organization_id = $1 AND status = 'past_due' AND reminders_sent = $2 - 1
+      RETURNING *
+    `;
+    const res = await query(text, [organization_id, count]);
+    return res.rows[0] || null;
+  },
+
+  /**
+   * Move a past-due organization to the free plan, remembering its plan
+   * @returns {Object|null} The dunning row, or null if it was not past due
+   */
+  async downgrade(organization_id, freePlan) {
+    const text = `
+      WITH previous AS (
+        SELECT plan_name, is_unlimited, monthly_update_limit FROM subscriptions WHERE organization_id = $1
+      ),
+      downgraded AS (
+        UPDATE subscription_dunning
+        SET status = 'downgraded',
+            downgraded_at = NOW(),
+            updated_at = NOW(),
+            previous_plan_name = (SELECT plan_name FROM previous),
+            previous_is_unlimited = (SELECT is_unlimited FROM previous),
+            previous_monthly_update_limit = (SELECT monthly_update_limit FROM previous)
+        WHERE organization_id = $1 AND status = 'past_due'
+        RETURNING *
+      ),
+      plan AS (
+        UPDATE subscriptions
+        SET plan_name = $2, is_unlimited = false, monthly_update_limit = $3
+        WHERE organization_id = $1 AND EXISTS (SELECT 1 FROM downgraded)
+      )
+      SELECT * FROM downgraded
+    `;
+    const res = await query(text, [organization_id, freePlan.plan_name, freePlan.monthly_update_limit]);
+    return res.rows[0] || null;
+  },
+
+  /**
+   * Close an open episode, restoring the plan if it was downgraded
+   * @returns {Object|null} The dunning row, or null if nothing was open
+   */
+  async resolve(organization_id) {
+    const text = `
+      WITH resolved AS (
+        UPDATE subscription_dunning
+        SET status = 'resolved', resolved_at = NOW(), updated_at = NOW()
+        WHERE organization_id = $1 AND status IN ('past_due', 'downgraded')
+        RETURNING *
+      ),
+      plan AS (
+        UPDATE subscriptions s
+        SET plan_name = r.previous_plan_name,
+            is_unlimited = r.previous_is_unlimited,
+            monthly_update_limit = r.previous_monthly_update_limit
+        FROM resolved r
+        WHERE s.organization_id = r.organization_id AND r.downgraded_at IS NOT NULL
+          AND r.previous_plan_name IS NOT NULL
+      )
+      SELECT * FROM resolved
+    `;
+    const res = await query(text, [organization_id]);
+    return res.rows[0] || null;
+  },
+};
+
+
+// ===========================================
+// CREDIT PRICING
+// ===========================================
+const creditPricing = {
+  async listPrices() {
+    const res = await query('SELECT * FROM credit_prices ORDER BY action');
+    return res.rows;
+  },
+
+  async listOverrides() {
+    const res = await query('SELECT * FROM credit_price_overrides ORDER BY action, plan_name');
+    return res.rows;
+  },
+
+  // Current and upcoming promotions, plus recently ended ones if asked
+  async listPromotions({ includeRecent = false } = {}) {
+    const since = includeRecent ? "NOW() - INTERVAL '30 days'" : 'NOW()';
+    const text = `SELECT * FROM credit_promotions WHERE ends_at > ${since} ORDER BY starts_at DESC`;
+    const res = await query(text);
+    return res.rows;
+  },
+
+  async upsertPrice(action, credits, description, updatedBy) {
+    const text = `
+      INSERT INTO credit_prices (action, credits, description, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (action)
+      DO UPDATE SET
+        credits = EXCLUDED.credits,
+        description = COALESCE(EXCLUDED.description, credit_prices.description),
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW()
+      RETURNING *
+    `;
+    const res = await query(text, [action, credits, description || null, updatedBy || null]);
+    return res.rows[0];
+  },
+
+  async upsertOverride(action, planName, credits, updatedBy) {
+    const text = `
+      INSERT INTO credit_price_overrides (action, plan_name, credits, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (action, plan_name)
+      DO UPDATE SET credits = EXCLUDED.credits, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+      RETURNING *
+    `;
+    const res = await query(text, [action, planName, credits, updatedBy || null]);
+    return res.rows[0];
+  },
+
+  async deleteOverride(action, planName) {
+    const text = 'DELETE FROM credit_price_overrides WHERE action = $1 AND plan_name = $2 RETURNING *';
+    const res = await query(text, [action, planName]);
+    return res.rows[0] || null;
+  },
+
+  async createPromotion(promotion) {
+    const { action, plan_name, multiplier, description, starts_at, ends_at, created_by } = promotion;
+    const text = `
+      INSERT INTO credit_promotions (action, plan_name, multiplier, description, starts_at, ends_at, created_by)
+      VALUES ($1, $2, $3, $4, COALESCE($5, NOW()), $6, $7)
+      RETURNING *
+    `;
+    const values = [action || null, plan_name || null, multiplier, description || null, starts_at || null, ends_at, created_by || null];
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  // End a promotion now (kept for the record)
+  async endPromotion(id) {
+    const text = `
+      UPDATE credit_promotions
+      SET ends_at = GREATEST(starts_at + INTERVAL '1 second', NOW())
+      WHERE id = $1 AND ends_at > NOW()
+      RETURNING *
+    `;
+    const res = await query(text, [id]);
+    return res.rows[0] || null;
+  },
+};
+
+// ===========================================
+// CREDIT AUTO TOP-UP
+// ===========================================
+const creditTopups = {
+  async getSettings(organization_id) {
+    const res = await query('SELECT * FROM credit_auto_topup_settings WHERE organization_id = $1', [organization_id]);
+    return res.rows[0] || null;
+  },
+
+  async upsertSettings(organization_id, settings, updatedBy) {
+    const { enabled, threshold_credits, amount_usd, credits } = settings;
+    const text = `
+      INSERT INTO credit_auto_topup_settings (organization_id, enabled, threshold_credits, amount_usd, credits, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (organization_id)
+      DO UPDATE SET
+        enabled = EXCLUDED.enabled,
+        threshold_credits = EXCLUDED.threshold_credits,
+        amount_usd = EXCLUDED.amount_usd,
+        credits = EXCLUDED.credits,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW()
+      RETURNING *
+    `;
+    const res = await query(text, [organization_id, enabled, threshold_credits, amount_usd, credits, updatedBy || null]);
+    return res.rows[0];
+  },
+
+  async findById(id) {
+    const res = await query('SELECT * FROM credit_topups WHERE id = $1', [id]);
+    return res.rows[0] || null;
+  },
+
+  async listRecent(organization_id, limit = 10) {
+    const text = 'SELECT * FROM credit_topups WHERE organization_id = $1 ORDER BY created_at DESC LIMIT $2';
+    const res = await query(text, [organization_id, limit]);
+    return res.rows;
+  },
+
+  /**
+   * Start a top-up; null when one is already pending for the organization
+   * (a pending row that never got a PaymentIntent is given up after an hour)
+   */
+  async createPending(organization_id, credits, amount_usd) {
+    await query(
+      `UPDATE credit_topups
+       SET status = 'failed', failure_message = 'Abandoned before payment', settled_at = NOW()
+       WHERE organization_id = $1 AND status = 'pending'
+         AND payment_intent_id IS NULL AND created_at < NOW() - INTERVAL '1 hour'`,
+      [organization_id]
+    );
+
+    const text = `
+      INSERT INTO credit_topups (organization_id, credits, amount_usd)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (organization_id) WHERE status = 'pending' DO NOTHING
+      RETURNING *
+    `;
+    const res = await query(text, [organization_id, credits, amount_usd]);
+    return res.rows[0] || null;
+  },
+
+  async setPaymentIntent(id, payment_intent_id) {
+    const text = 'UPDATE credit_topups SET payment_intent_id = $2 WHERE id = $1 RETURNING *';
+    const res = await query(text, [id, payment_intent_id]);
+    return res.rows[0] || null;
+  },
+
+  // Both return the row only when it was still pending, so each outcome is handled once
+  async markSucceeded(id, payment_intent_id) {
+    const text = `
+      UPDATE credit_topups
+      SET status = 'succeeded', payment_intent_id = COALESCE(payment_intent_id, $2), settled_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+    const res = await query(text, [id, payment_intent_id || null]);
+    return res.rows[0] || null;
+  },
+
+  async markFailed(id, failureMessage, payment_intent_id) {
+    const text = `
+      UPDATE credit_topups
+      SET status = 'failed', failure_message = $2, payment_intent_id = COALESCE(payment_intent_id, $3), settled_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+    const res = await query(text, [id, failureMessage, payment_intent_id || null]);
+    return res.rows[0] || null;
+  },
+
+  // A failure since the settings were last saved blocks retries for a while
+  async hasRecentFailure(organization_id, hours) {
+    const text = `
+      SELECT 1 FROM credit_topups t
+      JOIN credit_auto_topup_settings s ON s.organization_id = t.organization_id
+      WHERE t.organization_id = $1 AND t.status = 'failed'
+        AND t.created_at > GREATEST(NOW() - make_interval(hours => $2), s.updated_at)
+      LIMIT 1
+    `;
+    const res = await query(text, [organization_id, hours]);
+    return res.rows.length > 0;
+  },
+};
+
+// ===========================================
+// SITE SAVE RECIPES (universal sites)
+// ===========================================
+const siteSaveRecipes = {
+  async findBySite(universalSiteId) {
+    const text = 'SELECT * FROM site_save_recipes WHERE universal_site_id = $1';
+    const res = await query(text, [universalSiteId]);
+    return res.rows[0] || null;
+  },
+
+  async upsert(recipeData) {
+    const { universal_site_id, organization_id, steps, verify, created_by } = recipeData;
+    const text = `
+      INSERT INTO site_save_recipes (universal_site_id, organization_id, steps, verify, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (universal_site_id)
+      DO UPDATE SET
+        steps = EXCLUDED.steps,
+        verify = EXCLUDED.verify,
+        created_by = EXCLUDED.created_by,
+        last_run_at = NULL,
+        last_run_status = NULL,
+        last_run_error = NULL,
+        updated_at = NOW()
+      RETURNING *
+    `;
+    const values = [universal_site_id, organization_id, JSON.stringify(steps), verify !== false, created_by || null];
+    const res = await query(text, values);
+    return res.rows[0];
+  },
+
+  async recordRun(id, status, error = null) {
+    const text = `
+      UPDATE site_save_recipes
+      SET last_run_at = NOW(), last_run_status = $2, last_run_error = $3
+      WHERE id = $1
+      RETURNING *
+    `;
+    const res = await query(text, [id, status, error]);
+    return res.rows[0];
+  },
+
+  async deleteBySite(universalSiteId) {
+    const text = 'DELETE FROM site_save_recipes WHERE universal_site_id = $1 RETURNING *';
+    const res = await query(text, [universalSiteId]);
+    return res.rows[0] || null;
+  },
+};
+
+// ===========================================
+// SHOPIFY WEBHOOK EVENTS
+// ===========================================
+const shopifyWebhookEvents = {
+  /**
+   * Record a delivery by its X-Shopify-Webhook-Id
+   * @returns {Promise<boolean>} false when the delivery was already received
+   */
+  async record(webhookId, topic, shopDomain) {
+    const text = `
+      INSERT INTO shopify_webhook_events (webhook_id, topic, shop_domain)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (webhook_id) DO NOTHING
+      RETURNING webhook_id
+    `;
+    const res = await query(text, [webhookId, topic, shopDomain]);
+    return res.rows.length > 0;
+  },
+
+  async forget(webhookId) {
+    await query('DELETE FROM shopify_webhook_events WHERE webhook_id = $1', [webhookId]);
+  },
+};
 
 // ===========================================
 // PASSWORD RESET TOKENS
@@ -520,10 +1941,24 @@ const passwordResetTokens = {
 module.exports = {
   query,
   organizations,
+  users,
+  apiKeys,
   wordpressSites,
   universalSites,     // NEW: Universal platform support
   contentSlots,
   contentUpdates,
+  contentRevisions,
+  approvalRules,
+  contentUpdateReviews,
+  changesets,
+  webhookEndpoints,
+  webhookDeliveries,
+  commandPlans,
   subscriptions,
+  subscriptionDunning,
+  creditPricing,
+  creditTopups,
+  siteSaveRecipes,
+  shopifyWebhookEvents,
   passwordResetTokens,
 };
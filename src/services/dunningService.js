@@ -0,0 +1,213 @@
+/**
+ * Dunning Service
+ * Handles failed subscription payments: grace period, escalating reminder
+ * emails, downgrade to the free plan, and restore on payment
+ *
+ * Flow:
+ *   1. invoice.payment_failed -> recordFailure(): organization marked past_due,
+ *      grace period starts (editing keeps working), first reminder sent
+ *   2. The service polls open episodes: further reminders go out
+ *      DUNNING_REMINDER_DAYS after the first failure; when the grace period
+ *      ends the plan drops to Free and scheduled publishes are paused
+ *      (claimDueScheduled skips downgraded organizations)
+ *   3. invoice.payment_succeeded -> recordPayment(): plan restored, status
+ *      active again, scheduled publishes resume
+ *
+ * All state lives in subscription_dunning, so episodes survive restarts.
+ */
+
+const db = require('./database');
+const emailService = require('./emailService');
+
+// Plan a past-due organization is moved to (same as the default subscription)
+const FREE_PLAN = { plan_name: 'Free', monthly_update_limit: 10 };
+
+class DunningService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.DUNNING_INTERVAL_MS || '3600000');
+    this.graceDays = parseInt(process.env.DUNNING_GRACE_DAYS || '7');
+    // Days after the first failure on which reminders are sent; the last is the final notice
+    this.reminderDays = (process.env.DUNNING_REMINDER_DAYS || '0,3,6')
+      .split(',')
+      .map(day => parseInt(day))
+      .filter(day => day >= 0)
+      .sort((a, b) => a - b);
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start polling open dunning episodes
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+    console.log(`[DUNNING] Started (interval: ${this.intervalMs}ms, grace: ${this.graceDays} days)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[DUNNING] Stopped');
+    }
+  }
+
+  /**
+   * Send due reminders and downgrade organizations whose grace period ended
+   */
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const episodes = await db.subscriptionDunning.listPastDue();
+
+      for (const episode of episodes) {
+        try {
+          await this.processEpisode(episode);
+        } catch (error) {
+          console.error('[DUNNING] Error processing organization:', episode.organization_id, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('[DUNNING] Tick error:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Start (or continue) dunning after a failed subscription invoice
+   * @param {string} organizationId - Organization billed by the invoice
+   * @param {Object} invoice - Stripe invoice
+   */
+  async recordFailure(organizationId, invoice) {
+    const episode = await db.subscriptionDunning.recordFailure(organizationId, invoice, this.graceDays);
+
+    // Past due, but still active until the grace period runs out
+    await db.organizations.update(organizationId, { subscription_status: 'past_due', is_active: true });
+    await db.subscriptions.setStatus(organizationId, 'past_due');
+
+    console.log('[DUNNING] Payment failed:', {
+      organization_id: organizationId,
+      invoice: invoice.id,
+      attempt: episode.failed_attempts,
+      grace_ends_at: episode.grace_ends_at,
+      status: episode.status,
+    });
+
+    if (episode.status === 'past_due') {
+      await this.processEpisode(episode);
+    }
+
+    return episode;
+  }
+
+  /**
+   * Close the organization's dunning episode after a successful payment
+   * @returns {Promise<Object|null>} The resolved episode, or null if none was open
+   */
+  async recordPayment(organizationId) {
+    const episode = await db.subscriptionDunning.resolve(organizationId);
+    if (!episode) {
+      return null;
+    }
+
+    await db.organizations.update(organizationId, { subscription_status: 'active', is_active: true });
+    await db.subscriptions.setStatus(organizationId, 'active');
+
+    const restoredPlan = episode.downgraded_at ? episode.previous_plan_name : null;
+    console.log('[DUNNING] Payment recovered:', { organization_id: organizationId, restored_plan: restoredPlan });
+
+    await this.notify(organizationId, emailService.sendPaymentRecoveredEmail, { restoredPlan });
+    return episode;
+  }
+
+  /**
+   * @private
+   */
+  async processEpisode(episode) {
+    if (new Date(episode.grace_ends_at) <= new Date()) {
+      return this.downgrade(episode);
+    }
+
+    const reminderDay = this.reminderDays[episode.reminders_sent];
+    if (reminderDay === undefined) {
+      return null;
+    }
+
+    const dueAt = new Date(episode.first_failed_at).getTime() + reminderDay * 24 * 60 * 60 * 1000;
+    if (dueAt > Date.now()) {
+      return null;
+    }
+
+    const reminder = episode.reminders_sent + 1;
+    const claimed = await db.subscriptionDunning.markReminderSent(episode.organization_id, reminder);
+    if (!claimed) {
+      return null;
+    }
+
+    await this.notify(episode.organization_id, emailService.sendPaymentFailedEmail, {
+      reminder,
+      finalReminder: reminder === this.reminderDays.length,
+      amountDue: ((episode.amount_due_cents || 0) / 100).toFixed(2),
+      graceEndsAt: episode.grace_ends_at,
+      invoiceUrl: episode.hosted_invoice_url,
+    });
+
+    return claimed;
+  }
+
+  /**
+   * @private
+   */
+  async downgrade(episode) {
+    const downgraded = await db.subscriptionDunning.downgrade(episode.organization_id, FREE_PLAN);
+    if (!downgraded) {
+      return null;
+    }
+
+    console.log('[DUNNING] Grace period ended, downgraded to Free:', {
+      organization_id: episode.organization_id,
+      previous_plan: downgraded.previous_plan_name,
+    });
+
+    await this.notify(episode.organization_id, emailService.sendPlanDowngradedEmail, {
+      previousPlan: downgraded.previous_plan_name,
+      invoiceUrl: downgraded.hosted_invoice_url,
+    });
+
+    return downgraded;
+  }
+
+  /**
+   * Email the organization's active owners (or the organization address)
+   * @private
+   */
+  async notify(organizationId, send, details) {
+    const organization = await db.organizations.findById(organizationId);
+    const owners = await db.users.findActiveOwners(organizationId);
+    const recipients = owners.length > 0
+      ? owners.map(owner => owner.email)
+      : [organization && organization.email].filter(Boolean);
+
+    if (recipients.length === 0) {
+      console.error('[DUNNING] No one to notify for organization:', organizationId);
+      return;
+    }
+
+    await send(recipients, {
+      organizationName: organization ? organization.name : 'your organization',
+      ...details,
+    });
+  }
+}
+
+module.exports = new DunningService();
@@ -315,10 +315,221 @@ If you didn't request this email, there's nothing to worry about — you can saf
   }
 }
 
+/**
+ * Notify reviewers that a content update is waiting for approval
+ * @param {string[]} recipients - Reviewer email addresses
+ * @param {object} details - { updateId, slotName, submittedBy, preview }
+ */
+async function sendReviewRequestedEmail(recipients, details) {
+  const reviewUrl = `${process.env.FRONTEND_URL}/dashboard/reviews/${details.updateId}`;
+
+  const msg = {
+    to: recipients,
+    from: process.env.SENDGRID_FROM_EMAIL || 'noreply@safewebedit.com',
+    subject: `Review requested: ${details.slotName} - SafeWebEdit`,
+    text: `${details.submittedBy || 'A team member'} submitted an update to "${details.slotName}" for review.
+
+${details.preview || ''}
+
+Review it here: ${reviewUrl}`,
+  };
+
+  try {
+    await sgMail.sendMultiple(msg);
+    console.log('[EMAIL] Review request sent to:', recipients.join(', '));
+  } catch (error) {
+    console.error('[EMAIL] Failed to send review request email:', error);
+  }
+}
+
+/**
+ * Notify the submitter that their content update was approved or rejected
+ * @param {string} email - Submitter email address
+ * @param {object} details - { updateId, slotName, decision, reviewer, comment }
+ */
+async function sendReviewDecisionEmail(email, details) {
+  const updateUrl = `${process.env.FRONTEND_URL}/dashboard/reviews/${details.updateId}`;
+  const decision = details.decision === 'approved' ? 'approved' : 'rejected';
+
+  const msg = {
+    to: email,
+    from: process.env.SENDGRID_FROM_EMAIL || 'noreply@safewebedit.com',
+    subject: `Update ${decision}: ${details.slotName} - SafeWebEdit`,
+    text: `${details.reviewer || 'A reviewer'} ${decision} your update to "${details.slotName}".
+${details.comment ? `\nComment: ${details.comment}\n` : ''}
+View it here: ${updateUrl}`,
+  };
+
+  try {
+    await sgMail.send(msg);
+    console.log('[EMAIL] Review decision sent to:', email);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send review decision email:', error);
+  }
+}
+
+/**
+ * Invite someone to join an organization (magic link signs them straight in)
+ * @param {string} email - Invitee email address
+ * @param {object} details - { organizationName, invitedBy, role, magicToken }
+ */
+async function sendTeamInvitationEmail(email, details) {
+  const magicUrl = `${process.env.FRONTEND_URL}/api/auth/verify?token=${details.magicToken}`;
+
+  const msg = {
+    to: email,
+    from: process.env.SENDGRID_FROM_EMAIL || 'noreply@safewebedit.com',
+    subject: `You've been invited to ${details.organizationName} on SafeWebEdit`,
+    text: `${details.invitedBy || 'A team member'} invited you to join ${details.organizationName} on SafeWebEdit as ${/^[aeiou]/.test(details.role) ? 'an' : 'a'} ${details.role}.
+
+Accept the invitation and sign in:
+
+${magicUrl}
+
+This link expires in 7 days and can only be used once. After that, sign in at ${process.env.FRONTEND_URL}/login with this email address.`,
+  };
+
+  try {
+    await sgMail.send(msg);
+    console.log('[EMAIL] Team invitation sent to:', email);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send team invitation email:', error);
+    throw new Error('Failed to send team invitation email');
+  }
+}
+
+/**
+ * Tell an organization's owners that an automatic credit top-up failed
+ * @param {string[]} recipients - Owner email addresses
+ * @param {object} details - { organizationName, credits, amountUsd, reason, balance }
+ */
+async function sendTopupFailedEmail(recipients, details) {
+  const creditsUrl = `${process.env.FRONTEND_URL}/dashboard/credits`;
+
+  const msg = {
+    to: recipients,
+    from: process.env.SENDGRID_FROM_EMAIL || 'noreply@safewebedit.com',
+    subject: `Automatic credit top-up failed - SafeWebEdit`,
+    text: `We couldn't charge your saved card $${details.amountUsd} for ${details.credits} credits for ${details.organizationName}.
+
+Reason: ${details.reason}
+
+Your balance is ${details.balance} credits. Once it runs out, edits will be blocked until credits are added.
+
+Update your card or buy credits here: ${creditsUrl}
+
+Saving your auto top-up settings again retries on the next charge.`,
+  };
+
+  try {
+    await sgMail.sendMultiple(msg);
+    console.log('[EMAIL] Top-up failure notice sent to:', recipients.join(', '));
+  } catch (error) {
+    console.error('[EMAIL] Failed to send top-up failure email:', error);
+  }
+}
+
+/**
+ * Remind an organization's owners that their subscription payment failed
+ * Reminders escalate: later ones are more urgent and the last one is final
+ * @param {string[]} recipients - Owner email addresses
+ * @param {object} details - { organizationName, reminder, finalReminder, amountDue, graceEndsAt, invoiceUrl }
+ */
+async function sendPaymentFailedEmail(recipients, details) {
+  const payUrl = details.invoiceUrl || `${process.env.FRONTEND_URL}/dashboard/billing`;
+  const graceEnds = new Date(details.graceEndsAt).toDateString();
+
+  let subject = 'Your SafeWebEdit payment failed';
+  let opening = `We couldn't collect your subscription payment of $${details.amountDue} for ${details.organizationName}. This is usually an expired or replaced card.`;
+
+  if (details.finalReminder) {
+    subject = `Final notice: ${details.organizationName} moves to the Free plan on ${graceEnds}`;
+    opening = `Your subscription payment of $${details.amountDue} for ${details.organizationName} is still unpaid. This is the last reminder before your plan changes.`;
+  } else if (details.reminder > 1) {
+    subject = `Action needed: your SafeWebEdit payment is still unpaid`;
+    opening = `Your subscription payment of $${details.amountDue} for ${details.organizationName} is still unpaid.`;
+  }
+
+  const msg = {
+    to: recipients,
+    from: process.env.SENDGRID_FROM_EMAIL || 'noreply@safewebedit.com',
+    subject: `${subject} - SafeWebEdit`,
+    text: `${opening}
+
+Your team can keep editing until ${graceEnds}. If the payment is still missing then, the organization moves to the Free plan and scheduled publishing is paused.
+
+Pay or update your card here: ${payUrl}`,
+  };
+
+  try {
+    await sgMail.sendMultiple(msg);
+    console.log(`[EMAIL] Payment failed reminder ${details.reminder} sent to:`, recipients.join(', '));
+  } catch (error) {
+    console.error('[EMAIL] Failed to send payment failed email:', error);
+  }
+}
+
+/**
+ * Tell an organization's owners that their plan was downgraded for non-payment
+ * @param {string[]} recipients - Owner email addresses
+ * @param {object} details - { organizationName, previousPlan, invoiceUrl }
+ */
+async function sendPlanDowngradedEmail(recipients, details) {
+  const payUrl = details.invoiceUrl || `${process.env.FRONTEND_URL}/dashboard/billing`;
+
+  const msg = {
+    to: recipients,
+    from: process.env.SENDGRID_FROM_EMAIL || 'noreply@safewebedit.com',
+    subject: `${details.organizationName} moved to the Free plan - SafeWebEdit`,
+    text: `Your subscription payment for ${details.organizationName} is still unpaid, so the organization moved from the ${details.previousPlan || 'paid'} plan to the Free plan and scheduled publishing is paused.
+
+Nothing was deleted. Pay the outstanding invoice and your plan and scheduled publishing come back automatically:
+
+${payUrl}`,
+  };
+
+  try {
+    await sgMail.sendMultiple(msg);
+    console.log('[EMAIL] Plan downgrade notice sent to:', recipients.join(', '));
+  } catch (error) {
+    console.error('[EMAIL] Failed to send plan downgrade email:', error);
+  }
+}
+
+/**
+ * Confirm to an organization's owners that a late payment went through
+ * @param {string[]} recipients - Owner email addresses
+ * @param {object} details - { organizationName, restoredPlan }
+ */
+async function sendPaymentRecoveredEmail(recipients, details) {
+  const msg = {
+    to: recipients,
+    from: process.env.SENDGRID_FROM_EMAIL || 'noreply@safewebedit.com',
+    subject: `Payment received - SafeWebEdit`,
+    text: `Thanks, your subscription payment for ${details.organizationName} went through.
+${details.restoredPlan ? `\nYour ${details.restoredPlan} plan is restored and scheduled publishing has resumed.\n` : ''}
+Manage your account: ${process.env.FRONTEND_URL}/dashboard`,
+  };
+
+  try {
+    await sgMail.sendMultiple(msg);
+    console.log('[EMAIL] Payment recovered notice sent to:', recipients.join(', '));
+  } catch (error) {
+    console.error('[EMAIL] Failed to send payment recovered email:', error);
+  }
+}
+
 module.exports = {
   sendPasswordResetEmail,
   sendPasswordResetConfirmation,
   sendPasswordSetupEmail,
   sendWelcomeEmail,
   sendMagicLinkEmail,
+  sendReviewRequestedEmail,
+  sendReviewDecisionEmail,
+  sendTeamInvitationEmail,
+  sendTopupFailedEmail,
+  sendPaymentFailedEmail,
+  sendPlanDowngradedEmail,
+  sendPaymentRecoveredEmail,
 };
@@ -0,0 +1,119 @@
+/**
+ * JSON Template Parser Service
+ * Reads and edits settings in Shopify JSON theme files (templates/*.json,
+ * sections/*-group.json, config/settings_data.json)
+ *
+ * A setting is addressed by its key path in the file, e.g.
+ *   ["sections", "hero", "settings", "heading"]
+ *   ["sections", "main", "blocks", "text-1", "settings", "text"]
+ *
+ * Shopify prefixes generated files with a /* ... *\/ comment header; it is
+ * kept as-is when the file is written back.
+ */
+
+const HEADER_REGEX = /^\s*\/\*[\s\S]*?\*\/\s*/;
+
+class JsonTemplateParser {
+  /**
+   * Split a theme file into its comment header and parsed JSON
+   * @param {string} content - File content
+   * @returns {Object|null} { header, data } or null when the file is not JSON
+   */
+  static parse(content) {
+    if (!content || typeof content !== 'string') {
+      return null;
+    }
+
+    const match = HEADER_REGEX.exec(content);
+    const header = match ? match[0] : '';
+
+    try {
+      return { header, data: JSON.parse(content.slice(header.length)) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Text settings in a template, for picking slot targets
+   * @returns {Array<Object>} [{ path, section, section_type, block, setting, value }]
+   */
+  static listSettings(content) {
+    const parsed = this.parse(content);
+    if (!parsed || !parsed.data.sections) {
+      return [];
+    }
+
+    const settings = [];
+    const collect = (base, owner, section, sectionType, block) => {
+      Object.entries(owner.settings || {}).forEach(([setting, value]) => {
+        if (typeof value === 'string') {
+          settings.push({
+            path: [...base, 'settings', setting],
+            section,
+            section_type: sectionType,
+            block: block || null,
+            setting,
+            value,
+          });
+        }
+      });
+    };
+
+    Object.entries(parsed.data.sections).forEach(([sectionId, section]) => {
+      const base = ['sections', sectionId];
+      collect(base, section, sectionId, section.type);
+      Object.entries(section.blocks || {}).forEach(([blockId, block]) => {
+        collect([...base, 'blocks', blockId], block, sectionId, section.type, blockId);
+      });
+    });
+
+    return settings;
+  }
+
+  /**
+   * Value at a key path, or undefined
+   */
+  static getSetting(content, path) {
+    const parsed = this.parse(content);
+    if (!parsed || !Array.isArray(path) || path.length === 0) {
+      return undefined;
+    }
+
+    return path.reduce((node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined), parsed.data);
+  }
+
+  /**
+   * Replace the string value at a key path
+   * @returns {Object} { success, html, old_content, new_content } or { success: false, error, html }
+   *   (html is the whole file, matching the other parsers' replace results)
+   */
+  static replaceSetting(content, path, newValue) {
+    const parsed = this.parse(content);
+
+    if (!parsed) {
+      return { success: false, error: 'File is not a JSON template', html: content };
+    }
+
+    const oldValue = this.getSetting(content, path);
+    if (typeof oldValue !== 'string') {
+      return {
+        success: false,
+        error: `No text setting at ${JSON.stringify(path)}`,
+        html: content,
+      };
+    }
+
+    const parent = path.slice(0, -1).reduce((node, key) => node[key], parsed.data);
+    parent[path[path.length - 1]] = newValue;
+
+    return {
+      success: true,
+      html: parsed.header + JSON.stringify(parsed.data, null, 2),
+      old_content: oldValue,
+      new_content: newValue,
+    };
+  }
+}
+
+module.exports = JsonTemplateParser;
@@ -0,0 +1,64 @@
+/**
+ * Platform Credentials
+ * Encoding of stored site credentials, shared by every platform adapter
+ *
+ * WordPress application passwords are stored base64-encoded; Ghost Admin API
+ * keys and Shopify access tokens are stored AES-256-CBC encrypted as
+ * "<iv hex>:<ciphertext hex>". Both live in wordpress_sites.wp_app_password_encrypted.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-cbc';
+
+/**
+ * AES-256 needs a 32-byte key: a 32-byte ENCRYPTION_KEY is used as-is (so
+ * existing ciphertexts still decrypt), anything else is hashed to 32 bytes
+ */
+function encryptionKey() {
+  const key = Buffer.from(process.env.ENCRYPTION_KEY || 'defaultkey12345678901234567890', 'utf8');
+  return key.length === 32 ? key : crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Encrypt a secret (Ghost Admin API key, Shopify access token)
+ */
+function encryptSecret(text) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey(), iv);
+  let encrypted = cipher.update(text, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+  return iv.toString('hex') + ':' + encrypted;
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ */
+function decryptSecret(text) {
+  const [ivHex, encrypted] = text.split(':');
+  const decipher = crypto.createDecipheriv(ALGORITHM, encryptionKey(), Buffer.from(ivHex, 'hex'));
+  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+  return decrypted;
+}
+
+/**
+ * Encode a WordPress application password for storage
+ */
+function encodeWordPressPassword(password) {
+  return Buffer.from(password).toString('base64');
+}
+
+/**
+ * Decode a stored WordPress application password
+ */
+function decodeWordPressPassword(encoded) {
+  return Buffer.from(encoded, 'base64').toString('utf-8');
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  encodeWordPressPassword,
+  decodeWordPressPassword,
+};
@@ -0,0 +1,301 @@
+/**
+ * Ghost Platform Adapter
+ * Ghost Admin API (https://ghost.org/docs/admin-api/), authenticated with a
+ * short-lived JWT signed by the site's Admin API key ("id:secret")
+ *
+ * Page content is the rendered HTML, where HTML cards appear between
+ * <!--kg-card-begin: html--> and <!--kg-card-end: html--> comments. Ghost
+ * stores posts as lexical and drops comments outside HTML cards, so an update
+ * that only changes HTML cards is written into the matching lexical html
+ * nodes and everything else in the post is left untouched. Other updates fall
+ * back to ?source=html, which re-converts the whole post.
+ */
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const FormData = require('form-data');
+const PlatformAdapter = require('./platformAdapter');
+const db = require('../database');
+const { encryptSecret, decryptSecret } = require('./credentials');
+
+const HTML_CARD_REGEX = /<!--kg-card-begin: html-->([\s\S]*?)<!--kg-card-end: html-->/g;
+
+class GhostAdapter extends PlatformAdapter {
+  constructor() {
+    super('ghost', ['page', 'post']);
+  }
+
+  /**
+   * Admin API JWT (valid for 5 minutes)
+   */
+  token(apiKey) {
+    const [id, secret] = apiKey.split(':');
+    return jwt.sign({}, Buffer.from(secret, 'hex'), {
+      keyid: id,
+      algorithm: 'HS256',
+      expiresIn: '5m',
+      audience: '/admin/',
+    });
+  }
+
+  /**
+   * Authenticated Admin API request
+   * @param {Object} target - { site_url, api_key } or a stored wordpress_sites row
+   */
+  async request(target, method, endpoint, options = {}) {
+    const siteUrl = target.site_url.replace(/\/$/, '');
+    const apiKey = target.api_key || decryptSecret(target.wp_app_password_encrypted);
+
+    const response = await axios({
+      method,
+      url: `${siteUrl}/ghost/api/admin${endpoint}`,
+      params: options.params,
+      data: options.data,
+      timeout: options.timeout || 15000,
+      headers: {
+        'Authorization': `Ghost ${this.token(apiKey)}`,
+        ...(options.headers || { 'Content-Type': 'application/json' }),
+      },
+    });
+
+    return response.data;
+  }
+
+  /**
+   * @param {Object} data - { site_url, site_name, admin_api_key }
+   */
+  async connect(organizationId, data) {
+    const siteUrl = data.site_url.replace(/\/$/, '');
+
+    let info;
+    try {
+      info = await this.request({ site_url: siteUrl, api_key: data.admin_api_key }, 'GET', '/site/');
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+
+    const site = await db.wordpressSites.upsertConnection({
+      organization_id: organizationId,
+      site_url: siteUrl,
+      site_name: data.site_name || info.site?.title || new URL(siteUrl).hostname,
+      wp_username: 'ghost_admin',
+      wp_app_password_encrypted: encryptSecret(data.admin_api_key),
+      platform_type: 'ghost',
+    });
+
+    return { success: true, site };
+  }
+
+  async verify(site) {
+    try {
+      const info = await this.request(site, 'GET', '/site/');
+      return {
+        success: true,
+        site_name: info.site?.title || site.site_name,
+        version: info.site?.version || null,
+      };
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  async listPages(site) {
+    try {
+      const params = { limit: 'all', fields: 'id,title,url,status,updated_at' };
+      const [posts, pages] = await Promise.all([
+        this.request(site, 'GET', '/posts/', { params }),
+        this.request(site, 'GET', '/pages/', { params }),
+      ]);
+
+      return {
+        success: true,
+        pages: [
+          ...pages.pages.map(page => this._summary(page, 'page')),
+          ...posts.posts.map(post => this._summary(post, 'post')),
+        ],
+      };
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  async getPage(site, pageId, options = {}) {
+    const resource = this._resource(options.type);
+    try {
+      const data = await this.request(site, 'GET', `/${resource}/${pageId}/`, {
+        params: { formats: 'html' },
+      });
+      return { success: true, page: this._page(data[resource][0], options.type) };
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  /**
+   * Ghost rejects updates whose updated_at is not the entry's current one
+   * (collision detection). options.expected_modified is the updated_at the
+   * caller read the content at; when given, it is sent as-is so an edit made
+   * in Ghost in the meantime fails with a conflict instead of being
+   * overwritten.
+   */
+  async updatePage(site, pageId, content, options = {}) {
+    const resource = this._resource(options.type);
+    try {
+      const current = await this.request(site, 'GET', `/${resource}/${pageId}/`, {
+        params: { formats: 'html,lexical' },
+      });
+      const entry = current[resource][0];
+      const updatedAt = options.expected_modified || entry.updated_at;
+
+      if (updatedAt !== entry.updated_at) {
+        return this._collision();
+      }
+
+      const lexical = this._applyCardEdits(entry, content);
+      const data = lexical
+        ? await this.request(site, 'PUT', `/${resource}/${pageId}/`, {
+          params: { formats: 'html' },
+          data: { [resource]: [{ lexical, updated_at: updatedAt }] },
+        })
+        : await this.request(site, 'PUT', `/${resource}/${pageId}/`, {
+          params: { source: 'html', formats: 'html' },
+          data: { [resource]: [{ html: content, updated_at: updatedAt }] },
+        });
+
+      return { success: true, page: this._page(data[resource][0], options.type) };
+    } catch (error) {
+      if (error.response?.status === 409) {
+        return this._collision();
+      }
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  /**
+   * @param {Object} file - { data: Buffer, filename, mime_type }
+   */
+  async uploadMedia(site, file) {
+    try {
+      const form = new FormData();
+      form.append('file', file.data, { filename: file.filename, contentType: file.mime_type });
+      form.append('purpose', 'image');
+      form.append('ref', file.filename);
+
+      const data = await this.request(site, 'POST', '/images/upload/', {
+        data: form,
+        headers: form.getHeaders(),
+        timeout: 30000,
+      });
+
+      const image = data.images[0];
+      return {
+        success: true,
+        media: {
+          id: image.ref || image.url,
+          url: image.url,
+          title: file.filename,
+          mime_type: file.mime_type,
+        },
+      };
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  /**
+   * Lexical with changed HTML cards written into their html nodes, or null
+   * when the edit touches anything outside the cards (or there is no lexical)
+   * @private
+   */
+  _applyCardEdits(entry, content) {
+    if (!entry.lexical) {
+      return null;
+    }
+
+    const before = this._splitCards(entry.html || '');
+    const after = this._splitCards(content);
+
+    if (before.outside !== after.outside || before.cards.length !== after.cards.length) {
+      return null;
+    }
+
+    const doc = JSON.parse(entry.lexical);
+    const nodes = [];
+    const collect = (node) => {
+      if (node.type === 'html') {
+        nodes.push(node);
+      }
+      (node.children || []).forEach(collect);
+    };
+    collect(doc.root);
+
+    if (nodes.length !== before.cards.length) {
+      return null;
+    }
+
+    after.cards.forEach((card, index) => {
+      if (card.trim() !== before.cards[index].trim()) {
+        nodes[index].html = card.trim();
+      }
+    });
+
+    return JSON.stringify(doc);
+  }
+
+  /**
+   * HTML card contents and the page HTML around them
+   * @private
+   */
+  _splitCards(html) {
+    const cards = [];
+    const outside = html.replace(HTML_CARD_REGEX, (match, card) => {
+      cards.push(card);
+      return '<!--kg-card-->';
+    });
+    return { cards, outside };
+  }
+
+  /**
+   * @private
+   */
+  _collision() {
+    return {
+      success: false,
+      conflict: true,
+      error: 'The Ghost entry was edited since it was loaded; reload and try again',
+    };
+  }
+
+  /**
+   * @private
+   */
+  _resource(type) {
+    return type === 'post' ? 'posts' : 'pages';
+  }
+
+  /**
+   * @private
+   */
+  _summary(entry, type) {
+    return {
+      id: entry.id,
+      type,
+      title: entry.title || 'Untitled',
+      link: entry.url,
+      status: entry.status,
+      modified: entry.updated_at,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _page(entry, type) {
+    return {
+      ...this._summary(entry, type === 'post' ? 'post' : 'page'),
+      content: entry.html || '',
+    };
+  }
+}
+
+module.exports = GhostAdapter;
@@ -0,0 +1,73 @@
+/**
+ * Platform Adapters
+ * Registry of the adapters behind every connected site (see platformAdapter.js
+ * for the contract)
+ *
+ * WordPress, Ghost and Shopify sites are rows of wordpress_sites told apart by
+ * platform_type; universal sites live in universal_sites.
+ */
+
+const db = require('../database');
+const WordPressAdapter = require('./wordpressAdapter');
+const GhostAdapter = require('./ghostAdapter');
+const ShopifyAdapter = require('./shopifyAdapter');
+const UniversalAdapter = require('./universalAdapter');
+
+const adapters = {
+  wordpress: new WordPressAdapter(),
+  ghost: new GhostAdapter(),
+  shopify: new ShopifyAdapter(),
+  universal: new UniversalAdapter(),
+};
+
+const PLATFORMS = Object.keys(adapters);
+
+/**
+ * Adapter for a platform name
+ */
+function getAdapter(platform) {
+  const adapter = adapters[platform];
+  if (!adapter) {
+    throw new Error(`Unsupported platform: ${platform}`);
+  }
+  return adapter;
+}
+
+/**
+ * Platform of a wordpress_sites or universal_sites row
+ */
+function platformOf(site) {
+  if ('wp_app_password_encrypted' in site) {
+    return site.platform_type || 'wordpress';
+  }
+  return 'universal';
+}
+
+/**
+ * Adapter for a stored site row
+ */
+function forSite(site) {
+  return getAdapter(platformOf(site));
+}
+
+/**
+ * Load a site by id from either table
+ * @returns {Promise<Object|null>} { site, platform, adapter }
+ */
+async function findSite(siteId) {
+  const site = await db.wordpressSites.findById(siteId) || await db.universalSites.findById(siteId);
+  if (!site) {
+    return null;
+  }
+
+  const platform = platformOf(site);
+  return { site, platform, adapter: getAdapter(platform) };
+}
+
+module.exports = {
+  PLATFORMS,
+  getAdapter,
+  platformOf,
+  forSite,
+  findSite,
+};
@@ -0,0 +1,79 @@
+/**
+ * Platform Adapter
+ * Contract every connected-site platform implements, so slots, commands,
+ * publishing and image swaps do not need to know which CMS they talk to
+ *
+ * All methods resolve to { success: true, ... } or { success: false, error }
+ * (the same convention as WordPressClient) rather than throwing for API errors.
+ *
+ *   connect(organizationId, data)        verify credentials and store the site -> { site }
+ *   verify(site)                         check stored credentials still work   -> { site_name, ... }
+ *   listPages(site)                      editable pages/posts                  -> { pages: [{ id, type, title, link, modified }] }
+ *   getPage(site, pageId, options)       stored page markup                    -> { page: { id, type, title, content, link, modified } }
+ *   updatePage(site, pageId, content, options)  write page markup             -> { page: { id, type, title, content, link, modified } }
+ *   uploadMedia(site, file)              upload { data, filename, mime_type }  -> { media: { id, url, title, mime_type } }
+ *
+ * options.type selects between resource kinds on platforms that have several
+ * (listed in resourceTypes, first is the default); universal sites take
+ * options.selector.
+ * updatePage also takes options.expected_modified (the `modified` the content
+ * was read at); platforms with native collision detection (Ghost) fail with
+ * { success: false, conflict: true } when the page changed since then.
+ */
+
+class PlatformAdapter {
+  constructor(platform, resourceTypes = ['page']) {
+    this.platform = platform;
+    this.resourceTypes = resourceTypes;
+  }
+
+  async connect(organizationId, data) {
+    return this._unsupported('connect');
+  }
+
+  async verify(site) {
+    return this._unsupported('verify');
+  }
+
+  async listPages(site) {
+    return this._unsupported('listPages');
+  }
+
+  async getPage(site, pageId, options = {}) {
+    return this._unsupported('getPage');
+  }
+
+  async updatePage(site, pageId, content, options = {}) {
+    return this._unsupported('updatePage');
+  }
+
+  async uploadMedia(site, file) {
+    return this._unsupported('uploadMedia');
+  }
+
+  /**
+   * Normalize an axios/fetch error into a message
+   * @protected
+   */
+  _errorMessage(error) {
+    if (error.response) {
+      const data = error.response.data;
+      const detail = data && (data.message || (data.errors && JSON.stringify(data.errors)));
+      return `${this.platform} API error: ${error.response.status}${detail ? ' - ' + detail : ''}`;
+    }
+    return error.message;
+  }
+
+  /**
+   * @protected
+   */
+  _unsupported(operation) {
+    return {
+      success: false,
+      unsupported: true,
+      error: `${operation} is not supported for ${this.platform} sites`,
+    };
+  }
+}
+
+module.exports = PlatformAdapter;
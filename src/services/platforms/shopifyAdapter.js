@@ -0,0 +1,704 @@
+/**
+ * Shopify Platform Adapter
+ * Admin REST API for online store pages, Admin GraphQL for everything else.
+ * The shop domain is stored in wp_username and the OAuth access token
+ * (encrypted) in wp_app_password_encrypted.
+ *
+ * Resource types (options.type) and what their content is:
+ *   page        - page body_html
+ *   product     - product descriptionHtml
+ *   collection  - collection descriptionHtml
+ *   article     - blog article body
+ *   metafield   - metafield value
+ *   theme_asset - a file of the published theme; the id is the file key
+ *                 (e.g. templates/index.json)
+ * Ids are the numeric ids shown in the Shopify admin.
+ */
+
+const axios = require('axios');
+const FormData = require('form-data');
+const PlatformAdapter = require('./platformAdapter');
+const db = require('../database');
+const { encryptSecret, decryptSecret } = require('./credentials');
+
+const SHOPIFY_API_VERSION = '2026-01';
+
+// GraphQL-backed resources with an HTML body
+const HTML_RESOURCES = {
+  product: {
+    gid: 'Product',
+    fields: 'id title handle descriptionHtml updatedAt status onlineStoreUrl',
+    body: 'descriptionHtml',
+    path: 'products',
+    update: `
+      mutation productUpdate($id: ID!, $html: String!) {
+        result: productUpdate(product: { id: $id, descriptionHtml: $html }) {
+          node: product { id title handle descriptionHtml updatedAt status onlineStoreUrl }
+          userErrors { field message }
+        }
+      }
+    `,
+  },
+  collection: {
+    gid: 'Collection',
+    fields: 'id title handle descriptionHtml updatedAt',
+    body: 'descriptionHtml',
+    path: 'collections',
+    update: `
+      mutation collectionUpdate($id: ID!, $html: String!) {
+        result: collectionUpdate(input: { id: $id, descriptionHtml: $html }) {
+          node: collection { id title handle descriptionHtml updatedAt }
+          userErrors { field message }
+        }
+      }
+    `,
+  },
+  article: {
+    gid: 'Article',
+    fields: 'id title handle body updatedAt isPublished blog { handle title }',
+    body: 'body',
+    path: 'articles',
+    update: `
+      mutation articleUpdate($id: ID!, $html: String!) {
+        result: articleUpdate(id: $id, article: { body: $html }) {
+          node: article { id title handle body updatedAt isPublished blog { handle title } }
+          userErrors { field message }
+        }
+      }
+    `,
+  },
+};
+
+const METAFIELD_FIELDS = 'id namespace key type value updatedAt compareDigest owner { ... on Node { id } }';
+
+// Shop-level webhooks subscribed on connect
+const WEBHOOK_TOPICS = ['APP_UNINSTALLED', 'SHOP_UPDATE'];
+
+// Owners whose metafields can be listed, by the name used in routes
+const METAFIELD_OWNERS = {
+  product: 'Product',
+  collection: 'Collection',
+  article: 'Article',
+  page: 'Page',
+};
+
+class ShopifyAdapter extends PlatformAdapter {
+  constructor() {
+    super('shopify', ['page', 'product', 'collection', 'article', 'metafield', 'theme_asset']);
+  }
+
+  get apiVersion() {
+    return SHOPIFY_API_VERSION;
+  }
+
+  /**
+   * Authenticated Admin API request
+   * @param {Object} target - { shop, access_token } or a stored wordpress_sites row
+   */
+  async request(target, method, endpoint, options = {}) {
+    const shop = target.shop || target.wp_username || target.site_url.replace(/^https?:\/\//, '');
+    if (!target.access_token && !target.wp_app_password_encrypted) {
+      // Cleared by the app/uninstalled webhook
+      throw new Error('Shopify store is disconnected (app uninstalled); reconnect it to continue');
+    }
+    const accessToken = target.access_token || decryptSecret(target.wp_app_password_encrypted);
+
+    const response = await axios({
+      method,
+      url: `https://${shop}/admin/api/${SHOPIFY_API_VERSION}${endpoint}`,
+      params: options.params,
+      data: options.data,
+      timeout: options.timeout || 15000,
+      headers: {
+        'X-Shopify-Access-Token': accessToken,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Admin GraphQL request; GraphQL errors are thrown
+   */
+  async graphql(site, query, variables = {}) {
+    const data = await this.request(site, 'POST', '/graphql.json', { data: { query, variables } });
+    if (data.errors && data.errors.length > 0) {
+      throw new Error(data.errors.map(error => error.message).join('; '));
+    }
+    return data.data;
+  }
+
+  /**
+   * @param {Object} data - { shop, access_token } (from the OAuth callback)
+   */
+  async connect(organizationId, data) {
+    let info;
+    try {
+      info = await this.request(data, 'GET', '/shop.json');
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+
+    const site = await db.wordpressSites.upsertConnection({
+      organization_id: organizationId,
+      site_url: `https://${data.shop}`,
+      site_name: info.shop.name,
+      wp_username: data.shop,
+      wp_app_password_encrypted: encryptSecret(data.access_token),
+      platform_type: 'shopify',
+    });
+
+    return { success: true, site, shop: info.shop };
+  }
+
+  /**
+   * Subscribe the shop to the app lifecycle webhooks (the GDPR topics are
+   * configured on the app itself, not per shop)
+   * @param {Object} target - { shop, access_token } or a stored wordpress_sites row
+   * @param {string} callbackUrl - Public URL of POST /api/shopify/webhooks
+   */
+  async registerWebhooks(target, callbackUrl) {
+    const registered = [];
+    const errors = [];
+
+    for (const topic of WEBHOOK_TOPICS) {
+      try {
+        const data = await this.graphql(target, `
+          mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $url: URL!) {
+            result: webhookSubscriptionCreate(topic: $topic, webhookSubscription: { callbackUrl: $url, format: JSON }) {
+              webhookSubscription { id }
+              userErrors { field message }
+            }
+          }
+        `, { topic, url: callbackUrl });
+
+        const userErrors = data.result.userErrors.filter(error => !/already been taken/i.test(error.message));
+        if (userErrors.length > 0) {
+          errors.push(`${topic}: ${userErrors.map(error => error.message).join('; ')}`);
+        } else {
+          registered.push(topic);
+        }
+      } catch (error) {
+        errors.push(`${topic}: ${this._errorMessage(error)}`);
+      }
+    }
+
+    return errors.length > 0
+      ? { success: false, registered, error: errors.join(', ') }
+      : { success: true, registered };
+  }
+
+  async verify(site) {
+    try {
+      const info = await this.request(site, 'GET', '/shop.json');
+      return { success: true, site_name: info.shop.name, domain: info.shop.domain };
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  async listPages(site) {
+    try {
+      const data = await this.request(site, 'GET', '/pages.json', {
+        params: { limit: 250, fields: 'id,title,handle,published_at,updated_at' },
+      });
+      return { success: true, pages: data.pages.map(page => this._summary(site, page)) };
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  /**
+   * Products, collections or articles (most recently updated first)
+   * @param {string} type - product | collection | article
+   */
+  async listResources(site, type, options = {}) {
+    const resource = HTML_RESOURCES[type];
+    if (!resource) {
+      return { success: false, error: `Unsupported Shopify resource type: ${type}` };
+    }
+
+    try {
+      const data = await this.graphql(site, `
+        query list($first: Int!, $query: String) {
+          items: ${resource.path}(first: $first, query: $query, sortKey: UPDATED_AT, reverse: true) {
+            nodes { ${resource.fields} }
+          }
+        }
+      `, { first: Math.min(options.limit || 50, 250), query: options.query || null });
+
+      return {
+        success: true,
+        [resource.path]: data.items.nodes.map(node => this._fromNode(site, type, node)),
+      };
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  /**
+   * Metafields of a resource (or of the shop when ownerType is 'shop')
+   */
+  async listMetafields(site, ownerType, ownerId) {
+    const owner = ownerType === 'shop' ? null : METAFIELD_OWNERS[ownerType];
+    if (ownerType !== 'shop' && !owner) {
+      return { success: false, error: `Unsupported metafield owner: ${ownerType}` };
+    }
+
+    try {
+      const data = ownerType === 'shop'
+        ? await this.graphql(site, `
+          query { owner: shop { metafields(first: 100) { nodes { ${METAFIELD_FIELDS} } } } }
+        `)
+        : await this.graphql(site, `
+          query metafields($id: ID!) {
+            owner: node(id: $id) { ... on HasMetafields { metafields(first: 100) { nodes { ${METAFIELD_FIELDS} } } } }
+          }
+        `, { id: this._gid(owner, ownerId) });
+
+      if (!data.owner) {
+        return { success: false, error: `${ownerType} ${ownerId} not found` };
+      }
+
+      return {
+        success: true,
+        metafields: data.owner.metafields.nodes.map(node => this._metafield(node)),
+      };
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  async getPage(site, pageId, options = {}) {
+    const type = options.type || 'page';
+    try {
+      if (type === 'page') {
+        const data = await this.request(site, 'GET', `/pages/${pageId}.json`);
+        return { success: true, page: this._page(site, data.page) };
+      }
+      if (type === 'metafield') {
+        const node = await this._fetchMetafield(site, pageId);
+        return { success: true, page: this._metafieldPage(site, node) };
+      }
+      if (type === 'theme_asset') {
+        const file = await this._fetchThemeFile(site, pageId);
+        return { success: true, page: this._themeFilePage(site, file) };
+      }
+      if (HTML_RESOURCES[type]) {
+        const node = await this._fetchNode(site, type, pageId);
+        return { success: true, page: this._fromNode(site, type, node) };
+      }
+      return { success: false, error: `Unsupported Shopify resource type: ${type}` };
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  /**
+   * Write a resource's content. GraphQL resources are checked against
+   * options.expected_modified first, since Shopify has no collision detection
+   * of its own (metafields additionally use compareDigest).
+   */
+  async updatePage(site, pageId, content, options = {}) {
+    const type = options.type || 'page';
+    try {
+      if (type === 'page') {
+        const data = await this.request(site, 'PUT', `/pages/${pageId}.json`, {
+          data: { page: { id: pageId, body_html: content } },
+        });
+        return { success: true, page: this._page(site, data.page) };
+      }
+      if (type === 'metafield') {
+        return await this._updateMetafield(site, pageId, content, options);
+      }
+      if (type === 'theme_asset') {
+        return await this._updateThemeFile(site, pageId, content, options);
+      }
+      if (HTML_RESOURCES[type]) {
+        return await this._updateNode(site, type, pageId, content, options);
+      }
+      return { success: false, error: `Unsupported Shopify resource type: ${type}` };
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  /**
+   * Staged upload: reserve a target, POST the file there, then register it
+   * with fileCreate and wait for Shopify to publish its CDN URL
+   * @param {Object} file - { data: Buffer, filename, mime_type }
+   */
+  async uploadMedia(site, file) {
+    try {
+      const staged = await this.graphql(site, `
+        mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+          stagedUploadsCreate(input: $input) {
+            stagedTargets { url resourceUrl parameters { name value } }
+            userErrors { field message }
+          }
+        }
+      `, {
+        input: [{
+          filename: file.filename,
+          mimeType: file.mime_type,
+          resource: 'IMAGE',
+          httpMethod: 'POST',
+          fileSize: String(file.data.length),
+        }],
+      });
+
+      const stagedErrors = staged.stagedUploadsCreate.userErrors;
+      if (stagedErrors.length > 0) {
+        return { success: false, error: stagedErrors.map(error => error.message).join('; ') };
+      }
+
+      const target = staged.stagedUploadsCreate.stagedTargets[0];
+      const form = new FormData();
+      target.parameters.forEach(param => form.append(param.name, param.value));
+      form.append('file', file.data, { filename: file.filename, contentType: file.mime_type });
+
+      await axios.post(target.url, form, {
+        headers: form.getHeaders(),
+        timeout: 30000,
+        maxBodyLength: 20000000,
+      });
+
+      const created = await this.graphql(site, `
+        mutation fileCreate($files: [FileCreateInput!]!) {
+          fileCreate(files: $files) {
+            files { id fileStatus ... on MediaImage { image { url } } }
+            userErrors { field message }
+          }
+        }
+      `, {
+        files: [{ originalSource: target.resourceUrl, contentType: 'IMAGE', alt: file.filename }],
+      });
+
+      const createErrors = created.fileCreate.userErrors;
+      if (createErrors.length > 0) {
+        return { success: false, error: createErrors.map(error => error.message).join('; ') };
+      }
+
+      const fileId = created.fileCreate.files[0].id;
+      const url = created.fileCreate.files[0].image?.url || await this._waitForFileUrl(site, fileId);
+
+      if (!url) {
+        return { success: false, error: 'Shopify is still processing the image; try again shortly' };
+      }
+
+      return {
+        success: true,
+        media: { id: fileId, url, title: file.filename, mime_type: file.mime_type },
+      };
+    } catch (error) {
+      const message = this._errorMessage(error);
+      // Installed before write_files was requested
+      if (/access denied|write_files/i.test(message)) {
+        return {
+          success: false,
+          reauthorize: true,
+          error: 'This store has not granted file uploads yet; reconnect it from the dashboard to allow image uploads',
+        };
+      }
+      return { success: false, error: message };
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _fetchNode(site, type, id) {
+    const resource = HTML_RESOURCES[type];
+    const data = await this.graphql(site, `
+      query node($id: ID!) { node(id: $id) { ... on ${resource.gid} { ${resource.fields} } } }
+    `, { id: this._gid(resource.gid, id) });
+
+    if (!data.node || !data.node.id) {
+      throw new Error(`${type} ${id} not found`);
+    }
+    return data.node;
+  }
+
+  /**
+   * @private
+   */
+  async _updateNode(site, type, id, content, options) {
+    const resource = HTML_RESOURCES[type];
+
+    if (options.expected_modified) {
+      const current = await this._fetchNode(site, type, id);
+      if (current.updatedAt !== options.expected_modified) {
+        return this._collision(type);
+      }
+    }
+
+    const data = await this.graphql(site, resource.update, { id: this._gid(resource.gid, id), html: content });
+    const userErrors = data.result.userErrors;
+    if (userErrors.length > 0) {
+      return { success: false, error: userErrors.map(error => error.message).join('; ') };
+    }
+
+    return { success: true, page: this._fromNode(site, type, data.result.node) };
+  }
+
+  /**
+   * @private
+   */
+  async _fetchMetafield(site, id) {
+    const data = await this.graphql(site, `
+      query metafield($id: ID!) { node(id: $id) { ... on Metafield { ${METAFIELD_FIELDS} } } }
+    `, { id: this._gid('Metafield', id) });
+
+    if (!data.node || !data.node.id) {
+      throw new Error(`metafield ${id} not found`);
+    }
+    return data.node;
+  }
+
+  /**
+   * metafieldsSet with compareDigest, so a value changed since it was read
+   * is not overwritten
+   * @private
+   */
+  async _updateMetafield(site, id, value, options) {
+    const current = await this._fetchMetafield(site, id);
+    if (options.expected_modified && current.updatedAt !== options.expected_modified) {
+      return this._collision('metafield');
+    }
+
+    const data = await this.graphql(site, `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { ${METAFIELD_FIELDS} }
+          userErrors { field message code }
+        }
+      }
+    `, {
+      metafields: [{
+        ownerId: current.owner.id,
+        namespace: current.namespace,
+        key: current.key,
+        type: current.type,
+        value,
+        compareDigest: current.compareDigest,
+      }],
+    });
+
+    const userErrors = data.metafieldsSet.userErrors;
+    if (userErrors.some(error => error.code === 'STALE_OBJECT')) {
+      return this._collision('metafield');
+    }
+    if (userErrors.length > 0) {
+      return { success: false, error: userErrors.map(error => error.message).join('; ') };
+    }
+
+    return { success: true, page: this._metafieldPage(site, data.metafieldsSet.metafields[0]) };
+  }
+
+  /**
+   * A file of the published (MAIN) theme
+   * @private
+   */
+  async _fetchThemeFile(site, filename) {
+    const data = await this.graphql(site, `
+      query themeFile($filenames: [String!]!) {
+        themes(first: 1, roles: [MAIN]) {
+          nodes {
+            id
+            name
+            files(filenames: $filenames, first: 1) {
+              nodes { filename updatedAt checksumMd5 body { ... on OnlineStoreThemeFileBodyText { content } } }
+            }
+          }
+        }
+      }
+    `, { filenames: [filename] });
+
+    const theme = data.themes.nodes[0];
+    if (!theme) {
+      throw new Error('The store has no published theme');
+    }
+
+    const file = theme.files.nodes[0];
+    if (!file || !file.body || file.body.content === undefined) {
+      throw new Error(`Theme file ${filename} not found or not a text file`);
+    }
+
+    return { ...file, theme_id: theme.id, theme_name: theme.name };
+  }
+
+  /**
+   * @private
+   */
+  async _updateThemeFile(site, filename, content, options) {
+    const current = await this._fetchThemeFile(site, filename);
+    if (options.expected_modified && current.updatedAt !== options.expected_modified) {
+      return this._collision('theme file');
+    }
+
+    const data = await this.graphql(site, `
+      mutation themeFilesUpsert($themeId: ID!, $files: [OnlineStoreThemeFilesUpsertFileInput!]!) {
+        themeFilesUpsert(themeId: $themeId, files: $files) {
+          upsertedThemeFiles { filename }
+          userErrors { field message }
+        }
+      }
+    `, {
+      themeId: current.theme_id,
+      files: [{ filename, body: { type: 'TEXT', value: content } }],
+    });
+
+    const userErrors = data.themeFilesUpsert.userErrors;
+    if (userErrors.length > 0) {
+      return { success: false, error: userErrors.map(error => error.message).join('; ') };
+    }
+
+    const updated = await this._fetchThemeFile(site, filename);
+    return { success: true, page: this._themeFilePage(site, updated) };
+  }
+
+  /**
+   * @private
+   */
+  _gid(type, id) {
+    return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+  }
+
+  /**
+   * @private
+   */
+  _legacyId(gid) {
+    return gid ? gid.split('/').pop() : null;
+  }
+
+  /**
+   * @private
+   */
+  _collision(resource) {
+    return {
+      success: false,
+      conflict: true,
+      error: `The Shopify ${resource} was edited since it was loaded; reload and try again`,
+    };
+  }
+
+  /**
+   * GraphQL product/collection/article as a page
+   * @private
+   */
+  _fromNode(site, type, node) {
+    const base = site.site_url.replace(/\/$/, '');
+    const links = {
+      product: () => node.onlineStoreUrl || `${base}/products/${node.handle}`,
+      collection: () => `${base}/collections/${node.handle}`,
+      article: () => `${base}/blogs/${node.blog?.handle}/${node.handle}`,
+    };
+
+    return {
+      id: this._legacyId(node.id),
+      type,
+      title: node.title || 'Untitled',
+      content: node[HTML_RESOURCES[type].body] || '',
+      link: links[type](),
+      status: node.status ? node.status.toLowerCase() : (node.isPublished === false ? 'draft' : 'publish'),
+      modified: node.updatedAt,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _metafield(node) {
+    return {
+      id: this._legacyId(node.id),
+      namespace: node.namespace,
+      key: node.key,
+      type: node.type,
+      value: node.value,
+      owner_id: this._legacyId(node.owner?.id),
+      modified: node.updatedAt,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _metafieldPage(site, node) {
+    return {
+      id: this._legacyId(node.id),
+      type: 'metafield',
+      title: `${node.namespace}.${node.key}`,
+      content: node.value,
+      link: site.site_url,
+      status: 'publish',
+      modified: node.updatedAt,
+      value_type: node.type,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _themeFilePage(site, file) {
+    return {
+      id: file.filename,
+      type: 'theme_asset',
+      title: `${file.theme_name}: ${file.filename}`,
+      content: file.body.content,
+      link: site.site_url,
+      status: 'publish',
+      modified: file.updatedAt,
+      theme_id: this._legacyId(file.theme_id),
+    };
+  }
+
+  /**
+   * Poll a freshly created file until its image URL is available
+   * @private
+   */
+  async _waitForFileUrl(site, fileId, attempts = 5) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      const data = await this.graphql(site, `
+        query file($id: ID!) {
+          node(id: $id) { ... on MediaImage { fileStatus image { url } } }
+        }
+      `, { id: fileId });
+
+      if (data.node?.image?.url) {
+        return data.node.image.url;
+      }
+      if (data.node?.fileStatus === 'FAILED') {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _summary(site, page) {
+    return {
+      id: page.id,
+      type: 'page',
+      title: page.title || 'Untitled',
+      link: `${site.site_url.replace(/\/$/, '')}/pages/${page.handle}`,
+      status: page.published_at ? 'publish' : 'draft',
+      modified: page.updated_at,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _page(site, page) {
+    return {
+      ...this._summary(site, page),
+      content: page.body_html || '',
+    };
+  }
+}
+
+module.exports = ShopifyAdapter;
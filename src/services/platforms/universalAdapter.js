@@ -0,0 +1,242 @@
+/**
+ * Universal Platform Adapter
+ * Any website, driven through a Playwright browser session. Pages are
+ * addressed by URL and edits by the slot's CSS selector (options.selector).
+ * Edits are persisted by replaying the site's recorded save recipe
+ * (site_save_recipes) and verified by reloading the page.
+ * There is no generic media library behind an arbitrary site, so uploadMedia
+ * is not supported.
+ */
+
+const axios = require('axios');
+const PlatformAdapter = require('./platformAdapter');
+const PlaywrightService = require('../playwrightService');
+const db = require('../database');
+
+// Shared Playwright service (browser pool), created on first use
+let playwrightServiceInstance = null;
+// Pending or finished initialization of that instance; cleared when it fails
+let playwrightReady = null;
+
+class UniversalAdapter extends PlatformAdapter {
+  constructor() {
+    super('universal');
+  }
+
+  /**
+   * Get or create the shared Playwright service instance
+   */
+  async playwright() {
+    if (!playwrightReady) {
+      const service = new PlaywrightService();
+      playwrightServiceInstance = service;
+      playwrightReady = service.initialize().then(() => service, async error => {
+        // Drop the broken instance so the next request starts a fresh one
+        if (playwrightServiceInstance === service) {
+          playwrightServiceInstance = null;
+          playwrightReady = null;
+        }
+        await service.shutdown().catch(() => {});
+        throw error;
+      });
+    }
+
+    return playwrightReady;
+  }
+
+  /**
+   * Shut the shared Playwright service down (if it was started)
+   */
+  async shutdown() {
+    if (playwrightServiceInstance) {
+      const service = playwrightServiceInstance;
+      playwrightServiceInstance = null;
+      playwrightReady = null;
+      await service.shutdown();
+    }
+  }
+
+  /**
+   * Browser pool metrics, or null when no browser has been started yet
+   */
+  getPoolStats() {
+    return playwrightServiceInstance ? playwrightServiceInstance.browserPool.getStats() : null;
+  }
+
+  /**
+   * @param {Object} data - { site_url, site_name, credentials }
+   */
+  async connect(organizationId, data) {
+    const site = await db.universalSites.create(organizationId, {
+      url: data.site_url,
+      name: data.site_name || data.site_url,
+      authType: data.credentials ? 'session' : 'none',
+      credentials: data.credentials || {},
+    });
+
+    const verification = await this._openSession(site, data.site_url, data.credentials);
+    await db.universalSites.updateConnectionStatus(site.id, verification.success, verification.error || null);
+
+    if (!verification.success) {
+      return { success: false, error: verification.error, site };
+    }
+
+    return {
+      success: true,
+      site: { ...site, is_connected: true },
+      connectionInfo: verification.connection,
+    };
+  }
+
+  async verify(site) {
+    const verification = await this._openSession(site, site.site_url);
+    await db.universalSites.updateConnectionStatus(site.id, verification.success, verification.error || null);
+    return verification.success
+      ? { success: true, site_name: site.site_name }
+      : { success: false, error: verification.error };
+  }
+
+  /**
+   * The home page plus every page sections were detected on
+   */
+  async listPages(site) {
+    const urls = new Set([site.site_url]);
+    for (const section of site.detected_sections || []) {
+      if (section.page_url) {
+        urls.add(section.page_url);
+      }
+    }
+
+    return {
+      success: true,
+      pages: Array.from(urls).map(url => ({
+        id: url,
+        type: 'page',
+        title: url === site.site_url ? (site.site_name || url) : url,
+        link: url,
+        status: 'publish',
+        modified: null,
+      })),
+    };
+  }
+
+  /**
+   * Public HTML of a page, as visitors see it
+   */
+  async getPage(site, pageUrl) {
+    const url = pageUrl || site.site_url;
+    try {
+      const response = await axios.get(url, {
+        timeout: 15000,
+        headers: { 'User-Agent': 'SafeWebEdit/1.0' },
+        responseType: 'text',
+      });
+
+      const title = /<title[^>]*>([^<]*)<\/title>/i.exec(response.data);
+      return {
+        success: true,
+        page: {
+          id: url,
+          type: 'page',
+          title: title ? title[1].trim() : url,
+          content: response.data,
+          link: url,
+          status: 'publish',
+          modified: response.headers['last-modified'] || null,
+        },
+      };
+    } catch (error) {
+      return { success: false, error: this._errorMessage(error) };
+    }
+  }
+
+  /**
+   * Replace the innerHTML of options.selector on the page and save it with
+   * the site's save recipe
+   */
+  async updatePage(site, pageUrl, content, options = {}) {
+    if (!options.selector) {
+      return { success: false, error: 'A CSS selector is required to update universal sites' };
+    }
+
+    const recipe = await db.siteSaveRecipes.findBySite(site.id);
+    if (!recipe) {
+      return {
+        success: false,
+        needs_recipe: true,
+        error: 'No save recipe is recorded for this site, so edits cannot be persisted. Record one with PUT /api/sites/:siteId/save-recipe',
+      };
+    }
+
+    const url = pageUrl || site.site_url;
+    const playwrightService = await this.playwright();
+    let connection;
+
+    try {
+      connection = await playwrightService.connect(site.id, url, null, { organizationId: site.organization_id });
+      const result = await playwrightService.saveContent(connection.contextId, url, options.selector, content, recipe);
+      await db.siteSaveRecipes.recordRun(recipe.id, result.verified ? 'succeeded' : 'unverified');
+
+      return {
+        success: true,
+        verified: result.verified,
+        message: result.message,
+        page: { id: url, type: 'page', title: site.site_name || url, content, link: url, modified: null },
+      };
+    } catch (error) {
+      await db.siteSaveRecipes.recordRun(recipe.id, 'failed', error.message);
+      return { success: false, error: error.message };
+    } finally {
+      if (connection) {
+        await playwrightService.disconnect(connection.contextId);
+      }
+    }
+  }
+
+  /**
+   * Replay a save recipe with the section's current content, so a freshly
+   * recorded recipe is proven end to end without changing the page
+   * @returns {Object} { success, verified, message } or { success: false, error }
+   */
+  async testSaveRecipe(site, recipe, pageUrl, selector) {
+    const url = pageUrl || site.site_url;
+    const playwrightService = await this.playwright();
+    let connection;
+
+    try {
+      connection = await playwrightService.connect(site.id, url, null, { organizationId: site.organization_id });
+      const current = await playwrightService.getSectionContent(connection.contextId, url, selector);
+      if (current === null) {
+        return { success: false, error: `Section not found: ${selector}` };
+      }
+
+      const result = await playwrightService.saveContent(connection.contextId, url, selector, current, recipe);
+      await db.siteSaveRecipes.recordRun(recipe.id, result.verified ? 'succeeded' : 'unverified');
+      return { success: true, verified: result.verified, message: result.message };
+    } catch (error) {
+      await db.siteSaveRecipes.recordRun(recipe.id, 'failed', error.message);
+      return { success: false, error: error.message };
+    } finally {
+      if (connection) {
+        await playwrightService.disconnect(connection.contextId);
+      }
+    }
+  }
+
+  /**
+   * Log in (if needed) and close the session again
+   * @private
+   */
+  async _openSession(site, url, credentials = null) {
+    const playwrightService = await this.playwright();
+    try {
+      const connection = await playwrightService.connect(site.id, url, credentials, { organizationId: site.organization_id });
+      await playwrightService.disconnect(connection.contextId);
+      return { success: true, connection };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = UniversalAdapter;
@@ -0,0 +1,98 @@
+/**
+ * WordPress Platform Adapter
+ * REST API (application passwords) via WordPressClient
+ */
+
+const PlatformAdapter = require('./platformAdapter');
+const WordPressClient = require('../wordpress');
+const db = require('../database');
+const { encodeWordPressPassword, decodeWordPressPassword } = require('./credentials');
+
+class WordPressAdapter extends PlatformAdapter {
+  constructor() {
+    super('wordpress', ['page', 'post']);
+  }
+
+  /**
+   * Client for a stored wordpress_sites row
+   */
+  client(site) {
+    return new WordPressClient(
+      site.site_url,
+      site.wp_username,
+      decodeWordPressPassword(site.wp_app_password_encrypted)
+    );
+  }
+
+  /**
+   * @param {Object} data - { site_url, site_name, wp_username, wp_app_password }
+   */
+  async connect(organizationId, data) {
+    const siteUrl = data.site_url.replace(/\/$/, '');
+    const verification = await new WordPressClient(siteUrl, data.wp_username, data.wp_app_password).verifyConnection();
+
+    if (!verification.success) {
+      return { success: false, error: verification.error };
+    }
+
+    const site = await db.wordpressSites.create({
+      organization_id: organizationId,
+      site_url: siteUrl,
+      site_name: data.site_name || verification.site_name,
+      wp_username: data.wp_username,
+      wp_app_password_encrypted: encodeWordPressPassword(data.wp_app_password),
+    });
+
+    return { success: true, site, verification };
+  }
+
+  async verify(site) {
+    return this.client(site).verifyConnection();
+  }
+
+  async listPages(site) {
+    const client = this.client(site);
+    const [pages, posts] = await Promise.all([client.fetchPages(), client.fetchPosts()]);
+
+    if (!pages.success) {
+      return pages;
+    }
+
+    return {
+      success: true,
+      pages: [
+        ...pages.pages.map(page => ({ ...page, type: 'page' })),
+        ...(posts.success ? posts.posts : []).map(post => ({ ...post, type: 'post' })),
+      ],
+    };
+  }
+
+  async getPage(site, pageId, options = {}) {
+    const client = this.client(site);
+    const result = options.type === 'post' ? await client.getPost(pageId) : await client.getPage(pageId);
+    if (result.success) {
+      result.page.type = options.type === 'post' ? 'post' : 'page';
+    }
+    return result;
+  }
+
+  async updatePage(site, pageId, content, options = {}) {
+    const client = this.client(site);
+    const result = options.type === 'post'
+      ? await client.updatePost(pageId, { content })
+      : await client.updatePage(pageId, { content });
+    if (result.success) {
+      result.page.type = options.type === 'post' ? 'post' : 'page';
+    }
+    return result;
+  }
+
+  /**
+   * @param {Object} file - { data: Buffer, filename, mime_type }
+   */
+  async uploadMedia(site, file) {
+    return this.client(site).uploadImage(file.data, file.filename, file.mime_type);
+  }
+}
+
+module.exports = WordPressAdapter;
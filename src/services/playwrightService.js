@@ -7,6 +7,7 @@
 const BrowserPoolManager = require('./browserPool');
 const SessionManager = require('./sessionManager');
 const SectionDetector = require('./sectionDetector'); // Reuse existing AI-powered detector!
+const SaveRecipe = require('./saveRecipe');
 
 class PlaywrightService {
   constructor() {
@@ -49,9 +50,12 @@ class PlaywrightService {
    * @param {string} siteId - Unique site identifier
    * @param {string} siteUrl - Website URL
    * @param {Object} credentials - Optional login credentials
+   * @param {Object} owner - { organizationId } for the browser pool's per-organization cap
    * @returns {Object} - { success, contextId, siteInfo }
    */
-  async connect(siteId, siteUrl, credentials = null) {
+  async connect(siteId, siteUrl, credentials = null, owner = {}) {
+    let acquiredContextId = null;
+
     try {
       console.log('[Playwright Service] Connecting to:', siteUrl);
 
@@ -61,7 +65,8 @@ class PlaywrightService {
       // Acquire browser context with optional session
       const { contextId, context } = await this.browserPool.acquireContext({
         storageState: existingSession || undefined
-      });
+      }, owner);
+      acquiredContextId = contextId;
 
       // Create new page
       const page = await context.newPage();
@@ -105,6 +110,10 @@ class PlaywrightService {
 
     } catch (error) {
       console.error('[Playwright Service] Connection error:', error);
+      // Don't hold a pool browser for a connection that never worked
+      if (acquiredContextId) {
+        await this.browserPool.releaseContext(acquiredContextId);
+      }
       throw new Error(`Failed to connect: ${error.message}`);
     }
   }
@@ -296,7 +305,7 @@ class PlaywrightService {
       console.log('[Playwright Service] Content updated successfully');
 
       // Note: Changes are visible in browser but not persisted
-      // Persistence would require triggering site-specific save mechanisms
+      // saveContent() persists them by replaying the site's save recipe
 
       return {
         success: true,
@@ -310,6 +319,179 @@ class PlaywrightService {
     }
   }
 
+  /**
+   * Persist new section content by replaying a site's save recipe, then
+   * reload the page and check the section shows the new content
+   * @param {string} contextId - Browser context ID
+   * @param {string} pageUrl - Page URL
+   * @param {string} sectionSelector - CSS selector for section
+   * @param {string} newContent - New HTML content
+   * @param {Object} recipe - site_save_recipes row ({ steps, verify })
+   * @returns {Object} - { success, verified, message }
+   */
+  async saveContent(contextId, pageUrl, sectionSelector, newContent, recipe) {
+    const entry = this.browserPool.activeContexts.get(contextId);
+    if (!entry) {
+      throw new Error('Invalid context ID');
+    }
+
+    const page = entry.context.pages()[0] || await entry.context.newPage();
+    const vars = { content: newContent, page_url: pageUrl, section_selector: sectionSelector };
+
+    // Recipes usually start from the page being edited
+    if (page.url() !== pageUrl) {
+      await page.goto(pageUrl, { waitUntil: 'networkidle' });
+    }
+
+    for (const [index, recorded] of recipe.steps.entries()) {
+      const step = SaveRecipe.expand(recorded, vars);
+
+      try {
+        await this.runRecipeStep(page, step, vars);
+      } catch (error) {
+        throw new Error(`Save recipe step ${index + 1} (${step.action}) failed: ${error.message}`);
+      }
+    }
+
+    console.log('[Playwright Service] Save recipe replayed:', { pageUrl, steps: recipe.steps.length });
+
+    if (recipe.verify === false) {
+      return { success: true, verified: false, message: 'Content saved (verification disabled)' };
+    }
+
+    const verification = await this.verifyContent(contextId, pageUrl, sectionSelector, newContent);
+    if (!verification.matches) {
+      throw new Error(`Save could not be verified: ${verification.reason}`);
+    }
+
+    return { success: true, verified: true, message: 'Content saved and verified on the live page' };
+  }
+
+  /**
+   * Current innerHTML of a section
+   * @returns {string|null} - null when the section is not on the page
+   */
+  async getSectionContent(contextId, pageUrl, sectionSelector) {
+    const entry = this.browserPool.activeContexts.get(contextId);
+    if (!entry) {
+      throw new Error('Invalid context ID');
+    }
+
+    const page = entry.context.pages()[0] || await entry.context.newPage();
+    if (page.url() !== pageUrl) {
+      await page.goto(pageUrl, { waitUntil: 'networkidle' });
+    }
+
+    return page.evaluate((selector) => {
+      const element = document.querySelector(selector);
+      return element ? element.innerHTML : null;
+    }, sectionSelector);
+  }
+
+  /**
+   * Run one expanded save recipe step
+   * @param {Page} page - Playwright page object
+   * @param {Object} step - Step with placeholders replaced
+   * @param {Object} vars - { content, page_url, section_selector }
+   */
+  async runRecipeStep(page, step, vars) {
+    switch (step.action) {
+      case 'goto':
+        await page.goto(step.url, { waitUntil: 'networkidle' });
+        break;
+
+      case 'click':
+        await page.click(step.selector);
+        break;
+
+      case 'fill':
+        await page.fill(step.selector, step.value);
+        break;
+
+      case 'set_html':
+        await page.$eval(step.selector, (element, content) => {
+          element.innerHTML = content;
+          element.dispatchEvent(new Event('input', { bubbles: true }));
+          element.dispatchEvent(new Event('change', { bubbles: true }));
+        }, step.value !== undefined ? step.value : vars.content);
+        break;
+
+      case 'press':
+        if (step.selector) {
+          await page.press(step.selector, step.key);
+        } else {
+          await page.keyboard.press(step.key);
+        }
+        break;
+
+      case 'wait_for':
+        await page.waitForSelector(step.selector, { state: 'visible' });
+        break;
+
+      case 'wait_for_navigation':
+        await page.waitForLoadState('networkidle');
+        break;
+
+      case 'wait':
+        await page.waitForTimeout(Number(step.ms));
+        break;
+
+      default:
+        throw new Error(`Unknown action: ${step.action}`);
+    }
+  }
+
+  /**
+   * Load the page fresh and compare the section's text with the expected content
+   * (text rather than markup, since editors often re-serialize HTML)
+   * @returns {Object} - { matches, reason, actual }
+   */
+  async verifyContent(contextId, pageUrl, sectionSelector, expectedContent, attempts = 3) {
+    const entry = this.browserPool.activeContexts.get(contextId);
+    if (!entry) {
+      throw new Error('Invalid context ID');
+    }
+
+    const page = await entry.context.newPage();
+    let result = { matches: false, reason: 'Page was not checked' };
+
+    try {
+      for (let attempt = 1; attempt <= attempts; attempt++) {
+        await page.goto(pageUrl, { waitUntil: 'networkidle' });
+
+        result = await page.evaluate(({ selector, expected }) => {
+          const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+          const element = document.querySelector(selector);
+          if (!element) {
+            return { matches: false, reason: `Section not found: ${selector}` };
+          }
+
+          const scratch = document.createElement('div');
+          scratch.innerHTML = expected;
+
+          const actual = normalize(element.textContent);
+          return actual === normalize(scratch.textContent)
+            ? { matches: true, actual }
+            : { matches: false, reason: 'Section content differs from the saved content', actual: actual.substring(0, 200) };
+        }, { selector: sectionSelector, expected: expectedContent });
+
+        if (result.matches) {
+          break;
+        }
+
+        // Give page caches a moment before reloading again
+        if (attempt < attempts) {
+          await page.waitForTimeout(2000);
+        }
+      }
+    } finally {
+      await page.close();
+    }
+
+    console.log('[Playwright Service] Save verification:', { pageUrl, matches: result.matches });
+    return result;
+  }
+
   /**
    * Take a screenshot of a page
    * @param {string} contextId - Browser context ID
@@ -0,0 +1,131 @@
+/**
+ * Pricing Service
+ * Credit cost of paid actions, read from the pricing catalog
+ *
+ * Price of an action for an organization:
+ *   1. the override for the organization's subscription plan, else the base price
+ *   2. times the lowest multiplier among active promotions for that action/plan
+ *   3. rounded to whole credits
+ *
+ * The catalog is small and read on every paid request, so it is cached for
+ * a short time; admin edits clear the cache.
+ */
+
+const db = require('./database');
+
+const PRICED_ACTIONS = ['text_edit', 'image_swap', 'ai_image'];
+
+// Plan of organizations without a subscription row
+const DEFAULT_PLAN = 'free';
+
+class PricingService {
+  constructor() {
+    this.cacheMs = parseInt(process.env.PRICING_CACHE_MS || '60000');
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  get actions() {
+    return PRICED_ACTIONS;
+  }
+
+  /**
+   * Credits an action costs an organization
+   * @param {string} action - text_edit | image_swap | ai_image
+   * @param {string} organizationId - Organization being charged
+   * @returns {Promise<Object>} { action, credits, base_credits, plan, multiplier, promotion }
+   */
+  async getPrice(action, organizationId) {
+    const catalog = await this.loadCatalog();
+    const plan = await this.planOf(organizationId);
+    return this.priceFrom(catalog, action, plan);
+  }
+
+  /**
+   * Prices of every action for an organization
+   * @returns {Promise<Object>} { plan, prices: { [action]: credits }, promotions }
+   */
+  async getPriceList(organizationId) {
+    const catalog = await this.loadCatalog();
+    const plan = await this.planOf(organizationId);
+
+    const prices = {};
+    const promotions = [];
+    for (const price of catalog.prices) {
+      const quote = this.priceFrom(catalog, price.action, plan);
+      prices[price.action] = quote.credits;
+      if (quote.promotion) {
+        promotions.push({ action: price.action, base_credits: quote.base_credits, ...quote.promotion });
+      }
+    }
+
+    return { plan, prices, promotions };
+  }
+
+  /**
+   * Forget the cached catalog (after admin edits)
+   */
+  invalidate() {
+    this.cache = null;
+  }
+
+  async loadCatalog() {
+    if (this.cache && Date.now() - this.cachedAt < this.cacheMs) {
+      return this.cache;
+    }
+
+    const [prices, overrides, promotions] = await Promise.all([
+      db.creditPricing.listPrices(),
+      db.creditPricing.listOverrides(),
+      db.creditPricing.listPromotions(),
+    ]);
+
+    this.cache = { prices, overrides, promotions };
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  async planOf(organizationId) {
+    const subscription = organizationId ? await db.subscriptions.findByOrganization(organizationId) : null;
+    return subscription && subscription.plan_name ? subscription.plan_name.toLowerCase() : DEFAULT_PLAN;
+  }
+
+  /**
+   * @private
+   */
+  priceFrom(catalog, action, plan) {
+    const price = catalog.prices.find(entry => entry.action === action);
+    if (!price) {
+      throw new Error(`No credit price configured for ${action}`);
+    }
+
+    const override = catalog.overrides.find(entry => entry.action === action && entry.plan_name === plan);
+    const baseCredits = override ? override.credits : price.credits;
+
+    // Upcoming promotions are cached too, so check the window on every quote
+    const now = new Date();
+    const best = catalog.promotions
+      .filter(promotion =>
+        (!promotion.action || promotion.action === action) &&
+        (!promotion.plan_name || promotion.plan_name === plan) &&
+        new Date(promotion.starts_at) <= now && new Date(promotion.ends_at) > now
+      )
+      .reduce((lowest, promotion) =>
+        (!lowest || Number(promotion.multiplier) < Number(lowest.multiplier) ? promotion : lowest), null);
+
+    const multiplier = best ? Number(best.multiplier) : 1;
+
+    return {
+      action,
+      credits: Math.round(baseCredits * multiplier),
+      base_credits: baseCredits,
+      plan,
+      multiplier,
+      promotion: best
+        ? { id: best.id, multiplier, description: best.description, ends_at: best.ends_at }
+        : null,
+    };
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,243 @@
+/**
+ * Publish Scheduler
+ * Publishes content updates at their scheduled time
+ *
+ * All scheduling state lives in content_updates (scheduled_at, next_attempt_at,
+ * publish_attempts), so pending publishes survive restarts. The scheduler polls
+ * for due rows, claims them, runs them through PublishingService.publishToSlot
+ * and retries failures with exponential backoff.
+ */
+
+const db = require('./database');
+const PublishingService = require('./publishingService');
+const webhookService = require('./webhookService');
+
+class PublishScheduler {
+  constructor() {
+    this.publishingService = new PublishingService();
+    this.intervalMs = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS || '30000');
+    this.batchSize = parseInt(process.env.PUBLISH_SCHEDULER_BATCH_SIZE || '10');
+    this.maxAttempts = parseInt(process.env.PUBLISH_MAX_ATTEMPTS || '5');
+    this.retryBaseMs = parseInt(process.env.PUBLISH_RETRY_BASE_MS || '60000');
+    // Attempts at recording a publish that already went live
+    this.markAttempts = parseInt(process.env.PUBLISH_MARK_ATTEMPTS || '3');
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start polling for due updates
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    try {
+      const released = await db.contentUpdates.releaseStalePublishing();
+      if (released.length > 0) {
+        console.log(`[SCHEDULER] Requeued ${released.length} interrupted publishes`);
+      }
+    } catch (error) {
+      console.error('[SCHEDULER] Failed to requeue interrupted publishes:', error.message);
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+    console.log(`[SCHEDULER] Started (interval: ${this.intervalMs}ms, max attempts: ${this.maxAttempts})`);
+  }
+
+  /**
+   * Stop polling (in-flight publishes are allowed to finish)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[SCHEDULER] Stopped');
+    }
+  }
+
+  /**
+   * Claim and publish all currently due updates
+   */
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const due = await db.contentUpdates.claimDueScheduled(this.batchSize);
+
+      for (const update of due) {
+        await this.processUpdate(update);
+      }
+    } catch (error) {
+      console.error('[SCHEDULER] Tick error:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Publish a single claimed update and record the outcome
+   * @param {Object} update - content_updates row (status 'publishing')
+   */
+  async processUpdate(update) {
+    console.log('[SCHEDULER] Publishing scheduled update:', {
+      update_id: update.id,
+      scheduled_at: update.scheduled_at,
+      attempt: update.publish_attempts,
+    });
+
+    let slot;
+    let publishResult;
+    let alreadyLive = false;
+
+    try {
+      slot = await db.contentSlots.findById(update.content_slot_id);
+      if (!slot) {
+        // Nothing to retry against - the slot is gone
+        await db.contentUpdates.markFailed(update.id, 'Slot not found');
+        return;
+      }
+
+      const site = await db.wordpressSites.findById(update.wordpress_site_id);
+      if (!site) {
+        await db.contentUpdates.markFailed(update.id, 'WordPress site not found');
+        return;
+      }
+
+      // A retried (or requeued) update may have gone live on an earlier
+      // attempt that failed to record it; don't write the page again
+      if (update.publish_attempts > 1) {
+        const live = await this.publishingService.verifySlotMarkers(site, slot);
+        alreadyLive = live.verified &&
+          this.publishingService.hashContent((live.current_content || '').trim()) ===
+            this.publishingService.hashContent((update.generated_content || '').trim());
+        if (alreadyLive) {
+          console.log('[SCHEDULER] Already live from an earlier attempt:', { update_id: update.id });
+          publishResult = { success: true, wordpress_page: { link: live.page.link } };
+        }
+      }
+
+      if (!alreadyLive) {
+        publishResult = await this.publishingService.publishToSlot({
+          wordpress_site: site,
+          slot: slot,
+          generated_content: update.generated_content,
+        });
+      }
+
+      if (!publishResult.success) {
+        const details = publishResult.details?.message || publishResult.message;
+        await this._recordFailure(update, details ? `${publishResult.error}: ${details}` : publishResult.error);
+        return;
+      }
+    } catch (error) {
+      await this._recordFailure(update, error.message || 'Unknown error');
+      return;
+    }
+
+    // The page is live from here on: a bookkeeping error is logged, never
+    // retried, or the update would be published a second time
+    try {
+      await db.contentSlots.updateContent(slot.id, update.generated_content);
+    } catch (error) {
+      console.error('[SCHEDULER] Failed to update slot content:', error.message);
+    }
+
+    // The earlier attempt recorded its revision before it failed
+    if (!alreadyLive) {
+      try {
+        await db.contentRevisions.create({
+          slot_id: slot.id,
+          organization_id: update.organization_id,
+          old_content: publishResult.slot_update.old_content,
+          new_content: update.generated_content,
+          changed_by: 'scheduler',
+          source: 'scheduler',
+          content_update_id: update.id,
+        });
+      } catch (error) {
+        console.error('[SCHEDULER] Failed to record revision:', error.message);
+      }
+    }
+
+    if (!await this._markPublished(update, publishResult.wordpress_page.link)) {
+      // Row stays 'publishing'; once requeued, the check above finds the
+      // content live and only records it
+      return;
+    }
+
+    try {
+      await webhookService.emitSlotPublished(update.organization_id, slot, {
+        source: 'scheduler',
+        page_url: publishResult.wordpress_page.link,
+        content_update_id: update.id,
+      });
+    } catch (error) {
+      console.error('[SCHEDULER] Failed to emit webhook:', error.message);
+    }
+
+    console.log('[SCHEDULER] Published successfully:', {
+      update_id: update.id,
+      page_link: publishResult.wordpress_page.link,
+    });
+  }
+
+  /**
+   * Record a live publish, retrying briefly on database errors
+   * @private
+   * @returns {Promise<boolean>} Whether the update was marked published
+   */
+  async _markPublished(update, link) {
+    for (let attempt = 1; attempt <= this.markAttempts; attempt++) {
+      try {
+        await db.contentUpdates.markPublished(update.id, link);
+        return true;
+      } catch (error) {
+        console.error('[SCHEDULER] Published, but failed to mark the update published:', {
+          update_id: update.id,
+          attempt,
+          error: error.message,
+        });
+        if (attempt < this.markAttempts) {
+          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Schedule a retry, or give up once maxAttempts is reached
+   * @private
+   */
+  async _recordFailure(update, errorMessage) {
+    try {
+      if (update.publish_attempts >= this.maxAttempts) {
+        await db.contentUpdates.markFailed(update.id, errorMessage);
+        console.error('[SCHEDULER] Giving up on update:', { update_id: update.id, error: errorMessage });
+        return;
+      }
+
+      const delay = this.retryBaseMs * Math.pow(2, update.publish_attempts - 1);
+      const nextAttemptAt = new Date(Date.now() + delay);
+      await db.contentUpdates.markScheduleRetry(update.id, errorMessage, nextAttemptAt);
+
+      console.warn('[SCHEDULER] Publish failed, retrying:', {
+        update_id: update.id,
+        attempt: update.publish_attempts,
+        next_attempt_at: nextAttemptAt.toISOString(),
+        error: errorMessage,
+      });
+    } catch (error) {
+      // Row stays 'publishing' and is requeued by releaseStalePublishing on next start
+      console.error('[SCHEDULER] Failed to record publish failure:', error.message);
+    }
+  }
+}
+
+module.exports = new PublishScheduler();
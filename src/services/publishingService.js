@@ -3,12 +3,35 @@
  * Handles safe publishing of generated content to WordPress slots
  */
 
-const WordPressClient = require('./wordpress');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const platforms = require('./platforms');
 const SlotParser = require('./slotParser');
+const BlockParser = require('./blockParser');
+const SelectorParser = require('./selectorParser');
+const JsonTemplateParser = require('./jsonTemplateParser');
+const ContentDiff = require('./contentDiff');
+
+// Preview links are signed for their own audience (and secret, when set) so
+// they can never be used as a login session
+const PREVIEW_TOKEN_AUDIENCE = 'slot-preview';
+
+function previewTokenSecret() {
+  return process.env.PREVIEW_TOKEN_SECRET || process.env.JWT_SECRET;
+}
 
 class PublishingService {
   /**
    * Publish generated content to a WordPress slot
+   *
+   * Optimistic concurrency: when the caller passes expected_modified and/or
+   * expected_hash (as returned by verify/preview), the page is checked against
+   * them before writing. If the page changed and the slot no longer matches
+   * base_content (what the editor started from), the publish is rejected with
+   * conflict: true unless on_conflict is 'force' (overwrite) or 'merge'
+   * (three-way merge; still rejected if the merge has conflicts).
+   *
    * @param {Object} params - Publishing parameters
    * @returns {Promise<Object>} Publishing result
    */
@@ -16,63 +39,86 @@ class PublishingService {
     const {
       wordpress_site,
       slot,
-      generated_content,
+      expected_modified,
+      expected_hash,
+      base_content,
+      on_conflict,
     } = params;
+    let { generated_content } = params;
 
     try {
-      // Decrypt WordPress password
-      const wp_password = this._decryptPassword(wordpress_site.wp_app_password_encrypted);
-
-      // Create WordPress client
-      const wpClient = new WordPressClient(
-        wordpress_site.site_url,
-        wordpress_site.wp_username,
-        wp_password
-      );
-
-      // Fetch current page content from WordPress
-      const pageResult = await wpClient.getPage(slot.wp_page_id);
+      // Fetch current page content from the site's platform
+      const pageResult = await this._fetchPage(wordpress_site, slot);
 
       if (!pageResult.success) {
         return {
           success: false,
-          error: 'Failed to fetch page from WordPress',
+          error: 'Failed to fetch page from the site',
           details: pageResult.error,
         };
       }
 
+      const rawError = this.rawContentError(pageResult.page);
+      if (rawError) {
+        return {
+          success: false,
+          error: rawError,
+        };
+      }
+
       const currentPageContent = pageResult.page.content;
 
-      // Verify slot marker exists on the page
-      const markerExists = SlotParser.hasSlot(currentPageContent, slot.marker_name);
+      // Verify the slot (marker pair or targeted block) exists on the page
+      const location = this.locateSlot(currentPageContent, slot);
 
-      if (!markerExists) {
+      if (!location.found) {
         return {
           success: false,
-          error: `Slot marker "${slot.marker_name}" not found on WordPress page`,
-          message: 'Please add the slot markers to your WordPress page first',
-          instructions: {
-            opening_marker: `<!-- SWE:SLOT:${slot.marker_name} -->`,
-            closing_marker: `<!-- /SWE:SLOT:${slot.marker_name} -->`,
-          },
+          error: location.error,
+          message: location.instructions
+            ? 'Please add the slot markers to the page first'
+            : 'The targeted block was moved or removed; update the slot target',
+          instructions: location.instructions,
         };
       }
 
       // Get old content for backup
-      const oldContent = SlotParser.getSlotContent(currentPageContent, slot.marker_name);
+      const oldContent = location.content;
+
+      // Check the page hasn't changed since the editor loaded it
+      const concurrency = this._checkConcurrency({
+        page: pageResult.page,
+        current_content: oldContent,
+        generated_content,
+        expected_modified,
+        expected_hash,
+        base_content,
+        on_conflict,
+      });
+
+      if (concurrency.conflict) {
+        console.warn('[PUBLISH] Conflict detected:', {
+          page_id: slot.wp_page_id,
+          marker: slot.marker_name,
+          expected_modified,
+          current_modified: pageResult.page.modified,
+        });
+        return concurrency;
+      }
+
+      if (concurrency.merged) {
+        generated_content = concurrency.merged;
+      }
 
       // Replace slot content with new generated content
-      const replaceResult = SlotParser.replaceSlotContent(
-        currentPageContent,
-        slot.marker_name,
-        generated_content
-      );
+      const replaceResult = location.replace(generated_content);
 
       if (!replaceResult.success) {
         return {
           success: false,
           error: 'Failed to replace slot content',
           details: replaceResult.error,
+          violations: replaceResult.violations,
         };
       }
 
@@ -83,15 +129,14 @@ class PublishingService {
         new_length: generated_content.length,
       });
 
-      // Update WordPress page
-      const updateResult = await wpClient.updatePage(slot.wp_page_id, {
-        content: replaceResult.html,
-      });
+      // Write the page back
+      const updateResult = await this._writePage(wordpress_site, slot, replaceResult.html, pageResult.page);
 
       if (!updateResult.success) {
         return {
           success: false,
-          error: 'Failed to update WordPress page',
+          conflict: Boolean(updateResult.conflict),
+          error: 'Failed to update the page',
           details: updateResult.error,
         };
       }
@@ -113,6 +158,8 @@ class PublishingService {
           marker_name: slot.marker_name,
           old_content: oldContent,
           new_content: generated_content,
+          merged: Boolean(concurrency.merged),
+          forced: Boolean(concurrency.forced),
         },
       };
     } catch (error) {
@@ -133,38 +180,37 @@ class PublishingService {
    */
   async verifySlotMarkers(wordpress_site, slot) {
     try {
-      const wp_password = this._decryptPassword(wordpress_site.wp_app_password_encrypted);
-      const wpClient = new WordPressClient(
-        wordpress_site.site_url,
-        wordpress_site.wp_username,
-        wp_password
-      );
-
-      const pageResult = await wpClient.getPage(slot.wp_page_id);
+      const pageResult = await this._fetchPage(wordpress_site, slot);
 
       if (!pageResult.success) {
         return {
           verified: false,
-          error: 'Failed to fetch page from WordPress',
+          error: 'Failed to fetch page from the site',
           details: pageResult.error,
         };
       }
 
-      const markerExists = SlotParser.hasSlot(pageResult.page.content, slot.marker_name);
-      const currentContent = SlotParser.getSlotContent(pageResult.page.content, slot.marker_name);
+      const location = this.locateSlot(pageResult.page.content, slot);
+      const markerExists = location.found;
+      const currentContent = location.content;
 
       return {
         verified: markerExists,
         marker_name: slot.marker_name,
         marker_exists: markerExists,
+        slot_type: slot.slot_type,
+        slot_target: slot.slot_target || null,
+        error: location.error || undefined,
         current_content: currentContent,
         page: {
           id: pageResult.page.id,
           title: pageResult.page.title,
           link: pageResult.page.link,
+          modified: pageResult.page.modified,
+          content_hash: this.hashContent(pageResult.page.content),
         },
-        instructions: !markerExists ? {
-          message: 'Add these markers to your WordPress page',
+        instructions: !markerExists && location.instructions ? {
+          message: 'Add these markers to the page',
           opening_marker: `<!-- SWE:SLOT:${slot.marker_name} -->`,
           example_content: 'Your content here',
           closing_marker: `<!-- /SWE:SLOT:${slot.marker_name} -->`,
@@ -193,14 +239,7 @@ class PublishingService {
     } = params;
 
     try {
-      const wp_password = this._decryptPassword(wordpress_site.wp_app_password_encrypted);
-      const wpClient = new WordPressClient(
-        wordpress_site.site_url,
-        wordpress_site.wp_username,
-        wp_password
-      );
-
-      const pageResult = await wpClient.getPage(slot.wp_page_id);
+      const pageResult = await this._fetchPage(wordpress_site, slot);
 
       if (!pageResult.success) {
         return {
@@ -209,19 +248,23 @@ class PublishingService {
         };
       }
 
-      const oldContent = SlotParser.getSlotContent(pageResult.page.content, slot.marker_name);
-      const replaceResult = SlotParser.replaceSlotContent(
-        pageResult.page.content,
-        slot.marker_name,
-        generated_content
-      );
+      const location = this.locateSlot(pageResult.page.content, slot);
+      const oldContent = location.content;
+      const replaceResult = location.found
+        ? location.replace(generated_content)
+        : { success: false, error: location.error };
 
       return {
         success: replaceResult.success,
+        error: replaceResult.success ? undefined : replaceResult.error,
+        violations: replaceResult.violations,
         preview: {
           page_title: pageResult.page.title,
           page_link: pageResult.page.link,
+          page_modified: pageResult.page.modified,
+          content_hash: this.hashContent(pageResult.page.content),
           slot_marker: slot.marker_name,
+          slot_attributes: location.attributes || {},
           old_content: oldContent,
           new_content: generated_content,
           old_length: oldContent ? oldContent.length : 0,
@@ -236,6 +279,130 @@ class PublishingService {
     }
   }
 
+  /**
+   * Render the live page with draft content spliced into the slot
+   * The public page is fetched as visitors see it; the slot is located by its
+   * markers (kept in rendered output) or, for block slots, by the block's
+   * current content.
+   * @param {Object} params - { wordpress_site, slot, generated_content }
+   * @returns {Promise<Object>} { success, html, page_link } or error
+   */
+  async renderPreview(params) {
+    const {
+      wordpress_site,
+      slot,
+      generated_content,
+    } = params;
+
+    try {
+      const pageResult = await this._fetchPage(wordpress_site, slot);
+      if (!pageResult.success) {
+        return {
+          success: false,
+          error: 'Failed to fetch page',
+          details: pageResult.error,
+        };
+      }
+
+      // Check the draft against the stored markup first (constraints, block target)
+      const location = this.locateSlot(pageResult.page.content, slot);
+      if (!location.found) {
+        return { success: false, error: location.error };
+      }
+      const check = location.replace(generated_content);
+      if (!check.success) {
+        return { success: false, error: check.error, violations: check.violations };
+      }
+
+      const liveResponse = await axios.get(pageResult.page.link, {
+        headers: { 'User-Agent': 'SafeWebEdit Preview/1.0' },
+        timeout: 10000,
+        maxRedirects: 5,
+        responseType: 'text',
+      });
+      const liveHtml = String(liveResponse.data);
+
+      let html = null;
+      let marker = null;
+      if (slot.slot_type === 'css_selector') {
+        marker = SelectorParser.findElement(liveHtml, slot.css_selector);
+      } else if (slot.slot_type === 'html_marker') {
+        marker = SlotParser.findSlot(liveHtml, slot.marker_name);
+      }
+
+      if (marker) {
+        html = liveHtml.slice(0, marker.content_start) + generated_content + liveHtml.slice(marker.content_end);
+      } else if (location.content && liveHtml.includes(location.content)) {
+        const at = liveHtml.indexOf(location.content);
+        html = liveHtml.slice(0, at) + generated_content + liveHtml.slice(at + location.content.length);
+      }
+
+      if (html === null) {
+        return {
+          success: false,
+          error: 'Could not locate the slot in the rendered page',
+          page_link: pageResult.page.link,
+        };
+      }
+
+      // Resolve relative assets against the live page and flag the preview
+      const banner = '<div style="position:fixed;bottom:0;left:0;right:0;z-index:2147483647;' +
+        'background:#111;color:#fff;font:14px/1.4 sans-serif;padding:8px 12px;text-align:center">' +
+        'Preview - this content is not published yet</div>';
+      html = html.replace(/<head([^>]*)>/i, `<head$1><base href="${pageResult.page.link}"><meta name="robots" content="noindex,nofollow">`);
+      html = html.includes('</body>') ? html.replace('</body>', `${banner}</body>`) : html + banner;
+
+      return {
+        success: true,
+        html: html,
+        page_link: pageResult.page.link,
+        page_modified: pageResult.page.modified,
+      };
+    } catch (error) {
+      console.error('[PUBLISH] Render preview error:', error.message);
+      return {
+        success: false,
+        error: 'Failed to render preview',
+        details: error.message,
+      };
+    }
+  }
+
+  /**
+   * Sign a shareable preview token for a content update
+   * The token pins the draft content hash, so a link stops working once the
+   * draft is edited and always shows exactly what was shared.
+   * @param {Object} update - content_updates row
+   * @param {number} expiresInSeconds - Token lifetime
+   * @returns {string} Signed token
+   */
+  createPreviewToken(update, expiresInSeconds) {
+    return jwt.sign(
+      {
+        type: 'slot_preview',
+        update_id: update.id,
+        organization_id: update.organization_id,
+        content_hash: this.hashContent(update.generated_content),
+      },
+      previewTokenSecret(),
+      { expiresIn: expiresInSeconds, audience: PREVIEW_TOKEN_AUDIENCE }
+    );
+  }
+
+  /**
+   * Verify a preview token
+   * @param {string} token - Token from createPreviewToken
+   * @returns {Object|null} Decoded payload or null if invalid/expired
+   */
+  verifyPreviewToken(token) {
+    try {
+      const decoded = jwt.verify(token, previewTokenSecret(), { audience: PREVIEW_TOKEN_AUDIENCE });
+      return decoded.type === 'slot_preview' ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Rollback to previous content
    * @param {Object} params - Rollback parameters
@@ -249,14 +416,7 @@ class PublishingService {
     } = params;
 
     try {
-      const wp_password = this._decryptPassword(wordpress_site.wp_app_password_encrypted);
-      const wpClient = new WordPressClient(
-        wordpress_site.site_url,
-        wordpress_site.wp_username,
-        wp_password
-      );
-
-      const pageResult = await wpClient.getPage(slot.wp_page_id);
+      const pageResult = await this._fetchPage(wordpress_site, slot);
 
       if (!pageResult.success) {
         return {
@@ -265,11 +425,24 @@ class PublishingService {
         };
       }
 
-      const replaceResult = SlotParser.replaceSlotContent(
-        pageResult.page.content,
-        slot.marker_name,
-        previous_content
-      );
+      const rawError = this.rawContentError(pageResult.page);
+      if (rawError) {
+        return {
+          success: false,
+          error: rawError,
+        };
+      }
+
+      const location = this.locateSlot(pageResult.page.content, slot);
+      if (!location.found) {
+        return {
+          success: false,
+          error: location.error,
+        };
+      }
+
+      // Restoring old content must not be blocked by constraints added since
+      const replaceResult = location.replace(previous_content, { validate: false });
 
       if (!replaceResult.success) {
         return {
@@ -278,9 +451,7 @@ class PublishingService {
         };
       }
 
-      const updateResult = await wpClient.updatePage(slot.wp_page_id, {
-        content: replaceResult.html,
-      });
+      const updateResult = await this._writePage(wordpress_site, slot, replaceResult.html, pageResult.page);
 
       if (!updateResult.success) {
         return {
@@ -311,11 +482,207 @@ class PublishingService {
   }
 
   /**
-   * Decrypt WordPress password
+   * Refuse to write back a page fetched without its stored markup
+   * WordPress only returns content.raw to users who may edit the entry; the
+   * rendered HTML it falls back to would overwrite the blocks and shortcodes
+   * @param {Object} page - Page as returned by the adapter's getPage
+   * @returns {string|null} Error message, or null if the content is safe to write
+   */
+  rawContentError(page) {
+    if (page.content_is_raw === false) {
+      return 'The site returned rendered content only; check the connected user can edit this page';
+    }
+    return null;
+  }
+
+  /**
+   * Locate a slot in raw page content
+   * html_marker slots use SWE:SLOT comment markers; wp_block slots target a
+   * Gutenberg block via slot_target ({ anchor } | { block_name, occurrence } |
+   * { index } | { path }); css_selector slots target the first element
+   * matching css_selector; json_setting slots target the theme setting at
+   * slot_target.path; full_content slots are the whole content (metafields)
+   * @param {string} pageContent - Raw page content
+   * @param {Object} slot - content_slots row
+   * @returns {Object} { found, content, attributes, error, instructions, replace(newContent, options) }
+   */
+  locateSlot(pageContent, slot) {
+    if (slot.slot_type === 'full_content') {
+      return {
+        found: true,
+        content: pageContent,
+        attributes: {},
+        error: null,
+        instructions: null,
+        replace: (newContent) => ({ success: true, html: newContent, old_content: pageContent, new_content: newContent }),
+      };
+    }
+
+    if (slot.slot_type === 'json_setting') {
+      const path = (slot.slot_target || {}).path;
+      const value = JsonTemplateParser.getSetting(pageContent, path);
+      const found = typeof value === 'string';
+
+      return {
+        found,
+        content: found ? value : null,
+        attributes: {},
+        error: found ? null : `Theme setting ${JSON.stringify(path)} not found`,
+        instructions: null,
+        replace: (newContent) => JsonTemplateParser.replaceSetting(pageContent, path, newContent),
+      };
+    }
+
+    if (slot.slot_type === 'css_selector') {
+      const element = SelectorParser.findElement(pageContent, slot.css_selector);
+
+      return {
+        found: Boolean(element),
+        content: element ? element.content.trim() : null,
+        attributes: element ? { tag: element.tag } : {},
+        error: element ? null : `No element matches "${slot.css_selector}" on the page`,
+        instructions: null,
+        replace: (newContent) => SelectorParser.replaceElementContent(pageContent, slot.css_selector, newContent),
+      };
+    }
+
+    if (slot.slot_type === 'wp_block') {
+      const target = slot.slot_target || {};
+      const block = BlockParser.findBlock(pageContent, target);
+
+      return {
+        found: Boolean(block),
+        content: block ? BlockParser.getBlockContent(pageContent, target) : null,
+        attributes: block ? { block_name: block.block_name, ...block.attrs } : {},
+        error: block ? null : `Block ${JSON.stringify(target)} not found on WordPress page`,
+        instructions: null,
+        replace: (newContent) => BlockParser.replaceBlockContent(pageContent, target, newContent),
+      };
+    }
+
+    const marker = SlotParser.findSlot(pageContent, slot.marker_name);
+    const found = SlotParser.hasSlot(pageContent, slot.marker_name);
+
+    return {
+      found: found,
+      content: marker ? marker.content : null,
+      attributes: marker ? marker.attributes : {},
+      error: found ? null : `Slot marker "${slot.marker_name}" not found on the page`,
+      instructions: found ? null : {
+        opening_marker: `<!-- SWE:SLOT:${slot.marker_name} -->`,
+        closing_marker: `<!-- /SWE:SLOT:${slot.marker_name} -->`,
+      },
+      replace: (newContent, options) => SlotParser.replaceSlotContent(pageContent, slot.marker_name, newContent, options),
+    };
+  }
+
+  /**
+   * Hash page content for optimistic concurrency checks
+   * @param {string} content - Page HTML
+   * @returns {string} SHA-256 hex digest
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content || '', 'utf8').digest('hex');
+  }
+
+  /**
+   * Compare the fetched page with what the editor saw
+   * @private
+   * @returns {Object} {} to proceed, { merged } / { forced } to proceed with
+   *   adjusted content, or a conflict result to return to the caller
+   */
+  _checkConcurrency(params) {
+    const {
+      page,
+      current_content,
+      generated_content,
+      expected_modified,
+      expected_hash,
+      base_content,
+      on_conflict,
+    } = params;
+
+    if (!expected_modified && !expected_hash) {
+      return {};
+    }
+
+    const currentHash = this.hashContent(page.content);
+    const pageChanged =
+      (expected_modified && expected_modified !== page.modified) ||
+      (expected_hash && expected_hash !== currentHash);
+
+    if (!pageChanged) {
+      return {};
+    }
+
+    // Edits elsewhere on the page are kept anyway (we splice into the fresh
+    // copy), so only a change inside the slot itself is a real conflict
+    const slotUnchanged = base_content !== undefined && base_content !== null &&
+      (current_content || '').trim() === String(base_content).trim();
+
+    if (slotUnchanged) {
+      return {};
+    }
+
+    if (on_conflict === 'force') {
+      return { forced: true };
+    }
+
+    const base = base_content !== undefined && base_content !== null ? String(base_content) : null;
+    const merge = base !== null
+      ? ContentDiff.merge3(base, generated_content, current_content || '')
+      : null;
+
+    if (on_conflict === 'merge' && merge && merge.clean) {
+      return { merged: merge.content };
+    }
+
+    return {
+      success: false,
+      conflict: true,
+      error: 'Page was modified since it was loaded',
+      message: on_conflict === 'merge'
+        ? (merge ? 'Changes could not be merged automatically' : 'base_content is required to merge')
+        : 'Reload the page, or retry with on_conflict set to "force" or "merge"',
+      page: {
+        id: page.id,
+        modified: page.modified,
+        content_hash: currentHash,
+      },
+      expected: {
+        modified: expected_modified || null,
+        content_hash: expected_hash || null,
+      },
+      three_way: {
+        base: base,
+        current: current_content,
+        incoming: generated_content,
+        base_to_current: base !== null ? ContentDiff.diff(base, current_content || '').unified : null,
+        base_to_incoming: base !== null ? ContentDiff.diff(base, generated_content).unified : null,
+        merge: merge,
+      },
+    };
+  }
+
+  /**
+   * Fetch the page a slot lives on through the site's platform adapter
+   * @private
+   */
+  async _fetchPage(site, slot) {
+    return platforms.forSite(site).getPage(site, slot.wp_page_id, { type: slot.page_type });
+  }
+
+  /**
+   * Write a slot's page through the site's platform adapter; page is the
+   * version the new content was built from, so platforms with collision
+   * detection reject the write if the page changed in between
    * @private
    */
-  _decryptPassword(encrypted) {
-    return Buffer.from(encrypted, 'base64').toString('utf-8');
+  async _writePage(site, slot, content, page) {
+    return platforms.forSite(site).updatePage(site, slot.wp_page_id, content, {
+      type: slot.page_type,
+      expected_modified: page.modified,
+    });
   }
 }
 
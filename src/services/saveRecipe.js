@@ -0,0 +1,100 @@
+/**
+ * Save Recipe
+ * Validation and placeholder expansion for universal-site save recipes: the
+ * recorded browser steps that persist an edit through a site's own editor
+ *
+ * Step actions:
+ *   goto                { url }                 open a URL
+ *   click               { selector }            click an element
+ *   fill                { selector, value }     fill an input/textarea
+ *   set_html            { selector, value? }    set innerHTML of a contenteditable (default: the content)
+ *   press               { key, selector? }      press a key (optionally focused on selector)
+ *   wait_for            { selector }            wait until an element is visible
+ *   wait_for_navigation {}                      wait for the next page load
+ *   wait                { ms }                  pause (at most MAX_WAIT_MS)
+ *
+ * String fields may use {{content}}, {{page_url}} and {{section_selector}}.
+ */
+
+const STEP_ACTIONS = {
+  goto: ['url'],
+  click: ['selector'],
+  fill: ['selector', 'value'],
+  set_html: ['selector'],
+  press: ['key'],
+  wait_for: ['selector'],
+  wait_for_navigation: [],
+  wait: ['ms'],
+};
+
+const MAX_STEPS = 30;
+const MAX_WAIT_MS = 10000;
+const PLACEHOLDER_REGEX = /\{\{\s*(content|page_url|section_selector)\s*\}\}/g;
+
+class SaveRecipe {
+  static get actions() {
+    return Object.keys(STEP_ACTIONS);
+  }
+
+  /**
+   * Check a recipe's steps before storing it
+   * @param {Array} steps - Recorded steps
+   * @returns {Object} { valid, errors }
+   */
+  static validate(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return { valid: false, errors: ['steps must be a non-empty array'] };
+    }
+
+    if (steps.length > MAX_STEPS) {
+      return { valid: false, errors: [`A recipe can have at most ${MAX_STEPS} steps`] };
+    }
+
+    const errors = [];
+    steps.forEach((step, index) => {
+      const required = step && STEP_ACTIONS[step.action];
+
+      if (!required) {
+        errors.push(`Step ${index + 1}: action must be one of ${this.actions.join(', ')}`);
+        return;
+      }
+
+      required.forEach((field) => {
+        if (step[field] === undefined || step[field] === null || step[field] === '') {
+          errors.push(`Step ${index + 1} (${step.action}): ${field} is required`);
+        }
+      });
+
+      if (step.action === 'wait' && !(Number(step.ms) > 0 && Number(step.ms) <= MAX_WAIT_MS)) {
+        errors.push(`Step ${index + 1} (wait): ms must be between 1 and ${MAX_WAIT_MS}`);
+      }
+    });
+
+    // A recipe that never writes the content cannot save anything
+    const writesContent = steps.some(step =>
+      step && (step.action === 'set_html' || (typeof step.value === 'string' && step.value.includes('{{content}}')))
+    );
+    if (!writesContent) {
+      errors.push('At least one step must write the content (set_html, or a fill with value "{{content}}")');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Copy of a step with placeholders replaced
+   * @param {Object} step - Recorded step
+   * @param {Object} vars - { content, page_url, section_selector }
+   */
+  static expand(step, vars) {
+    const expanded = {};
+    Object.entries(step).forEach(([field, value]) => {
+      expanded[field] = typeof value === 'string'
+        ? value.replace(PLACEHOLDER_REGEX, (match, name) => (vars[name] !== undefined ? vars[name] : ''))
+        : value;
+    });
+    return expanded;
+  }
+}
+
+module.exports = SaveRecipe;
@@ -0,0 +1,79 @@
+/**
+ * Selector Parser Service
+ * Locates and edits the element matched by a CSS selector in stored page HTML
+ *
+ * Edits splice the original string at the element's source offsets instead of
+ * re-serializing the DOM, so markup outside the element is left byte-for-byte
+ * unchanged (Ghost maps edits back to its HTML cards by comparing the rest of
+ * the page).
+ */
+
+const { JSDOM } = require('jsdom');
+
+class SelectorParser {
+  /**
+   * Find the first element matching selector
+   * @param {string} html - Page HTML
+   * @param {string} selector - CSS selector
+   * @returns {Object|null} { tag, content, content_start, content_end } or null
+   */
+  static findElement(html, selector) {
+    if (!html || !selector) {
+      return null;
+    }
+
+    const dom = new JSDOM(html, { includeNodeLocations: true });
+    let element;
+    try {
+      element = dom.window.document.querySelector(selector);
+    } catch (error) {
+      // Invalid selector syntax
+      return null;
+    }
+
+    if (!element) {
+      return null;
+    }
+
+    const location = dom.nodeLocation(element);
+    if (!location || !location.startTag || !location.endTag) {
+      // Void or implicitly closed elements have no editable inner region
+      return null;
+    }
+
+    const start = location.startTag.endOffset;
+    const end = location.endTag.startOffset;
+
+    return {
+      tag: element.tagName.toLowerCase(),
+      content: html.slice(start, end),
+      content_start: start,
+      content_end: end,
+    };
+  }
+
+  /**
+   * Replace the inner HTML of the first element matching selector
+   * @returns {Object} { success, html, old_content, new_content } or { success: false, error, html }
+   */
+  static replaceElementContent(html, selector, newContent) {
+    const element = this.findElement(html, selector);
+
+    if (!element) {
+      return {
+        success: false,
+        error: `No element with editable content matches "${selector}"`,
+        html,
+      };
+    }
+
+    return {
+      success: true,
+      html: html.slice(0, element.content_start) + newContent + html.slice(element.content_end),
+      old_content: element.content.trim(),
+      new_content: newContent,
+    };
+  }
+}
+
+module.exports = SelectorParser;
@@ -1,14 +1,12 @@
 /**
  * Site Manager
- * Abstraction layer for unified site operations across WordPress and Universal platforms
- * Provides a single interface for working with any website regardless of technology
+ * Abstraction layer for unified site operations across WordPress, Ghost, Shopify and Universal platforms
+ * Provides a single interface for working with any website regardless of technology;
+ * platform specifics live in the adapters under ./platforms
  */
 
 const db = require('./database');
-const PlaywrightService = require('./playwrightService');
-
-// Singleton instance of PlaywrightService
-let playwrightServiceInstance = null;
+const platforms = require('./platforms');
 
 class SiteManager {
   constructor() {
@@ -19,11 +17,7 @@ class SiteManager {
    * Get or create the shared Playwright service instance
    */
   async getPlaywrightService() {
-    if (!playwrightServiceInstance) {
-      playwrightServiceInstance = new PlaywrightService();
-      await playwrightServiceInstance.initialize();
-    }
-    return playwrightServiceInstance;
+    return platforms.getAdapter('universal').playwright();
   }
 
   /**
@@ -33,25 +27,15 @@ class SiteManager {
    */
   async getSite(siteId) {
     try {
-      // Try WordPress first
-      let site = await db.wordpressSites.findById(siteId);
-      if (site) {
-        return {
-          platform: 'wordpress',
-          site: { ...site, platform_type: 'wordpress' }
-        };
-      }
-
-      // Try Universal
-      site = await db.universalSites.findById(siteId);
-      if (site) {
-        return {
-          platform: 'universal',
-          site: { ...site, platform_type: 'universal' }
-        };
+      const result = await platforms.findSite(siteId);
+      if (!result) {
+        return null;
       }
 
-      return null;
+      return {
+        platform: result.platform,
+        site: { ...result.site, platform_type: result.platform }
+      };
     } catch (error) {
       console.error('[Site Manager] Error getting site:', error);
       throw error;
@@ -59,7 +43,7 @@ class SiteManager {
   }
 
   /**
-   * Get all sites for an organization (both WordPress and Universal)
+   * Get all sites for an organization (REST API platforms and Universal)
    * @param {string} organizationId - UUID of the organization
    * @returns {Array} - Array of sites with platform_type property
    */
@@ -69,11 +53,11 @@ class SiteManager {
       const universalSites = await db.universalSites.findByOrganization(organizationId);
 
       const allSites = [
-        ...wpSites.map(s => ({ ...s, platform_type: 'wordpress' })),
+        ...wpSites.map(s => ({ ...s, platform_type: s.platform_type || 'wordpress' })),
         ...universalSites.map(s => ({ ...s, platform_type: 'universal' }))
       ];
 
-      console.log(`[Site Manager] Found ${allSites.length} sites (${wpSites.length} WordPress, ${universalSites.length} Universal)`);
+      console.log(`[Site Manager] Found ${allSites.length} sites (${wpSites.length} REST API, ${universalSites.length} Universal)`);
 
       return allSites;
     } catch (error) {
@@ -90,10 +74,15 @@ class SiteManager {
    */
   async connectSite(organizationId, connectionData) {
     try {
-      if (connectionData.platform_type === 'wordpress') {
-        return await this.connectWordPressSite(organizationId, connectionData);
-      } else {
-        return await this.connectUniversalSite(organizationId, connectionData);
+      switch (connectionData.platform_type) {
+        case 'wordpress':
+          return await this.connectWordPressSite(organizationId, connectionData);
+        case 'ghost':
+          return await this.connectGhostSite(organizationId, connectionData);
+        case 'shopify':
+          throw new Error('Shopify stores are connected through the Shopify app install (/api/shopify/oauth/install)');
+        default:
+          return await this.connectUniversalSite(organizationId, connectionData);
       }
     } catch (error) {
       console.error('[Site Manager] Error connecting site:', error);
@@ -111,36 +100,15 @@ class SiteManager {
     try {
       console.log('[Site Manager] Connecting WordPress site:', data.site_url);
 
-      const WordPressClient = require('./wordpress');
-
-      // Verify WordPress connection
-      const client = new WordPressClient(
-        data.site_url,
-        data.wp_username,
-        data.wp_app_password
-      );
+      const result = await platforms.getAdapter('wordpress').connect(organizationId, data);
 
-      const verification = await client.verifyConnection();
-
-      if (!verification.success) {
-        throw new Error('WordPress connection failed: ' + (verification.error || 'Unknown error'));
+      if (!result.success) {
+        throw new Error('WordPress connection failed: ' + (result.error || 'Unknown error'));
       }
 
-      console.log('[Site Manager] WordPress connection verified');
+      const { site } = result;
 
-      // Encrypt the app password (simple base64 for now, should use proper encryption)
-      const wp_app_password_encrypted = Buffer.from(data.wp_app_password).toString('base64');
-
-      // Store in wordpress_sites table
-      const site = await db.wordpressSites.create({
-        organization_id: organizationId,
-        site_url: data.site_url,
-        site_name: data.site_name || data.site_url,
-        wp_username: data.wp_username,
-        wp_app_password_encrypted
-      });
-
-      console.log('[Site Manager] WordPress site created:', site.id);
+      console.log('[Site Manager] WordPress site connected:', site.id);
 
       return {
         platform: 'wordpress',
@@ -154,55 +122,62 @@ class SiteManager {
   }
 
   /**
-   * Connect a universal site using Playwright
+   * Connect a Ghost site with an Admin API key
    * @param {string} organizationId - UUID of the organization
-   * @param {Object} data - { site_url, site_name, credentials }
-   * @returns {Object} - { platform, site, connectionInfo }
+   * @param {Object} data - { site_url, site_name, admin_api_key }
+   * @returns {Object} - { platform, site }
    */
-  async connectUniversalSite(organizationId, data) {
+  async connectGhostSite(organizationId, data) {
     try {
-      console.log('[Site Manager] Connecting universal site:', data.site_url);
+      console.log('[Site Manager] Connecting Ghost site:', data.site_url);
 
-      const playwrightService = await this.getPlaywrightService();
+      if (!data.admin_api_key || !data.admin_api_key.includes(':')) {
+        throw new Error('admin_api_key is required for Ghost sites (format: id:secret)');
+      }
 
-      // Create site record first
-      const site = await db.universalSites.create(organizationId, {
-        url: data.site_url,
-        name: data.site_name || data.site_url,
-        authType: data.credentials ? 'session' : 'none',
-        credentials: data.credentials || {}
-      });
+      const result = await platforms.getAdapter('ghost').connect(organizationId, data);
 
-      console.log('[Site Manager] Universal site record created:', site.id);
+      if (!result.success) {
+        throw new Error('Ghost connection failed: ' + (result.error || 'Unknown error'));
+      }
 
-      // Test connection with Playwright
-      try {
-        const result = await playwrightService.connect(
-          site.id,
-          data.site_url,
-          data.credentials
-        );
+      console.log('[Site Manager] Ghost site connected:', result.site.id);
 
-        // Update connection status
-        await db.universalSites.updateConnectionStatus(site.id, true, null);
+      return {
+        platform: 'ghost',
+        site: { ...result.site, platform_type: 'ghost' }
+      };
 
-        // Disconnect (we'll reconnect when needed)
-        await playwrightService.disconnect(result.contextId);
+    } catch (error) {
+      console.error('[Site Manager] Ghost connection error:', error);
+      throw error;
+    }
+  }
 
-        console.log('[Site Manager] Universal site connected successfully');
+  /**
+   * Connect a universal site using Playwright
+   * @param {string} organizationId - UUID of the organization
+   * @param {Object} data - { site_url, site_name, credentials }
+   * @returns {Object} - { platform, site, connectionInfo }
+   */
+  async connectUniversalSite(organizationId, data) {
+    try {
+      console.log('[Site Manager] Connecting universal site:', data.site_url);
 
-        return {
-          platform: 'universal',
-          site: { ...site, platform_type: 'universal', is_connected: true },
-          connectionInfo: result
-        };
+      const result = await platforms.getAdapter('universal').connect(organizationId, data);
 
-      } catch (error) {
-        // Update connection status with error
-        await db.universalSites.updateConnectionStatus(site.id, false, error.message);
-        throw error;
+      if (!result.success) {
+        throw new Error(result.error);
       }
 
+      console.log('[Site Manager] Universal site connected successfully:', result.site.id);
+
+      return {
+        platform: 'universal',
+        site: { ...result.site, platform_type: 'universal' },
+        connectionInfo: result.connectionInfo
+      };
+
     } catch (error) {
       console.error('[Site Manager] Universal site connection error:', error);
       throw error;
@@ -225,23 +200,18 @@ class SiteManager {
 
       const { platform, site } = result;
 
-      if (platform === 'wordpress') {
-        // Use WordPress REST API
-        const WordPressClient = require('./wordpress');
-
-        const wp_app_password = Buffer.from(site.wp_app_password_encrypted, 'base64').toString('utf-8');
+      if (platform !== 'universal') {
+        // REST API platforms list their pages/posts
+        const listing = await platforms.getAdapter(platform).listPages(site);
 
-        const client = new WordPressClient(
-          site.site_url,
-          site.wp_username,
-          wp_app_password
-        );
+        if (!listing.success) {
+          throw new Error(listing.error);
+        }
 
-        // Get pages/posts with sections
-        const pages = await client.getPages();
-        const posts = await client.getPosts();
+        const pages = listing.pages.filter(entry => entry.type !== 'post');
+        const posts = listing.pages.filter(entry => entry.type === 'post');
 
-        console.log(`[Site Manager] WordPress: Found ${pages.length} pages, ${posts.length} posts`);
+        console.log(`[Site Manager] ${platform}: Found ${pages.length} pages, ${posts.length} posts`);
 
         return {
           pages,
@@ -254,20 +224,25 @@ class SiteManager {
 
         const connection = await playwrightService.connect(
           site.id,
-          pageUrl || site.site_url
+          pageUrl || site.site_url,
+          null,
+          { organizationId: site.organization_id }
         );
 
-        const sections = await playwrightService.detectSections(
-          connection.contextId,
-          pageUrl || site.site_url
-        );
+        let sections;
+        try {
+          sections = await playwrightService.detectSections(
+            connection.contextId,
+            pageUrl || site.site_url
+          );
+        } finally {
+          // Disconnect (frees the pool browser even when detection fails)
+          await playwrightService.disconnect(connection.contextId);
+        }
 
         // Save detected sections to database
         await db.universalSites.updateDetectedSections(site.id, sections);
 
-        // Disconnect
-        await playwrightService.disconnect(connection.contextId);
-
         console.log(`[Site Manager] Universal: Detected ${sections.length} sections`);
 
         return sections;
@@ -295,53 +270,24 @@ class SiteManager {
 
       const { platform, site } = result;
 
-      if (platform === 'wordpress') {
-        // Use WordPress REST API
-        const WordPressClient = require('./wordpress');
-
-        const wp_app_password = Buffer.from(site.wp_app_password_encrypted, 'base64').toString('utf-8');
-
-        const client = new WordPressClient(
-          site.site_url,
-          site.wp_username,
-          wp_app_password
-        );
+      const adapter = platforms.getAdapter(platform);
 
-        // Update page or post
-        if (updateData.contentType === 'page') {
-          const result = await client.updatePage(updateData.contentId, {
-            content: updateData.content
-          });
-          return result;
-        } else if (updateData.contentType === 'post') {
-          const result = await client.updatePost(updateData.contentId, {
-            content: updateData.content
-          });
-          return result;
+      if (platform !== 'universal') {
+        // REST API platforms: replace a page or post body
+        if (updateData.contentType !== 'page' && updateData.contentType !== 'post') {
+          throw new Error('contentType must be page or post');
         }
 
-      } else {
-        // Use Playwright for universal sites
-        const playwrightService = await this.getPlaywrightService();
-
-        const connection = await playwrightService.connect(
-          site.id,
-          updateData.pageUrl
-        );
-
-        const result = await playwrightService.updateContent(
-          connection.contextId,
-          updateData.pageUrl,
-          updateData.sectionSelector,
-          updateData.content
-        );
-
-        // Disconnect
-        await playwrightService.disconnect(connection.contextId);
-
-        return result;
+        return await adapter.updatePage(site, updateData.contentId, updateData.content, {
+          type: updateData.contentType
+        });
       }
 
+      // Universal sites: replace a section in the live page
+      return await adapter.updatePage(site, updateData.pageUrl, updateData.content, {
+        selector: updateData.sectionSelector
+      });
+
     } catch (error) {
       console.error('[Site Manager] Content update error:', error);
       throw error;
@@ -363,10 +309,10 @@ class SiteManager {
 
       const { platform } = result;
 
-      if (platform === 'wordpress') {
-        await db.wordpressSites.delete(siteId);
-      } else {
+      if (platform === 'universal') {
         await db.universalSites.delete(siteId);
+      } else {
+        await db.wordpressSites.delete(siteId);
       }
 
       console.log(`[Site Manager] Site disconnected: ${siteId} (${platform})`);
@@ -393,6 +339,8 @@ class SiteManager {
       const stats = {
         total: sites.length,
         wordpress: sites.filter(s => s.platform_type === 'wordpress').length,
+        ghost: sites.filter(s => s.platform_type === 'ghost').length,
+        shopify: sites.filter(s => s.platform_type === 'shopify').length,
         universal: sites.filter(s => s.platform_type === 'universal').length,
         connected: sites.filter(s => s.is_connected).length
       };
@@ -410,10 +358,7 @@ class SiteManager {
    */
   async shutdown() {
     console.log('[Site Manager] Shutting down...');
-    if (playwrightServiceInstance) {
-      await playwrightServiceInstance.shutdown();
-      playwrightServiceInstance = null;
-    }
+    await platforms.getAdapter('universal').shutdown();
     console.log('[Site Manager] Shutdown complete');
   }
 }
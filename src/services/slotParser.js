@@ -3,35 +3,267 @@
  * Handles parsing and manipulation of HTML comment markers for content slots
  *
  * Marker format: <!-- SWE:SLOT:SLOT_NAME -->content<!-- /SWE:SLOT:SLOT_NAME -->
+ *
+ * Opening markers may carry attributes that constrain the slot content:
+ *   <!-- SWE:SLOT:HERO_TAGLINE type=text maxlen=280 locale=es -->
+ *     type   - text (no markup) | html (default) | image (<img> or image URL)
+ *     maxlen - maximum visible text length
+ *     locale - content language, passed through to callers
+ *
+ * Slots may be nested (e.g. a card list slot containing per-card slots);
+ * parseSlotTree() returns the hierarchy, parseSlots() a flattened list.
  */
 
+const MARKER_REGEX = /<!--\s*(\/?)SWE:SLOT:([A-Za-z0-9_]+)((?:\s+[A-Za-z_][\w-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*-->/g;
+const ATTRIBUTE_REGEX = /([A-Za-z_][\w-]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const SLOT_TYPES = ['text', 'html', 'image'];
+
 class SlotParser {
   /**
-   * Parse HTML content and find all slots
+   * Parse HTML content into a tree of slots
    * @param {string} html - HTML content to parse
-   * @returns {Array} Array of slot objects
+   * @returns {Object} { slots: root slot nodes (with children), errors: malformed markers }
    */
-  static parseSlots(html) {
+  static parseSlotTree(html) {
     if (!html || typeof html !== 'string') {
-      return [];
+      return { slots: [], errors: [] };
     }
 
-    const slots = [];
-    const regex = /<!--\s*SWE:SLOT:([A-Z0-9_]+)\s*-->([\s\S]*?)<!--\s*\/SWE:SLOT:\1\s*-->/gi;
+    const roots = [];
+    const errors = [];
+    const stack = [];
+    const regex = new RegExp(MARKER_REGEX.source, 'g');
     let match;
 
     while ((match = regex.exec(html)) !== null) {
-      const [fullMatch, slotName, content] = match;
-      slots.push({
-        marker_name: slotName,
-        content: content.trim(),
-        start_index: match.index,
-        end_index: match.index + fullMatch.length,
-        full_match: fullMatch,
+      const [fullMarker, closing, markerName, rawAttributes] = match;
+
+      if (!closing) {
+        const attributes = this.parseAttributes(rawAttributes);
+        errors.push(...this._checkAttributes(markerName, attributes));
+
+        stack.push({
+          marker_name: markerName,
+          attributes: attributes,
+          start_index: match.index,
+          content_start: match.index + fullMarker.length,
+          opening_marker: fullMarker,
+          depth: stack.length,
+          parent: stack.length > 0 ? stack[stack.length - 1].marker_name : null,
+          children: [],
+        });
+        continue;
+      }
+
+      // Find the nearest open slot with this name
+      let openIndex = -1;
+      for (let i = stack.length - 1; i >= 0; i--) {
+        if (stack[i].marker_name.toUpperCase() === markerName.toUpperCase()) {
+          openIndex = i;
+          break;
+        }
+      }
+
+      if (openIndex === -1) {
+        errors.push({
+          marker_name: markerName,
+          index: match.index,
+          error: `Closing marker for "${markerName}" has no opening marker`,
+        });
+        continue;
+      }
+
+      // Anything opened inside it and never closed is malformed
+      while (stack.length - 1 > openIndex) {
+        const unclosed = stack.pop();
+        errors.push({
+          marker_name: unclosed.marker_name,
+          index: unclosed.start_index,
+          error: `Slot "${unclosed.marker_name}" is not closed before "${markerName}" ends`,
+        });
+      }
+
+      const node = stack.pop();
+      node.content_end = match.index;
+      node.end_index = match.index + fullMarker.length;
+      node.content = html.slice(node.content_start, node.content_end).trim();
+      node.full_match = html.slice(node.start_index, node.end_index);
+
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    while (stack.length > 0) {
+      const unclosed = stack.pop();
+      errors.push({
+        marker_name: unclosed.marker_name,
+        index: unclosed.start_index,
+        error: `Slot "${unclosed.marker_name}" has no closing marker`,
+      });
+    }
+
+    return { slots: roots, errors };
+  }
+
+  /**
+   * Parse HTML content and find all slots (depth-first, document order)
+   * @param {string} html - HTML content to parse
+   * @returns {Array} Array of slot objects
+   */
+  static parseSlots(html) {
+    const { slots } = this.parseSlotTree(html);
+    const flat = [];
+
+    const walk = (nodes) => {
+      for (const node of nodes) {
+        flat.push({
+          marker_name: node.marker_name,
+          content: node.content,
+          attributes: node.attributes,
+          parent: node.parent,
+          depth: node.depth,
+          child_markers: node.children.map(c => c.marker_name),
+          start_index: node.start_index,
+          end_index: node.end_index,
+          full_match: node.full_match,
+        });
+        walk(node.children);
+      }
+    };
+
+    walk(slots);
+    return flat;
+  }
+
+  /**
+   * Find a well-formed slot by marker name (first in document order)
+   * @param {string} html - HTML content
+   * @param {string} markerName - Slot marker name
+   * @returns {Object|null} Slot node or null if not found
+   */
+  static findSlot(html, markerName) {
+    if (!html || !markerName) {
+      return null;
+    }
+
+    const wanted = markerName.toUpperCase();
+    const search = (nodes) => {
+      for (const node of nodes) {
+        if (node.marker_name.toUpperCase() === wanted) {
+          return node;
+        }
+        const found = search(node.children);
+        if (found) {
+          return found;
+        }
+      }
+      return null;
+    };
+
+    return search(this.parseSlotTree(html).slots);
+  }
+
+  /**
+   * Parse marker attributes (key=value, key="quoted value", bare flags)
+   * @param {string} raw - Attribute text from an opening marker
+   * @returns {Object} Attributes (maxlen is returned as a number)
+   */
+  static parseAttributes(raw) {
+    const attributes = {};
+    if (!raw || !raw.trim()) {
+      return attributes;
+    }
+
+    const regex = new RegExp(ATTRIBUTE_REGEX.source, 'g');
+    let match;
+    while ((match = regex.exec(raw)) !== null) {
+      const key = match[1].toLowerCase();
+      const value = match[2] ?? match[3] ?? match[4];
+      attributes[key] = value === undefined ? true : value;
+    }
+
+    if (attributes.type !== undefined && typeof attributes.type === 'string') {
+      attributes.type = attributes.type.toLowerCase();
+    }
+    if (attributes.maxlen !== undefined && /^\d+$/.test(String(attributes.maxlen))) {
+      attributes.maxlen = parseInt(attributes.maxlen);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Build an opening marker, serializing attributes
+   * @param {string} markerName - Slot marker name
+   * @param {Object} attributes - Marker attributes
+   * @returns {string} Opening marker comment
+   */
+  static buildOpeningMarker(markerName, attributes = {}) {
+    const parts = Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null && value !== false)
+      .map(([key, value]) => {
+        if (value === true) return key;
+        const str = String(value);
+        return /^[^\s"'>]+$/.test(str) ? `${key}=${str}` : `${key}="${str.replace(/"/g, '&quot;')}"`;
+      });
+
+    return `<!-- SWE:SLOT:${markerName}${parts.length ? ' ' + parts.join(' ') : ''} -->`;
+  }
+
+  /**
+   * Check content against the constraints declared on a slot marker
+   * @param {string} content - Proposed slot content
+   * @param {Object} attributes - Marker attributes
+   * @returns {Object} { valid, violations }
+   */
+  static validateSlotContent(content, attributes = {}) {
+    const violations = [];
+    const value = content === undefined || content === null ? '' : String(content);
+    const type = attributes.type || 'html';
+    const hasMarkup = /<\/?[a-z!][^>]*>/i.test(value);
+
+    if (type === 'text' && hasMarkup) {
+      violations.push({
+        constraint: 'type',
+        expected: 'text',
+        message: 'Slot accepts plain text only (HTML tags are not allowed)',
       });
     }
 
-    return slots;
+    if (type === 'image') {
+      const trimmed = value.trim();
+      const isImageUrl = /^https?:\/\/\S+\.(png|jpe?g|gif|webp|svg|avif)(\?\S*)?$/i.test(trimmed);
+      const hasImg = /<img\b[^>]*\bsrc\s*=/i.test(trimmed);
+      const strayText = this._visibleText(trimmed).length > 0;
+
+      if (!isImageUrl && (!hasImg || strayText)) {
+        violations.push({
+          constraint: 'type',
+          expected: 'image',
+          message: 'Slot accepts a single image (<img> tag or image URL)',
+        });
+      }
+    }
+
+    if (typeof attributes.maxlen === 'number') {
+      const length = type === 'text' ? value.trim().length : this._visibleText(value).length;
+      if (length > attributes.maxlen) {
+        violations.push({
+          constraint: 'maxlen',
+          expected: attributes.maxlen,
+          actual: length,
+          message: `Content is ${length} characters; slot allows at most ${attributes.maxlen}`,
+        });
+      }
+    }
+
+    return {
+      valid: violations.length === 0,
+      violations,
+    };
   }
 
   /**
@@ -45,11 +277,14 @@ class SlotParser {
       return false;
     }
 
-    const regex = new RegExp(
-      `<!--\\s*SWE:SLOT:${markerName}\\s*-->`,
-      'i'
-    );
-    return regex.test(html);
+    const regex = new RegExp(MARKER_REGEX.source, 'g');
+    let match;
+    while ((match = regex.exec(html)) !== null) {
+      if (!match[1] && match[2].toUpperCase() === markerName.toUpperCase()) {
+        return true;
+      }
+    }
+    return false;
   }
 
   /**
@@ -59,27 +294,21 @@ class SlotParser {
    * @returns {string|null} Slot content or null if not found
    */
   static getSlotContent(html, markerName) {
-    if (!html || !markerName) {
-      return null;
-    }
-
-    const regex = new RegExp(
-      `<!--\\s*SWE:SLOT:${markerName}\\s*-->([\s\S]*?)<!--\\s*\\/SWE:SLOT:${markerName}\\s*-->`,
-      'i'
-    );
-    const match = html.match(regex);
-
-    return match ? match[1].trim() : null;
+    const slot = this.findSlot(html, markerName);
+    return slot ? slot.content : null;
   }
 
   /**
    * Replace content in a specific slot
+   * The opening marker (and its attributes) is preserved, and the new content
+   * is checked against the marker's constraints unless options.validate is false.
    * @param {string} html - Original HTML content
    * @param {string} markerName - Slot marker name
    * @param {string} newContent - New content to insert
+   * @param {Object} options - { validate: true }
    * @returns {Object} Result with success status and updated HTML
    */
-  static replaceSlotContent(html, markerName, newContent) {
+  static replaceSlotContent(html, markerName, newContent, options = {}) {
     if (!html || !markerName) {
       return {
         success: false,
@@ -97,21 +326,45 @@ class SlotParser {
       };
     }
 
-    // Replace content between markers
-    const regex = new RegExp(
-      `(<!--\\s*SWE:SLOT:${markerName}\\s*-->)([\\s\\S]*?)(<!--\\s*\\/SWE:SLOT:${markerName}\\s*-->)`,
-      'i'
-    );
+    const slot = this.findSlot(html, markerName);
+    if (!slot) {
+      return {
+        success: false,
+        error: `Slot marker "${markerName}" is not closed properly`,
+        html: html,
+      };
+    }
+
+    if (options.validate !== false) {
+      const validation = this.validateSlotContent(newContent, slot.attributes);
+      if (!validation.valid) {
+        return {
+          success: false,
+          error: `Content does not satisfy constraints of slot "${markerName}"`,
+          violations: validation.violations,
+          html: html,
+        };
+      }
+    }
+
+    const updatedHtml =
+      html.slice(0, slot.content_start) +
+      `\n${newContent}\n` +
+      html.slice(slot.content_end);
 
-    const updatedHtml = html.replace(regex, (match, openMarker, oldContent, closeMarker) => {
-      return `${openMarker}\n${newContent}\n${closeMarker}`;
-    });
+    // Nested slots that the new content no longer contains
+    const remaining = this.parseSlots(newContent).map(s => s.marker_name.toUpperCase());
+    const removedChildren = this._descendants(slot)
+      .map(c => c.marker_name)
+      .filter(name => !remaining.includes(name.toUpperCase()));
 
     return {
       success: true,
       html: updatedHtml,
-      old_content: this.getSlotContent(html, markerName),
+      old_content: slot.content,
       new_content: newContent,
+      attributes: slot.attributes,
+      removed_children: removedChildren,
     };
   }
 
@@ -120,9 +373,10 @@ class SlotParser {
    * @param {string} html - Original HTML content
    * @param {string} markerName - Slot marker name to create
    * @param {string} targetContent - Content to wrap with markers (must exist in HTML)
+   * @param {Object} attributes - Optional marker attributes (type, maxlen, locale)
    * @returns {Object} Result with success status and updated HTML
    */
-  static createSlot(html, markerName, targetContent) {
+  static createSlot(html, markerName, targetContent, attributes = {}) {
     if (!html || !markerName || !targetContent) {
       return {
         success: false,
@@ -159,7 +413,7 @@ class SlotParser {
     }
 
     // Wrap target content with markers
-    const openMarker = `<!-- SWE:SLOT:${markerName} -->`;
+    const openMarker = this.buildOpeningMarker(markerName, attributes);
     const closeMarker = `<!-- /SWE:SLOT:${markerName} -->`;
     const updatedHtml = html.replace(
       targetContent,
@@ -196,15 +450,20 @@ class SlotParser {
       };
     }
 
-    // Remove markers but keep content
-    const regex = new RegExp(
-      `<!--\\s*SWE:SLOT:${markerName}\\s*-->([\\s\\S]*?)<!--\\s*\\/SWE:SLOT:${markerName}\\s*-->`,
-      'gi'
-    );
-
-    const updatedHtml = html.replace(regex, (match, content) => {
-      return content.trim();
-    });
+    // Remove markers but keep content (last first so earlier offsets stay valid)
+    const matches = this.parseSlots(html)
+      .filter(slot => slot.marker_name.toUpperCase() === markerName.toUpperCase())
+      .sort((a, b) => b.start_index - a.start_index);
+
+    let updatedHtml = html;
+    for (const slot of matches) {
+      const inner = this._findSlotAt(updatedHtml, slot.start_index);
+      if (!inner) continue;
+      updatedHtml =
+        updatedHtml.slice(0, inner.start_index) +
+        updatedHtml.slice(inner.content_start, inner.content_end).trim() +
+        updatedHtml.slice(inner.end_index);
+    }
 
     return {
       success: true,
@@ -280,14 +539,81 @@ class SlotParser {
     return {
       total_slots: slots.length,
       slot_names: slots.map(s => s.marker_name),
-      total_content_length: slots.reduce((sum, s) => sum + s.content.length, 0),
+      total_content_length: slots
+        .filter(s => s.depth === 0)
+        .reduce((sum, s) => sum + s.content.length, 0),
       slots: slots.map(s => ({
         marker_name: s.marker_name,
+        attributes: s.attributes,
+        parent: s.parent,
+        depth: s.depth,
         content_length: s.content.length,
         content_preview: s.content.substring(0, 100) + (s.content.length > 100 ? '...' : ''),
       })),
     };
   }
+
+  /**
+   * Find the slot whose opening marker starts at a given offset
+   * @private
+   */
+  static _findSlotAt(html, startIndex) {
+    const search = (nodes) => {
+      for (const node of nodes) {
+        if (node.start_index === startIndex) return node;
+        const found = search(node.children);
+        if (found) return found;
+      }
+      return null;
+    };
+    return search(this.parseSlotTree(html).slots);
+  }
+
+  /**
+   * All nested slots below a node
+   * @private
+   */
+  static _descendants(node) {
+    return node.children.reduce((all, child) => all.concat(child, this._descendants(child)), []);
+  }
+
+  /**
+   * Text content with tags removed and whitespace collapsed
+   * @private
+   */
+  static _visibleText(html) {
+    return String(html || '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&[a-z]+;|&#\d+;/gi, 'x')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Validate attribute values on an opening marker
+   * @private
+   */
+  static _checkAttributes(markerName, attributes) {
+    const errors = [];
+
+    if (attributes.type !== undefined && !SLOT_TYPES.includes(attributes.type)) {
+      errors.push({
+        marker_name: markerName,
+        error: `Unknown slot type "${attributes.type}" (expected ${SLOT_TYPES.join(', ')})`,
+      });
+    }
+
+    if (attributes.maxlen !== undefined && typeof attributes.maxlen !== 'number') {
+      errors.push({
+        marker_name: markerName,
+        error: `maxlen must be a whole number, got "${attributes.maxlen}"`,
+      });
+    }
+
+    return errors;
+  }
 }
 
 module.exports = SlotParser;
@@ -0,0 +1,389 @@
+/**
+ * Webhook Service
+ * Delivers organization-configured outbound webhooks for lifecycle events
+ *
+ * emit() only queues a webhook_deliveries row per subscribed endpoint, so
+ * callers never wait on (or fail because of) a slow receiver. The dispatcher
+ * polls the queue, POSTs each payload signed with the endpoint's secret and
+ * retries failures with exponential backoff.
+ *
+ * Signature header (verify by recomputing the HMAC over `${t}.${raw body}`):
+ *   X-SafeWebEdit-Signature: t=1700000000,v1=<hex HMAC-SHA256>
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const db = require('./database');
+
+const WEBHOOK_EVENTS = [
+  'slot.published',
+  'content.generated',
+  'site.disconnected',
+  'credits.low',
+];
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and
+// reserved ranges; receivers must resolve outside all of them
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that refuses private addresses, so the check applies to the
+// address actually connected to (not just the hostname saved with the endpoint)
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      const blocked = new Error(`${hostname} resolves to a private address`);
+      blocked.code = 'EPRIVATEADDR';
+      return callback(blocked);
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Internal receivers are allowed outside production (local testing)
+function allowPrivateHosts() {
+  return process.env.NODE_ENV !== 'production';
+}
+
+class WebhookService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS || '15000');
+    this.batchSize = parseInt(process.env.WEBHOOK_DISPATCH_BATCH_SIZE || '20');
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+    this.retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000');
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  get events() {
+    return WEBHOOK_EVENTS;
+  }
+
+  /**
+   * Queue an event for every subscribed endpoint of an organization
+   * Never throws - webhook problems must not break the action that caused them
+   * @param {string} organizationId - Organization the event belongs to
+   * @param {string} event - Event name (see WEBHOOK_EVENTS)
+   * @param {Object} data - Event-specific payload
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async emit(organizationId, event, data) {
+    try {
+      const endpoints = await db.webhookEndpoints.findSubscribed(organizationId, event);
+
+      for (const endpoint of endpoints) {
+        await db.webhookDeliveries.create({
+          endpoint_id: endpoint.id,
+          organization_id: organizationId,
+          event,
+          payload: this._payload(organizationId, event, data),
+        });
+      }
+
+      if (endpoints.length > 0) {
+        console.log('[WEBHOOKS] Queued:', { event, organization_id: organizationId, endpoints: endpoints.length });
+        // Deliver promptly instead of waiting for the next poll
+        if (this.timer) {
+          setImmediate(() => this.tick());
+        }
+      }
+
+      return endpoints.length;
+    } catch (error) {
+      console.error('[WEBHOOKS] Failed to queue event:', { event, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Queue slot.published with a consistent payload shape
+   * @param {string} organizationId - Organization the slot belongs to
+   * @param {Object} slot - content_slots row
+   * @param {Object} details - { source, page_url, published_by, content_update_id }
+   */
+  async emitSlotPublished(organizationId, slot, details = {}) {
+    return this.emit(organizationId, 'slot.published', {
+      slot_id: slot.id,
+      slot_name: slot.slot_name,
+      site_id: slot.wordpress_site_id || slot.universal_site_id || null,
+      page_id: slot.wp_page_id || null,
+      page_url: details.page_url || null,
+      content_update_id: details.content_update_id || null,
+      source: details.source,
+      published_by: details.published_by || null,
+    });
+  }
+
+  /**
+   * Send a test event to one endpoint right away (no retries)
+   * @param {Object} endpoint - webhook_endpoints row
+   * @returns {Promise<Object>} Delivery row with the outcome
+   */
+  async sendTest(endpoint) {
+    const delivery = await db.webhookDeliveries.create({
+      endpoint_id: endpoint.id,
+      organization_id: endpoint.organization_id,
+      event: 'webhook.test',
+      payload: this._payload(endpoint.organization_id, 'webhook.test', {
+        message: 'Test event from SafeWebEdit',
+        endpoint_id: endpoint.id,
+      }),
+    });
+
+    return this.deliverNow(delivery.id, { retry: false });
+  }
+
+  /**
+   * Claim and deliver a single delivery immediately (test fire / redeliver)
+   * @param {string} deliveryId - webhook_deliveries id
+   * @param {Object} options - { retry: schedule retries on failure }
+   * @returns {Promise<Object|null>} Updated delivery, or null if it could not be claimed
+   */
+  async deliverNow(deliveryId, options = {}) {
+    const claimed = await db.webhookDeliveries.claim(deliveryId);
+    if (!claimed) {
+      return null;
+    }
+    return this.processDelivery(claimed, options);
+  }
+
+  /**
+   * Sign a request body for an endpoint secret
+   * @param {string} secret - Endpoint secret
+   * @param {string} body - Exact JSON body sent
+   * @param {number} timestamp - Unix seconds
+   * @returns {string} Signature header value
+   */
+  sign(secret, body, timestamp) {
+    const signature = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Generate a new endpoint signing secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Validate an endpoint URL (https only, no obvious internal hosts)
+   * @returns {Object} { valid, error }
+   */
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { valid: false, error: 'url must be a valid URL' };
+    }
+
+    const allowHttp = process.env.NODE_ENV !== 'production';
+    if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+      return { valid: false, error: 'url must use https' };
+    }
+
+    if (this._isInternalHost(parsed.hostname) && !allowPrivateHosts()) {
+      return { valid: false, error: 'url must point to a public host' };
+    }
+
+    return { valid: true };
+  }
+
+  // ---- Dispatcher ----
+
+  /**
+   * Start polling for due deliveries
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    try {
+      const released = await db.webhookDeliveries.releaseStale();
+      if (released.length > 0) {
+        console.log(`[WEBHOOKS] Requeued ${released.length} interrupted deliveries`);
+      }
+    } catch (error) {
+      console.error('[WEBHOOKS] Failed to requeue interrupted deliveries:', error.message);
+    }
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref();
+    console.log(`[WEBHOOKS] Dispatcher started (interval: ${this.intervalMs}ms, max attempts: ${this.maxAttempts})`);
+  }
+
+  /**
+   * Stop polling (in-flight deliveries are allowed to finish)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('[WEBHOOKS] Dispatcher stopped');
+    }
+  }
+
+  /**
+   * Claim and deliver all currently due deliveries
+   */
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const due = await db.webhookDeliveries.claimDue(this.batchSize);
+
+      for (const delivery of due) {
+        await this.processDelivery(delivery);
+      }
+    } catch (error) {
+      console.error('[WEBHOOKS] Tick error:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * POST a claimed delivery and record the outcome
+   * @param {Object} delivery - Claimed webhook_deliveries row joined with url/secret/is_active
+   * @param {Object} options - { retry }
+   */
+  async processDelivery(delivery, options = {}) {
+    const retry = options.retry !== false;
+
+    if (!delivery.is_active) {
+      return db.webhookDeliveries.recordAttempt(delivery.id, 'failed', {
+        error_message: 'Endpoint is disabled',
+      });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    let result;
+    try {
+      // Checked again on every attempt: DNS can change after the endpoint was saved
+      if (!allowPrivateHosts() && this._isInternalHost(new URL(delivery.url).hostname)) {
+        throw new Error('Endpoint host is not public');
+      }
+
+      const response = await axios.post(delivery.url, body, {
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        httpAgent: allowPrivateHosts() ? undefined : publicHttpAgent,
+        httpsAgent: allowPrivateHosts() ? undefined : publicHttpsAgent,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SafeWebEdit-Webhooks/1.0',
+          'X-SafeWebEdit-Event': delivery.event,
+          'X-SafeWebEdit-Delivery': delivery.id,
+          'X-SafeWebEdit-Signature': this.sign(delivery.secret, body, timestamp),
+        },
+      });
+
+      result = {
+        ok: response.status >= 200 && response.status < 300,
+        response_status: response.status,
+        error_message: response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`,
+      };
+    } catch (error) {
+      result = { ok: false, error_message: error.code ? `${error.code}: ${error.message}` : error.message };
+    }
+
+    result.duration_ms = Date.now() - started;
+
+    if (result.ok) {
+      return db.webhookDeliveries.recordAttempt(delivery.id, 'succeeded', result);
+    }
+
+    if (!retry || delivery.attempts >= this.maxAttempts) {
+      console.error('[WEBHOOKS] Delivery failed:', {
+        delivery_id: delivery.id,
+        event: delivery.event,
+        attempts: delivery.attempts,
+        error: result.error_message,
+      });
+      return db.webhookDeliveries.recordAttempt(delivery.id, 'failed', result);
+    }
+
+    const delay = this.retryBaseMs * Math.pow(2, delivery.attempts - 1);
+    result.next_attempt_at = new Date(Date.now() + delay);
+
+    console.warn('[WEBHOOKS] Delivery failed, retrying:', {
+      delivery_id: delivery.id,
+      event: delivery.event,
+      attempt: delivery.attempts,
+      next_attempt_at: result.next_attempt_at.toISOString(),
+      error: result.error_message,
+    });
+
+    return db.webhookDeliveries.recordAttempt(delivery.id, 'pending', result);
+  }
+
+  /**
+   * Event envelope sent to receivers
+   * @private
+   */
+  _payload(organizationId, event, data) {
+    return {
+      id: crypto.randomUUID(),
+      event,
+      created_at: new Date().toISOString(),
+      organization_id: organizationId,
+      data: data || {},
+    };
+  }
+
+  /**
+   * Internal host names and IP literals (any notation; URL parsing already
+   * normalized decimal/octal IPv4 and IPv6 forms). Names that resolve to
+   * internal addresses are caught by publicLookup when delivering.
+   * @private
+   */
+  _isInternalHost(hostname) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    return host === 'localhost' ||
+      host.endsWith('.localhost') ||
+      host.endsWith('.local') ||
+      host.endsWith('.internal') ||
+      isPrivateAddress(host);
+  }
+}
+
+module.exports = new WebhookService();
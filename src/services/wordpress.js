@@ -254,14 +254,58 @@ class WordPressClient {
    * @returns {Promise<Object>} Page object with full content
    */
   async getPage(pageId) {
+    return this._getEntry('pages', pageId);
+  }
+
+  /**
+   * Get a specific post by ID
+   * @param {number} postId - WordPress post ID
+   * @returns {Promise<Object>} Post object (same shape as getPage)
+   */
+  async getPost(postId) {
+    return this._getEntry('posts', postId);
+  }
+
+  /**
+   * Update page content
+   * @param {number} pageId - WordPress page ID
+   * @param {Object} data - Update data (content, title, etc.)
+   * @returns {Promise<Object>} Updated page object
+   */
+  async updatePage(pageId, data) {
+    return this._updateEntry('pages', pageId, data);
+  }
+
+  /**
+   * Update post content
+   * @param {number} postId - WordPress post ID
+   * @param {Object} data - Update data (content, title, etc.)
+   * @returns {Promise<Object>} Updated post object (same shape as updatePage)
+   */
+  async updatePost(postId, data) {
+    return this._updateEntry('posts', postId, data);
+  }
+
+  /**
+   * Fetch a page or post for editing
+   * @private
+   */
+  async _getEntry(resource, id) {
     try {
-      const response = await this.client.get(`/pages/${pageId}`);
+      // context=edit returns the stored markup (block comments intact) rather
+      // than the rendered HTML, so it is safe to modify and write back
+      const response = await this.client.get(`/${resource}/${id}`, {
+        params: { context: 'edit' },
+      });
+      const raw = response.data.content?.raw;
       return {
         success: true,
         page: {
           id: response.data.id,
-          title: response.data.title?.rendered || 'Untitled',
-          content: response.data.content?.rendered || '',
+          title: response.data.title?.raw || response.data.title?.rendered || 'Untitled',
+          content: raw !== undefined ? raw : (response.data.content?.rendered || ''),
+          content_is_raw: raw !== undefined,
+          rendered_content: response.data.content?.rendered || '',
           link: response.data.link,
           status: response.data.status,
           modified: response.data.modified,
@@ -276,20 +320,22 @@ class WordPressClient {
   }
 
   /**
-   * Update page content
-   * @param {number} pageId - WordPress page ID
-   * @param {Object} data - Update data (content, title, etc.)
-   * @returns {Promise<Object>} Updated page object
+   * Write a page or post
+   * @private
    */
-  async updatePage(pageId, data) {
+  async _updateEntry(resource, id, data) {
     try {
-      const response = await this.client.post(`/pages/${pageId}`, data);
+      const response = await this.client.post(`/${resource}/${id}`, data, {
+        params: { context: 'edit' },
+      });
+      const raw = response.data.content?.raw;
       return {
         success: true,
         page: {
           id: response.data.id,
-          title: response.data.title?.rendered || 'Untitled',
-          content: response.data.content?.rendered || '',
+          title: response.data.title?.raw || response.data.title?.rendered || 'Untitled',
+          content: raw !== undefined ? raw : (response.data.content?.rendered || ''),
+          rendered_content: response.data.content?.rendered || '',
           link: response.data.link,
           modified: response.data.modified,
         },